@@ -131,6 +131,15 @@ if (typeof AudioWorkletProcessor !== 'undefined') {
                 swooshNoise * 0.3
               ) * swooshEnvelope * Math.max(0, 1 - t / 0.8); // Longer duration
               break;
+            case 'extraLife':
+              // Bright rising arpeggio, one note every 80ms
+              const lifeNotes = [523.25, 659.25, 783.99, 1046.5]; // C5 E5 G5 C6
+              const lifeNote = lifeNotes[Math.min(Math.floor(t / 0.08), lifeNotes.length - 1)];
+              const lifeSquare = Math.sin(2 * Math.PI * lifeNote * this.phase) > 0 ? 1 : -1;
+              const lifeSine = Math.sin(2 * Math.PI * lifeNote * this.phase);
+              sample = this.amplitude * (lifeSquare * 0.3 + lifeSine * 0.7) *
+                       Math.max(0, 1 - t / this.duration);
+              break;
             case 'explode':
               // Ship explosion - more complex sound
               const noise = Math.random() * 2 - 1;
@@ -14,6 +14,9 @@
 // Note: In a module system, this would be: import { GameConfig } from './js/config/GameConfig.js';
 // For now, GameConfig is loaded via script tag in index.html
 
+// The simulation itself (ship, asteroids, aliens, battlestar, collisions, scoring)
+// lives in js/core/Simulation.js; this file handles input, audio, drawing and menus
+
 // Initialize canvas for rendering game graphics
 let canvas;
 let ctx;
@@ -32,226 +35,99 @@ let displayScore = 0;
 let targetScore = 0;
 let scoreAnimationSpeed = 5; // Points per frame
 
-// Score pop-up system - using GameConfig values
-let scorePopups = [];
-
-// Create a score popup at the given position
-function createScorePopup(x, y, points, isLevelBonus = false) {
-    // For level bonuses, create a more elegant display
-    if (isLevelBonus) {
-        scorePopups.push({
-            x,
-            y,
-            points,
-            lifetime: GameConfig.SCORE.POPUP_LIFETIME * 3, // Longer lifetime for level bonus
-            scale: 1.0, // Start smaller
-            maxScale: 2.5, // Grow to this size
-            opacity: 0, // Start transparent
-            rotation: 0,
-            bouncePhase: 0,
-            isLevelBonus,
-            color: GameConfig.COLORS.LEVEL_BONUS, // Yellow color for level bonus
-            offsetX: 0, // No offset for level bonuses
-            growTime: 45, // Frames to grow to full size
-            holdTime: 90, // Frames to hold at full size
-            fadeTime: 45 // Frames to fade out
-        });
-    } else {
-        // Select color based on point value
-        let colorSet = GameConfig.COLORS.SCORE_SMALL;
-        if (points >= GameConfig.SCORE.VALUES.ALIEN) {
-            colorSet = GameConfig.COLORS.SCORE_LARGE;
-        } else if (points >= GameConfig.SCORE.VALUES.ASTEROID_MEDIUM) {
-            colorSet = GameConfig.COLORS.SCORE_MEDIUM;
-        }
-        
-        // Pick a random color from the appropriate set
-        const color = colorSet[Math.floor(Math.random() * colorSet.length)];
-        
-        // Add random horizontal offset to avoid clustering in the same spot
-        const offsetX = (Math.random() * 2 - 1) * GameConfig.SCORE.POPUP_OFFSET_RANGE;
-        
-        // For regular score popups, ensure they're simple and non-rotating
-        scorePopups.push({
-            x,
-            y,
-            points,
-            lifetime: GameConfig.SCORE.POPUP_LIFETIME,
-            scale: 1.2, // Increased from 0.4 to 1.2 (3x larger)
-            opacity: 1,
-            rotation: 0, // Force zero rotation
-            bouncePhase: 0, // No bounce
-            isLevelBonus,
-            color: color,
-            offsetX: offsetX
-        });
-    }
-}
-
-// Update score popups
-function updateScorePopups() {
-    const lifetimeReduction = GameConfig.GAME.FPS * deltaTime; // FPS equivalent
-    const moveSpeed = GameConfig.SCORE.POPUP_SPEED * GameConfig.GAME.FPS * deltaTime; // Make movement frame-rate independent
-    
-    for (let i = scorePopups.length - 1; i >= 0; i--) {
-        const popup = scorePopups[i];
-        
-        // Update lifetime based on delta time instead of fixed frames
-        popup.lifetime -= lifetimeReduction;
-        
-        if (popup.lifetime <= 0) {
-            scorePopups.splice(i, 1);
-            continue;
-        }
-        
-        if (popup.isLevelBonus) {
-            // Level bonus animation
-            const totalLifetime = GameConfig.SCORE.POPUP_LIFETIME * 3;
-            const remainingLife = popup.lifetime;
-            const elapsedTime = totalLifetime - remainingLife;
-            
-            // Phase 1: Grow and fade in
-            if (elapsedTime < popup.growTime) {
-                const growProgress = elapsedTime / popup.growTime;
-                popup.scale = popup.maxScale * growProgress;
-                popup.opacity = growProgress;
-            } 
-            // Phase 2: Hold at full size
-            else if (elapsedTime < (popup.growTime + popup.holdTime)) {
-                popup.scale = popup.maxScale;
-                popup.opacity = 1.0;
-                
-                // Add a subtle pulse effect
-                const pulsePhase = (elapsedTime - popup.growTime) / 15; // Frequency of pulse
-                const pulseAmount = Math.sin(pulsePhase) * 0.1;
-                popup.scale = popup.maxScale * (1 + pulseAmount);
-            } 
-            // Phase 3: Fade out
-            else {
-                const fadeProgress = (elapsedTime - popup.growTime - popup.holdTime) / popup.fadeTime;
-                popup.opacity = Math.max(0, 1 - fadeProgress);
-                
-                // Slow upward drift during fade out
-                popup.y -= moveSpeed * 0.5;
-            }
-        } else {
-            // Regular score popup - faster upward movement with more horizontal drift
-            popup.y -= moveSpeed * 1.5;
-            
-            // Add slight horizontal drift based on the offset
-            if (popup.offsetX) {
-                // Move horizontally at 1/3 the vertical speed
-                const moveDirection = popup.offsetX > 0 ? 1 : -1;
-                const horizontalSpeed = moveSpeed * 0.5 * moveDirection;
-                popup.x += horizontalSpeed;
-            }
-            
-            // Simple scale-in effect: use percentage of total lifetime instead of frame count
-            const percentComplete = 1 - (popup.lifetime / GameConfig.SCORE.POPUP_LIFETIME);
-            if (percentComplete < 0.15) { // First quarter of lifetime
-                // Start at 1.2 and grow to 1.8 over the first 15% of lifetime
-                popup.scale = 1.2 + (percentComplete * 4.0);
-            } else {
-                popup.scale = 1.8; // Increased from 0.6 to 1.8 (3x larger)
-            }
-            
-            // Fade out as lifetime approaches zero - based on percentage of lifetime
-            if (popup.lifetime < GameConfig.SCORE.POPUP_LIFETIME * 0.33) {
-                popup.opacity = popup.lifetime / (GameConfig.SCORE.POPUP_LIFETIME * 0.33);
-            }
-        }
-    }
-}
+// Level bonus popup timing (frames) - it grows, holds with a pulse, then fades and drifts up
+const BONUS_POPUP_GROW_TIME = 45;
+const BONUS_POPUP_HOLD_TIME = 90;
 
-// Draw score popups
+// Draw score popups - the text particles
 function drawScorePopups() {
     ctx.textAlign = 'center';
-    ctx.lineWidth = 2.5; // Increased from 1.5
     
-    for (let i = 0; i < scorePopups.length; i++) {
-        const popup = scorePopups[i];
+    particles.forEach(popup => {
+        if (popup.type !== 'text') return;
         
         // Save the current transform state
         ctx.save();
         
-        // Set up transform
-        ctx.translate(popup.x, popup.y);
-        
-        if (popup.isLevelBonus) {
-            // Level bonus - use custom appearance
-            ctx.scale(popup.scale, popup.scale);
+        const elapsed = popup.maxLife - popup.life;
+        
+        if (popup.bonus) {
+            // Level bonus - grow and fade in, hold with a subtle pulse, then fade out drifting upward
+            const maxScale = 2.5;
+            let scale = maxScale;
+            let opacity = 1;
+            let drift = 0;
+            if (elapsed < BONUS_POPUP_GROW_TIME) {
+                opacity = elapsed / BONUS_POPUP_GROW_TIME;
+                scale = maxScale * opacity;
+            } else if (elapsed < BONUS_POPUP_GROW_TIME + BONUS_POPUP_HOLD_TIME) {
+                scale = maxScale * (1 + Math.sin((elapsed - BONUS_POPUP_GROW_TIME) / 15) * 0.1);
+            } else {
+                const fading = elapsed - BONUS_POPUP_GROW_TIME - BONUS_POPUP_HOLD_TIME;
+                opacity = Math.max(0, popup.life / (popup.maxLife - BONUS_POPUP_GROW_TIME - BONUS_POPUP_HOLD_TIME));
+                drift = fading * GameConfig.SCORE.POPUP_SPEED * 0.5;
+            }
+            
+            ctx.translate(popup.x, popup.y - drift);
+            ctx.scale(scale, scale);
             
             // Add a glow effect
-            ctx.shadowColor = GameConfig.COLORS.LEVEL_BONUS;
-            ctx.shadowBlur = 15 * popup.opacity;
+            ctx.shadowColor = popup.color;
+            ctx.shadowBlur = glow(15 * opacity);
             
             // Custom font and colors for level bonus
             ctx.font = `bold ${GameConfig.UI.FONT_SIZE_TITLE}px ${GameConfig.UI.FONT_FAMILY}`;
             
-            // Format the score with "+" prefix and commas
-            const formattedPoints = "+" + popup.points.toLocaleString();
-            
             // Add a subtle text shadow for depth
-            ctx.fillStyle = 'rgba(255, 180, 0, ' + (popup.opacity * 0.7) + ')';
-            ctx.fillText(formattedPoints, 2, 2); // Offset shadow
+            ctx.fillStyle = 'rgba(255, 180, 0, ' + (opacity * 0.7) + ')';
+            ctx.fillText(popup.text, 2, 2); // Offset shadow
             
             // Main text with gradient
             const gradient = ctx.createLinearGradient(0, -20, 0, 20);
-            gradient.addColorStop(0, 'rgba(255, 255, 0, ' + popup.opacity + ')');
-            gradient.addColorStop(1, 'rgba(255, 160, 0, ' + popup.opacity + ')');
+            gradient.addColorStop(0, 'rgba(255, 255, 0, ' + opacity + ')');
+            gradient.addColorStop(1, 'rgba(255, 160, 0, ' + opacity + ')');
             ctx.fillStyle = gradient;
             
             // Draw text
-            ctx.fillText(formattedPoints, 0, 0);
+            ctx.fillText(popup.text, 0, 0);
             
             // Draw outline
             ctx.lineWidth = 1.5;
-            ctx.strokeStyle = 'rgba(255, 120, 0, ' + popup.opacity + ')';
-            ctx.strokeText(formattedPoints, 0, 0);
+            ctx.strokeStyle = 'rgba(255, 120, 0, ' + opacity + ')';
+            ctx.strokeText(popup.text, 0, 0);
             
             // Add "LEVEL BONUS" text below
             ctx.font = `${GameConfig.UI.FONT_SIZE_SMALL}px ${GameConfig.UI.FONT_FAMILY}`;
-            ctx.fillStyle = 'rgba(255, 255, 255, ' + popup.opacity + ')';
+            ctx.fillStyle = 'rgba(255, 255, 255, ' + opacity + ')';
             ctx.fillText("LEVEL BONUS", 0, 24);
         } else {
-            // Regular score popups - absolutely no rotation, only positive scale
-            const scale = Math.abs(popup.scale); // Ensure scale is positive
+            // Regular score popups - no rotation, growing from 1.2 to 1.8 over the first 15% of their life
+            const percentComplete = elapsed / popup.maxLife;
+            const scale = (percentComplete < 0.15 ? 1.2 + percentComplete * 4.0 : 1.8) * popup.size;
+            const opacity = Math.min(1, popup.life / popup.fade);
+            
+            ctx.translate(popup.x, popup.y);
             ctx.scale(scale, scale);
             
-            // Larger font sizes (3x increase)
-            if (popup.points >= GameConfig.SCORE.VALUES.ALIEN) {
-                ctx.font = `bold ${GameConfig.UI.FONT_SIZE_LARGE}px ${GameConfig.UI.FONT_FAMILY}`; // Increased from 16px
+            if (popup.bold) {
+                ctx.font = `bold ${GameConfig.UI.FONT_SIZE_LARGE}px ${GameConfig.UI.FONT_FAMILY}`;
             } else {
-                ctx.font = `${GameConfig.UI.FONT_SIZE_MEDIUM}px ${GameConfig.UI.FONT_FAMILY}`; // Increased from 12px
+                ctx.font = `${GameConfig.UI.FONT_SIZE_MEDIUM}px ${GameConfig.UI.FONT_FAMILY}`;
             }
             
-            // Use custom colors if provided
-            if (popup.color) {
-                ctx.fillStyle = 'rgba(' + hexToRgba(popup.color, popup.opacity) + ')';
-                // Create a darker stroke from the fill color
-                ctx.strokeStyle = 'rgba(' + hexToRgba(darkenColor(popup.color), popup.opacity) + ')';
-            } else {
-                // Fallback to default colors
-                if (popup.points >= GameConfig.SCORE.VALUES.ALIEN) {
-                    ctx.fillStyle = 'rgba(255, 215, 0, ' + popup.opacity + ')'; // Gold
-                    ctx.strokeStyle = 'rgba(255, 165, 0, ' + popup.opacity + ')'; // Orange
-                } else if (popup.points >= GameConfig.SCORE.VALUES.ASTEROID_MEDIUM) {
-                    ctx.fillStyle = 'rgba(173, 216, 230, ' + popup.opacity + ')'; // Light blue
-                    ctx.strokeStyle = 'rgba(30, 144, 255, ' + popup.opacity + ')'; // Dodger blue
-                } else {
-                    ctx.fillStyle = 'rgba(255, 255, 255, ' + popup.opacity + ')'; // White
-                    ctx.strokeStyle = 'rgba(100, 149, 237, ' + popup.opacity + ')'; // Cornflower blue
-                }
-            }
+            ctx.fillStyle = 'rgba(' + hexToRgba(popup.color, opacity) + ')';
+            // Create a darker stroke from the fill color
+            ctx.strokeStyle = 'rgba(' + hexToRgba(darkenColor(popup.color), opacity) + ')';
             
             // Draw text with outline for better visibility
-            ctx.strokeText("+" + popup.points, 0, 0);
-            ctx.fillText("+" + popup.points, 0, 0);
+            ctx.lineWidth = 2.5;
+            ctx.strokeText(popup.text, 0, 0);
+            ctx.fillText(popup.text, 0, 0);
         }
         
         // Restore transform
         ctx.restore();
-    }
+    });
 }
 
 // Helper function: Convert hex color to rgba string
@@ -328,12 +204,35 @@ let releaseNotesScroll = 0;
  * - Anti-cheat verification
  * - Community engagement
  */
-let highScores = [];
+let highScores = [];         // Board currently shown on the welcome screen
 let playerInitials = "AAA";
 let enteringInitials = false;
 let currentInitialIndex = 0;
 let highScoresFetched = false;
 
+// Time-windowed leaderboards, cycled on the welcome screen
+const HIGH_SCORE_BOARDS = [
+    { id: 'alltime', label: 'ALL-TIME' },
+    { id: 'weekly', label: 'THIS WEEK' },
+    { id: 'daily', label: 'TODAY' },
+    { id: 'challenge', label: 'DAILY CHALLENGE', challenge: true }
+];
+let highScoreBoards = { alltime: [], weekly: [], daily: [], challenge: [] };
+let highScoreBoardIndex = 0;
+let highScoreBoardShownAt = 0; // When the current board appeared, for automatic cycling
+
+/**
+ * Daily challenge
+ * Everyone plays the server's seed for the day. The first run of the day is
+ * the official attempt and always goes to the challenge board; later runs
+ * that day are practice. The server counts official attempts against the
+ * player id it hands out with the challenge, which is kept here.
+ */
+const DAILY_CHALLENGE_STORAGE_KEY = 'smashteroids_dailyChallenge'; // Date of the last official attempt
+const PLAYER_ID_STORAGE_KEY = 'smashteroids_playerId';
+let dailyChallengeRun = null;        // { date, seed, player, official } while playing a challenge
+let dailyChallengeLoading = false;
+
 /**
  * Animation state variables
  * Used to create smooth, dynamic visual effects
@@ -343,55 +242,6 @@ let frameCount = 0;
 let titleHoverOffset = 0;
 let titleHoverVelocity = 0.5; // Add initial upward velocity
 
-/**
- * Core game state
- * These variables track the essential elements
- * that make up the game's current state
- */
-let ship = null;
-let asteroids = [];
-let bullets = [];
-let aliens = [];           // Array to hold alien ships
-let alienBullets = [];     // Array to hold alien bullets
-let alienSpawnTimer = 0;   // Timer for alien spawning
-let battlestar = null;     // Battlestar boss ship
-let battlestarBullets = []; // Battlestar bullets
-let battlestarDebris = []; // Battlestar debris and effects
-let score = 0;
-let lives = GameConfig.GAME.STARTING_LIVES;
-let level = GameConfig.GAME.STARTING_LEVEL;
-
-/**
- * Game mechanics constants
- * Now using centralized GameConfig values for:
- * - Satisfying ship control
- * - Fair combat difficulty
- * - Progressive challenge scaling
- * - Rewarding scoring system
- */
-
-// Visual Enhancement 1 - Thrust Effects (now using GameConfig values)
-
-// Asteroid constants (now using GameConfig values)
-
-// Bullet constants (now using GameConfig values)
-
-// Alien constants (now using GameConfig values)
-
-// Battlestar constants (now using GameConfig values)
-
-/**
- * Input state tracking
- * Enables smooth, responsive controls by
- * maintaining the current state of player inputs
- */
-let keys = {
-    left: false,
-    right: false,
-    up: false,
-    space: false
-};
-
 /**
  * Sound system configuration
  * Uses Web Audio API for:
@@ -411,23 +261,82 @@ let soundFX = {
     alienFire: null
 };
 let audioContext = null;
+let mixer = null; // AudioMixer (js/audio/AudioMixer.js) for the current audio context
 
-/**
- * Ship explosion system
- * Creates dramatic, physics-based destruction
- * that provides satisfying feedback for player death
- */
-let shipDebris = [];
-const DEBRIS_SPEED = 0.5;
-const DEBRIS_ROTATION_SPEED = 0.02;
-const DEBRIS_LIFETIME = 180;
+// The mixer is recreated along with the audio context
+function getMixer() {
+    if (!mixer || mixer.context !== audioContext) {
+        mixer = new AudioMixer(audioContext);
+        updateMixer();
+    }
+    return mixer;
+}
 
-/**
- * Safe respawn system
- * Prevents frustrating instant deaths by ensuring
- * players respawn in safe locations
- */
-const SAFE_RESPAWN_DISTANCE = 100;
+// Where a sound on a bus (sfx, music or ui) connects
+function soundOutput(bus = 'sfx') {
+    return getMixer().bus(bus);
+}
+
+// Where a sound from (x, y) connects: panned and faded by where it is
+// relative to the ship. Sounds without a position play centred at full volume.
+function soundOutputAt(bus, x, y) {
+    if (x == null || y == null) return soundOutput(bus);
+    
+    const listener = ship || { x: world.width / 2, y: world.height / 2 };
+    return getMixer().positioned(bus, soundPosition(x, y, listener, world));
+}
+
+// Set the bus levels from GameConfig.AUDIO and the player's volume options
+function updateMixer() {
+    if (!mixer) return;
+    
+    mixer.setLevels({
+        master: GameConfig.AUDIO.MASTER_VOLUME * playerSettings.get('volume'),
+        sfx: GameConfig.AUDIO.SFX_VOLUME * playerSettings.get('sfxVolume'),
+        music: GameConfig.AUDIO.MUSIC_VOLUME * playerSettings.get('musicVolume'),
+        ui: GameConfig.AUDIO.UI_VOLUME * playerSettings.get('uiVolume'),
+        muted: playerSettings.get('muted')
+    });
+}
+
+// Mute hotkey - saved like the other options
+function toggleMute() {
+    playerSettings.set('muted', !playerSettings.get('muted'));
+    updateMixer();
+    addLogMessage('Sound ' + (playerSettings.get('muted') ? 'muted' : 'unmuted'));
+}
+
+// Reminder at the bottom of the screen while the sound is off
+function drawMuteIndicator() {
+    ctx.save();
+    ctx.font = '10px "Press Start 2P"';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.textAlign = 'center';
+    ctx.fillText(`SOUND OFF (${actionKeyName('mute')})`, canvas.width / 2, canvas.height - 12);
+    ctx.restore();
+}
+
+// Menu sounds go through the ui bus
+function playUISound(soundType) {
+    playSound(soundType, null, null, 'ui');
+}
+
+let music = null; // MusicPlayer (js/audio/Music.js) for the current audio context
+
+// Keep the soundtrack in step with the game - runs once per display frame
+function updateMusic() {
+    if (!audioContext || audioContext.state !== 'running') return;
+    
+    if (!music || music.context !== audioContext) {
+        music = new MusicPlayer(audioContext, soundOutput('music'));
+    }
+    music.update({
+        playing: gameStarted && !gamePaused,
+        remaining: asteroidsRemaining(asteroids, GameConfig.ASTEROID.COUNT + level),
+        aliens: aliens.length,
+        battlestar: !!battlestar
+    });
+}
 
 /**
  * Game state control
@@ -439,7 +348,6 @@ let wasPausedBeforeFocus = false; // Remember pause state when window loses focu
 // MAX_BULLETS now defined in GameConfig.GAME.MAX_BULLETS
 
 // Debug/testing variables
-let forceAliensInLevel1 = false; // Set to true to allow aliens in level 1 for testing
 let showDebugInfo = false; // Toggle for showing debug info on screen
 
 /**
@@ -464,9 +372,21 @@ let highScoreSubmitCooldown = 0;
  * maintaining proper scaling and visual elements
  */
 function resizeCanvas() {
+    // A replay keeps the play field size it was recorded at
+    if (replayPlayback) {
+        fitReplayCanvas(canvas.width, canvas.height);
+        return;
+    }
+    
     canvas.width = window.innerWidth;
     canvas.height = window.innerHeight;
+    setWorldSize(canvas.width, canvas.height);
+    // The new field changes wrapping, spawns and collisions, so the recording has to know
+    if (replayRecording && gameStarted) {
+        replayRecording.recordResize(canvas.width, canvas.height);
+    }
     squareY = canvas.height / 2;
+    touchInput.layout(canvas.width, canvas.height);
     addLogMessage('Canvas resized to: ' + canvas.width + ' x ' + canvas.height);
     
     // Regenerate stars to fill new dimensions
@@ -487,80 +407,89 @@ function init() {
     canvas = document.getElementById('gameCanvas');
     ctx = canvas.getContext('2d');
     
-    // Set up canvas
+    // Route simulation sounds and messages to the browser
+    simulationHooks.playSound = playSound;
+    simulationHooks.playDelayedSound = (soundName, seconds) => setTimeout(() => playSound(soundName), seconds * 1000);
+    simulationHooks.playThrustSound = playThrustSound;
+    simulationHooks.log = addLogMessage;
+    simulationHooks.shipDestroyed = () => {
+        gamepad.rumble(GameConfig.GAMEPAD.RUMBLE_DURATION, GameConfig.GAMEPAD.RUMBLE_STRENGTH);
+        startScreenShake();
+    };
+    gamepad.onConnectionChange = (pad, connected) => {
+        addLogMessage('Gamepad ' + (connected ? 'connected: ' : 'disconnected: ') + pad.id);
+    };
+    
+    // Set up canvas (touch controls are placed from its size)
+    touchInput = new TouchInput(canvas);
     resizeCanvas();
     window.addEventListener('resize', resizeCanvas);
     
     // Initialize cursor as visible (for menu)
     canvas.style.cursor = 'default';
     
-    // Set up game controls
+    // Set up game controls - keys are looked up in the player's key bindings.
+    // Pause, exit, release notes and the log are handled by the window keydown handler.
     document.addEventListener('keydown', function(event) {
-        switch(event.key) {
-            case 'ArrowLeft':
-            case 'a':
+        // Replays take their input from the recording, and the controls
+        // and options screens and the developer console take every key while they're open
+        if (replayPlayback || showingControls || showingSettings || devConsoleOpen()) return;
+        
+        if (event.key === 'Enter') {
+            if (!gameStarted) {
+                startGame();
+            }
+            return;
+        }
+        
+        switch(keyBindings.actionFor(event.key)) {
+            case 'left':
                 keys.left = true;
                 break;
-            case 'ArrowRight':
-            case 'd':
+            case 'right':
                 keys.right = true;
                 break;
-            case 'ArrowUp':
-            case 'w':
+            case 'thrust':
                 keys.up = true;
                 break;
-            case ' ':
+            case 'fire':
                 if (gameStarted) {
                     keys.space = true;
                 }
                 break;
-            case 'Enter':
-                if (!gameStarted) {
-                    initGame();
-                }
-                break;
-            case 'p':
-            case 'P':
+            case 'hyperspace':
                 if (gameStarted) {
-                    gamePaused = !gamePaused;
-                    updateCursorVisibility();
+                    keys.hyperspace = true;
                 }
                 break;
-            case 'Escape':
-                if (gameStarted) {
-                    gameStarted = false;
-                    updateCursorVisibility();
+            case 'config':
+                if (window.configUI) {
+                    window.configUI.toggle();
+                    event.preventDefault();
                 }
                 break;
-            case 'n':
-            case 'N':
-                showingReleaseNotes = !showingReleaseNotes;
-                updateCursorVisibility();
-                break;
-            case 'l':
-            case 'L':
-                showLog = !showLog;
-                break;
         }
     });
     
     document.addEventListener('keyup', function(event) {
-        switch(event.key) {
-            case 'ArrowLeft':
-            case 'a':
+        if (replayPlayback) return;
+        
+        switch(keyBindings.actionFor(event.key)) {
+            case 'left':
                 keys.left = false;
                 break;
-            case 'ArrowRight':
-            case 'd':
+            case 'right':
                 keys.right = false;
                 break;
-            case 'ArrowUp':
-            case 'w':
+            case 'thrust':
                 keys.up = false;
                 break;
-            case ' ':
+            case 'fire':
                 keys.space = false;
                 break;
+            case 'hyperspace':
+                keys.hyperspace = false;
+                break;
         }
     });
     
@@ -571,9 +500,9 @@ function init() {
     generateStars();
     initWelcomeAsteroids();
     
-    // Add window focus/blur handlers for automatic pause
+    // Add window focus/blur handlers for automatic pause (unless turned off in the options)
     window.addEventListener('blur', function() {
-        if (gameStarted && !gamePaused) {
+        if (gameStarted && !gamePaused && playerSettings.get('autoPause')) {
             wasPausedBeforeFocus = false;
             gamePaused = true;
             addLogMessage('Game auto-paused (window lost focus)');
@@ -581,25 +510,12 @@ function init() {
     });
     
     window.addEventListener('focus', function() {
-        if (gameStarted && gamePaused && !wasPausedBeforeFocus) {
+        if (gameStarted && gamePaused && !wasPausedBeforeFocus && playerSettings.get('autoPause')) {
             gamePaused = false;
             addLogMessage('Game auto-resumed (window regained focus)');
         }
     });
     
-    // Load pause preferences from localStorage
-    try {
-        const autoPausePref = localStorage.getItem('smashteroids_autoPause');
-        if (autoPausePref === 'false') {
-            // User has disabled auto-pause
-            window.removeEventListener('blur', arguments.callee);
-            window.removeEventListener('focus', arguments.callee);
-            addLogMessage('Auto-pause disabled by user preference');
-        }
-    } catch (e) {
-        // Ignore localStorage errors
-    }
-    
     // Start game loop
     gameLoop();
     
@@ -613,26 +529,48 @@ function init() {
  * to ensure the game remains playable even if server is unavailable
  */
 function fetchHighScores() {
-    fetch('/api/highscores')
-        .then(response => {
-            if (!response.ok) {
-                throw new Error('Network response was not ok');
-            }
-            return response.json();
-        })
-        .then(data => {
-            highScores = Array.isArray(data) ? data : [];
+    Promise.all(HIGH_SCORE_BOARDS.map(board =>
+        fetch('/api/highscores?board=' + board.id)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('Network response was not ok');
+                }
+                return response.json();
+            })
+    ))
+        .then(results => {
+            const boards = {};
+            HIGH_SCORE_BOARDS.forEach((board, i) => {
+                boards[board.id] = results[i];
+            });
+            setHighScoreBoards(boards);
             highScoresFetched = true;
             addLogMessage('High scores loaded from server');
         })
         .catch(error => {
             console.error('Error fetching high scores:', error);
-            highScores = [];
+            setHighScoreBoards({});
             highScoresFetched = true;
             addLogMessage('Failed to load high scores');
         });
 }
 
+// Replace the cached leaderboards (missing boards become empty)
+function setHighScoreBoards(boards) {
+    HIGH_SCORE_BOARDS.forEach(board => {
+        highScoreBoards[board.id] = Array.isArray(boards[board.id]) ? boards[board.id] : [];
+    });
+    highScores = highScoreBoards[HIGH_SCORE_BOARDS[highScoreBoardIndex].id];
+}
+
+// Show the next (or previous) leaderboard
+function cycleHighScoreBoard(step = 1) {
+    const count = HIGH_SCORE_BOARDS.length;
+    highScoreBoardIndex = (highScoreBoardIndex + step + count) % count;
+    highScoreBoardShownAt = performance.now();
+    highScores = highScoreBoards[HIGH_SCORE_BOARDS[highScoreBoardIndex].id];
+}
+
 // Wait for window to fully load
 window.addEventListener('load', function() {
     addLogMessage('Window loaded');
@@ -640,26 +578,49 @@ window.addEventListener('load', function() {
 });
 
 // Frame timing variables
-// Used by the game loop to calculate deltaTime
+// The simulation advances in fixed ticks of deltaTime seconds (1 / GAME.TICK_RATE);
+// the display frame time only decides how many ticks to run
 let lastFrameTime = 0;
-let deltaTime = 0;
+let frameDeltaTime = 0;  // Real time since the previous display frame (seconds)
+let tickAccumulator = 0; // Real time not yet consumed by simulation ticks
+let renderAlpha = 0;     // How far drawing is between the previous and current tick (0-1)
 
 /**
  * Main game loop
  * Orchestrates the game's core update and render cycle:
+ * - Runs as many fixed simulation ticks as real time allows
  * - Clears and prepares canvas
- * - Updates game state based on current mode
  * - Renders appropriate screen (welcome, game, or game over)
  * - Handles pause state and overlay systems
  */
 function gameLoop(timestamp) {
-    // Calculate delta time (in seconds)
+    // Calculate frame time (in seconds)
     if (!lastFrameTime) lastFrameTime = timestamp;
-    deltaTime = (timestamp - lastFrameTime) / 1000; // Convert to seconds
+    frameDeltaTime = (timestamp - lastFrameTime) / 1000 || 0; // Convert to seconds
     lastFrameTime = timestamp;
+    recordFrameTime(frameDeltaTime * 1000);
+    
+    // Cap frame time to prevent huge jumps if the game pauses/lags
+    frameDeltaTime = Math.min(frameDeltaTime, 0.1);
     
-    // Cap delta time to prevent huge jumps if the game pauses/lags
-    deltaTime = Math.min(deltaTime, 0.1);
+    // Gamepads have no events - read the buttons before stepping
+    updateGamepad(timestamp);
+    updateTouch();
+    
+    // Step the simulation at a fixed rate so gameplay is identical on every display.
+    // It holds still while the developer console is open.
+    if (gameStarted && !devConsoleOpen()) {
+        const tickDuration = 1 / GameConfig.GAME.TICK_RATE;
+        tickAccumulator += frameDeltaTime * timeScale;
+        while (tickAccumulator >= tickDuration && gameStarted) {
+            runSimulationTick(tickDuration);
+            tickAccumulator -= tickDuration;
+        }
+        renderAlpha = Math.min(tickAccumulator / tickDuration, 1);
+    } else {
+        tickAccumulator = 0;
+    }
+    updateMusic();
     
     // Increment frame counter for animations
     frameCount++;
@@ -682,6 +643,11 @@ function gameLoop(timestamp) {
     updateCursorVisibility();
     
     if (!gameStarted) {
+        // Run has ended - keep its recording for download
+        if (replayRecording) {
+            stopReplayRecording();
+        }
+        
         // Welcome/Game Over screens
         if (enteringInitials) {
             drawGameOver();
@@ -689,30 +655,41 @@ function gameLoop(timestamp) {
             drawWelcomeElements();
         }
     } else {
-        // Active gameplay
-        if (!gamePaused) {
-            updateGame();
-            // Note: updateAliens() and updateAlienBullets() are already called in updateGame()
-            // Removing redundant calls here to prevent updating aliens twice
-            updateScorePopups();
-            updateAlienDebris();
-            updateLevelAnnouncement();
-        } else {
+        // Active gameplay - updates happen in runSimulationTick
+        if (gamePaused) {
             drawPauseScreen();
         }
         
-        // Always draw game elements for visual continuity
+        // Always draw game elements for visual continuity, blended between the last two ticks
+        ctx.save();
+        applyScreenShake();
+        beginInterpolatedDraw(renderAlpha);
         drawGame();
-        drawAlienDebris();
         drawAliens();
         drawAlienBullets();
         drawLevelAnnouncement();
+        drawCollisionOverlay();
+        endInterpolatedDraw();
+        ctx.restore();
+        
+        if (replayPlayback) {
+            drawReplayIndicator();
+        }
     }
     
     // Overlay systems
+    touchInput.draw(ctx);
+    if (playerSettings.get('muted')) drawMuteIndicator();
     if (showingReleaseNotes) drawReleaseNotes();
-    drawLog();
+    if (showingSettings) drawSettingsScreen();
+    if (showingControls) drawControlsScreen();
+    if (devConsoleOpen()) {
+        devConsole.draw(ctx, logMessages);
+    } else {
+        drawLog();
+    }
     drawDebugInfo(); // Draw debug info if enabled
+    drawFrameTimeGraph();
     
     // Draw ConfigUI if it exists
     if (window.configUI) {
@@ -723,113 +700,606 @@ function gameLoop(timestamp) {
 }
 
 /**
- * Debug logging system
- * Provides real-time feedback for:
- * - Development debugging
- * - Player feedback
- * - System state monitoring
+ * Fixed simulation step
+ * Advances gameplay by exactly one tick. Replays are recorded and played
+ * back per tick, so a run plays out identically at any display refresh rate.
  */
-function addLogMessage(message) {
-    logMessages.push(message);
-    if (logMessages.length > 10) logMessages.shift();
+function runSimulationTick(tickDuration) {
+    // Replays supply their own input; live runs are recorded
+    if (replayPlayback) {
+        applyReplayTick();
+        if (!gameStarted) return; // Recording ran out
+    } else {
+        applyControllerTick();
+        if (replayRecording) {
+            replayRecording.recordTick(keys, gamePaused);
+        }
+    }
+    
+    // Effects settings thin out debris as it is emitted
+    particles.quality = EFFECT_LEVELS[playerSettings.get('effects')].particles;
+    stepSimulation(tickDuration, gamePaused);
+    
+    if (gameOver) {
+        finishGameOver();
+    }
 }
 
 /**
- * Debug log rendering
- * Creates an overlay for development and player feedback
- * that maintains readability while being unobtrusive
+ * Gamepad controls
+ * The pad is polled once per display frame (see js/input/GamepadInput.js).
+ * Menu, pause and exit buttons act as the matching key presses, so they follow
+ * exactly the same rules as the keyboard. During play the pad drives the same
+ * keys the simulation already reads, which keeps gamepad runs replayable.
  */
-function drawLog() {
-    if (!showLog) return;
+const gamepad = new GamepadInput();
+let gamepadState = null;      // Latest poll, or null with no pad connected
+let gamepadTurn = 0;          // Stick deflection accumulated towards the next tick of turning
+
+const GAMEPAD_DIRECTION_KEYS = { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' };
+
+// Send a key press through the keyboard handlers, just as if it had been typed
+function pressKey(key) {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: key, bubbles: true }));
+    document.dispatchEvent(new KeyboardEvent('keyup', { key: key, bubbles: true }));
+}
+
+// Press the first key bound to an action (see js/input/KeyBindings.js)
+function pressAction(action) {
+    pressKey(keyBindings.keysFor(action)[0]);
+}
+
+// Handle button presses - runs once per display frame
+function updateGamepad(now) {
+    gamepadState = gamepad.poll(now);
+    if (!gamepadState) return;
     
-    // Semi-transparent background
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    ctx.fillRect(0, 0, canvas.width, 120);
+    const pressed = name => gamepadState.pressed.includes(name);
     
-    // Visual border for clarity
-    ctx.strokeStyle = 'yellow';
-    ctx.lineWidth = 2;
-    ctx.strokeRect(0, 0, canvas.width, 120);
+    // Back stops a replay; nothing else controls one
+    if (replayPlayback) {
+        if (pressed('BACK') || pressed('B')) pressAction('exit');
+        return;
+    }
     
-    // Message display
-    ctx.fillStyle = 'white';
-    ctx.font = '14px "Press Start 2P"';
-    ctx.textAlign = 'left';
+    // Menu screens: the stick or d-pad acts as the arrow keys
+    if (!gameStarted || showingControls || showingSettings) {
+        gamepadState.directions.forEach(direction => pressKey(GAMEPAD_DIRECTION_KEYS[direction]));
+        if (showingReleaseNotes) {
+            if (pressed('B') || pressed('BACK')) {
+                showingReleaseNotes = false;
+                updateCursorVisibility();
+            }
+            return;
+        }
+        if ((showingControls || showingSettings) && (pressed('B') || pressed('BACK'))) pressKey('Escape');
+        if (pressed('A') || pressed('START')) pressKey('Enter');
+        if (!enteringInitials && !showingControls && !showingSettings) {
+            if (pressed('X')) pressKey('c');
+            if (pressed('Y')) openSettingsScreen();
+        }
+        return;
+    }
     
-    logMessages.forEach((msg, index) => {
-        ctx.fillText(msg, 60, 25 + index * 18);
-    });
+    if (pressed('START')) pressAction('pause');
+    if (pressed('BACK')) pressAction('exit');
+    if (gamePaused) {
+        if (pressed('Y')) openSettingsScreen();
+        return;
+    }
+    
+    // Fire and hyperspace are taken as presses, like their keys
+    if (pressed('A') || pressed('RB')) keys.space = true;
+    if (pressed('Y') || pressed('LB')) keys.hyperspace = true;
 }
 
-/**
- * Star field generation
- * Creates a dynamic, twinkling background that:
- * - Adds visual depth to the game
- * - Creates atmosphere
- * - Provides subtle motion cues
- */
-function generateStars() {
-    if (!starsGenerated) {
-        stars = [];
-        for (let i = 0; i < 100; i++) {
-            stars.push({
-                x: Math.random() * canvas.width,
-                y: Math.random() * canvas.height,
-                size: Math.random() * 2 + 1,
-                brightness: 0.5 + Math.random() * 0.5,
-                twinkleSpeed: 0.01 + Math.random() * 0.03,
-                twinkleOffset: Math.random() * Math.PI * 2
-            });
+// Turn and thrust keys wanted by the pad this tick, or null while it is idle
+function getGamepadSteering() {
+    if (!gamepadState) return null;
+    
+    // The ship turns at one fixed rate, so a half-pushed stick turns on
+    // every other tick, a fully pushed one on every tick
+    const stickX = gamepadState.stickX;
+    let turning = false;
+    if (stickX !== 0) {
+        gamepadTurn += Math.abs(stickX);
+        if (gamepadTurn >= 1) {
+            gamepadTurn -= 1;
+            turning = true;
         }
-        starsGenerated = true;
-        addLogMessage('Stars generated with twinkling effect');
+    } else {
+        gamepadTurn = 0;
     }
+    const thrusting = gamepadState.thrust > GameConfig.GAMEPAD.TRIGGER_THRESHOLD;
+    
+    if (stickX === 0 && !thrusting) return null;
+    return { left: turning && stickX < 0, right: turning && stickX > 0, up: thrusting };
 }
 
 /**
- * Welcome screen elements
- * Creates an engaging first impression with:
- * - Animated title
- * - Interactive elements
- * - Game instructions
- * - High score display
- * - Visual polish
+ * Touch controls
+ * Tracked and drawn by js/input/TouchInput.js. The joystick points the ship:
+ * it turns towards the direction the joystick is pushed. Taps outside play
+ * work the menus - tap to start, and tap the initials to change them.
  */
-function drawWelcomeElements() {
-    generateStars();
-    
-    // Render starfield with parallax effect
-    stars.forEach(star => {
-        const twinkle = Math.sin(frameCount * star.twinkleSpeed + star.twinkleOffset);
-        const brightness = star.brightness * (0.7 + 0.3 * twinkle);
-        ctx.fillStyle = `rgba(255, 255, 255, ${brightness})`;
-        ctx.fillRect(star.x, star.y, star.size, star.size);
-    });
-    
-    // Welcome screen components
-    updateWelcomeAsteroids();
-    drawWelcomeAsteroids();
+let touchInput = null;   // Created in init() once the canvas exists
+let touchState = null;   // Latest poll
+
+// Handle button presses and taps - runs once per display frame
+function updateTouch() {
+    touchState = touchInput.poll();
     
-    // Draw the enhanced title
-    drawWelcomeTitle();
+    if (touchInput.controlsActive) {
+        handlePlayTouches();
+    } else {
+        touchState.taps.forEach(handleMenuTap);
+    }
     
-    // Information displays
-    drawWelcomeInstructions();
-    drawAsteroidScoreInfo();
-    drawHighScores();
+    // Decided after handling, as a tap may have just started or left a game.
+    // The controls and options screens cover the game, so they take plain taps.
+    touchInput.controlsActive = gameStarted && !replayPlayback && !showingControls && !showingSettings;
 }
 
-// Draw the welcome screen title with enhanced styling and trail effect
-function drawWelcomeTitle() {
-    const baseY = canvas.height * 0.25;
+// Buttons during play, and the pause screen
+function handlePlayTouches() {
+    const pressed = name => touchState.pressed.includes(name);
     
-    // Add small random impulse occasionally to maintain motion
-    if (Math.random() < 0.03) { // 3% chance each frame
-        titleHoverVelocity += (Math.random() - 0.5) * 0.2;
+    if (pressed('pause')) pressAction('pause');
+    
+    if (gamePaused) {
+        // The pause screen's exit and options lines double as buttons
+        const exitY = canvas.height / 3 + 80;
+        const optionsY = canvas.height / 3 + 105;
+        const between = (exitY + optionsY) / 2;
+        if (touchState.taps.some(tap => tap.y > exitY - 24 && tap.y <= between)) {
+            pressAction('exit');
+        } else if (touchState.taps.some(tap => tap.y > between && tap.y < optionsY + 24)) {
+            openSettingsScreen();
+        }
+        return;
     }
     
-    // Update title physics for smooth floating motion
-    const targetOffset = 0; // Center position
+    if (pressed('fire')) keys.space = true;
+    if (pressed('hyperspace')) keys.hyperspace = true;
+}
+
+// A tap on the welcome, initials, release notes or replay screens
+function handleMenuTap(position) {
+    if (replayPlayback) {
+        pressAction('exit');
+    } else if (showingControls) {
+        // Rebinding keys needs a keyboard - a tap just closes the controls screen
+        closeControlsScreen();
+    } else if (showingSettings) {
+        handleSettingsTap(position);
+    } else if (showingReleaseNotes) {
+        showingReleaseNotes = false;
+        updateCursorVisibility();
+    } else if (enteringInitials) {
+        handleInitialsTap(position);
+    } else {
+        pressKey('Enter');
+    }
+}
+
+// Tap the top half of a letter for the next one, the bottom half for the previous one
+function handleInitialsTap(position) {
+    if (isSubmittingScore) return;
+    
+    const layout = getInitialsLayout();
+    const done = layout.doneButton;
+    if (scoreSubmitError || (position.x >= done.x && position.x <= done.x + done.width &&
+                             position.y >= done.y && position.y <= done.y + done.height)) {
+        pressKey('Enter');
+        return;
+    }
+    
+    for (let i = 0; i < 3; i++) {
+        const x = layout.boxX(i);
+        if (position.x >= x && position.x <= x + layout.boxWidth &&
+            position.y >= layout.boxY && position.y <= layout.boxY + layout.boxHeight) {
+            currentInitialIndex = i;
+            pressKey(position.y < layout.boxY + layout.boxHeight / 2 ? 'ArrowUp' : 'ArrowDown');
+            return;
+        }
+    }
+}
+
+// Turn and thrust keys wanted by the touch controls this tick, or null while they are idle
+function getTouchSteering() {
+    if (!touchState || (!touchState.stick && !touchState.thrust)) return null;
+    
+    let left = false;
+    let right = false;
+    if (touchState.stick && ship) {
+        // Screen y points down, ship angles point up
+        const heading = Math.atan2(-touchState.stick.y, touchState.stick.x);
+        let difference = (heading - ship.angle) % (Math.PI * 2);
+        if (difference > Math.PI) difference -= Math.PI * 2;
+        if (difference < -Math.PI) difference += Math.PI * 2;
+        
+        // Stop once within half a tick of turning, so the ship doesn't wobble
+        const turnPerTick = GameConfig.SHIP.ROTATION_SPEED * GameConfig.GAME.FPS / GameConfig.GAME.TICK_RATE;
+        if (Math.abs(difference) > turnPerTick / 2) {
+            left = difference > 0;
+            right = difference < 0;
+        }
+    }
+    return { left, right, up: touchState.thrust };
+}
+
+/**
+ * Controller steering
+ * The ship only turns at one fixed rate, so the gamepad and touch controls are
+ * turned into the same turn and thrust keys the keyboard sets. This happens
+ * once per simulation tick, which keeps their runs replayable.
+ */
+let controllerSteering = false; // Whether a controller set the turn and thrust keys last tick
+
+function applyControllerTick() {
+    const steering = getTouchSteering() || getGamepadSteering();
+    
+    // Leave the keys alone while no controller is in use so the keyboard still works
+    if (steering || controllerSteering) {
+        keys.left = steering ? steering.left : false;
+        keys.right = steering ? steering.right : false;
+        keys.up = steering ? steering.up : false;
+    }
+    controllerSteering = steering !== null;
+}
+
+/**
+ * Render interpolation
+ * Moving objects remember their position at the start of each tick; drawing
+ * temporarily places them between that and their current position so motion
+ * stays smooth when the display and simulation rates differ.
+ */
+let interpolatedObjects = [];
+
+function interpolateObject(obj, alpha) {
+    if (obj.prevX === undefined) return;
+    
+    const dx = obj.x - obj.prevX;
+    const dy = obj.y - obj.prevY;
+    
+    // Don't blend across a screen wrap
+    if (Math.abs(dx) > canvas.width / 2 || Math.abs(dy) > canvas.height / 2) return;
+    
+    obj.simX = obj.x;
+    obj.simY = obj.y;
+    obj.x = obj.prevX + dx * alpha;
+    obj.y = obj.prevY + dy * alpha;
+    
+    if (typeof obj.angle === 'number' && typeof obj.prevAngle === 'number') {
+        obj.simAngle = obj.angle;
+        obj.angle = obj.prevAngle + (obj.angle - obj.prevAngle) * alpha;
+    }
+    
+    interpolatedObjects.push(obj);
+}
+
+function beginInterpolatedDraw(alpha) {
+    interpolatedObjects = [];
+    if (ship) interpolateObject(ship, alpha);
+    if (battlestar) interpolateObject(battlestar, alpha);
+    asteroids.forEach(obj => interpolateObject(obj, alpha));
+    bullets.forEach(obj => interpolateObject(obj, alpha));
+    aliens.forEach(obj => interpolateObject(obj, alpha));
+    alienBullets.forEach(obj => interpolateObject(obj, alpha));
+    battlestarBullets.forEach(obj => interpolateObject(obj, alpha));
+    powerups.forEach(obj => interpolateObject(obj, alpha));
+}
+
+// Put every object back at its simulated position
+function endInterpolatedDraw() {
+    interpolatedObjects.forEach(obj => {
+        obj.x = obj.simX;
+        obj.y = obj.simY;
+        if (obj.simAngle !== undefined) {
+            obj.angle = obj.simAngle;
+            obj.simAngle = undefined;
+        }
+    });
+    interpolatedObjects = [];
+}
+
+/**
+ * Replay recording and playback
+ * Every run is recorded (seed, config snapshot and per-frame input) so it
+ * can be saved from the welcome screen. A loaded recording drives the game
+ * loop in place of the keyboard, reproducing the run exactly.
+ */
+let replayRecording = null;   // Replay being recorded for the current run
+let lastReplay = null;        // Most recent finished recording, available for download
+let replayPlayback = null;    // Replay currently being played back
+let replayTickIndex = 0;      // Next tick to play
+let replayResizeIndex = 0;    // Next recorded field size change to apply
+let replayConfigBackup = null; // Player's GameConfig, restored when playback ends
+let replayFileInput = null;   // Hidden file picker used to load recordings
+
+// Deep copy of the current GameConfig
+function snapshotGameConfig() {
+    return JSON.parse(JSON.stringify(GameConfig));
+}
+
+// Replace GameConfig sections with those from a snapshot
+function applyGameConfigSnapshot(snapshot) {
+    Object.keys(snapshot).forEach(section => {
+        GameConfig[section] = JSON.parse(JSON.stringify(snapshot[section]));
+    });
+}
+
+// Begin recording a new run - called from startGame once the seed is set
+function startReplayRecording() {
+    replayRecording = new Replay({
+        seed: gameSeed,
+        width: canvas.width,
+        height: canvas.height,
+        tickRate: GameConfig.GAME.TICK_RATE,
+        config: snapshotGameConfig()
+    });
+}
+
+// Finish the current recording and keep it for download
+function stopReplayRecording() {
+    if (replayRecording.length > 0) {
+        replayRecording.score = score;
+        replayRecording.level = level;
+        lastReplay = replayRecording;
+        addLogMessage('Replay recorded (' + lastReplay.length + ' ticks) - press E to save');
+    }
+    replayRecording = null;
+}
+
+// Start playing back a recording from the welcome screen
+function startReplayPlayback(replay) {
+    replayConfigBackup = snapshotGameConfig();
+    if (replay.config) {
+        applyGameConfigSnapshot(replay.config);
+    }
+    
+    replayPlayback = replay;
+    replayTickIndex = 0;
+    replayResizeIndex = 0;
+    fitReplayCanvas(replay.width || window.innerWidth, replay.height || window.innerHeight);
+    
+    keys.left = keys.right = keys.up = keys.space = keys.hyperspace = false;
+    startGame(replay.seed);
+    addLogMessage('Playing replay (seed ' + replay.seed + ', ' + replay.length + ' ticks)');
+}
+
+// End playback and restore the player's own settings
+function stopReplayPlayback() {
+    replayPlayback = null;
+    if (replayConfigBackup) {
+        applyGameConfigSnapshot(replayConfigBackup);
+        replayConfigBackup = null;
+    }
+    
+    keys.left = keys.right = keys.up = keys.space = keys.hyperspace = false;
+    gameStarted = false;
+    gamePaused = false;
+    playThrustSound(false);
+    
+    canvas.style.width = '';
+    canvas.style.height = '';
+    canvas.style.margin = '';
+    resizeCanvas();
+    addLogMessage('Replay finished');
+}
+
+// Feed the next recorded tick into the game
+function applyReplayTick() {
+    if (replayTickIndex >= replayPlayback.length) {
+        stopReplayPlayback();
+        return;
+    }
+    
+    // Follow the run through any change of field size it made
+    const resizes = replayPlayback.resizes;
+    while (replayResizeIndex < resizes.length && resizes[replayResizeIndex].tick <= replayTickIndex) {
+        const resize = resizes[replayResizeIndex++];
+        fitReplayCanvas(resize.width, resize.height);
+    }
+    
+    const tick = replayPlayback.getTick(replayTickIndex++);
+    keys.left = tick.keys.left;
+    keys.right = tick.keys.right;
+    keys.up = tick.keys.up;
+    keys.space = tick.keys.space;
+    keys.hyperspace = tick.keys.hyperspace;
+    gamePaused = tick.paused;
+}
+
+// Play back at the recorded field size, scaled to fit the window
+function fitReplayCanvas(width, height) {
+    canvas.width = width;
+    canvas.height = height;
+    setWorldSize(canvas.width, canvas.height);
+    
+    const scale = Math.min(window.innerWidth / canvas.width, window.innerHeight / canvas.height);
+    canvas.style.width = Math.floor(canvas.width * scale) + 'px';
+    canvas.style.height = Math.floor(canvas.height * scale) + 'px';
+    canvas.style.margin = '0 auto';
+    touchInput.layout(canvas.width, canvas.height);
+    
+    starsGenerated = false;
+    generateStars();
+}
+
+// Ask the player for a recording to play
+function openReplayFile() {
+    if (!replayFileInput) {
+        replayFileInput = document.createElement('input');
+        replayFileInput.type = 'file';
+        replayFileInput.accept = '.json,application/json';
+        replayFileInput.style.display = 'none';
+        replayFileInput.addEventListener('change', () => {
+            const file = replayFileInput.files[0];
+            replayFileInput.value = '';
+            if (!file) return;
+            
+            file.text()
+                .then(text => startReplayPlayback(Replay.parse(text)))
+                .catch(error => {
+                    console.error('Error loading replay:', error);
+                    addLogMessage('Failed to load replay: ' + error.message);
+                });
+        });
+        document.body.appendChild(replayFileInput);
+    }
+    replayFileInput.click();
+}
+
+// Save a recording as a JSON file
+function downloadReplay(replay) {
+    const blob = new Blob([replay.stringify()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `smashteroids-replay-${replay.seed}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    addLogMessage('Replay saved');
+}
+
+// Playback badge and progress bar
+function drawReplayIndicator() {
+    const progress = replayPlayback.length > 0 ? replayTickIndex / replayPlayback.length : 1;
+    const barWidth = 200;
+    const x = canvas.width - barWidth - 20;
+    const y = canvas.height - 30;
+    
+    ctx.save();
+    ctx.font = '12px "Press Start 2P"';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(255, 80, 80, 0.9)';
+    if (blink(30)) {
+        ctx.fillText('REPLAY', x, y - 12);
+    }
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.textAlign = 'right';
+    ctx.font = '8px "Press Start 2P"';
+    ctx.fillText(`${actionKeyName('exit')} TO STOP`, x + barWidth, y - 12);
+    
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, barWidth, 6);
+    ctx.fillStyle = 'rgba(255, 80, 80, 0.9)';
+    ctx.fillRect(x, y, barWidth * progress, 6);
+    ctx.restore();
+}
+
+/**
+ * Debug logging system
+ * Provides real-time feedback for:
+ * - Development debugging
+ * - Player feedback
+ * - System state monitoring
+ */
+function addLogMessage(message) {
+    logMessages.push(message);
+    if (logMessages.length > 10) logMessages.shift();
+}
+
+/**
+ * Debug log rendering
+ * Creates an overlay for development and player feedback
+ * that maintains readability while being unobtrusive
+ */
+function drawLog() {
+    if (!showLog) return;
+    
+    // Semi-transparent background
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(0, 0, canvas.width, 120);
+    
+    // Visual border for clarity
+    ctx.strokeStyle = 'yellow';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(0, 0, canvas.width, 120);
+    
+    // Message display
+    ctx.fillStyle = 'white';
+    ctx.font = '14px "Press Start 2P"';
+    ctx.textAlign = 'left';
+    
+    logMessages.forEach((msg, index) => {
+        ctx.fillText(msg, 60, 25 + index * 18);
+    });
+}
+
+/**
+ * Star field generation
+ * Creates a dynamic, twinkling background that:
+ * - Adds visual depth to the game
+ * - Creates atmosphere
+ * - Provides subtle motion cues
+ */
+function generateStars() {
+    if (!starsGenerated) {
+        stars = [];
+        for (let i = 0; i < 100; i++) {
+            stars.push({
+                x: fxRng.next() * canvas.width,
+                y: fxRng.next() * canvas.height,
+                size: fxRng.next() * 2 + 1,
+                brightness: 0.5 + fxRng.next() * 0.5,
+                twinkleSpeed: 0.01 + fxRng.next() * 0.03,
+                twinkleOffset: fxRng.next() * Math.PI * 2
+            });
+        }
+        starsGenerated = true;
+        addLogMessage('Stars generated with twinkling effect');
+    }
+}
+
+/**
+ * Welcome screen elements
+ * Creates an engaging first impression with:
+ * - Animated title
+ * - Interactive elements
+ * - Game instructions
+ * - High score display
+ * - Visual polish
+ */
+function drawWelcomeElements() {
+    generateStars();
+    
+    // Render starfield with parallax effect
+    stars.forEach(star => {
+        const twinkle = Math.sin(frameCount * star.twinkleSpeed + star.twinkleOffset);
+        const brightness = star.brightness * (0.7 + 0.3 * twinkle);
+        ctx.fillStyle = `rgba(255, 255, 255, ${brightness})`;
+        ctx.fillRect(star.x, star.y, star.size, star.size);
+    });
+    
+    // Welcome screen components
+    updateWelcomeAsteroids();
+    drawWelcomeAsteroids();
+    
+    // Draw the enhanced title
+    drawWelcomeTitle();
+    
+    // Information displays
+    drawWelcomeInstructions();
+    drawAsteroidScoreInfo();
+    drawHighScores();
+}
+
+// Draw the welcome screen title with enhanced styling and trail effect
+function drawWelcomeTitle() {
+    const baseY = canvas.height * 0.25;
+    
+    // Add small random impulse occasionally to maintain motion
+    if (fxRng.next() < 0.03) { // 3% chance each frame
+        titleHoverVelocity += (fxRng.next() - 0.5) * 0.2;
+    }
+    
+    // Update title physics for smooth floating motion
+    const targetOffset = 0; // Center position
     const springForce = (targetOffset - titleHoverOffset) * 0.001; // Spring constant
     titleHoverVelocity += springForce;
     titleHoverVelocity *= 0.9995; // Damping
@@ -881,9 +1351,16 @@ function drawWelcomeTitle() {
     ctx.textAlign = 'center';
     ctx.font = '20px "Press Start 2P"';
     const startY = canvas.height * 0.35;
-    if (Math.floor(frameCount / 30) % 2 === 0) {
-        ctx.fillText('PRESS ENTER TO START', canvas.width / 2, startY);
+    if (blink(30)) {
+        ctx.fillText(touchInput.enabled ? 'TAP TO START' : 'PRESS ENTER TO START', canvas.width / 2, startY);
     }
+    
+    // Replay controls
+    ctx.save();
+    ctx.font = '10px "Press Start 2P"';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.fillText('C: DAILY CHALLENGE   R: LOAD REPLAY   O: OPTIONS' + (lastReplay ? '   E: SAVE LAST REPLAY' : ''), canvas.width / 2, startY + 30);
+    ctx.restore();
 }
 
 /**
@@ -913,7 +1390,7 @@ function drawWelcomeInstructions() {
     
     // ROTATE control with animation
     const rotateY = startY;
-    ctx.fillText('ROTATE: LEFT/RIGHT ARROWS', centerX, rotateY);
+    ctx.fillText(`ROTATE: ${actionKeyName('left')}/${actionKeyName('right')}`, centerX, rotateY);
     
     // Draw rotating ship
     ctx.save();
@@ -959,7 +1436,7 @@ function drawWelcomeInstructions() {
     
     // THRUST control with animation
     const thrustY = startY;
-    ctx.fillText('THRUST: UP ARROW', centerX, thrustY);
+    ctx.fillText(`THRUST: ${actionKeyName('thrust')}`, centerX, thrustY);
     
     // Draw ship with thrust
     ctx.save();
@@ -972,7 +1449,7 @@ function drawWelcomeInstructions() {
     ctx.stroke();
     
     // Animate thrust flame
-    const flameSize = 0.6 + Math.random() * 0.2; // Random flicker
+    const flameSize = 0.6 + fxRng.next() * 0.2; // Random flicker
     const rearX = -shipRadius * 0.5;
     const flameTipX = -shipRadius * (1 + flameSize);
     
@@ -998,7 +1475,7 @@ function drawWelcomeInstructions() {
         if (particleLife < 15) {
             const lifeRatio = 1 - (particleLife / 15);
             const particleX = flameTipX - (10 * lifeRatio);
-            const particleY = (Math.random() - 0.5) * 6;
+            const particleY = (fxRng.next() - 0.5) * 6;
             const particleSize = 1.5 * lifeRatio;
             
             ctx.fillStyle = `rgba(255, ${100 + Math.floor(lifeRatio * 155)}, 50, ${lifeRatio})`;
@@ -1022,7 +1499,7 @@ function drawWelcomeInstructions() {
     
     // FIRE control with animation
     const fireY = startY;
-    ctx.fillText('FIRE: SPACE', centerX, fireY);
+    ctx.fillText(`FIRE: ${actionKeyName('fire')}`, centerX, fireY);
     
     // Draw ship with firing bullet
     ctx.save();
@@ -1074,8 +1551,22 @@ function drawWelcomeInstructions() {
     ctx.restore();
     startY += lineHeight;
     
+    // HYPERSPACE control with a ship fading in and out
+    ctx.fillText(`HYPERSPACE: ${actionKeyName('hyperspace')}`, centerX, startY);
+    
+    ctx.save();
+    ctx.translate(illustrationX, startY);
+    const jumpScale = Math.abs(Math.sin(frameCount * 0.04));
+    ctx.scale(jumpScale, jumpScale);
+    ctx.strokeStyle = 'rgba(150, 220, 255, 0.9)';
+    ctx.lineWidth = 1.5;
+    drawShipShape(0, 0, shipRadius);
+    ctx.stroke();
+    ctx.restore();
+    startY += lineHeight;
+    
     // Regular text for remaining controls
-    ctx.fillText('PAUSE: P', centerX, startY);
+    ctx.fillText(`PAUSE: ${actionKeyName('pause')}`, centerX, startY);
     
     // Draw animated pause icon
     ctx.save();
@@ -1104,7 +1595,7 @@ function drawWelcomeInstructions() {
     
     ctx.restore();
     startY += lineHeight;
-    ctx.fillText('QUIT: ESC', centerX, startY);
+    ctx.fillText(`QUIT: ${actionKeyName('exit')}`, centerX, startY);
 }
 
 /**
@@ -1283,9 +1774,14 @@ function drawHighScores() {
     ctx.fillStyle = 'white';
     ctx.textAlign = 'center';
     
+    // Move on to the next board every few seconds (left/right arrows switch manually)
+    if (performance.now() - highScoreBoardShownAt > GameConfig.SCORE.BOARD_CYCLE_TIME) {
+        cycleHighScoreBoard();
+    }
+    
     // Draw high scores header
     ctx.font = '24px "Press Start 2P"';
-    ctx.fillText('HIGH SCORES', canvas.width * 0.5, canvas.height * 0.75);
+    ctx.fillText('HIGH SCORES - ' + HIGH_SCORE_BOARDS[highScoreBoardIndex].label, canvas.width * 0.5, canvas.height * 0.75);
     
     // If scores haven't been fetched yet, show loading message
     if (!highScoresFetched) {
@@ -1349,6 +1845,27 @@ function drawHighScores() {
  * - Server submission status
  * - Visual polish and effects
  */
+// Where the initials boxes sit - shared by drawing and touch input.
+// Touch screens get bigger boxes and an OK button beside them.
+function getInitialsLayout() {
+    const touch = touchInput.enabled;
+    const boxWidth = touch ? 56 : 40;
+    const boxHeight = touch ? 64 : 50;
+    const boxSpacing = 20;
+    const totalWidth = (boxWidth * 3) + (boxSpacing * 2);
+    const startX = (canvas.width - totalWidth) / 2;
+    const boxY = canvas.height / 2 + 20;
+    
+    return {
+        boxWidth,
+        boxHeight,
+        boxY,
+        boxX: i => startX + (i * (boxWidth + boxSpacing)),
+        textY: boxY + boxHeight + 30, // First line of instructions
+        doneButton: { x: startX + totalWidth + boxSpacing, y: boxY, width: boxWidth * 1.5, height: boxHeight }
+    };
+}
+
 function drawGameOver() {
     // Darken the background
     ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
@@ -1368,15 +1885,13 @@ function drawGameOver() {
         ctx.fillText('ENTER YOUR INITIALS:', canvas.width / 2, canvas.height / 2);
         
         // Initial entry boxes
-        const boxWidth = 40;
-        const boxHeight = 50;
-        const boxSpacing = 20;
-        const totalWidth = (boxWidth * 3) + (boxSpacing * 2);
-        const startX = (canvas.width - totalWidth) / 2;
+        const layout = getInitialsLayout();
+        const boxWidth = layout.boxWidth;
+        const boxHeight = layout.boxHeight;
         
         for (let i = 0; i < 3; i++) {
-            const x = startX + (i * (boxWidth + boxSpacing));
-            const y = canvas.height / 2 + 20;
+            const x = layout.boxX(i);
+            const y = layout.boxY;
             
             // Visual feedback for current selection
             ctx.strokeStyle = i === currentInitialIndex ? 'yellow' : 'white';
@@ -1389,53 +1904,425 @@ function drawGameOver() {
             ctx.fillText(playerInitials[i], x + boxWidth/2, y + boxHeight/2 + 10);
             
             // Cursor animation
-            if (i === currentInitialIndex && Math.floor(frameCount / 15) % 2 === 0) {
+            if (i === currentInitialIndex && blink(15)) {
                 ctx.fillRect(x + boxWidth/2 - 15, y + boxHeight - 10, 30, 3);
             }
+            
+            // Tap targets: top half for the next letter, bottom half for the previous one
+            if (touchInput.enabled) {
+                ctx.font = '10px PressStart2P';
+                ctx.fillText('+', x + boxWidth/2, y + 14);
+                ctx.fillText('-', x + boxWidth/2, y + boxHeight - 14);
+            }
         }
         
         // User instructions
+        const textY = layout.textY;
         ctx.font = '12px PressStart2P';
-        ctx.fillText('USE ARROW KEYS TO SELECT LETTERS', canvas.width / 2, canvas.height / 2 + 100);
-        ctx.fillText('PRESS ENTER WHEN DONE', canvas.width / 2, canvas.height / 2 + 125);
+        if (touchInput.enabled) {
+            const done = layout.doneButton;
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(done.x, done.y, done.width, done.height);
+            ctx.fillText('OK', done.x + done.width / 2, done.y + done.height / 2 + 6);
+            
+            ctx.fillText('TAP A LETTER TO CHANGE IT', canvas.width / 2, textY);
+            ctx.fillText('TAP OK WHEN DONE', canvas.width / 2, textY + 25);
+        } else {
+            ctx.fillText('USE ARROW KEYS TO SELECT LETTERS', canvas.width / 2, textY);
+            ctx.fillText('PRESS ENTER WHEN DONE', canvas.width / 2, textY + 25);
+        }
         
         // Server communication status
         if (isSubmittingScore) {
             ctx.fillStyle = 'yellow';
-            ctx.fillText('SUBMITTING SCORE...', canvas.width / 2, canvas.height / 2 + 150);
+            ctx.fillText('SUBMITTING SCORE...', canvas.width / 2, textY + 50);
         } else if (scoreSubmitError) {
             ctx.fillStyle = 'red';
-            ctx.fillText('ERROR: ' + scoreSubmitError, canvas.width / 2, canvas.height / 2 + 150);
+            ctx.fillText('ERROR: ' + scoreSubmitError, canvas.width / 2, textY + 50);
             ctx.fillStyle = 'white';
-            ctx.fillText('PRESS ENTER TO CONTINUE ANYWAY', canvas.width / 2, canvas.height / 2 + 175);
+            ctx.fillText(touchInput.enabled ? 'TAP TO CONTINUE ANYWAY' : 'PRESS ENTER TO CONTINUE ANYWAY', canvas.width / 2, textY + 75);
         }
     } else {
         // Continue prompt
-        if (Math.floor(frameCount / 30) % 2 === 0) {
+        if (blink(30)) {
             ctx.font = '12px PressStart2P';
             ctx.fillText('PRESS ENTER TO CONTINUE', canvas.width / 2, canvas.height / 2 + 50);
         }
     }
 }
 
-// Draw pause screen overlay
-function drawPauseScreen() {
-    // Darken the background with a subtle gradient
-    const gradient = ctx.createRadialGradient(canvas.width/2, canvas.height/2, 0, canvas.width/2, canvas.height/2, canvas.width/2);
-    gradient.addColorStop(0, 'rgba(0, 0, 0, 0.8)');
-    gradient.addColorStop(1, 'rgba(0, 0, 0, 0.9)');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    
-    // Add a subtle border glow
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-    ctx.lineWidth = 3;
-    ctx.strokeRect(20, 20, canvas.width - 40, canvas.height - 40);
+/**
+ * Controls screen
+ * Lists every action with its key slots (see js/input/KeyBindings.js).
+ * Arrow keys pick a slot, Enter waits for the new key (Escape cancels),
+ * Backspace clears a slot and the last row restores the original keys.
+ * Opened with K from the welcome and pause screens.
+ */
+const keyBindings = new KeyBindings(typeof localStorage !== 'undefined' ? localStorage : null);
+let showingControls = false;
+let controlsRow = 0;            // Selected action - KEY_ACTIONS.length is the reset row
+let controlsSlot = 0;           // Selected key slot
+let controlsListening = false;  // Waiting for the key to bind
+let controlsMessage = null;     // { text, error } shown under the list
+
+// Name of the first key bound to an action, for on-screen hints
+function actionKeyName(action) {
+    return keyLabel(keyBindings.keysFor(action)[0]);
+}
+
+function openControlsScreen() {
+    showingControls = true;
+    controlsRow = 0;
+    controlsSlot = 0;
+    controlsListening = false;
+    controlsMessage = null;
+    playUISound('bangSmall');
+}
+
+function closeControlsScreen() {
+    showingControls = false;
+    controlsListening = false;
+}
+
+function handleControlsKey(e) {
+    e.preventDefault();
     
-    // Animated pause icon (two vertical bars)
-    const iconX = canvas.width / 2;
-    const iconY = canvas.height / 3 - 60;
-    const iconSize = 40;
+    if (controlsListening) {
+        if (e.key === 'Escape') {
+            controlsListening = false;
+            controlsMessage = null;
+            return;
+        }
+        
+        // Stay listening after a conflict so another key can be tried
+        const action = KEY_ACTIONS[controlsRow];
+        const conflict = keyBindings.findConflict(action.id, e.key);
+        if (conflict === 'reserved') {
+            controlsMessage = { text: `${keyLabel(normalizeKey(e.key))} IS USED BY ${reservedKeyUse(e.key)}`, error: true };
+        } else if (conflict) {
+            const owner = KEY_ACTIONS.find(other => other.id === conflict);
+            controlsMessage = { text: `${keyLabel(normalizeKey(e.key))} IS ALREADY USED FOR ${owner.label}`, error: true };
+        } else {
+            keyBindings.bind(action.id, controlsSlot, e.key);
+            controlsListening = false;
+            controlsMessage = { text: `${action.label}: ${keyLabel(normalizeKey(e.key))}`, error: false };
+            playUISound('fire');
+        }
+        return;
+    }
+    
+    const rowCount = KEY_ACTIONS.length + 1;
+    const onResetRow = controlsRow === KEY_ACTIONS.length;
+    switch (e.key) {
+        case 'ArrowUp':
+            controlsRow = (controlsRow + rowCount - 1) % rowCount;
+            break;
+        case 'ArrowDown':
+            controlsRow = (controlsRow + 1) % rowCount;
+            break;
+        case 'ArrowLeft':
+        case 'ArrowRight':
+            controlsSlot = (controlsSlot + 1) % KEYS_PER_ACTION;
+            break;
+        case 'Enter':
+            if (onResetRow) {
+                keyBindings.reset();
+                controlsMessage = { text: 'ORIGINAL CONTROLS RESTORED', error: false };
+                playUISound('bangSmall');
+            } else {
+                controlsListening = true;
+                controlsMessage = null;
+            }
+            break;
+        case 'Backspace':
+        case 'Delete':
+            if (!onResetRow && !keyBindings.clear(KEY_ACTIONS[controlsRow].id, controlsSlot)) {
+                controlsMessage = { text: 'EVERY ACTION NEEDS A KEY', error: true };
+            }
+            break;
+        case 'Escape':
+            closeControlsScreen();
+            break;
+    }
+}
+
+function drawControlsScreen() {
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.font = '24px "Press Start 2P"';
+    ctx.fillText('CONTROLS', canvas.width / 2, 70);
+    
+    const rowHeight = 30;
+    const top = 120;
+    const labelX = canvas.width / 2 - 30;
+    const slotWidth = 160;
+    const slotX = slot => canvas.width / 2 + slot * (slotWidth + 10);
+    
+    ctx.font = '12px "Press Start 2P"';
+    KEY_ACTIONS.forEach((action, row) => {
+        const y = top + row * rowHeight;
+        const selected = row === controlsRow;
+        
+        ctx.fillStyle = selected ? 'yellow' : 'white';
+        ctx.textAlign = 'right';
+        ctx.fillText(action.label, labelX, y);
+        
+        ctx.textAlign = 'center';
+        const boundKeys = keyBindings.keysFor(action.id);
+        for (let slot = 0; slot < KEYS_PER_ACTION; slot++) {
+            const x = slotX(slot);
+            const current = selected && slot === controlsSlot;
+            let text = keyLabel(boundKeys[slot]);
+            if (current && controlsListening) {
+                text = blink(20) ? 'PRESS A KEY' : '';
+            }
+            
+            ctx.fillStyle = current ? 'yellow' : 'rgba(255, 255, 255, 0.8)';
+            ctx.fillText(text, x + slotWidth / 2, y);
+            if (current) {
+                ctx.strokeStyle = 'yellow';
+                ctx.lineWidth = 1;
+                ctx.strokeRect(x, y - 18, slotWidth, 24);
+            }
+        }
+    });
+    
+    // Reset row
+    const resetY = top + KEY_ACTIONS.length * rowHeight + 10;
+    ctx.textAlign = 'center';
+    ctx.fillStyle = controlsRow === KEY_ACTIONS.length ? 'yellow' : 'white';
+    ctx.fillText('RESTORE ORIGINAL CONTROLS', canvas.width / 2, resetY);
+    
+    if (controlsMessage) {
+        ctx.fillStyle = controlsMessage.error ? '#FF6B6B' : '#00FF7F';
+        ctx.fillText(controlsMessage.text, canvas.width / 2, resetY + 40);
+    }
+    
+    ctx.font = '10px "Press Start 2P"';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.fillText('ARROWS: SELECT   ENTER: CHANGE   BACKSPACE: CLEAR   ESC: BACK', canvas.width / 2, resetY + 80);
+    ctx.restore();
+}
+
+/**
+ * Options screen
+ * The player's settings (see js/config/PlayerSettings.js). Up and down pick
+ * a row, left and right change it, Enter steps it on or opens the controls
+ * screen, and Escape goes back. Opened with O from the welcome and pause
+ * screens. Settings take effect straight away and are saved as they change.
+ */
+const playerSettings = new PlayerSettings(typeof localStorage !== 'undefined' ? localStorage : null);
+let showingSettings = false;
+let settingsRow = 0;
+
+// Every setting, then the controls screen and the way out
+const SETTINGS_MENU_ROWS = SETTINGS_OPTIONS.map(option => option.id).concat(['controls', 'back']);
+
+// How much glow, and what share of debris particles, each effects level keeps
+const EFFECT_LEVELS = {
+    low: { glow: 0, particles: 1 / 3 },
+    medium: { glow: 0.5, particles: 2 / 3 },
+    high: { glow: 1, particles: 1 }
+};
+
+// Glow blur for the effects setting
+function glow(blur) {
+    return blur * EFFECT_LEVELS[playerSettings.get('effects')].glow;
+}
+
+// On/off phase for blinking text and sprites - held on when flashing is reduced
+function blink(period) {
+    return playerSettings.get('reduceFlashing') || Math.floor(frameCount / period) % 2 === 0;
+}
+
+/**
+ * Camera shake
+ * A cosmetic jolt when the ship is destroyed, scaled by the screen shake
+ * setting. It only moves the drawing, and uses fxRng, so replays still match.
+ */
+const DEATH_SHAKE_STRENGTH = 10; // Pixels at the start of the shake
+const DEATH_SHAKE_FRAMES = 30;
+let screenShakeFrames = 0;       // Frames of shake left
+
+function startScreenShake() {
+    screenShakeFrames = DEATH_SHAKE_FRAMES;
+}
+
+// Offset the game drawing for this frame; the shake fades out as it runs
+function applyScreenShake() {
+    if (screenShakeFrames <= 0) return;
+    
+    const amount = DEATH_SHAKE_STRENGTH * (screenShakeFrames / DEATH_SHAKE_FRAMES) * playerSettings.get('screenShake');
+    if (!gamePaused) screenShakeFrames--;
+    ctx.translate((fxRng.next() - 0.5) * 2 * amount, (fxRng.next() - 0.5) * 2 * amount);
+}
+
+function openSettingsScreen() {
+    showingSettings = true;
+    settingsRow = 0;
+    playUISound('bangSmall');
+}
+
+function closeSettingsScreen() {
+    showingSettings = false;
+}
+
+// Step a setting and put it into effect
+function changeSetting(id, direction) {
+    playerSettings.step(id, direction);
+    updateMixer();
+    playSound('fire', null, null, id === 'uiVolume' ? 'ui' : 'sfx'); // Heard at the new volume
+}
+
+// Enter, or a tap, on a row
+function activateSettingsRow(direction) {
+    const row = SETTINGS_MENU_ROWS[settingsRow];
+    if (row === 'controls') {
+        openControlsScreen();
+    } else if (row === 'back') {
+        closeSettingsScreen();
+    } else {
+        changeSetting(row, direction);
+    }
+}
+
+function handleSettingsKey(e) {
+    e.preventDefault();
+    
+    const rowCount = SETTINGS_MENU_ROWS.length;
+    const row = SETTINGS_MENU_ROWS[settingsRow];
+    const isSetting = row !== 'controls' && row !== 'back';
+    switch (e.key) {
+        case 'ArrowUp':
+            settingsRow = (settingsRow + rowCount - 1) % rowCount;
+            break;
+        case 'ArrowDown':
+            settingsRow = (settingsRow + 1) % rowCount;
+            break;
+        case 'ArrowLeft':
+            if (isSetting) changeSetting(row, -1);
+            break;
+        case 'ArrowRight':
+            if (isSetting) changeSetting(row, 1);
+            break;
+        case 'Enter':
+            activateSettingsRow(1);
+            break;
+        case 'Escape':
+            closeSettingsScreen();
+            break;
+    }
+}
+
+// Volume bar centred on x, with its percentage alongside
+function drawSettingsSlider(value, x, y, selected) {
+    const width = 120;
+    const left = x - width / 2;
+    ctx.strokeStyle = ctx.fillStyle;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left, y - 12, width, 10);
+    ctx.fillRect(left, y - 12, width * value, 10);
+    
+    if (selected) {
+        ctx.fillText('<', left - 18, y);
+        ctx.fillText('>', left + width + 18, y);
+    }
+    ctx.save();
+    ctx.font = '10px "Press Start 2P"';
+    ctx.textAlign = 'left';
+    ctx.fillText(settingLabel(value), left + width + 36, y - 2);
+    ctx.restore();
+}
+
+// Row positions, shared by the drawing and the tap handling
+function getSettingsLayout() {
+    return {
+        top: 120,
+        rowHeight: 32,
+        labelX: canvas.width / 2 - 20,
+        valueX: canvas.width / 2 + 120 // Centre of the value
+    };
+}
+
+// Tap a row to pick it; on a setting, tap left of its value to lower it and right to raise it
+function handleSettingsTap(position) {
+    const layout = getSettingsLayout();
+    // Rows are drawn on their text baseline, so each one's band starts a little above it
+    const row = Math.floor((position.y - layout.top + 22) / layout.rowHeight);
+    if (row < 0 || row >= SETTINGS_MENU_ROWS.length) return;
+    
+    settingsRow = row;
+    activateSettingsRow(position.x < layout.valueX ? -1 : 1);
+}
+
+function drawSettingsScreen() {
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.font = '24px "Press Start 2P"';
+    ctx.fillText('OPTIONS', canvas.width / 2, 70);
+    
+    const layout = getSettingsLayout();
+    ctx.font = '14px "Press Start 2P"';
+    SETTINGS_MENU_ROWS.forEach((id, row) => {
+        const y = layout.top + row * layout.rowHeight;
+        const selected = row === settingsRow;
+        ctx.fillStyle = selected ? 'yellow' : 'white';
+        
+        const option = SETTINGS_OPTIONS.find(option => option.id === id);
+        if (!option) {
+            ctx.textAlign = 'center';
+            ctx.fillText(id === 'controls' ? 'CONTROLS...' : 'BACK', canvas.width / 2, y);
+            return;
+        }
+        
+        ctx.textAlign = 'right';
+        ctx.fillText(option.label, layout.labelX, y);
+        ctx.textAlign = 'center';
+        const value = playerSettings.get(id);
+        if (option.slider) {
+            drawSettingsSlider(value, layout.valueX, y, selected);
+        } else {
+            const text = settingLabel(value);
+            ctx.fillText(selected ? `< ${text} >` : text, layout.valueX, y);
+        }
+    });
+    
+    ctx.font = '10px "Press Start 2P"';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.textAlign = 'center';
+    const hintY = layout.top + SETTINGS_MENU_ROWS.length * layout.rowHeight + 30;
+    ctx.fillText(touchInput.enabled ? 'TAP LEFT OR RIGHT OF A SETTING TO CHANGE IT'
+        : 'UP/DOWN: SELECT   LEFT/RIGHT: CHANGE   ESC: BACK', canvas.width / 2, hintY);
+    ctx.restore();
+}
+
+// Draw pause screen overlay
+function drawPauseScreen() {
+    // Darken the background with a subtle gradient
+    const gradient = ctx.createRadialGradient(canvas.width/2, canvas.height/2, 0, canvas.width/2, canvas.height/2, canvas.width/2);
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 0.8)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0.9)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    // Add a subtle border glow
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 3;
+    ctx.strokeRect(20, 20, canvas.width - 40, canvas.height - 40);
+    
+    // Animated pause icon (two vertical bars)
+    const iconX = canvas.width / 2;
+    const iconY = canvas.height / 3 - 60;
+    const iconSize = 40;
     const pulse = Math.sin(frameCount * 0.1) * 0.2 + 0.8; // Subtle pulsing effect
     
     ctx.fillStyle = `rgba(255, 255, 255, ${pulse})`;
@@ -1456,12 +2343,18 @@ function drawPauseScreen() {
     // Instructions with better spacing
     ctx.font = '16px "Press Start 2P"';
     ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-    ctx.fillText('PRESS P TO RESUME', canvas.width / 2, canvas.height / 3 + 50);
+    ctx.fillText(`PRESS ${actionKeyName('pause')} TO RESUME`, canvas.width / 2, canvas.height / 3 + 50);
     
     // Additional controls info
     ctx.font = '12px "Press Start 2P"';
     ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
-    ctx.fillText('ESC: EXIT TO MENU', canvas.width / 2, canvas.height / 3 + 80);
+    if (touchInput.enabled) {
+        ctx.fillText('TAP HERE TO EXIT TO MENU', canvas.width / 2, canvas.height / 3 + 80);
+        ctx.fillText('TAP HERE FOR OPTIONS', canvas.width / 2, canvas.height / 3 + 105);
+    } else {
+        ctx.fillText(`${actionKeyName('exit')}: EXIT TO MENU`, canvas.width / 2, canvas.height / 3 + 80);
+        ctx.fillText('O: OPTIONS   K: CONTROLS', canvas.width / 2, canvas.height / 3 + 105);
+    }
     
     // Current game stats
     ctx.font = '14px "Press Start 2P"';
@@ -1495,79 +2388,131 @@ function drawPauseScreen() {
 
 // Modify the keydown event handler to handle initials entry and log toggle
 window.addEventListener('keydown', (e) => {
+    const action = keyBindings.actionFor(e.key);
+    
+    // The developer console takes every key while it is open
+    if (devConsole && (devConsole.open || (e.key === DEV_CONSOLE_KEY && !replayPlayback))) {
+        devConsole.handleKey(e.key);
+        e.preventDefault();
+        return;
+    }
+    
+    // Mute works on every screen, replays included - unless its key is being rebound
+    if (action === 'mute' && !showingControls) {
+        toggleMute();
+        return;
+    }
+    
+    // While a replay plays, input comes from the recording - the exit key stops it
+    if (replayPlayback) {
+        if (action === 'exit') {
+            stopReplayPlayback();
+        }
+        return;
+    }
+    
+    // The controls screen takes every key while it is open - it can be opened from the options
+    if (showingControls) {
+        handleControlsKey(e);
+        return;
+    }
+    
+    // As does the options screen
+    if (showingSettings) {
+        handleSettingsKey(e);
+        return;
+    }
+    
     // Handle release notes toggle
-    if (e.key === 'n' || e.key === 'N') {
+    if (action === 'releaseNotes') {
         showingReleaseNotes = !showingReleaseNotes;
         releaseNotesScroll = 0; // Reset scroll position
         addLogMessage('Release notes ' + (showingReleaseNotes ? 'shown' : 'hidden'));
         return;
     }
 
-    // Spawn alien with 'U' key (for testing)
-    if ((e.key === 'u' || e.key === 'U') && gameStarted && !gamePaused) {
-        if (aliens.length < GameConfig.ALIEN.MAX_COUNT) {
-            createAlien();
-            if (level <= 1) {
-                addLogMessage('DEBUG: Alien created in level 1 (using cheat - normally aliens only appear from level 2)');
-            } else {
-                addLogMessage('DEBUG: Alien created (cheat)');
+    // Debug cheats - their keys are reserved, so never bound to an action
+    if (!action) {
+        // Spawn alien with 'U' key (for testing)
+        if ((e.key === 'u' || e.key === 'U') && gameStarted && !gamePaused) {
+            if (aliens.length < GameConfig.ALIEN.MAX_COUNT) {
+                createAlien();
+                if (level <= 1) {
+                    addLogMessage('DEBUG: Alien created in level 1 (using cheat - normally aliens only appear from level 2)');
+                } else {
+                    addLogMessage('DEBUG: Alien created (cheat)');
+                }
             }
+            return;
         }
-        return;
-    }
 
-    // Spawn battlestar with 'B' key (for testing)
-    if ((e.key === 'b' || e.key === 'B') && gameStarted && !gamePaused) {
-        if (!battlestar) {
-            createBattlestar();
-            addLogMessage('DEBUG: Battlestar created (cheat)');
+        // Spawn battlestar with 'B' key (for testing)
+        if ((e.key === 'b' || e.key === 'B') && gameStarted && !gamePaused) {
+            if (!battlestar) {
+                createBattlestar();
+                addLogMessage('DEBUG: Battlestar created (cheat)');
+            }
+            return;
         }
-        return;
-    }
 
-    // Toggle alien testing mode with 'T' key (for testing)
-    if ((e.key === 't' || e.key === 'T') && gameStarted) {
-        forceAliensInLevel1 = !forceAliensInLevel1;
-        addLogMessage('DEBUG: Alien testing mode ' + (forceAliensInLevel1 ? 'enabled' : 'disabled'));
-        if (forceAliensInLevel1) {
-            // Force spawn an alien immediately for testing
-            if (aliens.length < GameConfig.ALIEN.MAX_COUNT) {
-                createAlien();
-                addLogMessage('DEBUG: Test alien spawned');
+        // Toggle alien testing mode with 'T' key (for testing)
+        if ((e.key === 't' || e.key === 'T') && gameStarted) {
+            forceAliensInLevel1 = !forceAliensInLevel1;
+            addLogMessage('DEBUG: Alien testing mode ' + (forceAliensInLevel1 ? 'enabled' : 'disabled'));
+            if (forceAliensInLevel1) {
+                // Force spawn an alien immediately for testing
+                if (aliens.length < GameConfig.ALIEN.MAX_COUNT) {
+                    createAlien();
+                    addLogMessage('DEBUG: Test alien spawned');
+                }
             }
+            return;
         }
-        return;
-    }
 
-    // Test sound system with 'S' key (for debugging)
-    if ((e.key === 's' || e.key === 'S') && gameStarted) {
-        const soundCount = soundNodes ? Object.keys(soundNodes).length : 0;
-        const audioState = audioContext ? audioContext.state : 'null';
-        addLogMessage(`DEBUG: Sound nodes: ${soundCount}, Audio state: ${audioState}`);
+        // Test sound system with 'S' key (for debugging)
+        if ((e.key === 's' || e.key === 'S') && gameStarted) {
+            const soundCount = soundNodes ? Object.keys(soundNodes).length : 0;
+            const audioState = audioContext ? audioContext.state : 'null';
+            addLogMessage(`DEBUG: Sound nodes: ${soundCount}, Audio state: ${audioState}`);
         
-        // Test all sound types
-        playSound('fire');
-        setTimeout(() => playSound('bangSmall'), 200);
-        setTimeout(() => playSound('bangMedium'), 400);
-        setTimeout(() => playSound('bangLarge'), 600);
-        setTimeout(() => playSound('alienSpawn'), 800);
-        setTimeout(() => playSound('alienFire'), 1000);
+            // Test all sound types
+            playSound('fire');
+            setTimeout(() => playSound('bangSmall'), 200);
+            setTimeout(() => playSound('bangMedium'), 400);
+            setTimeout(() => playSound('bangLarge'), 600);
+            setTimeout(() => playSound('alienSpawn'), 800);
+            setTimeout(() => playSound('alienFire'), 1000);
         
-        return;
-    }
+            return;
+        }
 
-    // Reset audio context with 'R' key (for debugging)
-    if ((e.key === 'r' || e.key === 'R') && gameStarted) {
-        addLogMessage('DEBUG: Resetting audio context...');
-        resetAudioContext();
-        return;
-    }
+        // Reset audio context with 'R' key (for debugging)
+        if ((e.key === 'r' || e.key === 'R') && gameStarted) {
+            addLogMessage('DEBUG: Resetting audio context...');
+            resetAudioContext();
+            return;
+        }
 
-    // Toggle debug info display with 'D' key
-    if ((e.key === 'd' || e.key === 'D') && gameStarted) {
-        showDebugInfo = !showDebugInfo;
-        addLogMessage('DEBUG: Debug info ' + (showDebugInfo ? 'enabled' : 'disabled'));
-        return;
+        // Toggle debug info display with 'I' key
+        if ((e.key === 'i' || e.key === 'I') && gameStarted) {
+            showDebugInfo = !showDebugInfo;
+            addLogMessage('DEBUG: Debug info ' + (showDebugInfo ? 'enabled' : 'disabled'));
+            return;
+        }
+
+        // Toggle the collision overlay with 'C' key
+        if ((e.key === 'c' || e.key === 'C') && gameStarted) {
+            GameConfig.GAME.SHOW_COLLISION_BOXES = !GameConfig.GAME.SHOW_COLLISION_BOXES;
+            addLogMessage('DEBUG: Collision overlay ' + (GameConfig.GAME.SHOW_COLLISION_BOXES ? 'enabled' : 'disabled'));
+            return;
+        }
+
+        // Toggle the frame-time graph with 'F' key
+        if ((e.key === 'f' || e.key === 'F') && gameStarted) {
+            GameConfig.GAME.SHOW_FPS = !GameConfig.GAME.SHOW_FPS;
+            addLogMessage('DEBUG: Frame-time graph ' + (GameConfig.GAME.SHOW_FPS ? 'enabled' : 'disabled'));
+            return;
+        }
     }
 
     // If release notes are showing, only handle scrolling
@@ -1582,17 +2527,17 @@ window.addEventListener('keydown', (e) => {
         return; // Ignore other keys while showing release notes
     }
 
-    // Toggle log with 'l' key
-    if (e.key === 'l' || e.key === 'L') {
+    // Toggle the debug log
+    if (action === 'log') {
         showLog = !showLog;
         addLogMessage('Log visibility toggled: ' + (showLog ? 'shown' : 'hidden'));
         return;
     }
     
-    // Toggle pause with 'p' key when game is active
-    if ((e.key === 'p' || e.key === 'P') && gameStarted) {
+    // Toggle pause when game is active
+    if (action === 'pause' && gameStarted) {
         // Don't allow pausing during ship respawn or game over
-        if (shipRespawnTimer > 0 || enteringInitials) {
+        if ((ship && ship.exploding) || enteringInitials) {
             return;
         }
         
@@ -1607,26 +2552,55 @@ window.addEventListener('keydown', (e) => {
         
         // Play different sounds for pause/resume
         if (gamePaused) {
-            playSound('bangSmall'); // Pause sound
+            playUISound('bangSmall'); // Pause sound
         } else {
-            playSound('fire'); // Resume sound
+            playUISound('fire'); // Resume sound
         }
         return;
     }
     
     // Handle pause menu options
     if (gamePaused && gameStarted) {
-        if (e.key === 'a' || e.key === 'A') {
-            // Toggle auto-pause preference
-            try {
-                const currentPref = localStorage.getItem('smashteroids_autoPause');
-                const newPref = currentPref === 'false' ? 'true' : 'false';
-                localStorage.setItem('smashteroids_autoPause', newPref);
-                addLogMessage('Auto-pause ' + (newPref === 'true' ? 'enabled' : 'disabled'));
-                playSound('bangSmall');
-            } catch (e) {
-                addLogMessage('Failed to save preference');
-            }
+        if (e.key === 'k' || e.key === 'K') {
+            openControlsScreen();
+            return;
+        }
+        if (e.key === 'o' || e.key === 'O') {
+            openSettingsScreen();
+            return;
+        }
+    }
+    
+    // Replay controls on the welcome screen
+    if (!gameStarted && !enteringInitials) {
+        if (e.key === 'r' || e.key === 'R') {
+            openReplayFile();
+            return;
+        }
+        if ((e.key === 'e' || e.key === 'E') && lastReplay) {
+            downloadReplay(lastReplay);
+            return;
+        }
+        if ((e.key === 'c' || e.key === 'C') && highScoreSubmitCooldown <= 0) {
+            startDailyChallenge();
+            return;
+        }
+        if (e.key === 'k' || e.key === 'K') {
+            openControlsScreen();
+            return;
+        }
+        if (e.key === 'o' || e.key === 'O') {
+            openSettingsScreen();
+            return;
+        }
+        
+        // Switch between today, this week and all-time high scores
+        if (e.key === 'ArrowRight') {
+            cycleHighScoreBoard(1);
+            return;
+        }
+        if (e.key === 'ArrowLeft') {
+            cycleHighScoreBoard(-1);
             return;
         }
     }
@@ -1641,7 +2615,7 @@ window.addEventListener('keydown', (e) => {
                             String.fromCharCode(charCode) + 
                             playerInitials.substring(currentInitialIndex + 1);
             // Play a sound for feedback
-            playSound('fire');
+            playUISound('fire');
         } else if (e.key === 'ArrowDown') {
             // Decrement current letter (A-Z)
             let charCode = playerInitials.charCodeAt(currentInitialIndex);
@@ -1650,17 +2624,17 @@ window.addEventListener('keydown', (e) => {
                             String.fromCharCode(charCode) + 
                             playerInitials.substring(currentInitialIndex + 1);
             // Play a sound for feedback
-            playSound('fire');
+            playUISound('fire');
         } else if (e.key === 'ArrowRight' && currentInitialIndex < 2) {
             // Move to next initial
             currentInitialIndex++;
             // Play a sound for feedback
-            playSound('bangSmall');
+            playUISound('bangSmall');
         } else if (e.key === 'ArrowLeft' && currentInitialIndex > 0) {
             // Move to previous initial
             currentInitialIndex--;
             // Play a sound for feedback
-            playSound('bangSmall');
+            playUISound('bangSmall');
         } else if (e.key === 'Enter') {
             // Submit initials
             if (isSubmittingScore) {
@@ -1671,7 +2645,7 @@ window.addEventListener('keydown', (e) => {
                 // If there was an error, just continue without resubmitting
                 enteringInitials = false;
                 addLogMessage(`High score submission failed: ${scoreSubmitError}`);
-                playSound('bangLarge');
+                playUISound('bangLarge');
                 return;
             }
             
@@ -1688,11 +2662,9 @@ window.addEventListener('keydown', (e) => {
         }
         
         // Transition to the game state ONLY if not entering initials
-        gameStarted = true;
-        gamePaused = false; // Ensure game starts unpaused
-        initGame();
+        startGame();
         addLogMessage('Game started');
-    } else if (e.key === 'Escape' && gameStarted) {
+    } else if (action === 'exit' && gameStarted) {
         // Exit game and return to welcome screen
         gameStarted = false;
         gamePaused = false; // Reset pause state
@@ -1705,49 +2677,7 @@ window.addEventListener('keydown', (e) => {
         addLogMessage('Game exited - returned to welcome screen');
     }
     
-    // Game controls - only process if game is active and not paused
-    if (gameStarted && !gamePaused) {
-        switch(e.key) {
-            case 'ArrowLeft':
-            case 'a':
-                keys.left = true;
-                break;
-            case 'ArrowRight':
-            case 'd':
-                keys.right = true;
-                break;
-            case 'ArrowUp':
-            case 'w':
-                keys.up = true;
-                break;
-            case ' ':
-                keys.space = true;
-                break;
-        }
-    }
-});
-
-// Add keyup event handler for smooth controls
-window.addEventListener('keyup', (e) => {
-    if (gameStarted && !gamePaused) {
-        switch(e.key) {
-            case 'ArrowLeft':
-            case 'a':
-                keys.left = false;
-                break;
-            case 'ArrowRight':
-            case 'd':
-                keys.right = false;
-                break;
-            case 'ArrowUp':
-            case 'w':
-                keys.up = false;
-                break;
-            case ' ':
-                keys.space = false;
-                break;
-        }
-    }
+    // Ship controls are handled by the document keydown handler set up in init()
 });
 
 // Load sound effects
@@ -1785,6 +2715,7 @@ function loadSounds() {
                 audioContext.resume().then(() => {
                     document.removeEventListener('click', resumeAudio);
                     document.removeEventListener('keydown', resumeAudio);
+                    document.removeEventListener('touchend', resumeAudio);
                 }).catch(err => {
                     console.error('Failed to resume audio context:', err);
                 });
@@ -1792,6 +2723,7 @@ function loadSounds() {
             
             document.addEventListener('click', resumeAudio);
             document.addEventListener('keydown', resumeAudio);
+            document.addEventListener('touchend', resumeAudio); // Taps on the canvas don't click
         }
         
         // Load the AudioWorklet module
@@ -2071,12 +3003,12 @@ function playThrustSound(play) {
                 type: 'thrust',
                 start: true,
                 duration: 60, // Long duration
-                amplitude: 0.25 // Reduced amplitude for quieter thrust
+                amplitude: GameConfig.AUDIO.THRUST_VOLUME
             };
             thrustNode.port.postMessage(message);
             
             // Connect to output
-            thrustNode.connect(audioContext.destination);
+            thrustNode.connect(soundOutput());
             
             // Store reference
             if (!soundNodes) {
@@ -2115,8 +3047,14 @@ function playThrustSound(play) {
     }
 }
 
-// Play a sound effect
-function playSound(soundType) {
+/**
+ * Play a sound effect
+ * @param {string} soundType
+ * @param {number} [x] - Where the sound comes from (see soundOutputAt); omit for no particular place
+ * @param {number} [y]
+ * @param {string} [bus] - Mixer bus (see soundOutput)
+ */
+function playSound(soundType, x = null, y = null, bus = 'sfx') {
     if (!audioContext) {
         console.error('Audio context not available for sound:', soundType);
         addLogMessage('Audio context not available');
@@ -2127,7 +3065,7 @@ function playSound(soundType) {
     if (soundFX && soundFX[soundType] && !window.audioWorkletLoaded) {
         // Use fallback sound system only if AudioWorklet is not loaded
         try {
-            soundFX[soundType].play();
+            soundFX[soundType].play(soundOutputAt(bus, x, y));
         } catch (e) {
             console.error('Error playing fallback sound:', e);
         }
@@ -2177,12 +3115,15 @@ function playSound(soundType) {
         } else if (soundType === 'alienSpawn') {
             message.amplitude = 0.7; // Good volume for the swoosh effect
             message.duration = 1.0; // Longer duration for the swoosh
+        } else if (soundType === 'extraLife') {
+            message.amplitude = 0.4;
+            message.duration = 0.6; // Four quick notes, then a short ring
         }
         
         soundNode.port.postMessage(message);
         
         // Connect to output and start
-        soundNode.connect(audioContext.destination);
+        soundNode.connect(soundOutputAt(bus, x, y));
         
         // Store reference to stop later if needed
         if (!soundNodes) {
@@ -2223,10 +3164,52 @@ function playSound(soundType) {
 
 // ... existing code ...
 
-// Initialize game objects - updated to reset score submission time
-function initGame() {
-    // Reset game state
-    score = 0;
+// Leave gameplay once the final explosion has played out
+function finishGameOver() {
+    if (replayPlayback) {
+        // Replays end with their recording and never enter the high score flow
+        stopReplayPlayback();
+        return;
+    }
+    
+    // Save final score for debugging and submission
+    window.lastKnownScore = score;
+    pendingHighScore = score; // Store the score for high score submission
+    console.log('Game over - final score:', score);
+    
+    // Stop the player from controlling the ship
+    gameStarted = false;
+    
+    if (devConsoleUsed) {
+        // The replay can't reproduce what the console did, so the server would reject the score
+        addLogMessage('Developer console used - score not submitted');
+        dailyChallengeRun = null;
+    } else if (dailyChallengeRun) {
+        if (dailyChallengeRun.official) {
+            // The official attempt always goes on the challenge board
+            playerInitials = "AAA";
+            currentInitialIndex = 0;
+            enteringInitials = true;
+            addLogMessage('Daily challenge complete! Enter your initials.');
+        } else {
+            addLogMessage('Practice run over - come back tomorrow for a new challenge');
+            dailyChallengeRun = null;
+        }
+    } else if (isHighScore(score)) {
+        // Reset initials for new entry
+        playerInitials = "AAA";
+        currentInitialIndex = 0;
+        enteringInitials = true;
+        addLogMessage('New high score! Enter your initials.');
+    } else {
+        addLogMessage('Game over - returned to welcome screen');
+    }
+}
+
+// Start a new run from the welcome screen (or a replay with its recorded seed)
+function startGame(seed) {
+    dailyChallengeRun = null;
+    devConsoleUsed = godMode || timeScale !== 1; // Console settings that carry over between runs
     displayScore = 0;
     targetScore = 0;
     
@@ -2235,1489 +3218,573 @@ function initGame() {
         pendingHighScore = 0; // Reset pending high score
     }
     
-    level = 1;
-    lives = 3;
     gameStarted = true;
     gamePaused = false;
-    aliens = []; // Start with empty aliens array
-    alienBullets = [];
-    bullets = [];
-    asteroids = [];
     logMessages = [];
-    shipDebris = [];
-    alienDebris = [];
-    asteroidDebris = [];
-    
-    // Reset alien spawn timer
-    alienSpawnTimer = 0;
     
     // Hide cursor immediately when game starts
     updateCursorVisibility();
     
-    // Create ship first
-    respawnShipSafely();
+    initGame(seed);
     
-    // Then create asteroids (which need ship position)
-    createAsteroids();
-    
-    // Start level announcement
-    startLevelAnnouncement();
-    
-    addLogMessage('Game initialized - Level ' + level);
+    // Record the run unless we are replaying one
+    if (!replayPlayback) {
+        startReplayRecording();
+    }
 }
 
-// Create asteroids for the current level
-function createAsteroids() {
-    asteroids = [];
-    let x, y;
+// Fetch today's challenge from the server and start it
+function startDailyChallenge() {
+    if (dailyChallengeLoading) return;
+    dailyChallengeLoading = true;
     
-    // Create asteroids away from the ship
-    for (let i = 0; i < GameConfig.ASTEROID.COUNT + level; i++) {
-        do {
-            x = Math.random() * canvas.width;
-            y = Math.random() * canvas.height;
-        } while (ship && distBetweenPoints(ship.x, ship.y, x, y) < GameConfig.SHIP.SIZE * 4);
-        
-        asteroids.push(createAsteroid(x, y, 3)); // Start with large asteroids (size 3)
-    }
-}
-
-// Create a single asteroid
-function createAsteroid(x, y, size) {
-    const ASTEROID_VERT = 10; // average number of vertices
-    
-    // Calculate speed based on level and size
-    const levelSpeedBonus = Math.min((level - 1) * GameConfig.ASTEROID.SPEED_SCALING, GameConfig.ASTEROID.MAX_SPEED - GameConfig.ASTEROID.BASE_SPEED);
-    const sizeSpeedMultiplier = (4 - size) * 0.4; // Smaller asteroids are faster (size 3: 0.4x, size 2: 0.8x, size 1: 1.2x)
-    const currentSpeed = (GameConfig.ASTEROID.BASE_SPEED + levelSpeedBonus) * (1 + sizeSpeedMultiplier);
-    
-    let asteroid = {
-        x: x,
-        y: y,
-        size: size,
-        radius: size * (20 - Math.min(level - 1, 5)), // Asteroids get slightly smaller with level (max 5 levels of shrinking)
-        angle: Math.random() * Math.PI * 2,
-        vert: Math.floor(Math.random() * (ASTEROID_VERT + 1) + ASTEROID_VERT / 2),
-        offset: [],
-        velocity: {
-            // Velocity will be multiplied by deltaTime in updateAsteroids
-            x: Math.random() * currentSpeed * 2 - currentSpeed,
-            y: Math.random() * currentSpeed * 2 - currentSpeed
-        },
-        // Rotation will be multiplied by deltaTime in updateAsteroids
-        rotationSpeed: (Math.random() - 0.5) * 0.02 * (1 + (level - 1) * 0.1) * (1 + sizeSpeedMultiplier) // Smaller asteroids rotate faster too
-    };
-    
-    // Create the asteroid's shape (offset array)
-    for (let i = 0; i < asteroid.vert; i++) {
-        asteroid.offset.push(
-            Math.random() * GameConfig.ASTEROID.JAG * 2 + 1 - GameConfig.ASTEROID.JAG
-        );
+    let playerId = null;
+    try {
+        playerId = localStorage.getItem(PLAYER_ID_STORAGE_KEY);
+    } catch (e) {
+        // A new id is issued each time instead
     }
     
-    return asteroid;
-}
-
-// Update game state
-function updateGame() {
-    // Skip updates if ship doesn't exist yet
-    if (!ship) return;
-    
-    // Main game loop handles multiple game states:
-    // 1. Normal gameplay - all systems active
-    // 2. Post-death state - limited updates during explosion animation
-    // 3. Level transition - clearing and spawning new objects
-    // 4. Paused state - maintaining game state without updates
-    
-    // Special case: Post-death state with active explosion
-    if (lives <= 0 && ship.exploding) {
-        // Only update visual effects and passive objects
-        updateShipDebris();
-        updateAsteroids();
-        return; // Skip active gameplay updates
-    }
-    
-    // Handle ship rotation (reversed left/right for more intuitive controls)
-    if (keys.left) {
-        ship.rotation = GameConfig.SHIP.ROTATION_SPEED; // Reversed from negative to positive
-    } else if (keys.right) {
-        ship.rotation = -GameConfig.SHIP.ROTATION_SPEED; // Reversed from positive to negative
-    } else {
-        ship.rotation = 0;
-    }
-    
-    // Handle ship thrust and associated sound effects
-    if (keys.up && !ship.thrusting && !ship.exploding) {
-        ship.thrusting = true;
-        playThrustSound(true);
-    } else if (!keys.up && ship.thrusting) {
-        ship.thrusting = false;
-        playThrustSound(false);
-    }
-    
-    // Handle firing with sound (space key is reset each frame to prevent continuous firing)
-    if (keys.space) {
-        fireBullet();
-        keys.space = false;
-    }
-    
-    // Update all game objects in specific order to ensure proper interaction
-    updateShip();
-    updateShipDebris();
-    updateThrustParticles();
-    updateBullets();
-    updateAsteroids();
-    updateAliens();
-    updateAlienBullets();
-    updateAlienDebris();
-    updateBattlestar();
-    updateBattlestarBullets();
-    updateBattlestarDebris();
-    checkCollisions();
-    
-    // Check for level completion and progression
-    if (asteroids.length === 0) {
-        // Award level completion bonus with increasing value for higher levels
-        const levelBonus = 1000 * Math.pow(2, level - 1); // 1000 for level 1, 2000 for level 2, 4000 for level 3, etc.
-        score += levelBonus;
-        
-        // Create a single centered, larger score popup for the level bonus
-        createScorePopup(canvas.width / 2, canvas.height / 2, levelBonus, true);
-        
-        // Add a more elegant visual effect instead of multiple popups
-        const numRays = 12; // Reduce from previous 8 surrounding popups
-        for (let i = 0; i < numRays; i++) {
-            const angle = (i / numRays) * Math.PI * 2;
-            const length = 150 + Math.random() * 50;
+    fetch('/api/daily-challenge' + (playerId ? '?player=' + encodeURIComponent(playerId) : ''))
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(challenge => {
+            dailyChallengeLoading = false;
+            if (gameStarted || enteringInitials) return;
             
-            battlestarDebris.push({
-                x: canvas.width / 2,
-                y: canvas.height / 2,
-                vx: Math.cos(angle) * 2,
-                vy: Math.sin(angle) * 2,
-                size: 1,
-                maxSize: 3,
-                length: length,
-                angle: angle,
-                lifetime: 90 + Math.random() * 30,
-                color: '#FFFF00',
-                type: 'ray'
-            });
-        }
-        
-        // Add special visual effect for level completion - reduce particle count
-        for (let i = 0; i < 30; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 50 + Math.random() * 150;
-            const speed = 1 + Math.random() * 3;
+            // The first run of the day is the official attempt - quitting early still uses it up
+            let official = true;
+            try {
+                official = localStorage.getItem(DAILY_CHALLENGE_STORAGE_KEY) !== challenge.date;
+                localStorage.setItem(DAILY_CHALLENGE_STORAGE_KEY, challenge.date);
+                localStorage.setItem(PLAYER_ID_STORAGE_KEY, challenge.player);
+            } catch (e) {
+                // Without storage the server's one-score-per-player rule still applies
+            }
             
-            battlestarDebris.push({
-                x: canvas.width / 2,
-                y: canvas.height / 2,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed,
-                size: 2 + Math.random() * 4,
-                rotation: Math.random() * Math.PI * 2,
-                rotationSpeed: (Math.random() - 0.5) * 0.4,
-                lifetime: 60 + Math.random() * 60,
-                color: Math.random() < 0.3 ? '#FFFFFF' : (Math.random() < 0.6 ? '#00FF00' : '#FFFF00'),
-                type: Math.random() < 0.6 ? 'circle' : 'line'
-            });
-        }
-        
-        // Add a shockwave effect
-        battlestarDebris.push({
-            x: canvas.width / 2,
-            y: canvas.height / 2,
-            radius: 1,
-            maxRadius: 300,
-            lifetime: 60,
-            type: 'shockwave',
-            color: '#00FF00' // Green for level completion
+            startGame(challenge.seed);
+            dailyChallengeRun = { date: challenge.date, seed: challenge.seed, player: challenge.player, official };
+            addLogMessage(official ?
+                `Daily challenge ${challenge.date} - official attempt` :
+                `Daily challenge ${challenge.date} - practice run (official attempt already used)`);
+        })
+        .catch(error => {
+            dailyChallengeLoading = false;
+            console.error('Error fetching daily challenge:', error);
+            addLogMessage('Daily challenge unavailable - server not reachable');
         });
-        
-        // Play celebratory sounds
-        playSound('bangLarge');
-        setTimeout(() => playSound('bangMedium'), 200);
-        
-        addLogMessage(`Level ${level} complete! Bonus: ${levelBonus} points!`);
-        
-        // Advance to next level
-        level++;
-        
-        // Announce new level
-        startLevelAnnouncement();
-        
-        // Create asteroids for new level
-        createAsteroids();
-        
-        // Initialize alien spawn timer for level 2 and beyond
-        if (level >= 2) {
-            // Set the full spawn delay when entering a new level
-            // This ensures aliens don't appear immediately
-            const spawnInterval = Math.max(
-                GameConfig.ALIEN.MIN_SPAWN_INTERVAL,
-                GameConfig.ALIEN.BASE_SPAWN_INTERVAL - (level - 2) * GameConfig.ALIEN.SPAWN_INTERVAL_DECREASE
-            );
-            // Add some extra delay for the first alien of the level
-            alienSpawnTimer = spawnInterval * 1.5;
-            addLogMessage('Alien spacecraft detected in the vicinity');
-        }
+}
 
-        // Spawn battlestar at level 3 and every 3 levels after
-        if (level >= 3 && level % 3 === 0 && !battlestar) {
-            // Add dramatic pause before battlestar appears
-            setTimeout(() => {
-                createBattlestar();
-                addLogMessage('WARNING: Battlestar approaching!');
-            }, 3000); // 3 second delay after level start
-        }
+// Draw the game
+function drawGame() {
+    // Draw the ship - while it is exploding only its debris shows
+    if (!ship.exploding) {
+        drawShip();
     }
+    
+    // Draw debris, exhaust and shockwaves
+    drawParticles();
+    
+    // Draw battlestar
+    drawBattlestar();
+    drawBattlestarBullets();
+    
+    // Draw alien ships
+    drawAliens();
+    drawAlienBullets();
+    
+    // Draw asteroids
+    drawAsteroids();
+    
+    // Draw bullets
+    drawBullets();
+    
+    // Draw power-up pickups
+    drawPowerups();
+    
+    // Draw score popups
+    drawScorePopups();
+    
+    // Draw game info (score, lives, level)
+    drawGameInfo();
 }
 
-// Update ship position and rotation using vector-based physics
-function updateShip() {
-    // Handle spawn animation if active
+// Draw the player's ship
+function drawShip() {
     if (ship.spawning) {
-        // Update spawn timer using delta time
-        ship.spawnTime -= 60 * deltaTime;
-        
-        // Calculate animation progress (0 to 1)
-        const progress = 1 - (ship.spawnTime / 60);
+        // Draw spawn particles
+        ctx.strokeStyle = 'white';
+        ship.spawnParticles.forEach(particle => {
+            ctx.beginPath();
+            ctx.fillStyle = `rgba(255, 255, 255, ${particle.alpha})`;
+            ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+            ctx.fill();
+        });
         
-        // Update spawn scale with easing
-        ship.spawnScale = Math.sin(progress * Math.PI / 2);
+        // Draw materializing ship
+        ctx.save();
+        ctx.translate(ship.x, ship.y);
+        ctx.rotate(ship.spawnRotation);
+        ctx.scale(ship.spawnScale, ship.spawnScale);
         
-        // Update spawn rotation
-        ship.spawnRotation = progress * Math.PI * 4; // Two full rotations
+        // Draw ship with special effects
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 2;
         
-        // Update spawn particles
-        ship.spawnParticles.forEach(particle => {
-            // Move particles toward ship with easing
-            const ease = Math.sin(progress * Math.PI / 2);
-            particle.x = particle.targetX + (particle.x - particle.targetX) * (1 - ease);
-            particle.y = particle.targetY + (particle.y - particle.targetY) * (1 - ease);
-            particle.alpha = 1 - progress;
-        });
+        // Create energy field effect
+        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, ship.radius * 2);
+        gradient.addColorStop(0, 'rgba(100, 200, 255, 0.5)');
+        gradient.addColorStop(1, 'rgba(100, 200, 255, 0)');
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(0, 0, ship.radius * 2, 0, Math.PI * 2);
+        ctx.fill();
         
-        // End spawn animation
-        if (ship.spawnTime <= 0) {
-            ship.spawning = false;
-            ship.spawnParticles = [];
-        }
+        // Draw ship outline with glow
+        ctx.shadowColor = '#4169E1';
+        ctx.shadowBlur = glow(10);
+        drawShipShape(0, 0, ship.radius);
         
-        return; // Skip regular updates during spawn
+        ctx.restore();
+        return;
     }
-    
-    // Handle explosion state if active
-    if (ship.exploding) {
-        ship.explodeTime -= 60 * deltaTime;
-        if (ship.explodeTime <= 0) {
-            respawnShipSafely();
+
+    // Mid-jump the ship shrinks away and grows back in a blue glow
+    if (ship.hyperspace) {
+        if (ship.hyperspaceScale > 0) {
+            ctx.save();
+            ctx.translate(ship.x, ship.y);
+            ctx.rotate(-ship.angle);
+            ctx.scale(ship.hyperspaceScale, ship.hyperspaceScale);
+            ctx.strokeStyle = `rgba(150, 220, 255, ${0.4 + ship.hyperspaceScale * 0.6})`;
+            ctx.lineWidth = 2;
+            ctx.shadowColor = '#4169E1';
+            ctx.shadowBlur = glow(15);
+            drawShipShape(0, 0, ship.radius);
+            ctx.stroke();
+            ctx.restore();
         }
         return;
     }
+
+    // Apply thrust shake if thrusting
+    let drawX = ship.x;
+    let drawY = ship.y;
+    if (ship.thrusting) {
+        const shakeAmount = GameConfig.THRUST.SHAKE_AMOUNT * playerSettings.get('screenShake');
+        drawX += (fxRng.next() - 0.5) * shakeAmount;
+        drawY += (fxRng.next() - 0.5) * shakeAmount;
+    }
+
+    // Draw ship
+    ctx.strokeStyle = 'white';
     
-    // Update invulnerability timer
-    if (ship.invulnerable) {
-        ship.invulnerableTime -= 60 * deltaTime;
-        if (ship.invulnerableTime <= 0) {
-            ship.invulnerable = false;
-        }
+    // Flash the ship during invulnerability period
+    if (ship.invulnerable && blink(5)) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)'; // Semi-transparent
     }
     
-    // Update ship's angular position based on rotation velocity
-    // Multiply by deltaTime for frame-rate independent rotation
-    ship.angle += ship.rotation * 60 * deltaTime;
+    ctx.lineWidth = 2;
+    
+    // Draw the dart-shaped ship
+    ctx.save();
+    ctx.translate(drawX, drawY);
+    ctx.rotate(-ship.angle); // Negative angle to fix the rotation direction
+    drawShipShape(0, 0, ship.radius);
+    ctx.stroke();
+    ctx.restore();
     
-    // Apply thrust using a vector-based physics model with delta time scaling
+    // Draw enhanced thruster with gradient
     if (ship.thrusting) {
-        ship.thrust.x += GameConfig.SHIP.THRUST * Math.cos(ship.angle) * GameConfig.GAME.FPS * deltaTime;
-        ship.thrust.y -= GameConfig.SHIP.THRUST * Math.sin(ship.angle) * GameConfig.GAME.FPS * deltaTime;
-    } else {
-        // Apply exponential decay friction to gradually slow the ship
-        // This creates a smooth deceleration effect while maintaining momentum
-        // Use a time-based friction factor instead of a fixed per-frame value
-        const frictionFactor = Math.pow(GameConfig.SHIP.FRICTION, GameConfig.GAME.FPS * deltaTime);
-        ship.thrust.x *= frictionFactor;
-        ship.thrust.y *= frictionFactor;
+        // Create gradient for flame
+        const rearX = drawX - ship.radius * 1.2 * Math.cos(ship.angle);
+        const rearY = drawY + ship.radius * 1.2 * Math.sin(ship.angle);
+        const flameSize = GameConfig.THRUST.FLAME_BASE + fxRng.next() * GameConfig.THRUST.FLAME_VARIANCE;
+        const flameTipX = drawX - ship.radius * (1.2 + flameSize) * Math.cos(ship.angle);
+        const flameTipY = drawY + ship.radius * (1.2 + flameSize) * Math.sin(ship.angle);
+        
+        const gradient = ctx.createLinearGradient(rearX, rearY, flameTipX, flameTipY);
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.9)');   // White core
+        gradient.addColorStop(0.2, 'rgba(255, 200, 50, 0.8)');  // Yellow/orange
+        gradient.addColorStop(0.4, 'rgba(255, 100, 50, 0.6)');  // Orange/red
+        gradient.addColorStop(1, 'rgba(255, 50, 50, 0)');       // Fade to transparent
+        
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        
+        // Adjust thruster position to match the dart shape's rear
+        const thrustLeftX = drawX - ship.radius * (0.8 * Math.cos(ship.angle) + 0.6 * Math.sin(ship.angle));
+        const thrustLeftY = drawY + ship.radius * (0.8 * Math.sin(ship.angle) - 0.6 * Math.cos(ship.angle));
+        const thrustRightX = drawX - ship.radius * (0.8 * Math.cos(ship.angle) - 0.6 * Math.sin(ship.angle));
+        const thrustRightY = drawY + ship.radius * (0.8 * Math.sin(ship.angle) + 0.6 * Math.cos(ship.angle));
+        
+        ctx.moveTo(thrustLeftX, thrustLeftY);
+        ctx.lineTo(flameTipX, flameTipY);
+        ctx.lineTo(thrustRightX, thrustRightY);
+        ctx.closePath();
+        ctx.fill();
     }
     
-    // Update position based on current velocity (thrust)
-    // Multiply by deltaTime for frame-rate independent movement
-    ship.x += ship.thrust.x * 60 * deltaTime;
-    ship.y += ship.thrust.y * 60 * deltaTime;
-    
-    // Handle screen wrapping to create infinite space effect
-    handleEdgeOfScreen(ship);
-}
-
-// Find a safe position to respawn the ship using a sophisticated placement algorithm
-function respawnShipSafely() {
-    // Implements a quadrant-based safe respawn system:
-    // 1. First tries the center of the screen
-    // 2. If unsafe, systematically tries each quadrant of the screen
-    // 3. Considers both current and predicted future positions of asteroids
-    // 4. As a last resort, forcibly moves asteroids to create safe space
-    
-    let newX = canvas.width / 2;
-    let newY = canvas.height / 2;
-    let safePosition = false;
-    let attempts = 0;
-    const MAX_ATTEMPTS = 30; // Prevent infinite loops while ensuring thorough search
-    
-    // Systematic search for safe position
-    while (!safePosition && attempts < MAX_ATTEMPTS) {
-        safePosition = true; // Optimistically assume position is safe
-        
-        // Check against all asteroids for both current and predicted positions
-        for (let i = 0; i < asteroids.length; i++) {
-            const asteroid = asteroids[i];
-            
-            // Check current distance to asteroid
-            const distance = distBetweenPoints(newX, newY, asteroid.x, asteroid.y);
+    // Draw enhanced invulnerability shield (also shown while the shield power-up lasts)
+    const shieldTime = Math.max(ship.invulnerable ? ship.invulnerableTime : 0, activePowerups.shield || 0);
+    if (shieldTime > 0) {
+        const warningPhase = shieldTime < 60; // Last second warning
+        const pulseSpeed = warningPhase ? 0.4 : 0.1; // Faster pulse during warning
+        const baseOpacity = warningPhase ? 0.5 : 0.3;
+        const pulseOpacity = Math.sin(frameCount * pulseSpeed) * 0.2 + baseOpacity;
+        
+        // Warning flicker effect
+        if (!warningPhase || blink(3)) {
+            // Inner shield
+            ctx.beginPath();
+            ctx.strokeStyle = `rgba(100, 200, 255, ${pulseOpacity})`;
+            ctx.lineWidth = 2;
+            ctx.arc(drawX, drawY, ship.radius * 1.5, 0, Math.PI * 2, false);
+            ctx.stroke();
             
-            // Predict asteroid position to prevent spawning in its path
-            // Look ahead 30 frames to account for fast-moving asteroids
-            const futureX = asteroid.x + asteroid.velocity.x * 30;
-            const futureY = asteroid.y + asteroid.velocity.y * 30;
-            const futureDistance = distBetweenPoints(newX, newY, futureX, futureY);
+            // Outer glow
+            ctx.beginPath();
+            const gradient = ctx.createRadialGradient(
+                drawX, drawY, ship.radius * 1.3,
+                drawX, drawY, ship.radius * 2
+            );
+            gradient.addColorStop(0, `rgba(100, 200, 255, ${pulseOpacity * 0.5})`);
+            gradient.addColorStop(1, 'rgba(100, 200, 255, 0)');
+            ctx.fillStyle = gradient;
+            ctx.arc(drawX, drawY, ship.radius * 2, 0, Math.PI * 2, false);
+            ctx.fill();
             
-            // Position is unsafe if too close to current or predicted asteroid position
-            if (distance < SAFE_RESPAWN_DISTANCE || futureDistance < SAFE_RESPAWN_DISTANCE) {
-                safePosition = false;
-                
-                // Systematic quadrant-based position testing
-                // Each quadrant is tried with some randomization to avoid patterns
-                switch (attempts % 4) {
-                    case 0: // Top-left quadrant
-                        newX = canvas.width * 0.25 + Math.random() * canvas.width * 0.2;
-                        newY = canvas.height * 0.25 + Math.random() * canvas.height * 0.2;
-                        break;
-                    case 1: // Top-right quadrant
-                        newX = canvas.width * 0.75 - Math.random() * canvas.width * 0.2;
-                        newY = canvas.height * 0.25 + Math.random() * canvas.height * 0.2;
-                        break;
-                    case 2: // Bottom-left quadrant
-                        newX = canvas.width * 0.25 + Math.random() * canvas.width * 0.2;
-                        newY = canvas.height * 0.75 - Math.random() * canvas.height * 0.2;
-                        break;
-                    case 3: // Bottom-right quadrant
-                        newX = canvas.width * 0.75 - Math.random() * canvas.width * 0.2;
-                        newY = canvas.height * 0.75 - Math.random() * canvas.height * 0.2;
-                        break;
-                }
+            // Energy particles
+            const particleCount = warningPhase ? 3 : 6;
+            for (let i = 0; i < particleCount; i++) {
+                const angle = (frameCount * 0.05) + (i * Math.PI * 2 / particleCount);
+                const orbitRadius = ship.radius * 1.5;
+                const particleX = drawX + Math.cos(angle) * orbitRadius;
+                const particleY = drawY + Math.sin(angle) * orbitRadius;
                 
-                break; // Exit asteroid loop to test new position
-            }
-        }
-        
-        attempts++;
-    }
-    
-    // Fallback: If no safe position found, forcibly create one
-    if (!safePosition) {
-        // Create a safe zone by moving nearby asteroids away from center
-        // This prevents the game from becoming unplayable in crowded situations
-        for (let i = asteroids.length - 1; i >= 0; i--) {
-            const distance = distBetweenPoints(canvas.width / 2, canvas.height / 2, asteroids[i].x, asteroids[i].y);
-            
-            if (distance < SAFE_RESPAWN_DISTANCE) {
-                // Move asteroid radially outward to create safe space
-                const angle = Math.atan2(asteroids[i].y - canvas.height / 2, asteroids[i].x - canvas.width / 2);
-                asteroids[i].x = canvas.width / 2 + Math.cos(angle) * SAFE_RESPAWN_DISTANCE * 1.5;
-                asteroids[i].y = canvas.height / 2 + Math.sin(angle) * SAFE_RESPAWN_DISTANCE * 1.5;
+                ctx.beginPath();
+                ctx.fillStyle = `rgba(150, 220, 255, ${pulseOpacity})`;
+                ctx.arc(particleX, particleY, 2, 0, Math.PI * 2);
+                ctx.fill();
             }
         }
-        
-        // Use center position after clearing space
-        newX = canvas.width / 2;
-        newY = canvas.height / 2;
-    }
-    
-    // Create new ship at safe position with reset state
-    ship = {
-        x: newX,
-        y: newY,
-        radius: GameConfig.SHIP.SIZE / 2,
-        angle: 0,
-        rotation: 0,
-        thrusting: false,
-        thrust: {
-            x: 0,
-            y: 0
-        },
-        exploding: false,
-        explodeTime: 0,
-        invulnerable: true,
-        invulnerableTime: GameConfig.SHIP.INVULNERABILITY_TIME,
-        // Add spawn animation properties
-        spawning: true,
-        spawnTime: 60, // 1 second at 60fps
-        spawnParticles: [],
-        spawnScale: 0,
-        spawnRotation: 0
-    };
-
-    // Create spawn particles
-    for (let i = 0; i < 20; i++) {
-        const angle = (i / 20) * Math.PI * 2;
-        ship.spawnParticles.push({
-            x: newX + Math.cos(angle) * GameConfig.SHIP.SIZE * 2,
-            y: newY + Math.sin(angle) * GameConfig.SHIP.SIZE * 2,
-            targetX: newX,
-            targetY: newY,
-            alpha: 1,
-            size: Math.random() * 2 + 1
-        });
     }
 }
 
-// Manage player bullet firing with arcade-style limitations
-function fireBullet() {
-    // Bullet system implements classic arcade limitations:
-    // 1. Maximum of 4 bullets on screen (like original Asteroids)
-    // 2. Bullets inherit ship's momentum for tactical depth
-    // 3. Limited lifetime to prevent screen cluttering
-    // 4. Automatic cleanup of expired bullets
-    
-    if (bullets.length < GameConfig.GAME.MAX_BULLETS && !ship.exploding) {
-        // Calculate bullet spawn position at ship's nose
-        const angle = ship.angle;
-        const bulletX = ship.x + Math.cos(angle) * ship.radius;
-        const bulletY = ship.y - Math.sin(angle) * ship.radius;
-        
-        // Create bullet with inherited momentum
-        // Note: No need to divide by 60 here since updateBullets will multiply by deltaTime
-        bullets.push({
-            x: bulletX,
-            y: bulletY,
-            xv: GameConfig.BULLET.SPEED * Math.cos(angle) + ship.thrust.x,
-            yv: -GameConfig.BULLET.SPEED * Math.sin(angle) + ship.thrust.y,
-            lifetime: GameConfig.BULLET.LIFETIME
-        });
-        
-        playSound('fire');
-    }
-}
+/**
+ * Power-up display
+ * Pickups are drawn as pulsing rings marked with a letter; the timed
+ * effects the ship currently has are listed under the score.
+ */
+const POWERUP_STYLES = {
+    shield: { color: '100, 200, 255', letter: 'S', label: 'SHIELD' },
+    spread: { color: '255, 215, 0', letter: 'W', label: 'SPREAD' },
+    rapid: { color: '255, 120, 50', letter: 'R', label: 'RAPID' },
+    piercing: { color: '200, 100, 255', letter: 'P', label: 'PIERCE' },
+    extraLife: { color: '100, 255, 120', letter: '+', label: 'LIFE' }
+};
 
-// Update bullets position and lifetime
-function updateBullets() {
-    for (let i = bullets.length - 1; i >= 0; i--) {
-        const bullet = bullets[i];
-        
-        // Update bullet position with deltaTime for consistent speed
-        bullet.x += bullet.xv * 60 * deltaTime;
-        bullet.y += bullet.yv * 60 * deltaTime;
-        
-        // Wrap bullets around screen edges
-        if (bullet.x < 0) bullet.x = canvas.width;
-        if (bullet.x > canvas.width) bullet.x = 0;
-        if (bullet.y < 0) bullet.y = canvas.height;
-        if (bullet.y > canvas.height) bullet.y = 0;
-        
-        // Check for bullet lifetime
-        bullet.lifetime -= 60 * deltaTime;
-        if (bullet.lifetime <= 0) {
-            bullets.splice(i, 1);
-            continue;
-        }
+function drawPowerups() {
+    powerups.forEach(powerup => {
+        const style = POWERUP_STYLES[powerup.type];
+        const pulse = 0.8 + Math.sin(frameCount * 0.15) * 0.2;
         
-        // Check collision with aliens
-        for (let a = aliens.length - 1; a >= 0; a--) {
-            const alien = aliens[a];
-            const dx = bullet.x - alien.x;
-            const dy = bullet.y - alien.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            if (distance < alien.radius) {
-                // Remove bullet
-                bullets.splice(i, 1);
-                
-                // Calculate hit angle for directional explosion
-                const hitAngle = Math.atan2(dy, dx);
-                
-                // Reduce alien health
-                alien.health--;
-                alien.hitTime = performance.now();
-                
-                // Create hit effect
-                for (let p = 0; p < 5; p++) {
-                    const angle = Math.random() * Math.PI * 2;
-                    alienDebris.push({
-                        x: bullet.x,
-                        y: bullet.y,
-                        vx: Math.cos(angle) * 2,
-                        vy: Math.sin(angle) * 2,
-                        size: 1 + Math.random() * 2,
-                        rotation: 0,
-                        rotationSpeed: 0,
-                        lifetime: 20,
-                        color: '#FFFFFF',
-                        type: 'circle'
-                    });
-                }
-                
-                // Play hit sound
-                playSound('bangSmall');
-                
-                // If alien is destroyed
-                if (alien.health <= 0) {
-                    // Add score based on alien's value
-                    score += alien.scoreValue;
-                    
-                    // Create score popup
-                    createScorePopup(alien.x, alien.y, alien.scoreValue);
-                    
-                    // Create explosion effect
-                    for (let p = 0; p < 20; p++) {
-                        const angle = Math.random() * Math.PI * 2;
-                        const speed = 1 + Math.random() * 3;
-                        alienDebris.push({
-                            x: alien.x,
-                            y: alien.y,
-                            vx: Math.cos(angle) * speed,
-                            vy: Math.sin(angle) * speed,
-                            size: 2 + Math.random() * 3,
-                            rotation: Math.random() * Math.PI * 2,
-                            rotationSpeed: (Math.random() - 0.5) * 0.2,
-                            lifetime: 60,
-                            color: '#00FFFF',
-                            type: Math.random() < 0.5 ? 'circle' : 'line'
-                        });
-                    }
-                    
-                    // Add shockwave
-                    alienDebris.push({
-                        x: alien.x,
-                        y: alien.y,
-                        radius: 1,
-                        maxRadius: 50,
-                        lifetime: 30,
-                        type: 'shockwave',
-                        color: '#00FFFF'
-                    });
-                    
-                    // Remove alien
-                    aliens.splice(a, 1);
-                    
-                    // Play explosion sound
-                    playSound('bangLarge');
-                    
-                    addLogMessage("Alien destroyed! +" + alien.scoreValue + " points");
-                }
-                
-                break; // Only hit one alien per bullet
-            }
-        }
+        // Blink for the last two seconds before it disappears
+        if (powerup.lifetime < 120 && !blink(6)) return;
         
-        // Check collision with asteroids
-        for (let j = asteroids.length - 1; j >= 0; j--) {
-            if (distBetweenPoints(bullet.x, bullet.y, asteroids[j].x, asteroids[j].y) < asteroids[j].radius) {
-                bullet.active = false;
-                
-                // Calculate collision angle for debris direction
-                const collisionAngle = Math.atan2(bullet.y - asteroids[j].y, bullet.x - asteroids[j].x);
-                
-                // Destroy the asteroid
-                destroyAsteroid(j, collisionAngle);
-                
-                // Play sound
-                playSound('bangSmall');
-                break;
-            }
-        }
-    }
-}
-
-// Update asteroids position
-function updateAsteroids() {
-    for (let i = 0; i < asteroids.length; i++) {
-        // Move asteroid with deltaTime for consistent speed
-        asteroids[i].x += asteroids[i].velocity.x * 60 * deltaTime;
-        asteroids[i].y += asteroids[i].velocity.y * 60 * deltaTime;
+        ctx.save();
+        ctx.translate(powerup.x, powerup.y);
         
-        // Rotate asteroid with deltaTime for consistent rotation
-        asteroids[i].angle += asteroids[i].rotationSpeed * 60 * deltaTime;
+        ctx.fillStyle = `rgba(${style.color}, 0.2)`;
+        ctx.strokeStyle = `rgba(${style.color}, ${pulse})`;
+        ctx.lineWidth = 2;
+        ctx.shadowColor = `rgb(${style.color})`;
+        ctx.shadowBlur = glow(10);
+        ctx.beginPath();
+        ctx.arc(0, 0, powerup.radius * pulse, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
         
-        // Handle edge of screen (wrap around)
-        handleEdgeOfScreen(asteroids[i]);
-    }
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = `rgb(${style.color})`;
+        ctx.font = '10px "Press Start 2P"';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(style.letter, 0, 1);
+        
+        ctx.restore();
+    });
 }
 
-// Handle objects going off screen (wrap around)
-function handleEdgeOfScreen(obj) {
-    // For aliens, use their radius property
-    const radius = obj.radius || 0;
+// Timer bars for the active power-ups, below the score
+function drawActivePowerups(startY) {
+    let y = startY;
     
-    if (obj.x < 0 - radius) {
-        obj.x = canvas.width + radius;
-    } else if (obj.x > canvas.width + radius) {
-        obj.x = 0 - radius;
-    }
-    
-    if (obj.y < 0 - radius) {
-        obj.y = canvas.height + radius;
-    } else if (obj.y > canvas.height + radius) {
-        obj.y = 0 - radius;
-    }
+    Object.keys(activePowerups).forEach(type => {
+        const remaining = activePowerups[type];
+        if (remaining <= 0) return;
+        
+        const style = POWERUP_STYLES[type];
+        const duration = GameConfig.POWERUPS[POWERUP_TYPES[type].duration];
+        const barWidth = 80;
+        
+        ctx.save();
+        ctx.font = '8px "Press Start 2P"';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = `rgb(${style.color})`;
+        ctx.fillText(style.label, 20, y + 7);
+        
+        ctx.strokeStyle = `rgba(${style.color}, 0.6)`;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(80, y, barWidth, 8);
+        ctx.fillRect(81, y + 1, (barWidth - 2) * Math.min(1, remaining / duration), 6);
+        ctx.restore();
+        
+        y += 14;
+    });
 }
 
-// Check for collisions between game objects
-function checkCollisions() {
-    // Check ship collisions with asteroids (if ship is vulnerable)
-    if (ship && !ship.exploding && !ship.invulnerable) {
-        for (let i = 0; i < asteroids.length; i++) {
-            if (distBetweenPoints(ship.x, ship.y, asteroids[i].x, asteroids[i].y) < ship.radius + asteroids[i].radius) {
-                destroyShip();
-                break;
-            }
-        }
-    }
-    
-    // Check ship collisions with aliens
-    if (ship && !ship.exploding && !ship.invulnerable) {
-        for (let i = aliens.length - 1; i >= 0; i--) {
-            const alien = aliens[i];
-            if (!alien.invulnerable && distBetweenPoints(ship.x, ship.y, alien.x, alien.y) < ship.radius + GameConfig.ALIEN.SIZE) {
-                // Destroy both ship and alien
-                destroyShip();
-                destroyAlien(alien, false); // false indicates collision rather than shot
-                break;
-            }
-        }
-    }
-    
-    // Check alien collisions with asteroids
-    for (let i = aliens.length - 1; i >= 0; i--) {
-        const alien = aliens[i];
-        if (!alien.invulnerable) { // Only check collisions if not invulnerable
-            for (let j = asteroids.length - 1; j >= 0; j--) {
-                const asteroid = asteroids[j];
-                const dx = alien.x - asteroid.x;
-                const dy = alien.y - asteroid.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                
-                if (distance < GameConfig.ALIEN.SIZE + asteroid.radius) {
-                    // Calculate collision angle for debris direction
-                    const collisionAngle = Math.atan2(dy, dx);
-                    
-                    // Destroy both alien and asteroid
-                    destroyAlien(alien, false, collisionAngle);
-                    destroyAsteroid(j, collisionAngle);
-                    
-                    // Add dramatic collision effect
-                    createCollisionEffect(
-                        (alien.x + asteroid.x) / 2,
-                        (alien.y + asteroid.y) / 2,
-                        collisionAngle
-                    );
-                    
-                    // Break out of asteroid loop since alien is destroyed
-                    break;
-                }
-            }
-        }
-    }
+// Combo multiplier, pips towards the next step and a bar for the time left to keep the chain
+function drawComboMeter(centerX, y) {
+    const multiplier = getComboMultiplier();
+    const maxed = multiplier >= GameConfig.SCORE.COMBO_MAX_MULTIPLIER;
+    const comboColors = GameConfig.COLORS.COMBO;
+    const color = multiplier > 1 ? comboColors[Math.min(multiplier - 2, comboColors.length - 1)] : '#FFFFFF';
+    const barWidth = 120;
     
-    // Check ship collisions with battlestar
-    if (ship && !ship.exploding && !ship.invulnerable && battlestar && !battlestar.invulnerable && !battlestar.dying) {
-        // Use rectangular collision detection for the battlestar
-        const shipDistX = Math.abs(ship.x - battlestar.x);
-        const shipDistY = Math.abs(ship.y - battlestar.y);
-        
-        if (shipDistX < (battlestar.width / 2 + ship.radius) && 
-            shipDistY < (battlestar.height / 2 + ship.radius)) {
-            // Ship hit battlestar
-            destroyShip();
-        }
-    }
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.font = '12px "Press Start 2P"';
+    ctx.fillStyle = color;
+    ctx.shadowColor = color;
+    ctx.shadowBlur = multiplier > 1 ? glow(10) : 0;
+    ctx.fillText(`COMBO x${multiplier}`, centerX, y);
+    ctx.shadowBlur = 0;
     
-    // Check bullet collisions with battlestar
-    if (battlestar && !battlestar.invulnerable && !battlestar.dying) {
-        for (let i = bullets.length - 1; i >= 0; i--) {
-            const bullet = bullets[i];
-            
-            // Use rectangular collision detection
-            const bulletDistX = Math.abs(bullet.x - battlestar.x);
-            const bulletDistY = Math.abs(bullet.y - battlestar.y);
-            
-            if (bulletDistX < battlestar.width / 2 && bulletDistY < battlestar.height / 2) {
-                // Calculate hit angle for directional damage effect
-                const hitAngle = Math.atan2(bullet.y - battlestar.y, bullet.x - battlestar.x);
-                
-                // Remove bullet
-                bullets.splice(i, 1);
-                
-                // Damage battlestar
-                damageBattlestar(1, hitAngle);
-            }
+    // Kills made towards the next multiplier step
+    const perStep = GameConfig.SCORE.COMBO_KILLS_PER_STEP;
+    const filled = maxed ? perStep : comboCount % perStep;
+    for (let i = 0; i < perStep; i++) {
+        const pipX = centerX - (perStep - 1) * 6 + i * 12;
+        ctx.beginPath();
+        ctx.arc(pipX, y + 10, 3, 0, Math.PI * 2);
+        if (i < filled) {
+            ctx.fill();
+        } else {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.stroke();
         }
     }
     
-    // Check asteroid collisions with battlestar
-    if (battlestar && !battlestar.dying) {
-        for (let i = asteroids.length - 1; i >= 0; i--) {
-            const asteroid = asteroids[i];
-            
-            // Use rectangular collision detection with radius adjustment
-            const asteroidDistX = Math.abs(asteroid.x - battlestar.x);
-            const asteroidDistY = Math.abs(asteroid.y - battlestar.y);
-            
-            if (asteroidDistX < (battlestar.width / 2 + asteroid.radius) && 
-                asteroidDistY < (battlestar.height / 2 + asteroid.radius)) {
-                
-                // Calculate collision angle for bouncing
-                const collisionAngle = Math.atan2(asteroid.y - battlestar.y, asteroid.x - battlestar.x);
-                
-                // Bounce the asteroid away
-                const bounceSpeed = Math.sqrt(
-                    asteroid.velocity.x * asteroid.velocity.x + 
-                    asteroid.velocity.y * asteroid.velocity.y
-                );
-                
-                asteroid.velocity.x = Math.cos(collisionAngle) * bounceSpeed;
-                asteroid.velocity.y = Math.sin(collisionAngle) * bounceSpeed;
-                
-                // Move asteroid outside of collision zone
-                asteroid.x = battlestar.x + Math.cos(collisionAngle) * (battlestar.width / 2 + asteroid.radius + 5);
-                asteroid.y = battlestar.y + Math.sin(collisionAngle) * (battlestar.height / 2 + asteroid.radius + 5);
-                
-                // Create bounce effect
-                createCollisionEffect(
-                    (asteroid.x + battlestar.x) / 2,
-                    (asteroid.y + battlestar.y) / 2,
-                    collisionAngle
-                );
-                
-                // Play sound
-                playSound('bangSmall');
-            }
-        }
-    }
+    // Time left before the chain breaks
+    const timeLeft = Math.max(0, comboTimer / GameConfig.SCORE.COMBO_WINDOW);
+    ctx.fillRect(centerX - barWidth / 2, y + 17, barWidth * timeLeft, 3);
+    ctx.restore();
+}
+
+// Draw the asteroids
+function drawAsteroids() {
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 2;
     
-    // Check alien bullet collisions with asteroids
-    for (let i = alienBullets.length - 1; i >= 0; i--) {
-        const alienBullet = alienBullets[i];
+    for (let i = 0; i < asteroids.length; i++) {
+        const asteroid = asteroids[i];
+        
+        // Draw asteroid
+        ctx.beginPath();
         
-        for (let j = asteroids.length - 1; j >= 0; j--) {
-            const asteroid = asteroids[j];
+        // Draw a rough circle with jagged edges
+        for (let j = 0; j < asteroid.vert; j++) {
+            const angle = j * Math.PI * 2 / asteroid.vert;
+            const radius = asteroid.radius * asteroid.offset[j];
+            const x = asteroid.x + radius * Math.cos(angle + asteroid.angle);
+            const y = asteroid.y + radius * Math.sin(angle + asteroid.angle);
             
-            if (distBetweenPoints(alienBullet.x, alienBullet.y, asteroid.x, asteroid.y) < asteroid.radius) {
-                // Calculate collision angle for debris direction
-                const collisionAngle = Math.atan2(alienBullet.y - asteroid.y, alienBullet.x - asteroid.x);
-                
-                // Remove alien bullet
-                alienBullets.splice(i, 1);
-                
-                // Destroy asteroid
-                destroyAsteroid(j, collisionAngle);
-                
-                // Play sound
-                playSound('bangSmall');
-                
-                // Break out of asteroid loop since bullet is destroyed
-                break;
+            if (j === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
             }
         }
+        
+        ctx.closePath();
+        ctx.stroke();
     }
 }
 
-// Add collision effect function
-function createCollisionEffect(x, y, angle) {
-    // Create a bright flash
-    alienDebris.push({
-        x: x,
-        y: y,
-        radius: 1,
-        maxRadius: ALIEN_EXPLOSION_RADIUS * 1.5,
-        lifetime: 20,
-        type: 'shockwave',
-        color: '#FFFFFF' // White flash
-    });
+// Draw the bullets
+function drawBullets() {
+    ctx.fillStyle = 'white';
     
-    // Create intersection debris
-    for (let i = 0; i < 8; i++) {
-        const debrisAngle = angle + (Math.random() - 0.5) * Math.PI;
-        const speed = ALIEN_DEBRIS_SPEED * (0.8 + Math.random() * 0.4);
-        
-        alienDebris.push({
-            x: x,
-            y: y,
-            vx: Math.cos(debrisAngle) * speed,
-            vy: Math.sin(debrisAngle) * speed,
-            size: 3 + Math.random() * 2,
-            rotation: Math.random() * Math.PI * 2,
-            rotationSpeed: (Math.random() - 0.5) * 0.4,
-            lifetime: ALIEN_DEBRIS_LIFETIME * 0.7,
-            color: '#FFA500', // Orange for collision debris
-            type: 'line'
-        });
+    for (let i = 0; i < bullets.length; i++) {
+        ctx.beginPath();
+        ctx.arc(bullets[i].x, bullets[i].y, 2, 0, Math.PI * 2, false);
+        ctx.fill();
     }
-    
-    // Play a more intense explosion sound
-    playSound('explode');
 }
 
-// Destroy the ship
-function destroyShip() {
-    // Create ship debris
-    createShipDebris();
-    
-    // Set ship to exploding state
-    ship.exploding = true;
-    ship.explodeTime = 180; // 3 seconds at 60fps
-    lives--;
+// Draw game information (score, lives, level)
+function drawGameInfo() {
+    // Update animated score
+    if (targetScore !== score) {
+        targetScore = score;
+    }
     
-    // Stop thrust sound if playing
-    if (ship.thrusting) {
-        ship.thrusting = false;
-        playThrustSound(false);
+    if (displayScore < targetScore) {
+        // Animate score going up
+        displayScore += Math.max(1, Math.ceil((targetScore - displayScore) / scoreAnimationSpeed));
+        if (displayScore > targetScore) displayScore = targetScore;
+    } else if (displayScore > targetScore) {
+        // Handle score going down (rare case)
+        displayScore = targetScore;
     }
     
-    // Play explosion sound
-    playSound('explode');
+    // Draw score with retro effect
+    ctx.fillStyle = 'white';
+    ctx.font = '18px "Press Start 2P"';
+    ctx.textAlign = 'left';
     
-    if (lives <= 0) {
-        // Game over - but don't immediately return to welcome screen
-        addLogMessage('Game Over! Score: ' + score);
-        
-        // Save final score for debugging and submission
-        window.lastKnownScore = score;
-        pendingHighScore = score; // Store the score for high score submission
-        console.log('Game over - final score:', score);
-        
-        // Set a timeout to transition to initials entry after explosion animation
-        setTimeout(() => {
-            // Stop the player from controlling the ship
-            gameStarted = false;
-            
-            if (isHighScore(score)) {
-                // Reset initials for new entry
-                playerInitials = "AAA";
-                currentInitialIndex = 0;
-                enteringInitials = true;
-                addLogMessage('New high score! Enter your initials.');
-            } else {
-                addLogMessage('Game over - returned to welcome screen');
-            }
-        }, 3000); // Wait for explosion animation to finish
+    // Add glow effect to score
+    ctx.shadowColor = '#4169E1';
+    ctx.shadowBlur = glow(displayScore !== targetScore ? 15 : 5);
+    
+    // Scale effect when score is changing
+    if (displayScore !== targetScore) {
+        ctx.save();
+        const scaleAmount = 1 + Math.sin(frameCount * 0.2) * 0.05;
+        ctx.translate(20, 25);
+        ctx.scale(scaleAmount, scaleAmount);
+        ctx.fillText(`Score: ${displayScore}`, 0, 0);
+        ctx.restore();
     } else {
-        addLogMessage('Ship destroyed! Lives remaining: ' + lives);
+        ctx.fillText(`Score: ${displayScore}`, 20, 25);
     }
-}
-
-// Create ship debris when ship is destroyed
-function createShipDebris() {
-    // Clear any existing debris
-    shipDebris = [];
-    
-    // Calculate ship points based on the dart shape in drawShipShape
-    const angle = ship.angle;
-    const x = ship.x;
-    const y = ship.y;
-    const radius = ship.radius;
-    
-    // Calculate the vertices of the dart ship
-    const noseX = x + radius * Math.cos(angle);
-    const noseY = y - radius * Math.sin(angle);
-    
-    const rearLeftX = x - radius * (0.8 * Math.cos(angle) + 0.6 * Math.sin(angle));
-    const rearLeftY = y + radius * (0.8 * Math.sin(angle) - 0.6 * Math.cos(angle));
-    
-    const centerRearX = x - radius * 0.5 * Math.cos(angle);
-    const centerRearY = y + radius * 0.5 * Math.sin(angle);
-    
-    const rearRightX = x - radius * (0.8 * Math.cos(angle) - 0.6 * Math.sin(angle));
-    const rearRightY = y + radius * (0.8 * Math.sin(angle) + 0.6 * Math.cos(angle));
-    
-    // Create debris for each line segment of the ship
-    // Line 1: Nose to rear left
-    shipDebris.push({
-        x1: noseX,
-        y1: noseY,
-        x2: rearLeftX,
-        y2: rearLeftY,
-        centerX: (noseX + rearLeftX) / 2,
-        centerY: (noseY + rearLeftY) / 2,
-        length: Math.sqrt(Math.pow(noseX - rearLeftX, 2) + Math.pow(noseY - rearLeftY, 2)),
-        angle: Math.atan2(rearLeftY - noseY, rearLeftX - noseX),
-        rotationSpeed: (Math.random() - 0.5) * DEBRIS_ROTATION_SPEED * 2,
-        velocity: {
-            x: ship.thrust.x + (Math.random() - 0.5) * DEBRIS_SPEED,
-            y: ship.thrust.y + (Math.random() - 0.5) * DEBRIS_SPEED
-        },
-        lifetime: DEBRIS_LIFETIME
-    });
     
-    // Line 2: Rear left to center rear
-    shipDebris.push({
-        x1: rearLeftX,
-        y1: rearLeftY,
-        x2: centerRearX,
-        y2: centerRearY,
-        centerX: (rearLeftX + centerRearX) / 2,
-        centerY: (rearLeftY + centerRearY) / 2,
-        length: Math.sqrt(Math.pow(rearLeftX - centerRearX, 2) + Math.pow(rearLeftY - centerRearY, 2)),
-        angle: Math.atan2(centerRearY - rearLeftY, centerRearX - rearLeftX),
-        rotationSpeed: (Math.random() - 0.5) * DEBRIS_ROTATION_SPEED * 2,
-        velocity: {
-            x: ship.thrust.x + (Math.random() - 0.5) * DEBRIS_SPEED,
-            y: ship.thrust.y + (Math.random() - 0.5) * DEBRIS_SPEED
-        },
-        lifetime: DEBRIS_LIFETIME
-    });
+    // Reset shadow for other elements
+    ctx.shadowBlur = 0;
     
-    // Line 3: Center rear to rear right
-    shipDebris.push({
-        x1: centerRearX,
-        y1: centerRearY,
-        x2: rearRightX,
-        y2: rearRightY,
-        centerX: (centerRearX + rearRightX) / 2,
-        centerY: (centerRearY + rearRightY) / 2,
-        length: Math.sqrt(Math.pow(centerRearX - rearRightX, 2) + Math.pow(centerRearY - rearRightY, 2)),
-        angle: Math.atan2(rearRightY - centerRearY, rearRightX - centerRearX),
-        rotationSpeed: (Math.random() - 0.5) * DEBRIS_ROTATION_SPEED * 2,
-        velocity: {
-            x: ship.thrust.x + (Math.random() - 0.5) * DEBRIS_SPEED,
-            y: ship.thrust.y + (Math.random() - 0.5) * DEBRIS_SPEED
-        },
-        lifetime: DEBRIS_LIFETIME
-    });
+    // Draw level
+    ctx.textAlign = 'center';
+    ctx.fillText(`Level: ${level}`, canvas.width / 2, 25);
     
-    // Line 4: Rear right to nose
-    shipDebris.push({
-        x1: rearRightX,
-        y1: rearRightY,
-        x2: noseX,
-        y2: noseY,
-        centerX: (rearRightX + noseX) / 2,
-        centerY: (rearRightY + noseY) / 2,
-        length: Math.sqrt(Math.pow(rearRightX - noseX, 2) + Math.pow(rearRightY - noseY, 2)),
-        angle: Math.atan2(noseY - rearRightY, noseX - rearRightX),
-        rotationSpeed: (Math.random() - 0.5) * DEBRIS_ROTATION_SPEED * 2,
-        velocity: {
-            x: ship.thrust.x + (Math.random() - 0.5) * DEBRIS_SPEED,
-            y: ship.thrust.y + (Math.random() - 0.5) * DEBRIS_SPEED
-        },
-        lifetime: DEBRIS_LIFETIME
-    });
-}
-
-// Update ship debris
-function updateShipDebris() {
-    for (let i = shipDebris.length - 1; i >= 0; i--) {
-        const debris = shipDebris[i];
-        
-        // Move debris with deltaTime for consistent speed
-        debris.centerX += debris.velocity.x * 60 * deltaTime;
-        debris.centerY += debris.velocity.y * 60 * deltaTime;
+    // Mark daily challenge runs
+    if (dailyChallengeRun) {
+        ctx.save();
+        ctx.font = '10px "Press Start 2P"';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = dailyChallengeRun.official ? 'rgba(255, 215, 0, 0.9)' : 'rgba(255, 255, 255, 0.6)';
+        ctx.fillText(dailyChallengeRun.official ? 'DAILY CHALLENGE' : 'DAILY CHALLENGE - PRACTICE', 20, 48);
+        ctx.restore();
+    }
+    
+    // Show pause indicator if game is paused
+    if (gamePaused) {
+        ctx.fillStyle = 'rgba(255, 255, 0, 0.8)';
+        ctx.font = '12px "Press Start 2P"';
+        ctx.fillText('PAUSED', canvas.width / 2, 45);
+        ctx.fillStyle = 'white'; // Reset color
+    }
+    
+    // Draw lives as ship icons
+    ctx.textAlign = 'right';
+    ctx.fillText('Lives:', canvas.width - 20 - (lives * 30), 25);
+    
+    // Draw ship icons for lives
+    for (let i = 0; i < lives; i++) {
+        ctx.save();
         
-        // Rotate debris with deltaTime for consistent rotation
-        debris.angle += debris.rotationSpeed * 60 * deltaTime;
+        const iconX = canvas.width - 15 - (i * 25);
+        const iconY = 20;
+        const iconSize = 8;
         
-        // Handle edge of screen (wrap around)
-        if (debris.centerX < 0) {
-            debris.centerX = canvas.width;
-        } else if (debris.centerX > canvas.width) {
-            debris.centerX = 0;
-        }
+        // Animate the ships with a subtle hover effect
+        const hoverOffset = Math.sin((frameCount + i * 10) * 0.1) * 2;
         
-        if (debris.centerY < 0) {
-            debris.centerY = canvas.height;
-        } else if (debris.centerY > canvas.height) {
-            debris.centerY = 0;
-        }
+        ctx.translate(iconX, iconY + hoverOffset);
+        ctx.rotate(-Math.PI / 2); // Rotate to point upward
         
-        // Reduce lifetime with deltaTime
-        debris.lifetime -= 60 * deltaTime;
+        // Draw ship icon
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 1.5;
+        drawShipShape(0, 0, iconSize);
+        ctx.stroke();
         
-        // Remove dead debris
-        if (debris.lifetime <= 0) {
-            shipDebris.splice(i, 1);
-        }
-    }
-}
-
-// Destroy an asteroid and potentially create smaller ones
-function destroyAsteroid(index, collisionAngle = null) {
-    const asteroid = asteroids[index];
-    // Score increases with level
-    const levelBonus = Math.floor((level - 1) * 0.5 * GameConfig.ASTEROID.SCORE_MULTIPLIER); // 50% more points per level
-    const points = (GameConfig.ASTEROID.SCORE_MULTIPLIER * (4 - asteroid.size)) + levelBonus;
-    
-    // Add score
-    score += points;
-    
-    // Create score popup with small random offsets to avoid obscuring the asteroid fragments
-    const offsetX = (Math.random() * 2 - 1) * 20; // Random offset between -20 and 20 pixels
-    const offsetY = (Math.random() * 2 - 1) * 20; 
-    createScorePopup(asteroid.x + offsetX, asteroid.y + offsetY, points, false);
-    
-    // Play sound based on asteroid size
-    if (asteroid.size === 3) {
-        playSound('bangLarge');
-    } else if (asteroid.size === 2) {
-        playSound('bangMedium');
-    } else {
-        playSound('bangSmall');
-    }
-    
-    // Create smaller asteroids
-    if (asteroid.size > 1) {
-        // Higher levels create more child asteroids
-        const numChildren = Math.min(2 + Math.floor((level - 1) / 3), 4); // Add an extra child every 3 levels, max 4
-        for (let i = 0; i < numChildren; i++) {
-            asteroids.push(createAsteroid(
-                asteroid.x,
-                asteroid.y,
-                asteroid.size - 1
-            ));
-        }
+        ctx.restore();
     }
     
-    // Remove the asteroid
-    asteroids.splice(index, 1);
+    // Active power-up timers, below the daily challenge label
+    drawActivePowerups(62);
     
-    addLogMessage(`Asteroid destroyed! Score: ${score} (Level ${level} bonus: ${levelBonus})`);
-}
-
-// Calculate distance between two points
-function distBetweenPoints(x1, y1, x2, y2) {
-    return Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
-}
-
-// Draw the game
-function drawGame() {
-    // Draw ship or debris
-    if (ship.exploding) {
-        drawShipDebris();
-    } else {
-        drawShip();
+    // Combo meter under the level
+    if (comboCount > 0) {
+        drawComboMeter(canvas.width / 2, 58);
     }
     
-    // Draw battlestar and its related effects
-    drawBattlestarDebris();
-    drawBattlestar();
-    drawBattlestarBullets();
-    
-    // Draw alien ships and their effects
-    drawAlienDebris();
-    drawAliens();
-    drawAlienBullets();
+    // Hyperspace readiness, with a bar filling up during the cooldown
+    if (ship && !ship.exploding) {
+        const cooldown = GameConfig.SHIP.HYPERSPACE_COOLDOWN;
+        const ready = ship.hyperspaceCooldown <= 0;
+        const barWidth = 90;
+        const barX = canvas.width - 20 - barWidth;
+        const barY = 40;
+        
+        ctx.save();
+        ctx.font = '8px "Press Start 2P"';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = ready ? 'rgba(150, 220, 255, 0.9)' : 'rgba(255, 255, 255, 0.5)';
+        ctx.fillText('HYPERSPACE', barX - 8, barY + 7);
+        
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(barX, barY, barWidth, 8);
+        const charge = ready || cooldown <= 0 ? 1 : 1 - ship.hyperspaceCooldown / cooldown;
+        ctx.fillRect(barX + 1, barY + 1, (barWidth - 2) * charge, 6);
+        ctx.restore();
+    }
     
-    // Draw asteroids
-    drawAsteroids();
+    // Add level transition message
+    if (asteroids.length === 0) {
+        ctx.font = '20px "Press Start 2P"';
+        ctx.textAlign = 'center';
+        ctx.fillText(`LEVEL ${level} COMPLETE!`, canvas.width / 2, canvas.height / 2);
+        ctx.font = '12px "Press Start 2P"';
+        ctx.fillText('Get Ready for Next Level...', canvas.width / 2, canvas.height / 2 + 30);
+        
+        // Show level stats
+        ctx.font = '10px "Press Start 2P"';
+        ctx.fillText(`Asteroid Speed: ${Math.round((GameConfig.ASTEROID.BASE_SPEED + Math.min((level - 1) * GameConfig.ASTEROID.SPEED_SCALING, GameConfig.ASTEROID.MAX_SPEED - GameConfig.ASTEROID.BASE_SPEED)) * 100)}%`, canvas.width / 2, canvas.height / 2 + 60);
+        ctx.fillText(`Score Multiplier: ${Math.round((1 + (level - 1) * 0.5) * 100)}%`, canvas.width / 2, canvas.height / 2 + 80);
+        ctx.fillText(`Asteroid Children: ${Math.min(2 + Math.floor((level - 1) / 3), 4)}`, canvas.width / 2, canvas.height / 2 + 100);
+    }
+}
+
+// Check if score is a high score - updated to check against server scores
+function isHighScore(score) {
+    console.log('Checking if score is high score:', score, 'pendingHighScore:', pendingHighScore);
     
-    // Draw bullets
-    drawBullets();
+    // Use the higher of current score or pendingHighScore
+    const actualScore = Math.max(score, pendingHighScore);
     
-    // Draw score popups
-    drawScorePopups();
+    // If we haven't fetched scores yet, be conservative and assume it's a high score
+    if (!highScoresFetched) return true;
     
-    // Draw game info (score, lives, level)
-    drawGameInfo();
-}
-
-// Initialize particle system
-let thrustParticles = [];
-
-// Draw the player's ship
-function drawShip() {
-    if (ship.spawning) {
-        // Draw spawn particles
-        ctx.strokeStyle = 'white';
-        ship.spawnParticles.forEach(particle => {
-            ctx.beginPath();
-            ctx.fillStyle = `rgba(255, 255, 255, ${particle.alpha})`;
-            ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
-            ctx.fill();
-        });
-        
-        // Draw materializing ship
-        ctx.save();
-        ctx.translate(ship.x, ship.y);
-        ctx.rotate(ship.spawnRotation);
-        ctx.scale(ship.spawnScale, ship.spawnScale);
-        
-        // Draw ship with special effects
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
-        ctx.lineWidth = 2;
-        
-        // Create energy field effect
-        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, ship.radius * 2);
-        gradient.addColorStop(0, 'rgba(100, 200, 255, 0.5)');
-        gradient.addColorStop(1, 'rgba(100, 200, 255, 0)');
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.arc(0, 0, ship.radius * 2, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Draw ship outline with glow
-        ctx.shadowColor = '#4169E1';
-        ctx.shadowBlur = 10;
-        drawShipShape(0, 0, ship.radius);
-        
-        ctx.restore();
-        return;
-    }
-
-    // Apply thrust shake if thrusting
-    let drawX = ship.x;
-    let drawY = ship.y;
-    if (ship.thrusting) {
-        drawX += (Math.random() - 0.5) * GameConfig.THRUST.SHAKE_AMOUNT;
-        drawY += (Math.random() - 0.5) * GameConfig.THRUST.SHAKE_AMOUNT;
-    }
-
-    // Draw ship
-    ctx.strokeStyle = 'white';
-    
-    // Flash the ship during invulnerability period
-    if (ship.invulnerable && Math.floor(frameCount / 5) % 2 === 0) {
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)'; // Semi-transparent
-    }
-    
-    ctx.lineWidth = 2;
-    
-    // Draw the dart-shaped ship
-    ctx.save();
-    ctx.translate(drawX, drawY);
-    ctx.rotate(-ship.angle); // Negative angle to fix the rotation direction
-    drawShipShape(0, 0, ship.radius);
-    ctx.stroke();
-    ctx.restore();
-    
-    // Draw enhanced thruster with gradient
-    if (ship.thrusting) {
-        // Create gradient for flame
-        const rearX = drawX - ship.radius * 1.2 * Math.cos(ship.angle);
-        const rearY = drawY + ship.radius * 1.2 * Math.sin(ship.angle);
-        const flameSize = GameConfig.THRUST.FLAME_BASE + Math.random() * GameConfig.THRUST.FLAME_VARIANCE;
-        const flameTipX = drawX - ship.radius * (1.2 + flameSize) * Math.cos(ship.angle);
-        const flameTipY = drawY + ship.radius * (1.2 + flameSize) * Math.sin(ship.angle);
-        
-        const gradient = ctx.createLinearGradient(rearX, rearY, flameTipX, flameTipY);
-        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.9)');   // White core
-        gradient.addColorStop(0.2, 'rgba(255, 200, 50, 0.8)');  // Yellow/orange
-        gradient.addColorStop(0.4, 'rgba(255, 100, 50, 0.6)');  // Orange/red
-        gradient.addColorStop(1, 'rgba(255, 50, 50, 0)');       // Fade to transparent
-        
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        
-        // Adjust thruster position to match the dart shape's rear
-        const thrustLeftX = drawX - ship.radius * (0.8 * Math.cos(ship.angle) + 0.6 * Math.sin(ship.angle));
-        const thrustLeftY = drawY + ship.radius * (0.8 * Math.sin(ship.angle) - 0.6 * Math.cos(ship.angle));
-        const thrustRightX = drawX - ship.radius * (0.8 * Math.cos(ship.angle) - 0.6 * Math.sin(ship.angle));
-        const thrustRightY = drawY + ship.radius * (0.8 * Math.sin(ship.angle) + 0.6 * Math.cos(ship.angle));
-        
-        ctx.moveTo(thrustLeftX, thrustLeftY);
-        ctx.lineTo(flameTipX, flameTipY);
-        ctx.lineTo(thrustRightX, thrustRightY);
-        ctx.closePath();
-        ctx.fill();
-        
-        // Add new particles with enhanced properties
-        if (thrustParticles.length < GameConfig.THRUST.PARTICLE_COUNT) {
-            const angle = ship.angle + Math.PI + (Math.random() - 0.5) * GameConfig.THRUST.PARTICLE_SPREAD;
-            addThrustParticle(rearX, rearY, angle, GameConfig.THRUST.PARTICLE_SPEED, ship.thrust.x, ship.thrust.y);
-        }
-    }
-    
-    // Draw thrust particles with enhanced rotation and pulsing
-    ctx.lineWidth = 1;
-    for (let i = thrustParticles.length - 1; i >= 0; i--) {
-        const particle = thrustParticles[i];
-        const lifeRatio = particle.life / GameConfig.THRUST.PARTICLE_LIFETIME;
-        const pulseSize = particle.baseSize * (0.8 + 0.4 * Math.sin(frameCount * 0.2 + particle.pulseOffset));
-        
-        ctx.save();
-        ctx.translate(particle.x, particle.y);
-        ctx.rotate(particle.rotation);
-        
-        // Create particle gradient with more vibrant colors
-        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, pulseSize * 2);
-        gradient.addColorStop(0, `rgba(255, 255, 255, ${lifeRatio})`);
-        gradient.addColorStop(0.4, `rgba(255, 200, 50, ${lifeRatio * 0.8})`);
-        gradient.addColorStop(0.7, `rgba(255, 100, 50, ${lifeRatio * 0.5})`);
-        gradient.addColorStop(1, 'rgba(255, 50, 50, 0)');
-        
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        
-        // Draw more dynamic particle shape
-        const innerSize = pulseSize * 0.5;
-        ctx.moveTo(0, -pulseSize);
-        ctx.lineTo(innerSize, -innerSize);
-        ctx.lineTo(pulseSize, 0);
-        ctx.lineTo(innerSize, innerSize);
-        ctx.lineTo(0, pulseSize);
-        ctx.lineTo(-innerSize, innerSize);
-        ctx.lineTo(-pulseSize, 0);
-        ctx.lineTo(-innerSize, -innerSize);
-        ctx.closePath();
-        ctx.fill();
-        
-        ctx.restore();
-    }
-    
-    // Draw enhanced invulnerability shield
-    if (ship.invulnerable) {
-        const warningPhase = ship.invulnerableTime < 60; // Last second warning
-        const pulseSpeed = warningPhase ? 0.4 : 0.1; // Faster pulse during warning
-        const baseOpacity = warningPhase ? 0.5 : 0.3;
-        const pulseOpacity = Math.sin(frameCount * pulseSpeed) * 0.2 + baseOpacity;
-        
-        // Warning flicker effect
-        if (!warningPhase || Math.floor(frameCount / 3) % 2 === 0) {
-            // Inner shield
-            ctx.beginPath();
-            ctx.strokeStyle = `rgba(100, 200, 255, ${pulseOpacity})`;
-            ctx.lineWidth = 2;
-            ctx.arc(drawX, drawY, ship.radius * 1.5, 0, Math.PI * 2, false);
-            ctx.stroke();
-            
-            // Outer glow
-            ctx.beginPath();
-            const gradient = ctx.createRadialGradient(
-                drawX, drawY, ship.radius * 1.3,
-                drawX, drawY, ship.radius * 2
-            );
-            gradient.addColorStop(0, `rgba(100, 200, 255, ${pulseOpacity * 0.5})`);
-            gradient.addColorStop(1, 'rgba(100, 200, 255, 0)');
-            ctx.fillStyle = gradient;
-            ctx.arc(drawX, drawY, ship.radius * 2, 0, Math.PI * 2, false);
-            ctx.fill();
-            
-            // Energy particles
-            const particleCount = warningPhase ? 3 : 6;
-            for (let i = 0; i < particleCount; i++) {
-                const angle = (frameCount * 0.05) + (i * Math.PI * 2 / particleCount);
-                const orbitRadius = ship.radius * 1.5;
-                const particleX = drawX + Math.cos(angle) * orbitRadius;
-                const particleY = drawY + Math.sin(angle) * orbitRadius;
-                
-                ctx.beginPath();
-                ctx.fillStyle = `rgba(150, 220, 255, ${pulseOpacity})`;
-                ctx.arc(particleX, particleY, 2, 0, Math.PI * 2);
-                ctx.fill();
-            }
-        }
-    }
-}
-
-// Update thrust particles with enhanced animation
-function updateThrustParticles() {
-    for (let i = thrustParticles.length - 1; i >= 0; i--) {
-        const particle = thrustParticles[i];
-        
-        // Update position with velocity
-        particle.x += particle.vx;
-        particle.y += particle.vy;
-        
-        // Apply continuous rotation
-        particle.rotation += particle.rotationSpeed;
-        
-        // Handle screen wrapping
-        if (particle.x < 0) particle.x = canvas.width;
-        if (particle.x > canvas.width) particle.x = 0;
-        if (particle.y < 0) particle.y = canvas.height;
-        if (particle.y > canvas.height) particle.y = 0;
-        
-        // Update lifetime
-        particle.life--;
-        
-        // Remove dead particles
-        if (particle.life <= 0) {
-            thrustParticles.splice(i, 1);
-        }
-    }
-}
-
-// Draw the asteroids
-function drawAsteroids() {
-    ctx.strokeStyle = 'white';
-    ctx.lineWidth = 2;
-    
-    for (let i = 0; i < asteroids.length; i++) {
-        const asteroid = asteroids[i];
-        
-        // Draw asteroid
-        ctx.beginPath();
-        
-        // Draw a rough circle with jagged edges
-        for (let j = 0; j < asteroid.vert; j++) {
-            const angle = j * Math.PI * 2 / asteroid.vert;
-            const radius = asteroid.radius * asteroid.offset[j];
-            const x = asteroid.x + radius * Math.cos(angle + asteroid.angle);
-            const y = asteroid.y + radius * Math.sin(angle + asteroid.angle);
-            
-            if (j === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
-        }
-        
-        ctx.closePath();
-        ctx.stroke();
-    }
-}
-
-// Draw the bullets
-function drawBullets() {
-    ctx.fillStyle = 'white';
-    
-    for (let i = 0; i < bullets.length; i++) {
-        ctx.beginPath();
-        ctx.arc(bullets[i].x, bullets[i].y, 2, 0, Math.PI * 2, false);
-        ctx.fill();
-    }
-}
-
-// Draw game information (score, lives, level)
-function drawGameInfo() {
-    // Update animated score
-    if (targetScore !== score) {
-        targetScore = score;
-    }
-    
-    if (displayScore < targetScore) {
-        // Animate score going up
-        displayScore += Math.max(1, Math.ceil((targetScore - displayScore) / scoreAnimationSpeed));
-        if (displayScore > targetScore) displayScore = targetScore;
-    } else if (displayScore > targetScore) {
-        // Handle score going down (rare case)
-        displayScore = targetScore;
-    }
-    
-    // Draw score with retro effect
-    ctx.fillStyle = 'white';
-    ctx.font = '18px "Press Start 2P"';
-    ctx.textAlign = 'left';
-    
-    // Add glow effect to score
-    ctx.shadowColor = '#4169E1';
-    ctx.shadowBlur = displayScore !== targetScore ? 15 : 5;
-    
-    // Scale effect when score is changing
-    if (displayScore !== targetScore) {
-        ctx.save();
-        const scaleAmount = 1 + Math.sin(frameCount * 0.2) * 0.05;
-        ctx.translate(20, 25);
-        ctx.scale(scaleAmount, scaleAmount);
-        ctx.fillText(`Score: ${displayScore}`, 0, 0);
-        ctx.restore();
-    } else {
-        ctx.fillText(`Score: ${displayScore}`, 20, 25);
-    }
-    
-    // Reset shadow for other elements
-    ctx.shadowBlur = 0;
-    
-    // Draw level
-    ctx.textAlign = 'center';
-    ctx.fillText(`Level: ${level}`, canvas.width / 2, 25);
-    
-    // Show pause indicator if game is paused
-    if (gamePaused) {
-        ctx.fillStyle = 'rgba(255, 255, 0, 0.8)';
-        ctx.font = '12px "Press Start 2P"';
-        ctx.fillText('PAUSED', canvas.width / 2, 45);
-        ctx.fillStyle = 'white'; // Reset color
-    }
-    
-    // Draw lives as ship icons
-    ctx.textAlign = 'right';
-    ctx.fillText('Lives:', canvas.width - 20 - (lives * 30), 25);
-    
-    // Draw ship icons for lives
-    for (let i = 0; i < lives; i++) {
-        ctx.save();
-        
-        const iconX = canvas.width - 15 - (i * 25);
-        const iconY = 20;
-        const iconSize = 8;
-        
-        // Animate the ships with a subtle hover effect
-        const hoverOffset = Math.sin((frameCount + i * 10) * 0.1) * 2;
-        
-        ctx.translate(iconX, iconY + hoverOffset);
-        ctx.rotate(-Math.PI / 2); // Rotate to point upward
-        
-        // Draw ship icon
-        ctx.strokeStyle = 'white';
-        ctx.lineWidth = 1.5;
-        drawShipShape(0, 0, iconSize);
-        ctx.stroke();
-        
-        ctx.restore();
-    }
-    
-    // Add level transition message
-    if (asteroids.length === 0) {
-        ctx.font = '20px "Press Start 2P"';
-        ctx.textAlign = 'center';
-        ctx.fillText(`LEVEL ${level} COMPLETE!`, canvas.width / 2, canvas.height / 2);
-        ctx.font = '12px "Press Start 2P"';
-        ctx.fillText('Get Ready for Next Level...', canvas.width / 2, canvas.height / 2 + 30);
-        
-        // Show level stats
-        ctx.font = '10px "Press Start 2P"';
-        ctx.fillText(`Asteroid Speed: ${Math.round((GameConfig.ASTEROID.BASE_SPEED + Math.min((level - 1) * GameConfig.ASTEROID.SPEED_SCALING, GameConfig.ASTEROID.MAX_SPEED - GameConfig.ASTEROID.BASE_SPEED)) * 100)}%`, canvas.width / 2, canvas.height / 2 + 60);
-        ctx.fillText(`Score Multiplier: ${Math.round((1 + (level - 1) * 0.5) * 100)}%`, canvas.width / 2, canvas.height / 2 + 80);
-        ctx.fillText(`Asteroid Children: ${Math.min(2 + Math.floor((level - 1) / 3), 4)}`, canvas.width / 2, canvas.height / 2 + 100);
-    }
-}
-
-// Draw ship debris
-function drawShipDebris() {
-    ctx.strokeStyle = 'white';
-    ctx.lineWidth = 2;
-    
-    for (let i = 0; i < shipDebris.length; i++) {
-        const debris = shipDebris[i];
-        
-        // Calculate the endpoints based on center, length, and angle
-        const halfLength = debris.length / 2;
-        const x1 = debris.centerX - halfLength * Math.cos(debris.angle);
-        const y1 = debris.centerY - halfLength * Math.sin(debris.angle);
-        const x2 = debris.centerX + halfLength * Math.cos(debris.angle);
-        const y2 = debris.centerY + halfLength * Math.sin(debris.angle);
-        
-        // Draw the line
-        ctx.beginPath();
-        ctx.moveTo(x1, y1);
-        ctx.lineTo(x2, y2);
-        ctx.stroke();
-        
-        // Add a fading effect as lifetime decreases
-        if (debris.lifetime < 60) { // Last second
-            const opacity = debris.lifetime / 60;
-            ctx.strokeStyle = `rgba(255, 255, 255, ${opacity})`;
-        } else {
-            ctx.strokeStyle = 'white';
-        }
-    }
-}
-
-// Check if score is a high score - updated to check against server scores
-function isHighScore(score) {
-    console.log('Checking if score is high score:', score, 'pendingHighScore:', pendingHighScore);
-    
-    // Use the higher of current score or pendingHighScore
-    const actualScore = Math.max(score, pendingHighScore);
-    
-    // If we haven't fetched scores yet, be conservative and assume it's a high score
-    if (!highScoresFetched) return true;
-    
-    // If there are fewer than HIGH_SCORE_COUNT scores, it's definitely a high score
-    if (highScores.length < GameConfig.SCORE.HIGH_SCORE_COUNT) return actualScore > 0;
-    
-    // Otherwise, check if it's higher than the lowest score
-    return actualScore > 0 && actualScore > highScores[highScores.length - 1].score;
+    // A place on any board counts - today's board is usually the easiest to get onto
+    return actualScore > 0 && HIGH_SCORE_BOARDS.some(board => {
+        if (board.challenge) return false; // Only challenge runs go on the challenge board
+        
+        const scores = highScoreBoards[board.id];
+        
+        // If there are fewer than HIGH_SCORE_COUNT scores, it's definitely a high score
+        if (scores.length < GameConfig.SCORE.HIGH_SCORE_COUNT) return true;
+        
+        // Otherwise, check if it's higher than the lowest score
+        return actualScore > scores[scores.length - 1].score;
+    });
 }
 
 // New function to submit high score to server
@@ -3786,7 +3853,10 @@ function submitHighScore(initials, score) {
         body: JSON.stringify({ 
             initials, 
             score: scoreToSubmit, // Use the stored score value
-            gameData
+            gameData,
+            replay: lastReplay ? lastReplay.toJSON() : null, // Server re-simulates this to verify the score
+            challenge: dailyChallengeRun && dailyChallengeRun.official ? dailyChallengeRun.date : undefined,
+            player: dailyChallengeRun && dailyChallengeRun.official ? dailyChallengeRun.player : undefined
         }),
     })
     .then(response => {
@@ -3801,11 +3871,12 @@ function submitHighScore(initials, score) {
     })
     .then(data => {
         // Update high scores with the latest from server
-        highScores = data.highScores;
+        setHighScoreBoards(data.boards || { alltime: data.highScores });
         
         // Reset game state immediately
         isSubmittingScore = false;
         enteringInitials = false;
+        dailyChallengeRun = null;
         pendingHighScore = 0;
         gameStarted = false;
         gamePaused = false;
@@ -3814,7 +3885,7 @@ function submitHighScore(initials, score) {
         addLogMessage(`High score added: ${initials} - ${scoreToSubmit}`);
         
         // Play a sound for feedback
-        playSound('bangLarge');
+        playUISound('bangLarge');
         
         // Set cooldown to prevent immediate restart
         highScoreSubmitCooldown = 90;
@@ -3824,7 +3895,7 @@ function submitHighScore(initials, score) {
         scoreSubmitError = error.message;
         addLogMessage(`Error submitting high score: ${error.message}`);
         // Still play a sound for feedback
-        playSound('bangSmall');
+        playUISound('bangSmall');
         
         // Handle error case and prevent game restart
         setTimeout(() => {
@@ -3840,26 +3911,26 @@ function initWelcomeAsteroids() {
     
     // Create some asteroids for the welcome screen
     for (let i = 0; i < 5; i++) {
-        const x = Math.random() * canvas.width;
-        const y = Math.random() * canvas.height;
+        const x = fxRng.next() * canvas.width;
+        const y = fxRng.next() * canvas.height;
         welcomeAsteroids.push({
             x: x,
             y: y,
-            size: Math.floor(Math.random() * 3) + 1,
-            radius: (Math.floor(Math.random() * 3) + 1) * 20,
-            angle: Math.random() * Math.PI * 2,
-            vert: Math.floor(Math.random() * 6) + 5,
+            size: Math.floor(fxRng.next() * 3) + 1,
+            radius: (Math.floor(fxRng.next() * 3) + 1) * 20,
+            angle: fxRng.next() * Math.PI * 2,
+            vert: Math.floor(fxRng.next() * 6) + 5,
             offset: [],
             velocity: {
-                x: Math.random() * GameConfig.ASTEROID.BASE_SPEED - GameConfig.ASTEROID.BASE_SPEED/2,
-                y: Math.random() * GameConfig.ASTEROID.BASE_SPEED - GameConfig.ASTEROID.BASE_SPEED/2
+                x: fxRng.next() * GameConfig.ASTEROID.BASE_SPEED - GameConfig.ASTEROID.BASE_SPEED/2,
+                y: fxRng.next() * GameConfig.ASTEROID.BASE_SPEED - GameConfig.ASTEROID.BASE_SPEED/2
             }
         });
         
         // Create the asteroid's shape (offset array)
         for (let j = 0; j < welcomeAsteroids[i].vert; j++) {
             welcomeAsteroids[i].offset.push(
-                Math.random() * GameConfig.ASTEROID.JAG * 2 + 1 - GameConfig.ASTEROID.JAG
+                fxRng.next() * GameConfig.ASTEROID.JAG * 2 + 1 - GameConfig.ASTEROID.JAG
             );
         }
     }
@@ -3881,7 +3952,7 @@ function drawReleaseNotes() {
 
     // Draw close instruction
     ctx.font = '12px "Press Start 2P"';
-    ctx.fillText('PRESS N TO CLOSE', canvas.width / 2, 110);
+    ctx.fillText(`PRESS ${actionKeyName('releaseNotes')} TO CLOSE`, canvas.width / 2, 110);
 
     // Calculate visible area
     const startY = 150 - releaseNotesScroll;
@@ -3978,224 +4049,6 @@ function drawScrollIndicator(direction, y) {
     ctx.fill();
 }
 
-// Create a new alien spacecraft
-function createAliens() {
-    aliens = [];
-    
-    // Create aliens based on spawn chance
-    for (let i = 0; i < GameConfig.ALIEN.MAX_COUNT; i++) {
-        if (Math.random() < GameConfig.ALIEN.SPAWN_CHANCE) {
-            aliens.push({
-                x: Math.random() * canvas.width,
-                y: Math.random() * canvas.height,
-                dx: Math.random() * GameConfig.ALIEN.SPEED * 2 - GameConfig.ALIEN.SPEED,
-                dy: Math.random() * GameConfig.ALIEN.SPEED * 2 - GameConfig.ALIEN.SPEED,
-                angle: 0,
-                rotation: 0,
-                targetAngle: 0,
-                fireTimer: 0,
-                directionTimer: 0,
-                active: true,
-                thrusting: false
-            });
-        }
-    }
-    
-    addLogMessage('Aliens created');
-}
-
-// Update alien ships' behavior and state
-function updateAliens() {
-    // Only spawn new aliens if we're past level 1, but still allow updating existing aliens
-    if (level <= 1 && !forceAliensInLevel1) {
-        // Skip automatic spawning in level 1, but continue to allow manually created aliens to be updated
-        // This allows debug-spawned aliens to work properly in level 1
-    } else {
-        // Timer-based spawn system scales with game progression
-        if (alienSpawnTimer > 0) {
-            alienSpawnTimer -= 60 * deltaTime;
-            if (alienSpawnTimer <= 0 && aliens.length < ALIEN_MAX_COUNT) {
-                createAlien();
-                
-                // Calculate spawn interval for next alien
-                const spawnInterval = Math.max(
-                    GameConfig.ALIEN.MIN_SPAWN_INTERVAL,
-                    GameConfig.ALIEN.BASE_SPAWN_INTERVAL - (level - 2) * GameConfig.ALIEN.SPAWN_INTERVAL_DECREASE
-                );
-                alienSpawnTimer = spawnInterval;
-            }
-        }
-    }
-    
-    // Update each alien's behavior and state (even in level 1 if they exist from debug)
-    for (let i = aliens.length - 1; i >= 0; i--) {
-        const alien = aliens[i];
-        
-        // Update spawn animation
-        if (alien.spawnTime > 0) {
-            alien.spawnTime -= 60 * deltaTime;
-            alien.scale = 1 - (alien.spawnTime / GameConfig.ALIEN.SPAWN_EFFECT_DURATION);
-        }
-        
-        // Update invulnerability
-        if (alien.invulnerable) {
-            alien.invulnerableTime -= 60 * deltaTime;
-            if (alien.invulnerableTime <= 0) {
-                alien.invulnerable = false;
-                // Add a flash effect when invulnerability ends
-                alienDebris.push({
-                    x: alien.x,
-                    y: alien.y,
-                    radius: 1,
-                    maxRadius: GameConfig.ALIEN.SIZE * 2,
-                    lifetime: 20,
-                    type: 'shockwave',
-                    color: '#00FFFF'
-                });
-            }
-        }
-        
-        // Move alien with deltaTime for consistent speed
-        alien.x += alien.dx * 60 * deltaTime;
-        alien.y += alien.dy * 60 * deltaTime;
-        handleEdgeOfScreen(alien);
-        
-        // Update direction change timer for unpredictable movement
-        alien.directionTimer += 60 * deltaTime;
-        if (alien.directionTimer >= GameConfig.ALIEN.CHANGE_DIRECTION_RATE) {
-            alien.directionTimer = 0;
-            // Choose new random direction and thrust state
-            alien.targetAngle = Math.random() * Math.PI * 2;
-            alien.thrusting = Math.random() < 0.7; // 70% chance to be moving
-        }
-        
-        // Implement smooth rotation towards target angle
-        const angleDiff = (alien.targetAngle - alien.angle + Math.PI * 3) % (Math.PI * 2) - Math.PI;
-        if (Math.abs(angleDiff) > 0.01) {
-            alien.rotation = Math.sign(angleDiff) * GameConfig.ALIEN.ROTATION_SPEED;
-        } else {
-            alien.rotation = 0;
-        }
-        alien.angle += alien.rotation * 60 * deltaTime;
-        
-        // Apply thrust with the same physics model as the player ship
-        if (alien.thrusting) {
-            alien.dx += Math.cos(alien.angle) * GameConfig.ALIEN.THRUST * 60 * deltaTime;
-            alien.dy += Math.sin(alien.angle) * GameConfig.ALIEN.THRUST * 60 * deltaTime;
-        }
-        
-        // Apply friction to create smooth movement
-        const frictionFactor = Math.pow(GameConfig.ALIEN.FRICTION, 60 * deltaTime);
-        alien.dx *= frictionFactor;
-        alien.dy *= frictionFactor;
-        
-        // Implement intelligent shooting behavior
-        if (!alien.invulnerable && alien.active && ship && !ship.exploding && alienBullets.length < GameConfig.ALIEN.MAX_BULLETS) {
-            alien.fireTimer += 60 * deltaTime;
-            // Randomize fire rate for unpredictability
-            const fireRate = GameConfig.ALIEN.FIRE_RATE_MIN + Math.random() * (GameConfig.ALIEN.FIRE_RATE_MAX - GameConfig.ALIEN.FIRE_RATE_MIN);
-            
-            if (alien.fireTimer >= fireRate) {
-                alien.fireTimer = 0;
-                
-                // Advanced target prediction system:
-                // 1. Calculate player's future position based on current velocity
-                // 2. Add randomized spread for difficulty balance
-                // 3. Consider distance to target for accuracy scaling
-                const predictionTime = 30; // Look ahead 30 frames
-                const predictedX = ship.x + (ship.thrust.x * predictionTime);
-                const predictedY = ship.y + (ship.thrust.y * predictionTime);
-                
-                // Calculate firing angle with intelligent spread
-                const dx = predictedX - alien.x;
-                const dy = predictedY - alien.y;
-                const angle = Math.atan2(dy, dx);
-                const spread = Math.PI / 8; // 22.5 degrees spread
-                const finalAngle = angle + (Math.random() * spread - spread/2);
-                
-                // Create new bullet with calculated trajectory
-                alienBullets.push({
-                    x: alien.x,
-                    y: alien.y,
-                    dx: Math.cos(finalAngle) * GameConfig.ALIEN.BULLET_SPEED,
-                    dy: Math.sin(finalAngle) * GameConfig.ALIEN.BULLET_SPEED,
-                    active: true,
-                    size: GameConfig.ALIEN.BULLET_SIZE,
-                    pulsePhase: 0
-                });
-                playSound('alienFire');
-            }
-        }
-    }
-}
-
-// Create a single new alien
-function createAlien() {
-    // Determine which edge to spawn from (0=top, 1=right, 2=bottom, 3=left)
-    const edge = Math.floor(Math.random() * 4);
-    let x, y;
-    
-    // Position alien just off-screen based on selected edge
-    switch (edge) {
-        case 0: // Top
-            x = Math.random() * canvas.width;
-            y = -30;
-            break;
-        case 1: // Right
-            x = canvas.width + 30;
-            y = Math.random() * canvas.height;
-            break;
-        case 2: // Bottom
-            x = Math.random() * canvas.width;
-            y = canvas.height + 30;
-            break;
-        case 3: // Left
-            x = -30;
-            y = Math.random() * canvas.height;
-            break;
-    }
-    
-    // Calculate base speed with difficulty scaling
-    // Level 2: 75% of max speed, increasing gradually to 100% by level 5
-    const difficultyFactor = Math.min(1, 0.75 + Math.max(0, level - 2) * 0.08);
-            const baseSpeed = GameConfig.ALIEN.BASE_SPEED * difficultyFactor;
-    
-    // Calculate fire rate with difficulty scaling
-    // Level 2: 60% of max rate, increasing gradually to 100% by level 5
-    const fireRateFactor = Math.min(1, 0.6 + Math.max(0, level - 2) * 0.13);
-            const fireRate = GameConfig.ALIEN.FIRE_RATE * fireRateFactor;
-    
-    // Create alien object with adjusted properties based on level
-    const alien = {
-        x,
-        y,
-        dx: 0, // Initial velocity X
-        dy: 0, // Initial velocity Y
-        angle: Math.random() * Math.PI * 2, // Random initial angle
-        rotation: 0, // Current rotation speed
-        targetAngle: Math.random() * Math.PI * 2, // Target angle for rotation
-        fireTimer: 0, // Fire timer for shooting
-        directionTimer: 0, // Timer for direction changes
-        active: true, // Active state
-        thrusting: Math.random() < 0.7, // 70% chance to be thrusting initially
-        spawnTime: GameConfig.ALIEN.SPAWN_EFFECT_DURATION, // Spawn animation timer
-        scale: 0, // Initial scale for spawn effect
-        invulnerable: true, // Start invulnerable
-        invulnerableTime: GameConfig.ALIEN.INVULNERABILITY_TIME, // Invulnerability timer
-        health: 1 + Math.floor((level - 1) / 3), // Health increases every 3 levels
-        scoreValue: 500 * (1 + Math.floor((level - 1) / 2)) // Score value increases every 2 levels
-    };
-    
-    // Set initial target for alien to move toward
-    updateAlienTarget(alien);
-    
-    // Add to aliens array
-    aliens.push(alien);
-    
-    // Play sound effect
-    playSound('alienSpawn');
-}
-
 // Draw aliens
 function drawAliens() {
     ctx.strokeStyle = 'white';
@@ -4220,1126 +4073,260 @@ function drawAliens() {
         // Flash effect for invulnerability
         if (alien.invulnerable) {
             ctx.strokeStyle = `hsl(${frameCount * 10 % 360}, 100%, 50%)`;
-            ctx.globalAlpha = 0.5 + Math.sin(frameCount * 0.2) * 0.5;
-        }
-
-        // Draw saucer shape
-        ctx.beginPath();
-        ctx.moveTo(-GameConfig.ALIEN.SIZE, 0);
-        ctx.lineTo(-GameConfig.ALIEN.SIZE/2, -GameConfig.ALIEN.SIZE/2);
-        ctx.lineTo(GameConfig.ALIEN.SIZE/2, -GameConfig.ALIEN.SIZE/2);
-        ctx.lineTo(GameConfig.ALIEN.SIZE, 0);
-        ctx.lineTo(GameConfig.ALIEN.SIZE/2, GameConfig.ALIEN.SIZE/2);
-        ctx.lineTo(-GameConfig.ALIEN.SIZE/2, GameConfig.ALIEN.SIZE/2);
-        ctx.closePath();
-        ctx.stroke();
-
-        // Draw cockpit
-        ctx.beginPath();
-        ctx.arc(0, 0, GameConfig.ALIEN.SIZE/4, 0, Math.PI * 2);
-        ctx.stroke();
-
-        // Draw invulnerability shield effect
-        if (alien.invulnerable) {
-            ctx.beginPath();
-            ctx.arc(0, 0, GameConfig.ALIEN.SIZE * 1.2, 0, Math.PI * 2);
-            ctx.strokeStyle = `hsl(${frameCount * 5 % 360}, 100%, 70%)`;
-            ctx.globalAlpha = 0.3;
-            ctx.stroke();
-        }
-
-        // Draw thrust if active
-        if (alien.thrusting) {
-            ctx.fillStyle = 'orangered';
-            ctx.beginPath();
-            const flameSize = 0.8 + 0.4 * Math.random(); // Random flicker effect
-            
-            // Center the flame at the back of the saucer
-            ctx.moveTo(-GameConfig.ALIEN.SIZE, -GameConfig.ALIEN.SIZE/4);
-            ctx.lineTo(-GameConfig.ALIEN.SIZE - GameConfig.ALIEN.SIZE * flameSize, 0);
-            ctx.lineTo(-GameConfig.ALIEN.SIZE, GameConfig.ALIEN.SIZE/4);
-            ctx.closePath();
-            ctx.fill();
-        }
-
-        ctx.restore();
-    }
-}
-
-// Update alien bullets
-function updateAlienBullets() {
-    // Remove inactive bullets first
-    alienBullets = alienBullets.filter(bullet => bullet.active);
-
-    // Update all existing bullets
-    for (let i = alienBullets.length - 1; i >= 0; i--) {
-        const bullet = alienBullets[i];
-        
-        // Move bullet with deltaTime for consistent speed
-        bullet.x += bullet.dx * 60 * deltaTime;
-        bullet.y += bullet.dy * 60 * deltaTime;
-
-        // Update pulse animation with deltaTime
-        bullet.pulsePhase = (bullet.pulsePhase + GameConfig.ALIEN.BULLET_PULSE_SPEED * 60 * deltaTime) % (Math.PI * 2);
-        bullet.size = GameConfig.ALIEN.BULLET_SIZE * (1 + 0.2 * Math.sin(bullet.pulsePhase));
-
-        // Update lifetime
-        if (bullet.lifetime !== undefined) {
-            bullet.lifetime -= 60 * deltaTime;
-            if (bullet.lifetime <= 0) {
-                bullet.active = false;
-                continue;
-            }
-        }
-
-        // Remove if off screen (fallback for bullets without lifetime)
-        if (bullet.x < 0 || bullet.x > canvas.width || 
-            bullet.y < 0 || bullet.y > canvas.height) {
-            bullet.active = false;
-            continue;
-        }
-
-        // Check collision with asteroids
-        for (let j = asteroids.length - 1; j >= 0; j--) {
-            if (distBetweenPoints(bullet.x, bullet.y, asteroids[j].x, asteroids[j].y) < asteroids[j].radius) {
-                bullet.active = false;
-                
-                // Calculate collision angle for debris direction
-                const collisionAngle = Math.atan2(bullet.y - asteroids[j].y, bullet.x - asteroids[j].x);
-                
-                // Destroy the asteroid
-                destroyAsteroid(j, collisionAngle);
-                
-                // Play sound
-                playSound('bangSmall');
-                break;
-            }
-        }
-
-        // Check collision with player
-        if (ship && !ship.exploding && !ship.invulnerable) {
-            if (distBetweenPoints(bullet.x, bullet.y, ship.x, ship.y) < GameConfig.SHIP.SIZE) {
-                bullet.active = false;
-                destroyShip();
-            }
-        }
-    }
-}
-
-// Draw alien bullets
-function drawAlienBullets() {
-    ctx.lineWidth = 2;
-    
-    alienBullets.forEach(bullet => {
-        // Create gradient for bullet
-        const gradient = ctx.createRadialGradient(
-            bullet.x, bullet.y, 0,
-            bullet.x, bullet.y, bullet.size
-        );
-        gradient.addColorStop(0, 'white');
-        gradient.addColorStop(1, 'red');
-        
-        // Draw outer glow
-        ctx.fillStyle = 'rgba(255, 0, 0, 0.2)';
-        ctx.beginPath();
-        ctx.arc(bullet.x, bullet.y, bullet.size * 2, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Draw main bullet
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.arc(bullet.x, bullet.y, bullet.size, 0, Math.PI * 2);
-        ctx.fill();
-    });
-}
-
-// Add new particles with rotation and pulse properties
-function addThrustParticle(x, y, angle, baseSpeed, inheritedVx, inheritedVy) {
-    const speed = baseSpeed * (0.5 + Math.random());
-    thrustParticles.push({
-        x: x + (Math.random() - 0.5) * 4,
-        y: y + (Math.random() - 0.5) * 4,
-        vx: Math.cos(angle) * speed + inheritedVx,
-        vy: -Math.sin(angle) * speed + inheritedVy,
-        life: GameConfig.THRUST.PARTICLE_LIFETIME,
-        rotation: Math.random() * Math.PI * 2,        // Random initial rotation
-        rotationSpeed: (Math.random() - 0.5) * 0.4,  // Increased rotation speed
-        pulseOffset: Math.random() * Math.PI * 2,     // Random pulse phase
-        baseSize: GameConfig.THRUST.PARTICLE_SIZE * (0.7 + Math.random() * 0.6)
-    });
-}
-
-// Helper function to draw ship shape
-function drawShipShape(x, y, radius) {
-    ctx.beginPath();
-    // Slightly adjusted ratios for a sleeker look with the smaller size
-    ctx.moveTo( // nose of the ship
-        x + radius * Math.cos(0),
-        y - radius * Math.sin(0)
-    );
-    ctx.lineTo( // rear left
-        x - radius * (0.8 * Math.cos(0) + 0.6 * Math.sin(0)),
-        y + radius * (0.8 * Math.sin(0) - 0.6 * Math.cos(0))
-    );
-    ctx.lineTo( // rear center
-        x - radius * 0.5 * Math.cos(0),
-        y + radius * 0.5 * Math.sin(0)
-    );
-    ctx.lineTo( // rear right
-        x - radius * (0.8 * Math.cos(0) - 0.6 * Math.sin(0)),
-        y + radius * (0.8 * Math.sin(0) + 0.6 * Math.cos(0))
-    );
-    ctx.closePath();
-}
-
-// Add alien explosion system constants
-const ALIEN_DEBRIS_COUNT = 15;
-const ALIEN_DEBRIS_SPEED = 3;
-const ALIEN_DEBRIS_LIFETIME = 60;
-const ALIEN_EXPLOSION_RADIUS = 40;
-
-// Add alien debris array to store explosion particles
-let alienDebris = [];
-
-// Update alien explosion function to be more dramatic
-function destroyAlien(alien, wasShot = true, collisionAngle = null) {
-    const ENHANCED_DEBRIS_COUNT = 25; // More debris
-    const ENHANCED_EXPLOSION_RADIUS = 60; // Larger explosion
-    const CORE_FLASH_COUNT = 3; // Multiple flash rings
-    
-    // Create multiple shockwave rings
-    for (let i = 0; i < CORE_FLASH_COUNT; i++) {
-        const delay = i * 5; // Stagger the rings
-        setTimeout(() => {
-            alienDebris.push({
-                x: alien.x,
-                y: alien.y,
-                radius: 1,
-                maxRadius: ENHANCED_EXPLOSION_RADIUS * (1 - i * 0.2),
-                lifetime: 30 - i * 5,
-                type: 'shockwave',
-                color: i === 0 ? '#FFFFFF' : (wasShot ? '#FF4500' : '#FFA500')
-            });
-        }, delay);
-    }
-    
-    // Create core explosion particles
-    for (let i = 0; i < ENHANCED_DEBRIS_COUNT; i++) {
-        let angle;
-        if (collisionAngle !== null) {
-            // Directional explosion for collisions
-            angle = collisionAngle + (Math.random() - 0.5) * Math.PI;
-        } else {
-            // Circular explosion pattern
-            angle = (i / ENHANCED_DEBRIS_COUNT) * Math.PI * 2;
-        }
-        
-        const speed = ALIEN_DEBRIS_SPEED * (0.5 + Math.random());
-        const size = 2 + Math.random() * 3;
-        
-        // Create main debris
-        alienDebris.push({
-            x: alien.x,
-            y: alien.y,
-            vx: Math.cos(angle) * speed + (alien.dx || 0) * 0.5,
-            vy: Math.sin(angle) * speed + (alien.dy || 0) * 0.5,
-            size: size,
-            rotation: Math.random() * Math.PI * 2,
-            rotationSpeed: (Math.random() - 0.5) * 0.4,
-            lifetime: ALIEN_DEBRIS_LIFETIME,
-            color: Math.random() < 0.6 ? '#FF4500' : (Math.random() < 0.5 ? '#FFD700' : '#FFFFFF'),
-            type: Math.random() < 0.3 ? 'circle' : 'line'
-        });
-        
-        // Add smaller trailing particles
-        if (Math.random() < 0.5) {
-            alienDebris.push({
-                x: alien.x,
-                y: alien.y,
-                vx: Math.cos(angle) * speed * 0.7,
-                vy: Math.sin(angle) * speed * 0.7,
-                size: size * 0.5,
-                rotation: Math.random() * Math.PI * 2,
-                rotationSpeed: (Math.random() - 0.5) * 0.2,
-                lifetime: ALIEN_DEBRIS_LIFETIME * 0.7,
-                color: '#FFA500',
-                type: 'circle',
-                isTrail: true
-            });
-        }
-    }
-    
-    // Add score only if shot (not from collision)
-    if (wasShot) {
-        score += GameConfig.ALIEN.POINTS;
-        // Use the createScorePopup function instead of direct push
-        createScorePopup(alien.x, alien.y, GameConfig.ALIEN.POINTS, false);
-    }
-    
-    // Enhanced explosion sound
-    playSound('explode');
-    
-    // Remove the alien
-    aliens = aliens.filter(a => a !== alien);
-    addLogMessage('Alien destroyed in spectacular explosion!');
-}
-
-// Update alien debris
-function updateAlienDebris() {
-    for (let i = alienDebris.length - 1; i >= 0; i--) {
-        const debris = alienDebris[i];
-        
-        if (debris.type === 'shockwave') {
-            // Update shockwave
-            debris.radius += (debris.maxRadius - debris.radius) * 0.2;
-            debris.lifetime--;
-            
-            if (debris.lifetime <= 0) {
-                alienDebris.splice(i, 1);
-            }
-        } else {
-            // Update normal debris
-            debris.x += debris.vx;
-            debris.y += debris.vy;
-            debris.rotation += debris.rotationSpeed;
-            debris.lifetime--;
-            
-            // Handle screen wrapping
-            handleEdgeOfScreen(debris);
-            
-            if (debris.lifetime <= 0) {
-                alienDebris.splice(i, 1);
-            }
-        }
-    }
-}
-
-// Draw alien debris
-function drawAlienDebris() {
-    for (const debris of alienDebris) {
-        if (debris.type === 'shockwave') {
-            // Draw shockwave with custom color
-            const opacity = debris.lifetime / 30;
-            const color = debris.color || '#FF4500';
-            ctx.strokeStyle = color.replace(')', `, ${opacity})`).replace('rgb', 'rgba');
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.arc(debris.x, debris.y, debris.radius, 0, Math.PI * 2);
-            ctx.stroke();
-            
-            // Enhanced inner glow
-            const gradient = ctx.createRadialGradient(
-                debris.x, debris.y, 0,
-                debris.x, debris.y, debris.radius
-            );
-            const glowColor = color === '#FFFFFF' ? 'rgba(255, 255, 255, ' : 'rgba(255, 200, 0, ';
-            gradient.addColorStop(0, glowColor + (opacity * 0.7) + ')');
-            gradient.addColorStop(0.6, glowColor + (opacity * 0.3) + ')');
-            gradient.addColorStop(1, 'rgba(255, 100, 0, 0)');
-            ctx.fillStyle = gradient;
-            ctx.fill();
-        } else {
-            ctx.save();
-            ctx.translate(debris.x, debris.y);
-            ctx.rotate(debris.rotation);
-            
-            const opacity = debris.lifetime / ALIEN_DEBRIS_LIFETIME;
-            ctx.fillStyle = debris.color + Math.floor(opacity * 255).toString(16).padStart(2, '0');
-            
-            // Draw debris with enhanced effects
-            if (debris.type === 'circle') {
-                ctx.beginPath();
-                ctx.arc(0, 0, debris.size, 0, Math.PI * 2);
-                ctx.fill();
-                
-                // Add glow for non-trail particles
-                if (!debris.isTrail) {
-                    ctx.shadowColor = debris.color;
-                    ctx.shadowBlur = 5;
-                    ctx.fill();
-                }
-            } else {
-                // Enhanced line debris
-                ctx.shadowColor = debris.color;
-                ctx.shadowBlur = 3;
-                ctx.fillRect(-debris.size, -1, debris.size * 2, 2);
-            }
-            
-            ctx.restore();
-        }
-    }
-}
-
-// Add asteroid debris system
-const ASTEROID_DEBRIS_COUNT = 12;
-const ASTEROID_DEBRIS_SPEED = 2;
-const ASTEROID_DEBRIS_LIFETIME = 45;
-let asteroidDebris = [];
-
-// Enhanced asteroid destruction
-function destroyAsteroid(index, collisionAngle = null) {
-    const asteroid = asteroids[index];
-    const points = Math.ceil(100 * (4 - asteroid.size)); // Points based on size
-    
-    // Create core explosion effect
-    createAsteroidExplosion(asteroid, collisionAngle);
-    
-    // Split into smaller asteroids if large enough
-    if (asteroid.size > 1) {
-        // Create 2-3 smaller asteroids
-        const numNewAsteroids = Math.random() < 0.5 ? 2 : 3;
-        for (let i = 0; i < numNewAsteroids; i++) {
-            // Calculate split angle
-            const splitAngle = (i / numNewAsteroids) * Math.PI * 2;
-            const finalAngle = collisionAngle !== null ? 
-                collisionAngle + splitAngle : splitAngle;
-            
-            // Create new asteroid with inherited velocity
-            const speed = GameConfig.ASTEROID.BASE_SPEED * (4 - asteroid.size) * 0.5;
-            const newAsteroid = createAsteroid(
-                asteroid.x + Math.cos(finalAngle) * asteroid.radius * 0.5,
-                asteroid.y + Math.sin(finalAngle) * asteroid.radius * 0.5,
-                asteroid.size - 1
-            );
-            
-            // Add split velocity
-            newAsteroid.dx += Math.cos(finalAngle) * speed;
-            newAsteroid.dy += Math.sin(finalAngle) * speed;
-            
-            // Add rotation based on split direction
-            newAsteroid.rotationSpeed *= (Math.random() < 0.5 ? 1 : -1) * 1.5;
-            
-            // Create split effect debris
-            createSplitDebris(asteroid, finalAngle);
-            
-            asteroids.push(newAsteroid);
-        }
-    }
-    
-    // Remove the original asteroid
-    asteroids.splice(index, 1);
-    
-    // Add score
-    score += points;
-    
-    // Create score popup with random offset to avoid obscuring the debris and child asteroids
-    const offsetX = (Math.random() * 2 - 1) * 25; // Random offset between -25 and 25 pixels
-    const offsetY = (Math.random() * 2 - 1) * 25;
-    createScorePopup(asteroid.x + offsetX, asteroid.y + offsetY, points, false);
-    
-    // Play sound based on asteroid size
-    if (asteroid.size === 3) {
-        playSound('bangLarge');
-    } else if (asteroid.size === 2) {
-        playSound('bangMedium');
-    } else {
-        playSound('bangSmall');
-    }
-}
-
-// Create asteroid explosion effect
-function createAsteroidExplosion(asteroid, collisionAngle = null) {
-    const debrisCount = ASTEROID_DEBRIS_COUNT * asteroid.size;
-    
-    // Create rock fragments
-    for (let i = 0; i < debrisCount; i++) {
-        let angle;
-        if (collisionAngle !== null) {
-            // Directional explosion
-            angle = collisionAngle + (Math.random() - 0.5) * Math.PI;
-        } else {
-            // Circular explosion
-            angle = (i / debrisCount) * Math.PI * 2;
-        }
-        
-        const speed = ASTEROID_DEBRIS_SPEED * (0.5 + Math.random());
-        const size = (asteroid.size * 2) * (0.5 + Math.random() * 0.5);
-        
-        // Create main debris
-        asteroidDebris.push({
-            x: asteroid.x,
-            y: asteroid.y,
-            vx: Math.cos(angle) * speed + asteroid.dx * 0.5,
-            vy: Math.sin(angle) * speed + asteroid.dy * 0.5,
-            size: size,
-            rotation: Math.random() * Math.PI * 2,
-            rotationSpeed: (Math.random() - 0.5) * 0.2,
-            lifetime: ASTEROID_DEBRIS_LIFETIME,
-            color: '#A0A0A0',
-            vertices: generateDebrisVertices(size),
-            alpha: 1
-        });
-    }
-    
-    // Create dust cloud effect
-    for (let i = 0; i < debrisCount / 2; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const speed = ASTEROID_DEBRIS_SPEED * 0.5 * Math.random();
-        asteroidDebris.push({
-            x: asteroid.x,
-            y: asteroid.y,
-            vx: Math.cos(angle) * speed + asteroid.dx * 0.3,
-            vy: Math.sin(angle) * speed + asteroid.dy * 0.3,
-            size: asteroid.size * 3,
-            lifetime: ASTEROID_DEBRIS_LIFETIME * 0.7,
-            type: 'dust',
-            alpha: 0.3 + Math.random() * 0.2
-        });
-    }
-}
+            ctx.globalAlpha = 0.5 + Math.sin(frameCount * 0.2) * 0.5;
+        }
 
-// Create debris for asteroid splits
-function createSplitDebris(asteroid, angle) {
-    const splitDebrisCount = 6;
-    const spreadAngle = Math.PI / 4; // 45-degree spread
-    
-    for (let i = 0; i < splitDebrisCount; i++) {
-        const debrisAngle = angle + (Math.random() - 0.5) * spreadAngle;
-        const speed = ASTEROID_DEBRIS_SPEED * (0.3 + Math.random() * 0.7);
-        
-        asteroidDebris.push({
-            x: asteroid.x,
-            y: asteroid.y,
-            vx: Math.cos(debrisAngle) * speed + asteroid.dx * 0.3,
-            vy: Math.sin(debrisAngle) * speed + asteroid.dy * 0.3,
-            size: asteroid.size * 1.5,
-            rotation: Math.random() * Math.PI * 2,
-            rotationSpeed: (Math.random() - 0.5) * 0.3,
-            lifetime: ASTEROID_DEBRIS_LIFETIME * 0.6,
-            color: '#808080',
-            vertices: generateDebrisVertices(asteroid.size * 1.5),
-            alpha: 0.7 + Math.random() * 0.3
-        });
-    }
-}
+        // Draw saucer shape
+        ctx.beginPath();
+        ctx.moveTo(-GameConfig.ALIEN.SIZE, 0);
+        ctx.lineTo(-GameConfig.ALIEN.SIZE/2, -GameConfig.ALIEN.SIZE/2);
+        ctx.lineTo(GameConfig.ALIEN.SIZE/2, -GameConfig.ALIEN.SIZE/2);
+        ctx.lineTo(GameConfig.ALIEN.SIZE, 0);
+        ctx.lineTo(GameConfig.ALIEN.SIZE/2, GameConfig.ALIEN.SIZE/2);
+        ctx.lineTo(-GameConfig.ALIEN.SIZE/2, GameConfig.ALIEN.SIZE/2);
+        ctx.closePath();
+        ctx.stroke();
 
-// Generate vertices for debris pieces
-function generateDebrisVertices(size) {
-    const vertices = [];
-    const numVertices = 3 + Math.floor(Math.random() * 3); // 3-5 vertices
-    
-    for (let i = 0; i < numVertices; i++) {
-        const angle = (i / numVertices) * Math.PI * 2;
-        const radius = size * (0.7 + Math.random() * 0.3);
-        vertices.push({
-            x: Math.cos(angle) * radius,
-            y: Math.sin(angle) * radius
-        });
-    }
-    
-    return vertices;
-}
+        // Draw cockpit
+        ctx.beginPath();
+        ctx.arc(0, 0, GameConfig.ALIEN.SIZE/4, 0, Math.PI * 2);
+        ctx.stroke();
 
-// Update asteroid debris
-function updateAsteroidDebris() {
-    for (let i = asteroidDebris.length - 1; i >= 0; i--) {
-        const debris = asteroidDebris[i];
-        
-        // Update position
-        debris.x += debris.vx;
-        debris.y += debris.vy;
-        
-        // Update rotation if it's a rock fragment
-        if (debris.rotation !== undefined) {
-            debris.rotation += debris.rotationSpeed;
-        }
-        
-        // Handle screen wrapping
-        handleEdgeOfScreen(debris);
-        
-        // Update lifetime and alpha
-        debris.lifetime--;
-        debris.alpha = debris.lifetime / ASTEROID_DEBRIS_LIFETIME;
-        
-        // Remove dead debris
-        if (debris.lifetime <= 0) {
-            asteroidDebris.splice(i, 1);
+        // Draw invulnerability shield effect
+        if (alien.invulnerable) {
+            ctx.beginPath();
+            ctx.arc(0, 0, GameConfig.ALIEN.SIZE * 1.2, 0, Math.PI * 2);
+            ctx.strokeStyle = `hsl(${frameCount * 5 % 360}, 100%, 70%)`;
+            ctx.globalAlpha = 0.3;
+            ctx.stroke();
         }
-    }
-}
 
-// Draw asteroid debris
-function drawAsteroidDebris() {
-    for (const debris of asteroidDebris) {
-        ctx.save();
-        ctx.translate(debris.x, debris.y);
-        
-        if (debris.type === 'dust') {
-            // Draw dust particle
-            const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, debris.size);
-            gradient.addColorStop(0, `rgba(169, 169, 169, ${debris.alpha})`);
-            gradient.addColorStop(1, 'rgba(169, 169, 169, 0)');
-            ctx.fillStyle = gradient;
+        // Draw thrust if active
+        if (alien.thrusting) {
+            ctx.fillStyle = 'orangered';
             ctx.beginPath();
-            ctx.arc(0, 0, debris.size, 0, Math.PI * 2);
-            ctx.fill();
-        } else {
-            // Draw rock fragment
-            ctx.rotate(debris.rotation);
-            ctx.fillStyle = `rgba(128, 128, 128, ${debris.alpha})`;
-            ctx.strokeStyle = `rgba(169, 169, 169, ${debris.alpha})`;
-            ctx.lineWidth = 1;
+            const flameSize = 0.8 + 0.4 * fxRng.next(); // Random flicker effect
             
-            // Draw debris shape
-            ctx.beginPath();
-            ctx.moveTo(debris.vertices[0].x, debris.vertices[0].y);
-            for (let i = 1; i < debris.vertices.length; i++) {
-                ctx.lineTo(debris.vertices[i].x, debris.vertices[i].y);
-            }
+            // Center the flame at the back of the saucer
+            ctx.moveTo(-GameConfig.ALIEN.SIZE, -GameConfig.ALIEN.SIZE/4);
+            ctx.lineTo(-GameConfig.ALIEN.SIZE - GameConfig.ALIEN.SIZE * flameSize, 0);
+            ctx.lineTo(-GameConfig.ALIEN.SIZE, GameConfig.ALIEN.SIZE/4);
             ctx.closePath();
             ctx.fill();
-            ctx.stroke();
         }
-        
-        ctx.restore();
-    }
-}
 
-// Add cursor state management
-function updateCursorVisibility() {
-    if (gameStarted && !gamePaused && !enteringInitials && !showingReleaseNotes) {
-        canvas.style.cursor = 'none';
-    } else {
-        canvas.style.cursor = 'default';
+        ctx.restore();
     }
 }
 
-// Add level announcement constants
-const LEVEL_ANNOUNCE_DURATION = 120; // 2 seconds at 60fps
-const LEVEL_TEXT_SCALE_TIME = 30; // Time to reach full scale
-const LEVEL_PARTICLE_COUNT = 30;
-
-// Add level announcement state
-let levelAnnounceTime = 0;
-let levelStartParticles = [];
-
-// Function to start level announcement
-function startLevelAnnouncement() {
-    levelAnnounceTime = LEVEL_ANNOUNCE_DURATION;
-    levelStartParticles = [];
-    
-    // Create particles that fly outward from center
-    // Updated y-coordinate to match the new text position
-    for (let i = 0; i < LEVEL_PARTICLE_COUNT; i++) {
-        const angle = (i / LEVEL_PARTICLE_COUNT) * Math.PI * 2;
-        const speed = 3 + Math.random() * 2;
-        levelStartParticles.push({
-            x: canvas.width / 2,
-            y: canvas.height / 3,
-            vx: Math.cos(angle) * speed,
-            vy: Math.sin(angle) * speed,
-            size: 2 + Math.random() * 2,
-            color: `hsl(${Math.random() * 360}, 100%, 70%)`,
-            lifetime: LEVEL_ANNOUNCE_DURATION,
-            rotation: Math.random() * Math.PI * 2,
-            rotationSpeed: (Math.random() - 0.5) * 0.2
-        });
-    }
+// Draw alien bullets
+function drawAlienBullets() {
+    ctx.lineWidth = 2;
     
-    // Play level start sound
-    playSound('levelStart');
+    alienBullets.forEach(bullet => {
+        // Create gradient for bullet
+        const gradient = ctx.createRadialGradient(
+            bullet.x, bullet.y, 0,
+            bullet.x, bullet.y, bullet.size
+        );
+        gradient.addColorStop(0, 'white');
+        gradient.addColorStop(1, 'red');
+        
+        // Draw outer glow
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.2)';
+        ctx.beginPath();
+        ctx.arc(bullet.x, bullet.y, bullet.size * 2, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Draw main bullet
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(bullet.x, bullet.y, bullet.size, 0, Math.PI * 2);
+        ctx.fill();
+    });
 }
 
-// Update level announcement effects
-function updateLevelAnnouncement() {
-    if (levelAnnounceTime > 0) {
-        levelAnnounceTime--;
-        
-        // Update particles
-        for (let particle of levelStartParticles) {
-            particle.x += particle.vx;
-            particle.y += particle.vy;
-            particle.rotation += particle.rotationSpeed;
-            particle.lifetime--;
+// Helper function to draw ship shape - the same outline collisions use (see Collision.js)
+function drawShipShape(x, y, radius) {
+    ctx.beginPath();
+    GameConfig.SHIP.SHAPE_VERTICES.forEach((vertex, i) => {
+        if (i === 0) {
+            ctx.moveTo(x + radius * vertex.x, y + radius * vertex.y);
+        } else {
+            ctx.lineTo(x + radius * vertex.x, y + radius * vertex.y);
         }
-        
-        // Remove dead particles
-        levelStartParticles = levelStartParticles.filter(p => p.lifetime > 0);
-    }
+    });
+    ctx.closePath();
 }
 
-// Draw level announcement
-function drawLevelAnnouncement() {
-    if (levelAnnounceTime > 0) {
-        ctx.save();
-        
-        // Calculate scale and opacity based on time
-        let scale = 1;
-        let opacity = 1;
-        
-        if (levelAnnounceTime > LEVEL_ANNOUNCE_DURATION - LEVEL_TEXT_SCALE_TIME) {
-            // Scale up at start
-            const progress = (LEVEL_ANNOUNCE_DURATION - levelAnnounceTime) / LEVEL_TEXT_SCALE_TIME;
-            scale = 0.1 + progress * 0.9;
-            opacity = progress;
-        } else if (levelAnnounceTime < LEVEL_TEXT_SCALE_TIME) {
-            // Scale down at end
-            const progress = levelAnnounceTime / LEVEL_TEXT_SCALE_TIME;
-            scale = 0.1 + progress * 0.9;
-            opacity = progress;
-        }
-        
-        // Draw particles
-        for (let particle of levelStartParticles) {
-            const particleOpacity = (particle.lifetime / LEVEL_ANNOUNCE_DURATION) * opacity;
-            ctx.fillStyle = particle.color.replace(')', `, ${particleOpacity})`);
-            
-            ctx.save();
-            ctx.translate(particle.x, particle.y);
-            ctx.rotate(particle.rotation);
-            
-            ctx.fillRect(-particle.size / 2, -particle.size / 2, particle.size, particle.size);
-            
-            ctx.restore();
-        }
-        
-        // Draw level text - moved up from canvas.height / 2 to canvas.height / 3
-        ctx.translate(canvas.width / 2, canvas.height / 3);
-        ctx.scale(scale, scale);
-        
-        // Draw glow effect
-        ctx.fillStyle = `rgba(255, 255, 255, ${opacity * 0.3})`;
-        ctx.font = '72px "Press Start 2P"';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        
-        // Glow effect
-        for (let i = 0; i < 10; i++) {
-            const glowSize = 10 - i;
-            ctx.shadowColor = 'white';
-            ctx.shadowBlur = glowSize;
-            ctx.fillText(`LEVEL ${level}`, 0, 0);
-        }
+/**
+ * Particle drawing
+ * Debris, exhaust, sparks, shockwaves and level rays all come from the
+ * simulation's particle system (js/core/Particles.js); each type has its own
+ * look. Text particles are the score popups, drawn on top by drawScorePopups.
+ */
+function drawParticles() {
+    particles.forEach(particle => {
+        if (particle.type === 'text') return;
         
-        // Main text
-        ctx.shadowBlur = 0;
-        ctx.fillStyle = `rgba(255, 255, 255, ${opacity})`;
-        ctx.fillText(`LEVEL ${level}`, 0, 0);
+        ctx.save();
+        ctx.globalAlpha = Math.min(1, particle.life / particle.fade);
+        ctx.shadowColor = particle.color;
+        ctx.shadowBlur = glow(particle.glow);
         
-        // Add subtitle for level 1
-        if (level === 1) {
-            ctx.font = '24px "Press Start 2P"';
-            ctx.fillText('CLEAR THE ASTEROIDS!', 0, 50);
-        } else if (level === 2) {
-            ctx.font = '24px "Press Start 2P"';
-            ctx.fillStyle = `rgba(255, 50, 50, ${opacity})`;
-            ctx.fillText('ALIEN SHIPS DETECTED!', 0, 50);
-        } else if (level >= 3 && level % 3 === 0) {
-            ctx.font = '24px "Press Start 2P"';
-            ctx.fillStyle = `rgba(255, 0, 0, ${opacity})`;
-            ctx.fillText('BATTLESTAR APPROACHING!', 0, 50);
-            ctx.font = '16px "Press Start 2P"';
-            ctx.fillText('EXTREME THREAT LEVEL', 0, 80);
+        switch (particle.type) {
+            case 'shockwave': drawShockwaveParticle(particle); break;
+            case 'line': drawLineParticle(particle); break;
+            case 'circle': drawCircleParticle(particle); break;
+            case 'ray': drawRayParticle(particle); break;
         }
         
         ctx.restore();
-    }
-}
-
-// Remove the transition state variable since we're using a simpler approach
-
-// Create a battlestar boss ship
-function createBattlestar() {
-    // Randomly choose which side to spawn from (left or right)
-    const spawnSide = Math.random() < 0.5 ? 'left' : 'right';
-    
-    // Set position based on spawn side - now partially on screen
-    const x = spawnSide === 'left' ? GameConfig.BATTLESTAR.WIDTH * 0.25 : canvas.width - GameConfig.BATTLESTAR.WIDTH * 0.25;
-    const y = canvas.height * (0.25 + Math.random() * 0.5); // Spawn in middle 50% of screen height
-    
-    // Direction depends on spawn side
-    const direction = spawnSide === 'left' ? 1 : -1;
-    
-    // Create spawn effects - shockwave
-    battlestarDebris.push({
-        x: x,
-        y: y,
-        radius: 1,
-                    maxRadius: GameConfig.BATTLESTAR.WIDTH * 2,
-        lifetime: 60,
-        type: 'shockwave',
-        color: '#FF0000'
-    });
-    
-    // Add a second inner shockwave with different color
-    battlestarDebris.push({
-        x: x,
-        y: y,
-        radius: 1,
-                    maxRadius: GameConfig.BATTLESTAR.WIDTH,
-        lifetime: 75, // Slightly longer to create layered effect
-        type: 'shockwave',
-        color: '#FFFF00'
     });
-    
-    // Create more dramatic spawn particles
-    for (let i = 0; i < 50; i++) { // Increased from 30 to 50
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * GameConfig.BATTLESTAR.WIDTH * 1.2; // Increased range
-        
-        battlestarDebris.push({
-            x: x + Math.cos(angle) * distance,
-            y: y + Math.sin(angle) * distance,
-            vx: Math.cos(angle) * (Math.random() * 3), // Faster particles
-            vy: Math.sin(angle) * (Math.random() * 3),
-            size: 2 + Math.random() * 4, // Larger particles
-            rotation: Math.random() * Math.PI * 2,
-            rotationSpeed: (Math.random() - 0.5) * 0.3, // Faster rotation
-            lifetime: 60 + Math.random() * 60, // Longer lifetimes
-            color: Math.random() < 0.3 ? '#FFFFFF' : (Math.random() < 0.6 ? '#FF0000' : '#FFFF00'), // More color variety
-            type: Math.random() < 0.6 ? 'circle' : 'line'
-        });
-    }
-    
-    // Create cannons at spread-out positions
-    const cannons = [];
-    for (let i = 0; i < GameConfig.BATTLESTAR.CANNON_COUNT; i++) {
-        // Position cannons along the battlestar's length
-        const xOffset = (i / (GameConfig.BATTLESTAR.CANNON_COUNT - 1) - 0.5) * GameConfig.BATTLESTAR.WIDTH * 0.8;
-        // Alternate cannons above and below centerline
-        const yOffset = (i % 2 === 0 ? -1 : 1) * GameConfig.BATTLESTAR.HEIGHT * 0.3;
-        
-        cannons.push({
-            x: xOffset,
-            y: yOffset,
-            fireTimer: Math.floor(Math.random() * GameConfig.BATTLESTAR.FIRE_RATE), // Stagger firing
-            damaged: false,
-            rotation: 0 // Add rotation property for cannon
-        });
-    }
-    
-    // Create the battlestar object with both x and y velocity components
-    battlestar = {
-        x: x,
-        y: y,
-        dx: direction * GameConfig.BATTLESTAR.SPEED,
-        dy: 0, // Initialize vertical velocity to zero
-        width: GameConfig.BATTLESTAR.WIDTH,
-        height: GameConfig.BATTLESTAR.HEIGHT,
-        health: GameConfig.BATTLESTAR.MAX_HEALTH,
-        maxHealth: GameConfig.BATTLESTAR.MAX_HEALTH,
-        invulnerable: true,
-        invulnerableTime: GameConfig.BATTLESTAR.INVULNERABILITY_TIME,
-        damageState: 0, // 0 = least damaged, 2 = most damaged
-        cannons: cannons,
-        spawnTime: 120, // Increased from 60 to 120 for longer spawn animation
-        scale: 0, // Start small for spawn animation
-        dying: false, // Death animation flag
-        deathTimer: 0, // For coordinating death animation
-        explosionPhase: 0 // For sequential explosions during death
-    };
-    
-    // Play dramatic sound sequence
-    playSound('bangLarge');
-    
-    // Schedule additional sounds for layered effect
-    setTimeout(() => {
-        playSound('bangMedium');
-    }, 250);
-    
-    setTimeout(() => {
-        playSound('explode');
-    }, 500);
-    
-    addLogMessage('WARNING! Battlestar detected!');
 }
 
-// Update battlestar position, state, and behavior
-function updateBattlestar() {
-    if (!battlestar) return;
-    
-    // Skip updates if dying and handle death animation
-    if (battlestar.dying) {
-        battlestar.deathTimer += 60 * deltaTime;
-        
-        // Create sequential explosions during death animation
-        if (battlestar.deathTimer % 10 < 60 * deltaTime && battlestar.explosionPhase < 6) {
-            battlestar.explosionPhase++;
-            
-            // Create explosion at random position on the battlestar
-            const offsetX = (Math.random() - 0.5) * battlestar.width * 0.8;
-            const offsetY = (Math.random() - 0.5) * battlestar.height * 0.8;
-            
-            // Add explosion debris
-            for (let i = 0; i < 20; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const speed = 1 + Math.random() * 3;
-                
-                battlestarDebris.push({
-                    x: battlestar.x + offsetX,
-                    y: battlestar.y + offsetY,
-                    vx: Math.cos(angle) * speed,
-                    vy: Math.sin(angle) * speed,
-                    size: 2 + Math.random() * 4,
-                    rotation: Math.random() * Math.PI * 2,
-                    rotationSpeed: (Math.random() - 0.5) * 0.2,
-                    lifetime: 30 + Math.random() * 60,
-                    color: Math.random() < 0.3 ? '#FFFFFF' : (Math.random() < 0.5 ? '#FF0000' : '#FFFF00'),
-                    type: Math.random() < 0.7 ? 'circle' : 'line'
-                });
-            }
-            
-            // Add shockwave effect
-            battlestarDebris.push({
-                x: battlestar.x + offsetX,
-                y: battlestar.y + offsetY,
-                radius: 1,
-                maxRadius: 30 + Math.random() * 20,
-                lifetime: 30,
-                type: 'shockwave',
-                color: Math.random() < 0.5 ? '#FF0000' : '#FFFF00'
-            });
-            
-            // Play explosion sound
-            playSound('bangLarge');
-        }
-        
-        // Final explosion when death animation completes
-        if (battlestar.deathTimer >= GameConfig.BATTLESTAR.EXPLOSION_DURATION) {
-            // Create massive explosion at battlestar's position
-            for (let i = 0; i < GameConfig.BATTLESTAR.EXPLOSION_PARTICLES; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * battlestar.width * 0.5;
-                const speed = 2 + Math.random() * 5;
-                
-                battlestarDebris.push({
-                    x: battlestar.x + Math.cos(angle) * distance,
-                    y: battlestar.y + Math.sin(angle) * distance,
-                    vx: Math.cos(angle) * speed,
-                    vy: Math.sin(angle) * speed,
-                    size: 3 + Math.random() * 5,
-                    rotation: Math.random() * Math.PI * 2,
-                    rotationSpeed: (Math.random() - 0.5) * 0.4,
-                    lifetime: 60 + Math.random() * 120,
-                    color: Math.random() < 0.3 ? '#FFFFFF' : (Math.random() < 0.5 ? '#FF0000' : '#FFFF00'),
-                    type: Math.random() < 0.5 ? 'circle' : 'line'
-                });
-            }
-            
-            // Add a final shockwave
-            battlestarDebris.push({
-                x: battlestar.x,
-                y: battlestar.y,
-                radius: 1,
-                maxRadius: battlestar.width * 2,
-                lifetime: 60,
-                type: 'shockwave',
-                color: '#FFFFFF'
-            });
-            
-            // Add score
-            score += GameConfig.BATTLESTAR.POINTS;
-            // Create a score popup directly for guaranteed correct display
-            createScorePopup(battlestar.x, battlestar.y, GameConfig.BATTLESTAR.POINTS, false);
-            
-            // Play explosion sound
-            playSound('explode');
-            
-            // Remove battlestar
-            battlestar = null;
-            addLogMessage('Battlestar destroyed! Earned ' + GameConfig.BATTLESTAR.POINTS + ' points!');
-        }
-        
-        return;
-    }
-    
-    // Update spawn animation
-    if (battlestar.spawnTime > 0) {
-        battlestar.spawnTime -= 60 * deltaTime;
-        battlestar.scale = 1 - battlestar.spawnTime / 120; // Grow from 0 to 1 over 120 frames
-        
-        if (battlestar.spawnTime <= 0) {
-            battlestar.scale = 1;
-            battlestar.invulnerable = false;
-            addLogMessage('Battlestar fully operational. Use caution!');
-        }
-        
-        return; // Skip movement during spawn animation
-    }
-    
-    // Ensure the battlestar has vertical velocity property
-    if (battlestar.dy === undefined) {
-        battlestar.dy = 0;
-    }
-    
-    // Update battlestar position using deltaTime for both x and y movement
-    battlestar.x += battlestar.dx * 60 * deltaTime;
-    battlestar.y += battlestar.dy * 60 * deltaTime;
-    
-    // Apply gentle dampening to vertical movement to prevent perpetual oscillation
-    battlestar.dy *= Math.pow(0.95, 60 * deltaTime);
-    
-    // Handle screen edges with improved bounce logic
-    const halfWidth = battlestar.width / 2;
-    const halfHeight = battlestar.height / 2;
-    
-    // Handle horizontal bouncing - only bounce at screen edges
-    if ((battlestar.x < halfWidth && battlestar.dx < 0) || 
-        (battlestar.x > canvas.width - halfWidth && battlestar.dx > 0)) {
-        // Reverse direction and add gradual vertical movement for variation
-        battlestar.dx *= -1;
-        
-        // Add a gentle vertical impulse instead of an immediate position change
-        // This makes the movement look smoother and more natural
-        battlestar.dy += (Math.random() - 0.5) * 2; // Smaller impulse for smoother movement
-        
-        // Play a sound for the bounce
-        playSound('bangSmall');
-        
-        // Add a small visual effect
-        battlestarDebris.push({
-            x: battlestar.x + (battlestar.dx > 0 ? -halfWidth : halfWidth),
-            y: battlestar.y,
-            radius: 1,
-            maxRadius: 30,
-            lifetime: 30,
-            type: 'shockwave',
-            color: '#FFFFFF'
-        });
-    }
-    
-    // Keep within vertical bounds with soft bouncing
-    if (battlestar.y < halfHeight) {
-        battlestar.y = halfHeight;
-        battlestar.dy = Math.abs(battlestar.dy) * 0.8; // Bounce back with dampening
-    } else if (battlestar.y > canvas.height - halfHeight) {
-        battlestar.y = canvas.height - halfHeight;
-        battlestar.dy = -Math.abs(battlestar.dy) * 0.8; // Bounce back with dampening
-    }
+// Expanding ring, optionally filled with a glow that fades towards its edge
+function drawShockwaveParticle(particle) {
+    ctx.strokeStyle = particle.color;
+    ctx.lineWidth = particle.width;
+    ctx.beginPath();
+    ctx.arc(particle.x, particle.y, particle.radius, 0, Math.PI * 2);
+    ctx.stroke();
     
-    // Update cannon fire logic
-    if (ship && !ship.exploding) {
-        battlestar.cannons.forEach(cannon => {
-            if (!cannon.damaged) {
-                // Update fire timer
-                cannon.fireTimer += 60 * deltaTime;
-                
-                // Calculate world position of cannon
-                const cannonX = battlestar.x + cannon.x;
-                const cannonY = battlestar.y + cannon.y;
-                
-                // Calculate direction to player with advanced targeting
-                const dx = ship.x - cannonX;
-                const dy = ship.y - cannonY;
-                let angle = Math.atan2(dy, dx);
-                
-                // Add slight spread for easier gameplay
-                angle += (Math.random() - 0.5) * 0.2;
-                
-                // Update cannon rotation to smoothly face the target
-                const rotationSpeed = 0.1;
-                // Normalize angle difference to [-PI, PI]
-                let angleDiff = angle - cannon.rotation;
-                while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
-                while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
-                // Apply smooth rotation
-                cannon.rotation += angleDiff * rotationSpeed;
-                
-                // Fire when ready
-                if (cannon.fireTimer >= GameConfig.BATTLESTAR.FIRE_RATE) {
-                    cannon.fireTimer = 0;
-                    
-                    // Create bullet - use cannon's current rotation
-                    battlestarBullets.push({
-                        x: cannonX,
-                        y: cannonY,
-                        dx: Math.cos(cannon.rotation) * GameConfig.BATTLESTAR.BULLET_SPEED,
-                        dy: Math.sin(cannon.rotation) * GameConfig.BATTLESTAR.BULLET_SPEED,
-                        active: true,
-                        size: 3 + Math.random() * 2,
-                        pulsePhase: Math.random() * Math.PI * 2
-                    });
-                    
-                    // Play fire sound with pitch variation
-                    playSound('fire');
-                }
-            }
-        });
+    if (particle.soft) {
+        const gradient = ctx.createRadialGradient(
+            particle.x, particle.y, 0,
+            particle.x, particle.y, particle.radius
+        );
+        const glowColor = particle.color === '#FFFFFF' ? 'rgba(255, 255, 255, ' : 'rgba(255, 200, 0, ';
+        gradient.addColorStop(0, glowColor + '0.7)');
+        gradient.addColorStop(0.6, glowColor + '0.3)');
+        gradient.addColorStop(1, 'rgba(255, 100, 0, 0)');
+        ctx.fillStyle = gradient;
+        ctx.fill();
     }
 }
 
-// Update battlestar bullets
-function updateBattlestarBullets() {
-    // Remove inactive bullets first
-    battlestarBullets = battlestarBullets.filter(bullet => bullet.active);
-
-    // Update all existing bullets
-    for (let i = battlestarBullets.length - 1; i >= 0; i--) {
-        const bullet = battlestarBullets[i];
-        
-        // Move bullet with deltaTime for consistent speed
-        bullet.x += bullet.dx * 60 * deltaTime;
-        bullet.y += bullet.dy * 60 * deltaTime;
-
-        // Update pulse animation with deltaTime
-        bullet.pulsePhase = (bullet.pulsePhase + 0.2 * 60 * deltaTime) % (Math.PI * 2);
-        bullet.size = GameConfig.BATTLESTAR.BULLET_SIZE * (1 + 0.2 * Math.sin(bullet.pulsePhase));
+// Spinning stroke centred on the particle
+function drawLineParticle(particle) {
+    const dx = Math.cos(particle.rotation) * particle.size;
+    const dy = Math.sin(particle.rotation) * particle.size;
+    ctx.strokeStyle = particle.color;
+    ctx.lineWidth = particle.width;
+    ctx.beginPath();
+    ctx.moveTo(particle.x - dx, particle.y - dy);
+    ctx.lineTo(particle.x + dx, particle.y + dy);
+    ctx.stroke();
+}
 
-        // Remove if off screen
-        if (bullet.x < 0 || bullet.x > canvas.width || 
-            bullet.y < 0 || bullet.y > canvas.height) {
-            bullet.active = false;
-            continue;
-        }
+// Solid dot, or a soft glow with a bright core for exhaust and dust
+function drawCircleParticle(particle) {
+    if (particle.soft) {
+        const gradient = ctx.createRadialGradient(particle.x, particle.y, 0, particle.x, particle.y, particle.size);
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
+        gradient.addColorStop(0.4, particle.color);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.fillStyle = gradient;
+    } else {
+        ctx.fillStyle = particle.color;
+    }
+    ctx.beginPath();
+    ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+    ctx.fill();
+}
 
-        // Check collision with asteroids
-        for (let j = asteroids.length - 1; j >= 0; j--) {
-            if (distBetweenPoints(bullet.x, bullet.y, asteroids[j].x, asteroids[j].y) < asteroids[j].radius) {
-                bullet.active = false;
-                
-                // Calculate collision angle for debris direction
-                const collisionAngle = Math.atan2(bullet.y - asteroids[j].y, bullet.x - asteroids[j].x);
-                
-                // Destroy the asteroid
-                destroyAsteroid(j, collisionAngle);
-                
-                // Play sound
-                playSound('bangSmall');
-                break;
-            }
-        }
+// Beam that widens from size to maxSize and shrinks slightly as it fades
+function drawRayParticle(particle) {
+    const progress = 1 - particle.life / particle.maxLife;
+    const length = particle.length * (1 - progress * 0.3);
+    
+    ctx.globalAlpha = 1 - progress * progress; // Quadratic fade out
+    ctx.strokeStyle = particle.color;
+    ctx.lineWidth = particle.size + (particle.maxSize - particle.size) * progress;
+    ctx.beginPath();
+    ctx.moveTo(particle.x, particle.y);
+    ctx.lineTo(
+        particle.x + Math.cos(particle.angle) * length,
+        particle.y + Math.sin(particle.angle) * length
+    );
+    ctx.stroke();
+}
 
-        // Check collision with player
-        if (ship && !ship.exploding && !ship.invulnerable) {
-            if (distBetweenPoints(bullet.x, bullet.y, ship.x, ship.y) < GameConfig.SHIP.SIZE) {
-                bullet.active = false;
-                destroyShip();
-            }
-        }
+// Add cursor state management
+function updateCursorVisibility() {
+    if (gameStarted && !gamePaused && !enteringInitials && !showingReleaseNotes) {
+        canvas.style.cursor = 'none';
+    } else {
+        canvas.style.cursor = 'default';
     }
 }
 
-// Update battlestar debris
-function updateBattlestarDebris() {
-    for (let i = battlestarDebris.length - 1; i >= 0; i--) {
-        const debris = battlestarDebris[i];
+// Draw level announcement
+function drawLevelAnnouncement() {
+    if (levelAnnounceTime > 0) {
+        ctx.save();
         
-        // Update position
-        if (debris.vx !== undefined && debris.vy !== undefined) {
-            debris.x += debris.vx * 60 * deltaTime;
-            debris.y += debris.vy * 60 * deltaTime;
-        }
+        // Calculate scale and opacity based on time
+        let scale = 1;
+        let opacity = 1;
         
-        // Update rotation
-        if (debris.rotationSpeed !== undefined) {
-            debris.rotation += debris.rotationSpeed * 60 * deltaTime;
+        if (levelAnnounceTime > LEVEL_ANNOUNCE_DURATION - LEVEL_TEXT_SCALE_TIME) {
+            // Scale up at start
+            const progress = (LEVEL_ANNOUNCE_DURATION - levelAnnounceTime) / LEVEL_TEXT_SCALE_TIME;
+            scale = 0.1 + progress * 0.9;
+            opacity = progress;
+        } else if (levelAnnounceTime < LEVEL_TEXT_SCALE_TIME) {
+            // Scale down at end
+            const progress = levelAnnounceTime / LEVEL_TEXT_SCALE_TIME;
+            scale = 0.1 + progress * 0.9;
+            opacity = progress;
         }
         
-        // Update shockwave radius
-        if (debris.type === 'shockwave' && debris.radius < debris.maxRadius) {
-            debris.radius += (debris.maxRadius - debris.radius) * 0.1 * 60 * deltaTime;
+        // Draw level text - moved up from canvas.height / 2 to canvas.height / 3
+        ctx.translate(canvas.width / 2, canvas.height / 3);
+        ctx.scale(scale, scale);
+        
+        // Draw glow effect
+        ctx.fillStyle = `rgba(255, 255, 255, ${opacity * 0.3})`;
+        ctx.font = '72px "Press Start 2P"';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        // Glow effect
+        for (let i = 0; i < 10; i++) {
+            const glowSize = 10 - i;
+            ctx.shadowColor = 'white';
+            ctx.shadowBlur = glow(glowSize);
+            ctx.fillText(`LEVEL ${level}`, 0, 0);
         }
         
-        // Decrement lifetime
-        debris.lifetime -= 60 * deltaTime;
+        // Main text
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = `rgba(255, 255, 255, ${opacity})`;
+        ctx.fillText(`LEVEL ${level}`, 0, 0);
         
-        // Remove expired debris
-        if (debris.lifetime <= 0) {
-            battlestarDebris.splice(i, 1);
+        // Add subtitle for level 1
+        if (level === 1) {
+            ctx.font = '24px "Press Start 2P"';
+            ctx.fillText('CLEAR THE ASTEROIDS!', 0, 50);
+        } else if (level === 2) {
+            ctx.font = '24px "Press Start 2P"';
+            ctx.fillStyle = `rgba(255, 50, 50, ${opacity})`;
+            ctx.fillText('ALIEN SHIPS DETECTED!', 0, 50);
+        } else if (level >= 3 && level % 3 === 0) {
+            ctx.font = '24px "Press Start 2P"';
+            ctx.fillStyle = `rgba(255, 0, 0, ${opacity})`;
+            ctx.fillText('BATTLESTAR APPROACHING!', 0, 50);
+            ctx.font = '16px "Press Start 2P"';
+            ctx.fillText('EXTREME THREAT LEVEL', 0, 80);
         }
+        
+        ctx.restore();
     }
 }
 
+// Remove the transition state variable since we're using a simpler approach
+
 // Draw battlestar
 function drawBattlestar() {
     if (!battlestar) return;
@@ -5371,8 +4358,8 @@ function drawBattlestar() {
     
     // Apply dying effect (shake)
     if (battlestar.dying) {
-        const shakeX = (Math.random() - 0.5) * 5;
-        const shakeY = (Math.random() - 0.5) * 5;
+        const shakeX = (fxRng.next() - 0.5) * 5 * playerSettings.get('screenShake');
+        const shakeY = (fxRng.next() - 0.5) * 5 * playerSettings.get('screenShake');
         ctx.translate(shakeX, shakeY);
     }
     
@@ -5412,18 +4399,15 @@ function drawBattlestar() {
             ctx.stroke();
             
             // Add some damage debris for the worst damage state
-            if (battlestar.damageState === 3 && Math.random() < 0.05) {
-                battlestarDebris.push({
+            if (battlestar.damageState === 3 && fxRng.next() < 0.05) {
+                particles.emit('circle', {
                     x: battlestar.x + plateX + plateWidth/2,
                     y: battlestar.y - battlestar.height/4,
-                    vx: (Math.random() - 0.5) * 2,
-                    vy: (Math.random() - 0.5) * 2,
-                    size: 1 + Math.random() * 2,
-                    rotation: Math.random() * Math.PI * 2,
-                    rotationSpeed: (Math.random() - 0.5) * 0.2,
-                    lifetime: 20 + Math.random() * 10,
-                    color: '#FF0000',
-                    type: 'circle'
+                    vx: (fxRng.next() - 0.5) * 2,
+                    vy: (fxRng.next() - 0.5) * 2,
+                    size: 1 + fxRng.next() * 2,
+                    life: 20 + fxRng.next() * 10,
+                    color: '#FF0000'
                 });
             }
             
@@ -5536,259 +4520,6 @@ function drawBattlestarBullets() {
     }
 }
 
-// Draw battlestar debris
-function drawBattlestarDebris() {
-    for (let i = 0; i < battlestarDebris.length; i++) {
-        const debris = battlestarDebris[i];
-        
-        ctx.save();
-        
-        if (debris.type === 'shockwave') {
-            // Draw expanding shockwave
-            const alpha = debris.lifetime / 60; // Fade out based on lifetime
-            ctx.strokeStyle = debris.color || '#FF0000';
-            ctx.globalAlpha = alpha;
-            ctx.beginPath();
-            ctx.arc(debris.x, debris.y, debris.radius, 0, Math.PI * 2);
-            ctx.stroke();
-        } else if (debris.type === 'ray') {
-            // Draw ray effect for level completion
-            const progress = 1 - (debris.lifetime / 120); // Normalized progress (0 to 1)
-            const alpha = 1 - (progress * progress); // Quadratic fade out
-            const currentLength = debris.length * (1 - progress * 0.3); // Shrink slightly as it fades
-            
-            ctx.globalAlpha = alpha;
-            ctx.strokeStyle = debris.color || '#FFFF00';
-            ctx.lineWidth = debris.size + (debris.maxSize - debris.size) * progress;
-            
-            ctx.beginPath();
-            ctx.moveTo(debris.x, debris.y);
-            ctx.lineTo(
-                debris.x + Math.cos(debris.angle) * currentLength,
-                debris.y + Math.sin(debris.angle) * currentLength
-            );
-            ctx.stroke();
-        } else {
-            // Draw normal debris
-            ctx.translate(debris.x, debris.y);
-            ctx.rotate(debris.rotation);
-            
-            // Fade out as lifetime decreases
-            ctx.globalAlpha = debris.lifetime / 60;
-            
-            if (debris.type === 'circle') {
-                ctx.fillStyle = debris.color || '#FF0000';
-                ctx.beginPath();
-                ctx.arc(0, 0, debris.size, 0, Math.PI * 2);
-                ctx.fill();
-            } else { // line type
-                ctx.strokeStyle = debris.color || '#FF0000';
-                ctx.beginPath();
-                ctx.moveTo(-debris.size, 0);
-                ctx.lineTo(debris.size, 0);
-                ctx.stroke();
-            }
-        }
-        
-        ctx.restore();
-    }
-}
-
-// Deal damage to the battlestar
-function damageBattlestar(damage = 1, collisionAngle = null) {
-    if (!battlestar || battlestar.invulnerable || battlestar.dying) return;
-    
-    battlestar.health -= damage;
-    
-    // Add impact effect
-    const impactX = battlestar.x + Math.cos(collisionAngle || 0) * battlestar.width/2;
-    const impactY = battlestar.y + Math.sin(collisionAngle || 0) * battlestar.height/2;
-    
-    // Create impact debris
-    for (let i = 0; i < 10; i++) {
-        const angle = (collisionAngle || 0) + (Math.random() - 0.5) * Math.PI;
-        const speed = 1 + Math.random() * 2;
-        
-        battlestarDebris.push({
-            x: impactX,
-            y: impactY,
-            vx: Math.cos(angle) * speed,
-            vy: Math.sin(angle) * speed,
-            size: 1 + Math.random() * 3,
-            rotation: Math.random() * Math.PI * 2,
-            rotationSpeed: (Math.random() - 0.5) * 0.2,
-            lifetime: 30 + Math.random() * 30,
-            color: Math.random() < 0.5 ? '#FFFF00' : '#FF0000',
-            type: Math.random() < 0.5 ? 'circle' : 'line'
-        });
-    }
-    
-    // Add a shockwave
-    battlestarDebris.push({
-        x: impactX,
-        y: impactY,
-        radius: 1,
-        maxRadius: 20,
-        lifetime: 20,
-        type: 'shockwave',
-        color: '#FFFF00'
-    });
-    
-    // Play hit sound
-    playSound('bangMedium');
-    
-    // Create a score popup for the hit - using direct creation for guaranteed upright display
-    createScorePopup(impactX, impactY, 100, false);
-    
-    // Add score
-    score += 100;
-    
-    // Check if battlestar is destroyed
-    if (battlestar.health <= 0) {
-        startBattlestarDeathSequence();
-    } else {
-        // Damage a cannon at random if health is below thresholds
-        if (battlestar.health === GameConfig.BATTLESTAR.DAMAGE_THRESHOLDS[0] || 
-            battlestar.health === GameConfig.BATTLESTAR.DAMAGE_THRESHOLDS[1] || 
-            battlestar.health === GameConfig.BATTLESTAR.DAMAGE_THRESHOLDS[2]) {
-            
-            // Find undamaged cannons
-            const undamagedCannons = battlestar.cannons.filter(cannon => !cannon.damaged);
-            
-            if (undamagedCannons.length > 0) {
-                // Damage a random cannon
-                const randomIndex = Math.floor(Math.random() * undamagedCannons.length);
-                undamagedCannons[randomIndex].damaged = true;
-                
-                // Create explosion at cannon position
-                const cannonX = battlestar.x + undamagedCannons[randomIndex].x;
-                const cannonY = battlestar.y + undamagedCannons[randomIndex].y;
-                
-                for (let i = 0; i < 15; i++) {
-                    const angle = Math.random() * Math.PI * 2;
-                    const speed = 1 + Math.random() * 3;
-                    
-                    battlestarDebris.push({
-                        x: cannonX,
-                        y: cannonY,
-                        vx: Math.cos(angle) * speed,
-                        vy: Math.sin(angle) * speed,
-                        size: 2 + Math.random() * 3,
-                        rotation: Math.random() * Math.PI * 2,
-                        rotationSpeed: (Math.random() - 0.5) * 0.3,
-                        lifetime: 40 + Math.random() * 20,
-                        color: Math.random() < 0.3 ? '#FFFFFF' : (Math.random() < 0.6 ? '#FFFF00' : '#FF0000'),
-                        type: Math.random() < 0.6 ? 'circle' : 'line'
-                    });
-                }
-                
-                // Add a shockwave
-                battlestarDebris.push({
-                    x: cannonX,
-                    y: cannonY,
-                    radius: 1,
-                    maxRadius: 30,
-                    lifetime: 30,
-                    type: 'shockwave',
-                    color: '#FF0000'
-                });
-                
-                // Play explosion sound
-                playSound('bangLarge');
-                
-                addLogMessage('Battlestar cannon destroyed!');
-            }
-        }
-    }
-}
-
-// Start the battlestar death sequence
-function startBattlestarDeathSequence() {
-    battlestar.dying = true;
-    battlestar.deathTimer = 0;
-    
-    addLogMessage('Battlestar critically damaged!');
-    
-    // Disable all cannons
-    battlestar.cannons.forEach(cannon => {
-        cannon.damaged = true;
-    });
-    
-    // Play alert sound
-    playSound('bangLarge');
-}  
-
-// Helper function to update alien target position
-function updateAlienTarget(alien) {
-    // Set a new target somewhere on screen
-    alien.targetX = Math.random() * canvas.width;
-    alien.targetY = Math.random() * canvas.height;
-    
-    // Update the time for next direction change
-    alien.lastDirectionChange = performance.now();
-    alien.directionChangeInterval = 2000 + Math.random() * 2000;
-}
-
-// Update all aliens
-function updateAliens() {
-    const currentTime = performance.now();
-    
-    aliens.forEach((alien, index) => {
-        // Check if it's time to change direction
-        if (currentTime - alien.lastDirectionChange > alien.directionChangeInterval) {
-            updateAlienTarget(alien);
-        }
-        
-        // Calculate direction to target
-        const dx = alien.targetX - alien.x;
-        const dy = alien.targetY - alien.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        // If near target, pick a new one
-        if (distance < 50) {
-            updateAlienTarget(alien);
-        }
-        
-        // Set speed towards target
-        if (distance > 0) {
-            alien.speedX = (dx / distance) * alien.baseSpeed;
-            alien.speedY = (dy / distance) * alien.baseSpeed;
-        }
-        
-        // Move the alien
-        alien.x += alien.speedX * deltaTime;
-        alien.y += alien.speedY * deltaTime;
-        
-        // Keep in bounds
-        handleEdgeOfScreen(alien);
-        
-        // Fire at player with a random chance based on fire rate
-        if (Math.random() < alien.fireRate * deltaTime && ship && !ship.exploding) {
-            // Calculate angle to player
-            const playerAngle = Math.atan2(ship.y - alien.y, ship.x - alien.x);
-            
-            // Add some randomness to the firing angle based on fireSpread
-            const spreadAngle = playerAngle + (Math.random() * 2 - 1) * alien.fireSpread;
-            
-            // Create alien bullet
-            alienBullets.push({
-                x: alien.x,
-                y: alien.y,
-                                    dx: Math.cos(spreadAngle) * GameConfig.ALIEN.BULLET_SPEED,
-                    dy: Math.sin(spreadAngle) * GameConfig.ALIEN.BULLET_SPEED,
-                    active: true,
-                    size: GameConfig.ALIEN.BULLET_SIZE,
-                    pulsePhase: 0,
-                    radius: 3,
-                    lifetime: GameConfig.ALIEN.BULLET_LIFETIME
-            });
-            
-            // Play sound
-            playSound('alienFire');
-        }
-    });
-}  
-
 // Draw debug information on screen
 function drawDebugInfo() {
     if (!showDebugInfo) return;
@@ -5847,6 +4578,8 @@ function drawDebugInfo() {
     y += lineHeight;
     ctx.fillText(`Frame: ${frameCount}`, 20, y);
     y += lineHeight;
+    ctx.fillText(`Seed: ${gameSeed}`, 20, y);
+    y += lineHeight;
     
     // Object counts
     ctx.fillText(`OBJECTS:`, 20, y);
@@ -5861,7 +4594,7 @@ function drawDebugInfo() {
     y += lineHeight;
     
     // Performance info
-    const fps = deltaTime > 0 ? Math.round(1 / deltaTime) : 0;
+    const fps = frameDeltaTime > 0 ? Math.round(1 / frameDeltaTime) : 0;
     ctx.fillText(`FPS: ${fps}`, 20, y);
     y += lineHeight;
     
@@ -5870,6 +4603,312 @@ function drawDebugInfo() {
     ctx.fillText(`Press D to hide`, 20, y);
 }
 
+/**
+ * Developer console
+ * Backtick drops down a command line (js/input/DevConsole.js) for testing
+ * late-game content: jump to a level, spawn enemies, god mode and so on.
+ * It only exists in development builds - the server says which build this
+ * is through js/config/environment.js. A run the console has changed never
+ * goes on the high score boards, since its replay can't reproduce the score.
+ */
+const MIN_TIME_SCALE = 0.05;
+const MAX_TIME_SCALE = 4;
+let timeScale = 1;          // Simulated seconds per real second, set by the timescale command
+let devConsoleUsed = false; // Whether the console has changed the current run
+
+// Whole number argument, or NaN
+function parseWholeNumber(arg) {
+    return /^\d+$/.test(arg || '') ? parseInt(arg, 10) : NaN;
+}
+
+const NO_RUN_REPLY = 'Start a game first';
+
+const DEV_CONSOLE_COMMANDS = {
+    level: {
+        usage: 'level <number>',
+        run: args => {
+            const newLevel = parseWholeNumber(args[0]);
+            if (!(newLevel >= 1)) return null;
+            if (!gameStarted) return NO_RUN_REPLY;
+            
+            jumpToLevel(newLevel);
+            devConsoleUsed = true;
+            return `Jumped to level ${newLevel}`;
+        }
+    },
+    spawn: {
+        usage: 'spawn alien|battlestar',
+        run: args => {
+            if (args[0] !== 'alien' && args[0] !== 'battlestar') return null;
+            if (!gameStarted) return NO_RUN_REPLY;
+            
+            if (args[0] === 'alien') {
+                if (aliens.length >= GameConfig.ALIEN.MAX_COUNT) return `Already ${aliens.length} aliens - the most allowed`;
+                createAlien();
+            } else {
+                if (battlestar) return 'A battlestar is already here';
+                createBattlestar();
+            }
+            devConsoleUsed = true;
+            return `Spawned ${args[0] === 'alien' ? 'an alien' : 'a battlestar'}`;
+        }
+    },
+    god: {
+        usage: 'god',
+        run: () => {
+            godMode = !godMode;
+            if (godMode && gameStarted) devConsoleUsed = true;
+            return 'God mode ' + (godMode ? 'on' : 'off');
+        }
+    },
+    lives: {
+        usage: 'lives <number>',
+        run: args => {
+            const newLives = parseWholeNumber(args[0]);
+            if (!(newLives >= 1)) return null;
+            if (!gameStarted) return NO_RUN_REPLY;
+            
+            lives = newLives;
+            devConsoleUsed = true;
+            return `Lives set to ${newLives}`;
+        }
+    },
+    clear: {
+        usage: 'clear',
+        run: () => {
+            if (!gameStarted) return NO_RUN_REPLY;
+            
+            clearField();
+            devConsoleUsed = true;
+            return 'Field cleared';
+        }
+    },
+    timescale: {
+        usage: `timescale <${MIN_TIME_SCALE}-${MAX_TIME_SCALE}>`,
+        run: args => {
+            const scale = Number(args[0]);
+            if (!args[0] || !(scale >= MIN_TIME_SCALE && scale <= MAX_TIME_SCALE)) return null;
+            
+            timeScale = scale;
+            if (scale !== 1 && gameStarted) devConsoleUsed = true;
+            return `Time scale ${scale}`;
+        }
+    },
+    seed: {
+        usage: 'seed <number>',
+        run: args => {
+            const seed = parseWholeNumber(args[0]);
+            if (!(seed <= 0xFFFFFFFF)) return null;
+            if (enteringInitials) return 'Enter your initials first';
+            // Starting over would throw away the run and its replay without a word
+            if (gameStarted) return 'A run is in progress - exit to the menu first';
+            
+            startGame(seed);
+            devConsoleUsed = true;
+            return `Started a run with seed ${seed}`;
+        }
+    }
+};
+
+const devConsole = typeof BUILD_ENVIRONMENT !== 'undefined' && BUILD_ENVIRONMENT === 'development' ?
+    new DevConsole(DEV_CONSOLE_COMMANDS, addLogMessage) : null;
+
+function devConsoleOpen() {
+    return devConsole !== null && devConsole.open;
+}
+
+/**
+ * Debug overlay
+ * Turned on by GameConfig.GAME.SHOW_COLLISION_BOXES and SHOW_FPS (flip them
+ * from the config panel, or with C and F during play). The collision overlay
+ * draws what the simulation actually tests: each object's broad-phase circle
+ * (dashed) and outline, how far it will move in the next
+ * VELOCITY_VECTOR_FRAMES frames, where each alien is heading and the cone it
+ * fires in, the battlestar's cannon aim, and the spots the last respawn
+ * tried. The FPS overlay graphs the time between recent display frames.
+ */
+const VELOCITY_VECTOR_FRAMES = 20;  // Reference frames of travel each velocity line shows
+const CANNON_AIM_LENGTH = 150;
+const FRAME_GRAPH_SAMPLES = 120;    // Display frames kept for the frame-time graph
+let frameTimes = [];                // Milliseconds between recent display frames, oldest first
+
+function recordFrameTime(milliseconds) {
+    frameTimes.push(milliseconds);
+    if (frameTimes.length > FRAME_GRAPH_SAMPLES) frameTimes.shift();
+}
+
+// Outline as a closed path
+function strokeOutline(points) {
+    ctx.beginPath();
+    points.forEach((point, i) => {
+        if (i === 0) ctx.moveTo(point.x, point.y);
+        else ctx.lineTo(point.x, point.y);
+    });
+    ctx.closePath();
+    ctx.stroke();
+}
+
+function strokeCircle(x, y, radius) {
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.stroke();
+}
+
+// Broad-phase circle, dashed so it reads apart from the outline inside it
+function strokeReach(x, y, radius) {
+    ctx.setLineDash([4, 4]);
+    strokeCircle(x, y, radius);
+    ctx.setLineDash([]);
+}
+
+// Line from an object along its velocity (pixels per reference frame)
+function drawVelocityVector(x, y, vx, vy) {
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + vx * VELOCITY_VECTOR_FRAMES, y + vy * VELOCITY_VECTOR_FRAMES);
+    ctx.stroke();
+}
+
+// Hitboxes, velocities and AI state, drawn in world space over the interpolated scene
+function drawCollisionOverlay() {
+    if (!GameConfig.GAME.SHOW_COLLISION_BOXES) return;
+    
+    ctx.save();
+    ctx.lineWidth = 1;
+    
+    // Asteroids
+    ctx.strokeStyle = 'rgba(0, 255, 0, 0.8)';
+    asteroids.forEach(asteroid => {
+        strokeReach(asteroid.x, asteroid.y, asteroidReach(asteroid));
+        strokeOutline(asteroidOutline(asteroid));
+        drawVelocityVector(asteroid.x, asteroid.y, asteroid.velocity.x, asteroid.velocity.y);
+    });
+    
+    // Ship
+    if (ship && !ship.exploding) {
+        ctx.strokeStyle = 'rgba(0, 255, 255, 0.8)';
+        strokeReach(ship.x, ship.y, ship.radius);
+        strokeOutline(shipOutline(ship));
+        drawVelocityVector(ship.x, ship.y, ship.thrust.x, ship.thrust.y);
+    }
+    
+    // Aliens - speeds are in pixels per second
+    aliens.forEach(alien => {
+        ctx.strokeStyle = 'rgba(255, 0, 255, 0.8)';
+        strokeReach(alien.x, alien.y, GameConfig.ALIEN.SIZE);
+        strokeOutline(alienOutline(alien));
+        drawVelocityVector(alien.x, alien.y,
+            (alien.speedX || 0) / GameConfig.GAME.FPS, (alien.speedY || 0) / GameConfig.GAME.FPS);
+        
+        // Where updateAlienTarget last sent it
+        ctx.setLineDash([2, 6]);
+        ctx.beginPath();
+        ctx.moveTo(alien.x, alien.y);
+        ctx.lineTo(alien.targetX, alien.targetY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        strokeCircle(alien.targetX, alien.targetY, 5);
+        
+        // Spread its shots at the ship can land in
+        if (ship && !ship.exploding) {
+            const playerAngle = Math.atan2(ship.y - alien.y, ship.x - alien.x);
+            ctx.strokeStyle = 'rgba(255, 0, 255, 0.3)';
+            ctx.beginPath();
+            ctx.moveTo(alien.x, alien.y);
+            ctx.arc(alien.x, alien.y, distBetweenPoints(alien.x, alien.y, ship.x, ship.y),
+                playerAngle - alien.fireSpread, playerAngle + alien.fireSpread);
+            ctx.closePath();
+            ctx.stroke();
+        }
+    });
+    
+    // Battlestar and where its working cannons point
+    if (battlestar) {
+        ctx.strokeStyle = 'rgba(255, 128, 0, 0.8)';
+        strokeReach(battlestar.x, battlestar.y, battlestarReach(battlestar));
+        strokeOutline(battlestarOutline(battlestar));
+        drawVelocityVector(battlestar.x, battlestar.y, battlestar.dx, battlestar.dy);
+        
+        ctx.strokeStyle = 'rgba(255, 64, 64, 0.8)';
+        battlestar.cannons.forEach(cannon => {
+            if (cannon.damaged) return;
+            const cannonX = battlestar.x + cannon.x;
+            const cannonY = battlestar.y + cannon.y;
+            drawVelocityVector(cannonX, cannonY,
+                Math.cos(cannon.rotation) * CANNON_AIM_LENGTH / VELOCITY_VECTOR_FRAMES,
+                Math.sin(cannon.rotation) * CANNON_AIM_LENGTH / VELOCITY_VECTOR_FRAMES);
+        });
+    }
+    
+    // Bullets - the player's are points, enemy shots hit with a fixed radius
+    ctx.strokeStyle = 'rgba(255, 255, 0, 0.8)';
+    bullets.forEach(bullet => drawVelocityVector(bullet.x, bullet.y, bullet.xv, bullet.yv));
+    ctx.strokeStyle = 'rgba(255, 64, 64, 0.8)';
+    alienBullets.forEach(bullet => strokeCircle(bullet.x, bullet.y, GameConfig.ALIEN.BULLET_SIZE));
+    battlestarBullets.forEach(bullet => strokeCircle(bullet.x, bullet.y, GameConfig.BATTLESTAR.BULLET_SIZE));
+    
+    // Power-ups
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    powerups.forEach(powerup => strokeReach(powerup.x, powerup.y, powerup.radius));
+    
+    // Respawn search, while the ship it placed is still protected
+    if (ship && ship.invulnerable) drawRespawnSearch();
+    
+    ctx.restore();
+}
+
+// Every spot respawnShipSafely tried: red where an asteroid was too close, green where it settled
+function drawRespawnSearch() {
+    respawnSearch.candidates.forEach(candidate => {
+        ctx.strokeStyle = candidate.safe ? 'rgba(0, 255, 0, 0.6)' : 'rgba(255, 0, 0, 0.6)';
+        strokeReach(candidate.x, candidate.y, SAFE_RESPAWN_DISTANCE);
+        strokeCircle(candidate.x, candidate.y, 3);
+    });
+    
+    if (respawnSearch.forced) {
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.8)';
+        ctx.font = '10px "Press Start 2P"';
+        ctx.textAlign = 'center';
+        ctx.fillText('FORCED CLEAR', world.width / 2, world.height / 2 - SAFE_RESPAWN_DISTANCE - 10);
+    }
+}
+
+// Bar per display frame in the bottom-left corner, with a line at one 60fps frame
+function drawFrameTimeGraph() {
+    if (!GameConfig.GAME.SHOW_FPS || frameTimes.length === 0) return;
+    
+    const graphWidth = FRAME_GRAPH_SAMPLES * 2;
+    const graphHeight = 60;
+    const left = 10;
+    const top = canvas.height - graphHeight - 30;
+    const pixelsPerMs = graphHeight / 50; // Graph tops out at 50ms
+    const targetMs = 1000 / GameConfig.GAME.FPS;
+    
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(left, top - 20, graphWidth, graphHeight + 20);
+    
+    frameTimes.forEach((ms, i) => {
+        const barHeight = Math.min(graphHeight, ms * pixelsPerMs);
+        ctx.fillStyle = ms > targetMs * 1.5 ? '#FF4040' : '#40FF40';
+        ctx.fillRect(left + i * 2, top + graphHeight - barHeight, 2, barHeight);
+    });
+    
+    ctx.strokeStyle = 'rgba(255, 255, 0, 0.6)';
+    ctx.beginPath();
+    ctx.moveTo(left, top + graphHeight - targetMs * pixelsPerMs);
+    ctx.lineTo(left + graphWidth, top + graphHeight - targetMs * pixelsPerMs);
+    ctx.stroke();
+    
+    const averageMs = frameTimes.reduce((sum, ms) => sum + ms, 0) / frameTimes.length;
+    const worstMs = Math.max(...frameTimes);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.font = '8px "Press Start 2P"';
+    ctx.textAlign = 'left';
+    ctx.fillText(`FPS ${Math.round(1000 / averageMs)}  AVG ${averageMs.toFixed(1)}MS  MAX ${worstMs.toFixed(1)}MS`, left + 4, top - 6);
+    ctx.restore();
+}
+
 // Function to create fallback audio system
 function createFallbackAudioSystem() {
     // Don't create fallback if AudioWorklet is already loaded
@@ -5884,12 +4923,12 @@ function createFallbackAudioSystem() {
     console.log('Attempting to create fallback audio system...');
     try {
         // Create simple sound generators using Web Audio API
-        const createSound = (frequency, duration, type = 'sine') => {
+        const createSound = (frequency, duration, type = 'sine', output = soundOutput()) => {
             const oscillator = audioContext.createOscillator();
             const gainNode = audioContext.createGain();
             
             oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
+            gainNode.connect(output);
             
             oscillator.frequency.setValueAtTime(frequency, audioContext.currentTime);
             oscillator.type = type;
@@ -5904,7 +4943,7 @@ function createFallbackAudioSystem() {
         // Create fallback sound objects
         soundFX = {
             fire: { 
-                play: () => createSound(1200, 0.2, 'square'),
+                play: output => createSound(1200, 0.2, 'square', output),
                 currentTime: 0
             },
             thrust: { 
@@ -5914,7 +4953,7 @@ function createFallbackAudioSystem() {
                     const gainNode = audioContext.createGain();
                     
                     oscillator.connect(gainNode);
-                    gainNode.connect(audioContext.destination);
+                    gainNode.connect(soundOutput());
                     
                     oscillator.frequency.setValueAtTime(100, audioContext.currentTime);
                     oscillator.type = 'sawtooth';
@@ -5936,27 +4975,36 @@ function createFallbackAudioSystem() {
                 currentTime: 0
             },
             bangLarge: { 
-                play: () => createSound(80, 0.8, 'sawtooth'),
+                play: output => createSound(80, 0.8, 'sawtooth', output),
                 currentTime: 0
             },
             bangMedium: { 
-                play: () => createSound(150, 0.5, 'sawtooth'),
+                play: output => createSound(150, 0.5, 'sawtooth', output),
                 currentTime: 0
             },
             bangSmall: { 
-                play: () => createSound(300, 0.3, 'sine'),
+                play: output => createSound(300, 0.3, 'sine', output),
                 currentTime: 0
             },
             explode: { 
-                play: () => createSound(200, 0.6, 'sawtooth'),
+                play: output => createSound(200, 0.6, 'sawtooth', output),
                 currentTime: 0
             },
             alienSpawn: { 
-                play: () => createSound(400, 0.4, 'triangle'),
+                play: output => createSound(400, 0.4, 'triangle', output),
                 currentTime: 0
             },
             alienFire: { 
-                play: () => createSound(800, 0.3, 'square'),
+                play: output => createSound(800, 0.3, 'square', output),
+                currentTime: 0
+            },
+            extraLife: { 
+                play: () => {
+                    createSound(523, 0.15, 'square');
+                    setTimeout(() => createSound(659, 0.15, 'square'), 80);
+                    setTimeout(() => createSound(784, 0.15, 'square'), 160);
+                    setTimeout(() => createSound(1047, 0.3, 'square'), 240);
+                },
                 currentTime: 0
             }
         };
@@ -5980,7 +5028,8 @@ function createFallbackAudioSystem() {
             bangSmall: { play: () => console.log('Audio disabled: bangSmall sound') },
             explode: { play: () => console.log('Audio disabled: explode sound') },
             alienSpawn: { play: () => console.log('Audio disabled: alienSpawn sound') },
-            alienFire: { play: () => console.log('Audio disabled: alienFire sound') }
+            alienFire: { play: () => console.log('Audio disabled: alienFire sound') },
+            extraLife: { play: () => console.log('Audio disabled: extraLife sound') }
         };
         
         addLogMessage('Game will run without audio effects');
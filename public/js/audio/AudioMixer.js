@@ -0,0 +1,108 @@
+/**
+ * AudioMixer.js - Gain bus graph for SMASHTEROIDS
+ *
+ * Every sound connects to one of three buses - sound effects (sfx), music
+ * and menu sounds (ui) - and the buses feed a master gain on its way to the
+ * speakers:
+ *
+ *   sound -> sfx   \
+ *   sound -> music  > master -> destination
+ *   sound -> ui    /
+ *
+ * Bus levels are GameConfig.AUDIO's volumes scaled by the player's options.
+ * Muting silences the master bus, so the other levels are kept for unmuting.
+ * A mixer belongs to one AudioContext; the game makes a new one whenever the
+ * context is recreated.
+ *
+ * Sounds with a source on screen go through a panner and gain of their own
+ * first, so they come from the side they happen on and fade with distance
+ * from the ship.
+ */
+
+// In Node, load the dependencies the browser provides through script tags
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.GameConfig = require('../config/GameConfig.js');
+}
+
+const AUDIO_BUSES = ['sfx', 'music', 'ui'];
+
+// How quickly a bus moves to a new level (seconds) - fast, but without a click
+const MIXER_LEVEL_SMOOTHING = 0.02;
+
+/**
+ * Stereo pan and loudness for a sound
+ * @param {number} x - Where the sound happens
+ * @param {number} y
+ * @param {{x: number, y: number}} listener - Where it's heard from (the ship)
+ * @param {{width: number, height: number}} area - Play field size
+ * @returns {{pan: number, gain: number}} pan from -1 (left) to 1 (right), gain from 0 to 1
+ */
+function soundPosition(x, y, listener, area) {
+    // The field wraps, so take the short way round - nothing is more than half a screen away
+    let dx = x - listener.x;
+    let dy = y - listener.y;
+    dx -= area.width * Math.round(dx / area.width);
+    dy -= area.height * Math.round(dy / area.height);
+
+    const pan = Math.max(-1, Math.min(1, dx / (area.width / 2))) * GameConfig.AUDIO.PAN_AMOUNT;
+    const distance = Math.min(1, Math.hypot(dx, dy) / Math.hypot(area.width / 2, area.height / 2));
+    return { pan, gain: 1 - GameConfig.AUDIO.DISTANCE_FALLOFF * distance };
+}
+
+class AudioMixer {
+    /**
+     * @param {AudioContext} context
+     */
+    constructor(context) {
+        this.context = context;
+        this.master = context.createGain();
+        this.master.connect(context.destination);
+
+        this.buses = {};
+        AUDIO_BUSES.forEach(name => {
+            this.buses[name] = context.createGain();
+            this.buses[name].connect(this.master);
+        });
+    }
+
+    // Node a sound on this bus should connect to
+    bus(name) {
+        return this.buses[name] || this.buses.sfx;
+    }
+
+    /**
+     * Node for a single sound to connect to, placed by soundPosition. It feeds
+     * the bus and is left for the browser to collect once the sound ends.
+     */
+    positioned(name, position) {
+        const gain = this.context.createGain();
+        gain.gain.value = position.gain;
+        gain.connect(this.bus(name));
+
+        // Older Safari has no StereoPannerNode - those sounds are only faded
+        if (!this.context.createStereoPanner) return gain;
+
+        const panner = this.context.createStereoPanner();
+        panner.pan.value = position.pan;
+        panner.connect(gain);
+        return panner;
+    }
+
+    /**
+     * Set the bus levels
+     * @param {Object} levels - master, sfx, music and ui from 0 to 1, and muted
+     */
+    setLevels(levels) {
+        this.setGain(this.master, levels.muted ? 0 : levels.master);
+        AUDIO_BUSES.forEach(name => this.setGain(this.buses[name], levels[name]));
+    }
+
+    setGain(node, value) {
+        node.gain.setTargetAtTime(value, this.context.currentTime, MIXER_LEVEL_SMOOTHING);
+    }
+}
+
+// Export for module systems (if available)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AudioMixer, AUDIO_BUSES, soundPosition };
+}
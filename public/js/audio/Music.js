@@ -0,0 +1,152 @@
+/**
+ * Music.js - Procedural soundtrack for SMASHTEROIDS
+ *
+ * The music is the classic arcade heartbeat: two low notes taking turns,
+ * slow at the start of a level and quickening as the asteroids are cleared.
+ * Layers join it while enemies are about:
+ * - alien: a quiet blip between the beats while any alien is on screen
+ * - battlestar: a droning pad under every beat while the battlestar is alive
+ *
+ * Notes are built from oscillators and scheduled a little ahead on the audio
+ * clock, so the beat stays steady however uneven the frame rate. Everything
+ * plays into the mixer's music bus (see AudioMixer.js), which carries the
+ * player's music volume. Nothing here touches the simulation, so replays are
+ * unaffected.
+ */
+
+// In Node, load the dependencies the browser provides through script tags
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.GameConfig = require('../config/GameConfig.js');
+}
+
+// The two heartbeat notes (Hz) - low B and A, a whole tone apart
+const HEARTBEAT_NOTES = [61.74, 55];
+
+// Quietest gain a note ramps through - exponential ramps can't reach zero
+const SILENT_GAIN = 0.0001;
+
+/**
+ * Seconds between heartbeat notes
+ * @param {number} remaining - Share of the level's asteroids still to destroy, 0 to 1
+ */
+function musicTempo(remaining) {
+    const share = Math.max(0, Math.min(1, remaining));
+    const { SLOWEST_BEAT, FASTEST_BEAT } = GameConfig.MUSIC;
+    return FASTEST_BEAT + (SLOWEST_BEAT - FASTEST_BEAT) * share;
+}
+
+/**
+ * Share of a level's asteroids still to destroy. A large asteroid means
+ * seven more hits (itself, two medium and four small), a medium one three
+ * and a small one one.
+ * @param {Array<{size: number}>} asteroids - Asteroids on screen
+ * @param {number} startCount - Large asteroids the level began with
+ */
+function asteroidsRemaining(asteroids, startCount) {
+    if (startCount <= 0) return 0;
+    const hitsLeft = asteroids.reduce((total, asteroid) => total + Math.pow(2, asteroid.size) - 1, 0);
+    return Math.min(1, hitsLeft / (startCount * 7));
+}
+
+// Layers playing for a game state
+function musicLayers(state) {
+    return {
+        heartbeat: state.playing,
+        alien: state.playing && state.aliens > 0,
+        battlestar: state.playing && state.battlestar
+    };
+}
+
+class MusicPlayer {
+    /**
+     * @param {AudioContext} context
+     * @param {AudioNode} output - Where notes play (the mixer's music bus)
+     */
+    constructor(context, output) {
+        this.context = context;
+        this.output = output;
+        this.nextBeatTime = null;   // Audio clock time of the next heartbeat note
+        this.beat = 0;              // Beats played, to alternate the notes
+    }
+
+    /**
+     * Schedule the notes due before the lookahead runs out - called every frame
+     * @param {Object} state
+     *   playing - whether a game is running and unpaused
+     *   remaining - share of the level's asteroids left (see asteroidsRemaining)
+     *   aliens - number of aliens on screen
+     *   battlestar - whether the battlestar is alive
+     */
+    update(state) {
+        const layers = musicLayers(state);
+        if (!layers.heartbeat) {
+            // Start again from the first note when play resumes
+            this.nextBeatTime = null;
+            this.beat = 0;
+            return;
+        }
+
+        const now = this.context.currentTime;
+        if (this.nextBeatTime === null || this.nextBeatTime < now) {
+            this.nextBeatTime = now + 0.05;
+        }
+
+        const interval = musicTempo(state.remaining);
+        while (this.nextBeatTime < now + GameConfig.MUSIC.LOOKAHEAD) {
+            this.playBeat(this.nextBeatTime, interval, layers);
+            this.nextBeatTime += interval;
+            this.beat++;
+        }
+    }
+
+    playBeat(time, interval, layers) {
+        const note = HEARTBEAT_NOTES[this.beat % HEARTBEAT_NOTES.length];
+        const music = GameConfig.MUSIC;
+
+        this.playNote(note, 'square', time, 0.15, music.HEARTBEAT_VOLUME, 400);
+
+        if (layers.alien) {
+            // Offbeat blip, two octaves and a fifth up
+            this.playNote(note * 6, 'triangle', time + interval / 2, 0.06, music.ALIEN_VOLUME);
+        }
+        if (layers.battlestar) {
+            // Pad lasting most of the beat, an octave up
+            this.playNote(note * 2, 'sawtooth', time, interval * 0.9, music.BATTLESTAR_VOLUME, 800);
+        }
+    }
+
+    /**
+     * One note with a sharp attack and exponential decay
+     * @param {number} [cutoff] - Low-pass filter frequency, to soften bright waveforms
+     */
+    playNote(frequency, type, time, duration, volume, cutoff) {
+        const oscillator = this.context.createOscillator();
+        const envelope = this.context.createGain();
+
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, time);
+        // A layer turned down to 0 in the config panel still plays, silently
+        envelope.gain.setValueAtTime(SILENT_GAIN, time);
+        envelope.gain.exponentialRampToValueAtTime(Math.max(volume, SILENT_GAIN), time + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(SILENT_GAIN, time + duration);
+
+        if (cutoff) {
+            const filter = this.context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.setValueAtTime(cutoff, time);
+            oscillator.connect(filter);
+            filter.connect(envelope);
+        } else {
+            oscillator.connect(envelope);
+        }
+        envelope.connect(this.output);
+
+        oscillator.start(time);
+        oscillator.stop(time + duration + 0.05);
+    }
+}
+
+// Export for module systems (if available)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MusicPlayer, musicTempo, musicLayers, asteroidsRemaining };
+}
@@ -8,6 +8,8 @@ class ConfigUI {
         this.isVisible = false;
         this.selectedCategory = 'SHIP';
         this.categories = Object.keys(GameConfig);
+        this.maxTabs = 6;        // Tabs that fit across the panel
+        this.firstTab = 0;       // First category shown when there are more than fit
         this.position = { x: window.innerWidth - 420, y: 20 }; // Right side by default
         this.width = 400;
         this.height = 600;
@@ -43,15 +45,14 @@ class ConfigUI {
     }
     
     init() {
-        // Add keyboard listeners
+        // Add keyboard listeners (the game toggles the panel with its config key, F9 by default)
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'F9') {
-                this.toggle();
-                e.preventDefault();
-            }
-            
-            if (this.isVisible && this.editingItem) {
+            if (this.isVisible && this.editingItem !== null) {
                 this.handleEditKeydown(e);
+            } else if (this.isVisible && (e.key === '[' || e.key === ']')) {
+                // Step through the categories, including any scrolled out of the tab strip
+                this.selectCategory(this.categories.indexOf(this.selectedCategory) + (e.key === ']' ? 1 : -1));
+                e.preventDefault();
             }
         });
         
@@ -134,12 +135,16 @@ class ConfigUI {
         const tabY = this.position.y + 50;
         const tabHeight = 35;
         if (e.clientY >= tabY && e.clientY < tabY + tabHeight) {
-            const tabWidth = this.width / Math.min(this.categories.length, 6);
-            const tabIndex = Math.floor((e.clientX - this.position.x) / tabWidth);
-            if (tabIndex >= 0 && tabIndex < this.categories.length) {
-                this.selectedCategory = this.categories[tabIndex];
-                this.scrollOffset = 0;
-                this.updateFilteredItems();
+            const tabs = this.getTabLayout();
+            const tabX = e.clientX - this.position.x;
+            const selected = this.categories.indexOf(this.selectedCategory);
+            if (tabX < tabs.arrowWidth) {
+                this.selectCategory(selected - 1);
+            } else if (tabX >= this.width - tabs.arrowWidth) {
+                this.selectCategory(selected + 1);
+            } else {
+                const tabIndex = this.firstTab + Math.floor((tabX - tabs.arrowWidth) / tabs.tabWidth);
+                if (tabIndex < this.categories.length) this.selectCategory(tabIndex);
             }
         }
         
@@ -175,6 +180,31 @@ class ConfigUI {
         }
     }
     
+    // Switch to a category by index, wrapping at either end, and scroll its tab into view
+    selectCategory(index) {
+        const count = this.categories.length;
+        index = (index + count) % count;
+        this.selectedCategory = this.categories[index];
+        this.editingItem = null;
+        this.scrollOffset = 0;
+        
+        const shown = this.getTabLayout().shown;
+        if (index < this.firstTab) {
+            this.firstTab = index;
+        } else if (index >= this.firstTab + shown) {
+            this.firstTab = index - shown + 1;
+        }
+        this.updateFilteredItems();
+    }
+    
+    // Tab strip sizes - arrows at the ends once the categories don't all fit
+    getTabLayout() {
+        const paged = this.categories.length > this.maxTabs;
+        const arrowWidth = paged ? 24 : 0;
+        const shown = paged ? this.maxTabs - 1 : this.categories.length;
+        return { arrowWidth, shown, tabWidth: (this.width - arrowWidth * 2) / shown };
+    }
+    
     handleWheel(e) {
         if (!this.isVisible) return;
         
@@ -321,7 +351,7 @@ class ConfigUI {
         ctx.fillStyle = this.colors.textLight;
         ctx.font = '12px Arial';
         ctx.textAlign = 'right';
-        ctx.fillText('F9 to close', this.position.x + this.width - 15, this.position.y + 28);
+        ctx.fillText('[ ] category   F9 to close', this.position.x + this.width - 15, this.position.y + 28);
         
         // Draw category tabs
         this.drawCategoryTabs(ctx);
@@ -341,15 +371,23 @@ class ConfigUI {
     drawCategoryTabs(ctx) {
         const tabY = this.position.y + 50;
         const tabHeight = 35;
-        const maxTabs = 6;
-        const tabWidth = this.width / Math.min(this.categories.length, maxTabs);
+        const { arrowWidth, shown, tabWidth } = this.getTabLayout();
         
         ctx.font = '14px Arial';
         ctx.textAlign = 'center';
         
-        for (let i = 0; i < Math.min(this.categories.length, maxTabs); i++) {
-            const cat = this.categories[i];
-            const x = this.position.x + i * tabWidth;
+        if (arrowWidth > 0) {
+            ctx.strokeStyle = this.colors.border;
+            ctx.fillStyle = this.colors.textLight;
+            ctx.strokeRect(this.position.x, tabY, arrowWidth, tabHeight);
+            ctx.strokeRect(this.position.x + this.width - arrowWidth, tabY, arrowWidth, tabHeight);
+            ctx.fillText('‹', this.position.x + arrowWidth / 2, tabY + 22);
+            ctx.fillText('›', this.position.x + this.width - arrowWidth / 2, tabY + 22);
+        }
+        
+        for (let i = 0; i < shown; i++) {
+            const cat = this.categories[this.firstTab + i];
+            const x = this.position.x + arrowWidth + i * tabWidth;
             
             // Draw tab background
             if (cat === this.selectedCategory) {
@@ -10,11 +10,15 @@
 const GameConfig = {
   // Core Game Settings
   GAME: {
-    FPS: 60,
+    FPS: 60, // Reference frame rate - per-frame speeds and timers below are tuned for it
+    TICK_RATE: 120, // Fixed simulation steps per second, independent of display refresh
     CANVAS_WIDTH: 800,
     CANVAS_HEIGHT: 600,
     MAX_BULLETS: 4,
     STARTING_LIVES: 3,
+    MAX_LIVES: 5,                 // Extra lives are not awarded beyond this
+    EXTRA_LIFE_SCORE: 10000,      // Score that earns the first extra life
+    EXTRA_LIFE_INTERVAL: 20000,   // Points between further extra lives
     STARTING_LEVEL: 1,
     DEBUG_MODE: false,
     SHOW_FPS: false,
@@ -32,11 +36,14 @@ const GameConfig = {
     INVULNERABILITY_TIME: 180,
     SPAWN_ANIMATION_DURATION: 60,
     EXPLOSION_DURATION: 120,
-    SHAPE_VERTICES: [
-      { x: 0, y: -1 },    // Nose
-      { x: -0.5, y: 0.5 }, // Left wing
-      { x: 0.5, y: 0.5 },  // Right wing
-      { x: 0, y: 0.3 }     // Tail
+    HYPERSPACE_COOLDOWN: 300,       // Frames before the next jump is allowed
+    HYPERSPACE_DURATION: 40,        // Frames from vanishing to fully reappearing
+    HYPERSPACE_FAILURE_CHANCE: 0.1, // Chance (0-1) the ship breaks up on re-entry
+    SHAPE_VERTICES: [      // Dart outline in multiples of the ship's radius, nose along +x
+      { x: 1, y: 0 },       // Nose
+      { x: -0.8, y: -0.6 }, // Rear left
+      { x: -0.5, y: 0 },    // Rear centre
+      { x: -0.8, y: 0.6 }   // Rear right
     ]
   },
 
@@ -86,6 +93,7 @@ const GameConfig = {
     SPEED: 4,
     BASE_SPEED: 200,
     FIRE_RATE: 0.5,
+    FIRE_SPREAD: 0.2,
     ROTATION_SPEED: 0.1,
     FRICTION: 0.99,
     POINTS: 1000,
@@ -133,6 +141,27 @@ const GameConfig = {
     EXPLOSION_DURATION: 120
   },
 
+  // Power-ups dropped by destroyed asteroids, aliens and the battlestar
+  POWERUPS: {
+    ASTEROID_DROP_CHANCE: 0.04,   // Chance (0-1) of a drop per destroyed asteroid
+    ALIEN_DROP_CHANCE: 0.35,
+    BATTLESTAR_DROP_CHANCE: 1,
+    SIZE: 12,
+    DRIFT_SPEED: 0.6,
+    LIFETIME: 600,                // Frames a pickup floats before it disappears
+    SHIELD_WEIGHT: 3,             // Relative odds of each type when something drops
+    SPREAD_WEIGHT: 3,
+    RAPID_WEIGHT: 3,
+    PIERCING_WEIGHT: 2,
+    EXTRA_LIFE_WEIGHT: 1,
+    SHIELD_DURATION: 600,         // Frames each timed power-up lasts
+    SPREAD_DURATION: 720,
+    RAPID_DURATION: 720,
+    PIERCING_DURATION: 600,
+    SPREAD_ANGLE: 0.25,           // Radians between spread shot bullets
+    RAPID_MAX_BULLETS: 10         // Bullets allowed on screen during rapid fire
+  },
+
   // Score System
   SCORE: {
     POPUP_LIFETIME: 60,
@@ -141,6 +170,10 @@ const GameConfig = {
     POPUP_BOUNCE_AMPLITUDE: 0.3,
     POPUP_OFFSET_RANGE: 30,
     HIGH_SCORE_COUNT: 15,
+    BOARD_CYCLE_TIME: 6000, // Milliseconds each leaderboard stays on the welcome screen
+    COMBO_WINDOW: 120,          // Frames allowed between kills before the combo breaks
+    COMBO_KILLS_PER_STEP: 3,    // Kills needed to raise the multiplier by one
+    COMBO_MAX_MULTIPLIER: 8,
     VALUES: {
       ASTEROID_LARGE: 100,
       ASTEROID_MEDIUM: 200,
@@ -151,6 +184,26 @@ const GameConfig = {
     }
   },
 
+  // Gamepad Configuration (see js/input/GamepadInput.js)
+  GAMEPAD: {
+    STICK_DEADZONE: 0.2,          // Stick travel ignored around the centre
+    TRIGGER_THRESHOLD: 0.2,       // Right trigger travel needed to thrust
+    MENU_STICK_THRESHOLD: 0.6,    // Stick travel that counts as a menu direction
+    REPEAT_DELAY: 400,            // Milliseconds before a held direction repeats in menus
+    REPEAT_INTERVAL: 150,         // Milliseconds between repeats after that
+    RUMBLE_DURATION: 400,         // Milliseconds of rumble when the ship is destroyed
+    RUMBLE_STRENGTH: 0.8          // 0 to 1
+  },
+
+  // Touch Controls Configuration (see js/input/TouchInput.js)
+  TOUCH: {
+    JOYSTICK_DEADZONE: 0.25,      // Share of the joystick radius ignored around the centre
+    MIN_BUTTON_SIZE: 32,          // Fire button radius limits (pixels); the rest scale from it
+    MAX_BUTTON_SIZE: 56,
+    MARGIN: 20,                   // Gap between the controls and the safe area edges (pixels)
+    CONTROL_OPACITY: 0.35         // 0 to 1
+  },
+
   // Animation Configuration
   ANIMATION: {
     TITLE_HOVER_SPEED: 0.02,
@@ -161,11 +214,25 @@ const GameConfig = {
     SCROLL_SPEED: 10
   },
 
-  // Audio Configuration
+  // Audio Configuration - bus levels, scaled by the player's volume options
   AUDIO: {
     MASTER_VOLUME: 0.7,
     SFX_VOLUME: 0.5,
-    THRUST_VOLUME: 0.25
+    MUSIC_VOLUME: 0.4,
+    UI_VOLUME: 0.5,
+    THRUST_VOLUME: 0.25,  // Loudness of the thrust rumble within the sfx bus
+    PAN_AMOUNT: 0.8,      // Stereo pan for a sound at the screen edge (1 = one speaker only)
+    DISTANCE_FALLOFF: 0.6 // Volume lost by the farthest sound, half a screen diagonal from the ship
+  },
+
+  // Music Configuration (see js/audio/Music.js)
+  MUSIC: {
+    SLOWEST_BEAT: 1.0,    // Seconds between heartbeat notes with every asteroid left
+    FASTEST_BEAT: 0.25,   // ...and with none left
+    LOOKAHEAD: 0.15,      // Seconds of notes scheduled ahead of the audio clock
+    HEARTBEAT_VOLUME: 0.5,
+    ALIEN_VOLUME: 0.15,
+    BATTLESTAR_VOLUME: 0.12
   },
 
   // UI Configuration
@@ -191,6 +258,8 @@ const GameConfig = {
     SCORE_MEDIUM: ['#FF9F1C', '#FFBF69', '#F4A261'],
     SCORE_LARGE: ['#F72585', '#B5179E', '#7209B7'],
     LEVEL_BONUS: '#FFFF00',
+    EXTRA_LIFE: '#00FF7F',
+    COMBO: ['#FFFF00', '#FFA500', '#FF4500', '#FF00FF'], // Popups at x2, x3, x4, x5 and up
     BACKGROUND: '#000000',
     TEXT: '#FFFFFF',
     THRUST_GRADIENT: {
@@ -208,7 +277,9 @@ const GameConfig = {
     EDGE_WRAP_BUFFER: 50,
     PREDICTION_TIME: 30,
     SPREAD_ANGLE: Math.PI / 8,
-    FRICTION_POWER: 0.99
+    FRICTION_POWER: 0.99,
+    SPATIAL_HASH: true,   // Find collision candidates through a grid rather than testing every asteroid
+    GRID_CELL_SIZE: 128   // Grid cell width and height (pixels) - about the size of a large asteroid
   },
 
   // Difficulty Scaling
@@ -229,6 +300,11 @@ const GameConfig = {
       { x: 0.9, y: 0.9 }
     ],
     SAFE_ZONE_RADIUS: 100
+  },
+
+  // Particle Effects
+  PARTICLES: {
+    BUDGET: 1500 // Most effect particles alive at once - past this new ones are dropped (score popups always show)
   }
 };
 
@@ -0,0 +1,135 @@
+/**
+ * PlayerSettings.js - Player preferences for SMASHTEROIDS
+ *
+ * The options menu edits these; unlike GameConfig (the developer tuning
+ * panel) they only change how the game looks and sounds, never how it plays,
+ * so replays and the server's re-simulation are unaffected.
+ *
+ * Settings are saved to localStorage under smashteroids_settings. Auto-pause
+ * keeps its older smashteroids_autoPause key so existing preferences carry
+ * over. Anything missing or unreadable falls back to the defaults.
+ */
+
+const SETTINGS_STORAGE_KEY = 'smashteroids_settings';
+const AUTO_PAUSE_STORAGE_KEY = 'smashteroids_autoPause';
+
+const VOLUME_STEPS = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1];
+
+// Settings in the order the options menu lists them, with the values each steps through.
+// Sliders are drawn as a bar rather than as text.
+const SETTINGS_OPTIONS = [
+    { id: 'volume', label: 'MASTER VOLUME', values: VOLUME_STEPS, defaultValue: 1, slider: true },
+    { id: 'sfxVolume', label: 'SOUND EFFECTS', values: VOLUME_STEPS, defaultValue: 1, slider: true },
+    { id: 'musicVolume', label: 'MUSIC', values: VOLUME_STEPS, defaultValue: 1, slider: true },
+    { id: 'uiVolume', label: 'MENU SOUNDS', values: VOLUME_STEPS, defaultValue: 1, slider: true },
+    { id: 'muted', label: 'MUTE', values: [false, true], defaultValue: false },
+    { id: 'effects', label: 'VISUAL EFFECTS', values: ['low', 'medium', 'high'], defaultValue: 'high' },
+    { id: 'screenShake', label: 'SCREEN SHAKE', values: [0, 0.25, 0.5, 0.75, 1], defaultValue: 1 },
+    { id: 'reduceFlashing', label: 'REDUCE FLASHING', values: [false, true], defaultValue: false },
+    { id: 'autoPause', label: 'AUTO-PAUSE', values: [true, false], defaultValue: true }
+];
+
+// How a setting's value is shown on screen
+function settingLabel(value) {
+    if (typeof value === 'boolean') return value ? 'ON' : 'OFF';
+    if (typeof value === 'number') return value === 0 ? 'OFF' : Math.round(value * 100) + '%';
+    return String(value).toUpperCase();
+}
+
+class PlayerSettings {
+    /**
+     * @param {Storage} [storage] - Where the settings are kept (localStorage in the browser);
+     *   without one they last for the session only
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        this.values = PlayerSettings.defaults();
+        this.load();
+    }
+
+    static defaults() {
+        const values = {};
+        SETTINGS_OPTIONS.forEach(option => {
+            values[option.id] = option.defaultValue;
+        });
+        return values;
+    }
+
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(SETTINGS_STORAGE_KEY)) || {};
+            SETTINGS_OPTIONS.forEach(option => {
+                if (option.values.includes(saved[option.id])) {
+                    this.values[option.id] = saved[option.id];
+                }
+            });
+
+            const autoPause = this.storage.getItem(AUTO_PAUSE_STORAGE_KEY);
+            if (autoPause === 'true' || autoPause === 'false') {
+                this.values.autoPause = autoPause === 'true';
+            }
+        } catch (e) {
+            // Ignore unreadable or unavailable storage
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            const { autoPause, ...rest } = this.values;
+            this.storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(rest));
+            this.storage.setItem(AUTO_PAUSE_STORAGE_KEY, String(autoPause));
+        } catch (e) {
+            // Ignore unavailable storage - the settings still apply this session
+        }
+    }
+
+    get(id) {
+        return this.values[id];
+    }
+
+    /**
+     * Change a setting and save
+     * @returns {boolean} false (and nothing changes) for an unknown setting or value
+     */
+    set(id, value) {
+        const option = SETTINGS_OPTIONS.find(option => option.id === id);
+        if (!option || !option.values.includes(value)) return false;
+
+        this.values[id] = value;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Move a setting to its next (direction 1) or previous (-1) value and save.
+     * Numbers stop at the ends of their range; choices wrap around.
+     * @returns {*} The new value
+     */
+    step(id, direction) {
+        const option = SETTINGS_OPTIONS.find(option => option.id === id);
+        const index = option.values.indexOf(this.values[id]);
+        let next = index + direction;
+        if (typeof option.defaultValue === 'number') {
+            next = Math.max(0, Math.min(option.values.length - 1, next));
+        } else {
+            next = (next + option.values.length) % option.values.length;
+        }
+
+        this.set(id, option.values[next]);
+        return this.values[id];
+    }
+
+    reset() {
+        this.values = PlayerSettings.defaults();
+        this.save();
+    }
+}
+
+// Export for module systems (if available)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlayerSettings, SETTINGS_OPTIONS, SETTINGS_STORAGE_KEY, AUTO_PAUSE_STORAGE_KEY, settingLabel };
+}
@@ -27,6 +27,8 @@ function validateGameConfig(config) {
     if (config.GAME) {
         if (typeof config.GAME.FPS !== 'number') errors.push('GAME.FPS must be a number');
         if (config.GAME.FPS < 30 || config.GAME.FPS > 120) warnings.push('GAME.FPS should be between 30-120');
+        if (typeof config.GAME.TICK_RATE !== 'number' || config.GAME.TICK_RATE <= 0) errors.push('GAME.TICK_RATE must be a positive number');
+        if (config.GAME.TICK_RATE < config.GAME.FPS) warnings.push('GAME.TICK_RATE below GAME.FPS will make motion coarser');
         
         if (typeof config.GAME.MAX_BULLETS !== 'number') errors.push('GAME.MAX_BULLETS must be a number');
         if (config.GAME.MAX_BULLETS > 8) warnings.push('GAME.MAX_BULLETS may be too high for performance');
@@ -81,10 +83,47 @@ function validateGameConfig(config) {
         if (typeof config.AUDIO.SFX_VOLUME !== 'number') errors.push('AUDIO.SFX_VOLUME must be a number');
         if (config.AUDIO.SFX_VOLUME > 1.0) errors.push('AUDIO.SFX_VOLUME cannot exceed 1.0');
         
+        if (typeof config.AUDIO.MUSIC_VOLUME !== 'number') errors.push('AUDIO.MUSIC_VOLUME must be a number');
+        if (config.AUDIO.MUSIC_VOLUME > 1.0) errors.push('AUDIO.MUSIC_VOLUME cannot exceed 1.0');
+        
+        if (typeof config.AUDIO.UI_VOLUME !== 'number') errors.push('AUDIO.UI_VOLUME must be a number');
+        if (config.AUDIO.UI_VOLUME > 1.0) errors.push('AUDIO.UI_VOLUME cannot exceed 1.0');
+        
         if (typeof config.AUDIO.THRUST_VOLUME !== 'number') errors.push('AUDIO.THRUST_VOLUME must be a number');
         if (config.AUDIO.THRUST_VOLUME > 1.0) errors.push('AUDIO.THRUST_VOLUME cannot exceed 1.0');
     }
     
+    // Test MUSIC section
+    if (config.MUSIC) {
+        for (const beat of ['SLOWEST_BEAT', 'FASTEST_BEAT', 'LOOKAHEAD']) {
+            if (typeof config.MUSIC[beat] !== 'number' || config.MUSIC[beat] <= 0) {
+                errors.push(`MUSIC.${beat} must be a positive number`);
+            }
+        }
+        if (config.MUSIC.FASTEST_BEAT > config.MUSIC.SLOWEST_BEAT) {
+            errors.push('MUSIC.FASTEST_BEAT cannot exceed MUSIC.SLOWEST_BEAT');
+        }
+        
+        for (const layer of ['HEARTBEAT_VOLUME', 'ALIEN_VOLUME', 'BATTLESTAR_VOLUME']) {
+            if (typeof config.MUSIC[layer] !== 'number') errors.push(`MUSIC.${layer} must be a number`);
+            if (config.MUSIC[layer] < 0 || config.MUSIC[layer] > 1.0) errors.push(`MUSIC.${layer} must be 0-1.0`);
+        }
+    }
+    
+    // Test PHYSICS section
+    if (config.PHYSICS) {
+        if (typeof config.PHYSICS.GRID_CELL_SIZE !== 'number' || config.PHYSICS.GRID_CELL_SIZE <= 0) {
+            errors.push('PHYSICS.GRID_CELL_SIZE must be a positive number');
+        }
+    }
+    
+    // Test PARTICLES section
+    if (config.PARTICLES) {
+        if (!Number.isInteger(config.PARTICLES.BUDGET) || config.PARTICLES.BUDGET <= 0) {
+            errors.push('PARTICLES.BUDGET must be a positive whole number');
+        }
+    }
+    
     // Test SCORE section
     if (config.SCORE && config.SCORE.VALUES) {
         if (typeof config.SCORE.VALUES.ALIEN !== 'number') errors.push('SCORE.VALUES.ALIEN must be a number');
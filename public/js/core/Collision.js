@@ -0,0 +1,191 @@
+/**
+ * Collision.js - Shape tests for SMASHTEROIDS collisions
+ *
+ * Collisions are checked in two passes:
+ * - broad phase: a cheap circle test against each object's reach (the
+ *   furthest any point of its outline gets from its centre)
+ * - narrow phase: the outlines as they are drawn - the asteroid's jagged
+ *   polygon, the ship's dart, the alien saucer and the battlestar hull
+ *
+ * Outlines are arrays of {x, y} points in world space, built from the same
+ * numbers the draw code in game.js uses. Asteroid outlines are often
+ * concave, so polygons are tested edge against edge rather than with
+ * separating axes.
+ */
+
+// In Node, load the dependencies the browser provides through script tags
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.GameConfig = require('../config/GameConfig.js');
+}
+
+// Alien saucer outline, in multiples of GameConfig.ALIEN.SIZE (see drawAliens)
+const ALIEN_HULL = [
+    { x: -1, y: 0 },
+    { x: -0.5, y: -0.5 },
+    { x: 0.5, y: -0.5 },
+    { x: 1, y: 0 },
+    { x: 0.5, y: 0.5 },
+    { x: -0.5, y: 0.5 }
+];
+
+// How far the battlestar's bow and stern points stick out past its hull box
+const BATTLESTAR_POINT_LENGTH = 20;
+
+/**
+ * Broad phase - whether two circles overlap
+ */
+function circlesOverlap(x1, y1, r1, x2, y2, r2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const reach = r1 + r2;
+    return dx * dx + dy * dy < reach * reach;
+}
+
+// Furthest an asteroid's outline gets from its centre
+function asteroidReach(asteroid) {
+    return asteroid.radius * (1 + GameConfig.ASTEROID.JAG);
+}
+
+// Furthest the battlestar's hull gets from its centre
+function battlestarReach(battlestar) {
+    return Math.max(battlestar.width / 2 + BATTLESTAR_POINT_LENGTH,
+        Math.hypot(battlestar.width / 2, battlestar.height / 2));
+}
+
+/**
+ * Asteroid outline, matching drawAsteroids
+ * @returns {Array<{x: number, y: number}>}
+ */
+function asteroidOutline(asteroid) {
+    const points = [];
+    for (let j = 0; j < asteroid.vert; j++) {
+        const angle = j * Math.PI * 2 / asteroid.vert + asteroid.angle;
+        const radius = asteroid.radius * asteroid.offset[j];
+        points.push({
+            x: asteroid.x + radius * Math.cos(angle),
+            y: asteroid.y + radius * Math.sin(angle)
+        });
+    }
+    return points;
+}
+
+/**
+ * Ship outline from GameConfig.SHIP.SHAPE_VERTICES. The ship is drawn
+ * rotated by -ship.angle, with the nose along +x.
+ */
+function shipOutline(ship) {
+    const cos = Math.cos(ship.angle);
+    const sin = Math.sin(ship.angle);
+    return GameConfig.SHIP.SHAPE_VERTICES.map(vertex => ({
+        x: ship.x + ship.radius * (vertex.x * cos + vertex.y * sin),
+        y: ship.y + ship.radius * (vertex.y * cos - vertex.x * sin)
+    }));
+}
+
+// Alien saucer outline, matching drawAliens
+function alienOutline(alien) {
+    const size = GameConfig.ALIEN.SIZE;
+    const cos = Math.cos(alien.angle);
+    const sin = Math.sin(alien.angle);
+    return ALIEN_HULL.map(vertex => ({
+        x: alien.x + size * (vertex.x * cos - vertex.y * sin),
+        y: alien.y + size * (vertex.x * sin + vertex.y * cos)
+    }));
+}
+
+// Battlestar hull outline, matching drawBattlestar
+function battlestarOutline(battlestar) {
+    const halfWidth = battlestar.width / 2;
+    const halfHeight = battlestar.height / 2;
+    return [
+        { x: battlestar.x - halfWidth, y: battlestar.y - halfHeight },
+        { x: battlestar.x + halfWidth, y: battlestar.y - halfHeight },
+        { x: battlestar.x + halfWidth + BATTLESTAR_POINT_LENGTH, y: battlestar.y },
+        { x: battlestar.x + halfWidth, y: battlestar.y + halfHeight },
+        { x: battlestar.x - halfWidth, y: battlestar.y + halfHeight },
+        { x: battlestar.x - halfWidth - BATTLESTAR_POINT_LENGTH, y: battlestar.y }
+    ];
+}
+
+/**
+ * Whether a point is inside a polygon (even-odd rule, so concave outlines work)
+ */
+function pointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > y) !== (b.y > y) &&
+            x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Which side of the line p->q the point r is on
+function orientation(p, q, r) {
+    return (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+}
+
+// Whether segment a1-a2 crosses segment b1-b2
+function segmentsIntersect(a1, a2, b1, b2) {
+    const d1 = orientation(b1, b2, a1);
+    const d2 = orientation(b1, b2, a2);
+    const d3 = orientation(a1, a2, b1);
+    const d4 = orientation(a1, a2, b2);
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+/**
+ * Whether two polygons touch - an edge of one crosses an edge of the
+ * other, or one lies entirely inside the other
+ */
+function polygonsIntersect(a, b) {
+    for (let i = 0, j = a.length - 1; i < a.length; j = i++) {
+        for (let k = 0, l = b.length - 1; k < b.length; l = k++) {
+            if (segmentsIntersect(a[j], a[i], b[l], b[k])) return true;
+        }
+    }
+    return pointInPolygon(a[0].x, a[0].y, b) || pointInPolygon(b[0].x, b[0].y, a);
+}
+
+// Squared distance from a point to the segment a-b
+function distanceToSegmentSquared(x, y, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSquared))
+        : 0;
+    const nearX = a.x + t * dx - x;
+    const nearY = a.y + t * dy - y;
+    return nearX * nearX + nearY * nearY;
+}
+
+/**
+ * Whether a circle (a round bullet) touches a polygon
+ */
+function circleIntersectsPolygon(x, y, radius, polygon) {
+    if (pointInPolygon(x, y, polygon)) return true;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        if (distanceToSegmentSquared(x, y, polygon[j], polygon[i]) < radius * radius) return true;
+    }
+    return false;
+}
+
+// Export for module systems (if available)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        circlesOverlap,
+        asteroidReach,
+        battlestarReach,
+        asteroidOutline,
+        shipOutline,
+        alienOutline,
+        battlestarOutline,
+        pointInPolygon,
+        polygonsIntersect,
+        circleIntersectsPolygon
+    };
+}
@@ -0,0 +1,156 @@
+/**
+ * Particles.js - Pooled particle engine for SMASHTEROIDS effects
+ *
+ * Every cosmetic effect - explosions, debris, exhaust, hyperspace sparks,
+ * shockwaves, level rays and score popups - is a particle in one shared
+ * system. Particles come in five types, which game.js draws differently:
+ * - shockwave: a ring growing from radius towards maxRadius
+ * - line: a spinning stroke of half-length size
+ * - circle: a dot of radius size, or a soft glow when soft is set
+ * - ray: a beam of the given length pointing along angle
+ * - text: a score popup
+ *
+ * Dead particles go back to a pool and are handed out again by emit, so a
+ * busy screen stops allocating once the pool has grown to fit it. The budget
+ * caps how many particles are alive at once: past it, emit drops the new
+ * particle, except for text, which always shows. quality (0-1) is the share
+ * of debris the effects setting keeps - emitters ask scaled() how many to make.
+ *
+ * Lifetimes, speeds and growth are in reference frames (GameConfig.GAME.FPS),
+ * like the rest of the simulation.
+ */
+
+// Every field a particle can have. Each emit starts from these, so a reused
+// particle carries nothing over from its previous life.
+const PARTICLE_DEFAULTS = {
+    type: 'circle',
+    x: 0,
+    y: 0,
+    vx: 0,
+    vy: 0,
+    rotation: 0,
+    rotationSpeed: 0,
+    size: 1,
+    color: '#FFFFFF',
+    life: 60,
+    maxLife: 60,     // Life it was emitted with
+    fade: 0,         // Frames of life over which it fades out - 0 fades over its whole life
+    wrap: false,     // Wrap around the play field edges
+    soft: false,     // Circles and shockwaves: fill with a fading glow
+    glow: 0,         // Shadow blur, scaled by the effects setting
+    width: 1,        // Line and ring stroke width
+    radius: 1,       // Shockwave
+    maxRadius: 1,
+    growth: 0.1,     // Share of the remaining distance to maxRadius covered per frame
+    length: 0,       // Ray
+    maxSize: 1,      // Ray width at the end of its life
+    angle: 0,
+    text: '',        // Text
+    bold: false,
+    bonus: false     // Level bonus popup - grows, holds, then drifts away
+};
+
+class ParticleSystem {
+    /**
+     * @param {number} budget - Most particles alive at once
+     */
+    constructor(budget) {
+        this.budget = budget;
+        this.quality = 1;
+        this.active = [];
+        this.pool = [];
+    }
+
+    get count() {
+        return this.active.length;
+    }
+
+    /**
+     * How many particles to emit for an effect designed with count of them
+     */
+    scaled(count) {
+        return Math.round(count * this.quality);
+    }
+
+    /**
+     * Start a particle
+     * @param {string} type - shockwave, line, circle, ray or text
+     * @param {Object} props - Fields to set, see PARTICLE_DEFAULTS
+     * @returns {Object|null} The particle, or null when the budget is spent
+     */
+    emit(type, props) {
+        if (type !== 'text' && this.active.length >= this.budget) return null;
+
+        const particle = this.pool.pop() || {};
+        Object.assign(particle, PARTICLE_DEFAULTS, props);
+        particle.type = type;
+        particle.maxLife = particle.life;
+        if (!particle.fade) particle.fade = particle.life;
+        this.active.push(particle);
+        return particle;
+    }
+
+    /**
+     * Advance every particle by one tick and retire the ones that have run out
+     * @param {number} frameScale - Reference frames per tick
+     * @param {number} width - Play field size, for particles that wrap
+     * @param {number} height
+     */
+    update(frameScale, width, height) {
+        for (let i = this.active.length - 1; i >= 0; i--) {
+            const particle = this.active[i];
+
+            particle.life -= frameScale;
+            if (particle.life <= 0) {
+                this.release(i);
+                continue;
+            }
+
+            particle.x += particle.vx * frameScale;
+            particle.y += particle.vy * frameScale;
+            particle.rotation += particle.rotationSpeed * frameScale;
+
+            if (particle.type === 'shockwave') {
+                particle.radius += (particle.maxRadius - particle.radius) * particle.growth * frameScale;
+            }
+
+            if (particle.wrap) {
+                if (particle.x < 0) particle.x += width;
+                else if (particle.x > width) particle.x -= width;
+                if (particle.y < 0) particle.y += height;
+                else if (particle.y > height) particle.y -= height;
+            }
+        }
+    }
+
+    /**
+     * Call back with every live particle
+     */
+    forEach(callback) {
+        for (let i = 0; i < this.active.length; i++) {
+            callback(this.active[i]);
+        }
+    }
+
+    /**
+     * Retire every particle, keeping them for reuse
+     */
+    clear() {
+        while (this.active.length > 0) {
+            this.pool.push(this.active.pop());
+        }
+    }
+
+    // Return a particle to the pool, filling its slot from the end of the list
+    release(index) {
+        const particle = this.active[index];
+        const last = this.active.pop();
+        if (index < this.active.length) this.active[index] = last;
+        this.pool.push(particle);
+    }
+}
+
+// Export for module systems (if available)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParticleSystem;
+}
@@ -0,0 +1,198 @@
+/**
+ * Replay.js - Input recording format for SMASHTEROIDS
+ *
+ * A replay is everything needed to reproduce a run exactly:
+ * - The gameplay seed (see SeededRandom.js)
+ * - The play field size and a GameConfig snapshot taken at the start
+ * - The input state of every fixed simulation tick
+ * - Any change of play field size during the run (the window was resized or
+ *   the phone rotated), with the tick it took effect before
+ *
+ * Inputs are packed into a bitmask per tick and run-length encoded,
+ * so a long run still downloads as a small JSON file.
+ */
+
+const REPLAY_FORMAT_VERSION = 2;
+
+// Bit assigned to each recorded input
+const REPLAY_INPUT_BITS = {
+    left: 1,
+    right: 2,
+    up: 4,
+    space: 8,
+    pause: 16,
+    hyperspace: 32
+};
+
+class Replay {
+    constructor(options = {}) {
+        this.version = options.version || REPLAY_FORMAT_VERSION;
+        this.seed = options.seed >>> 0;
+        this.width = options.width || 0;
+        this.height = options.height || 0;
+        this.tickRate = options.tickRate || 0;
+        this.config = options.config || null;
+        this.recordedAt = options.recordedAt || Date.now();
+        this.score = options.score || 0;
+        this.level = options.level || 1;
+        this.inputs = options.inputs || []; // Input bitmask per tick
+        this.resizes = options.resizes || []; // { tick, width, height } in tick order
+    }
+
+    // Number of recorded ticks
+    get length() {
+        return this.inputs.length;
+    }
+
+    // Append one tick of input
+    recordTick(keys, paused) {
+        let bits = 0;
+        if (keys.left) bits |= REPLAY_INPUT_BITS.left;
+        if (keys.right) bits |= REPLAY_INPUT_BITS.right;
+        if (keys.up) bits |= REPLAY_INPUT_BITS.up;
+        if (keys.space) bits |= REPLAY_INPUT_BITS.space;
+        if (keys.hyperspace) bits |= REPLAY_INPUT_BITS.hyperspace;
+        if (paused) bits |= REPLAY_INPUT_BITS.pause;
+
+        this.inputs.push(bits);
+    }
+
+    // Note a new play field size, taking effect before the next tick recorded
+    recordResize(width, height) {
+        const last = this.resizes[this.resizes.length - 1];
+        if (last && last.tick === this.length) {
+            last.width = width;
+            last.height = height;
+        } else {
+            this.resizes.push({ tick: this.length, width, height });
+        }
+    }
+
+    // Read back one tick as a keys object and pause flag
+    getTick(index) {
+        const bits = this.inputs[index] || 0;
+        return {
+            keys: {
+                left: (bits & REPLAY_INPUT_BITS.left) !== 0,
+                right: (bits & REPLAY_INPUT_BITS.right) !== 0,
+                up: (bits & REPLAY_INPUT_BITS.up) !== 0,
+                space: (bits & REPLAY_INPUT_BITS.space) !== 0,
+                hyperspace: (bits & REPLAY_INPUT_BITS.hyperspace) !== 0
+            },
+            paused: (bits & REPLAY_INPUT_BITS.pause) !== 0
+        };
+    }
+
+    // Compact, JSON-safe representation
+    toJSON() {
+        return {
+            v: this.version,
+            seed: this.seed,
+            width: this.width,
+            height: this.height,
+            tickRate: this.tickRate,
+            score: this.score,
+            level: this.level,
+            recordedAt: this.recordedAt,
+            config: this.config,
+            inputs: Replay.encodeRuns(this.inputs),
+            resizes: this.resizes.map(resize => [resize.tick, resize.width, resize.height])
+        };
+    }
+
+    // maxTicks guards against recordings that would expand to an unreasonable size
+    static fromJSON(data, maxTicks = Infinity) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Replay data is missing');
+        }
+        if (data.v !== REPLAY_FORMAT_VERSION) {
+            throw new Error('Unsupported replay version: ' + data.v);
+        }
+        if (typeof data.seed !== 'number' || typeof data.inputs !== 'string') {
+            throw new Error('Replay data is malformed');
+        }
+
+        return new Replay({
+            version: data.v,
+            seed: data.seed,
+            width: data.width,
+            height: data.height,
+            tickRate: data.tickRate,
+            score: data.score,
+            level: data.level,
+            recordedAt: data.recordedAt,
+            config: data.config,
+            inputs: Replay.decodeRuns(data.inputs, maxTicks),
+            resizes: Replay.decodeResizes(data.resizes)
+        });
+    }
+
+    // Field size changes from their [tick, width, height] form - recordings made before they were kept have none
+    static decodeResizes(entries = []) {
+        if (!Array.isArray(entries)) {
+            throw new Error('Replay data is malformed');
+        }
+
+        let previousTick = 0;
+        return entries.map(entry => {
+            const [tick, width, height] = Array.isArray(entry) ? entry : [];
+            if (!Number.isInteger(tick) || tick < previousTick || typeof width !== 'number' || typeof height !== 'number') {
+                throw new Error('Invalid replay resize: ' + JSON.stringify(entry));
+            }
+            previousTick = tick;
+            return { tick, width, height };
+        });
+    }
+
+    // Serialize to the downloadable file format
+    stringify() {
+        return JSON.stringify(this.toJSON());
+    }
+
+    static parse(text, maxTicks) {
+        return Replay.fromJSON(JSON.parse(text), maxTicks);
+    }
+
+    // Run-length encode non-negative integers as "value*count" tokens in base 36,
+    // e.g. [0, 0, 0, 5, 12] -> "0*3,5,c"
+    static encodeRuns(values) {
+        const tokens = [];
+        let i = 0;
+        while (i < values.length) {
+            const value = values[i];
+            let count = 1;
+            while (i + count < values.length && values[i + count] === value) {
+                count++;
+            }
+            tokens.push(count > 1 ? value.toString(36) + '*' + count.toString(36) : value.toString(36));
+            i += count;
+        }
+        return tokens.join(',');
+    }
+
+    static decodeRuns(text, maxLength = Infinity) {
+        const values = [];
+        if (!text) return values;
+
+        text.split(',').forEach(token => {
+            const parts = token.split('*');
+            const value = parseInt(parts[0], 36);
+            const count = parts.length > 1 ? parseInt(parts[1], 36) : 1;
+            if (!Number.isFinite(value) || !Number.isFinite(count) || value < 0 || count < 1) {
+                throw new Error('Invalid replay token: ' + token);
+            }
+            if (values.length + count > maxLength) {
+                throw new Error('Replay is too long');
+            }
+            for (let i = 0; i < count; i++) {
+                values.push(value);
+            }
+        });
+        return values;
+    }
+}
+
+// Export for module systems (if available)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Replay, REPLAY_FORMAT_VERSION, REPLAY_INPUT_BITS };
+}
@@ -0,0 +1,62 @@
+/**
+ * SeededRandom.js - Deterministic random number generator for SMASHTEROIDS
+ *
+ * A small, fast PRNG (mulberry32) that produces the same sequence for the
+ * same seed on every browser and in Node. Gameplay code draws from one
+ * instance and cosmetic effects from another, so a run can be reproduced
+ * exactly from its seed no matter how many particles were drawn.
+ */
+
+class SeededRandom {
+    constructor(seed = 0) {
+        this.setSeed(seed);
+    }
+
+    // Reset the generator to the start of the sequence for the given seed
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Next float in [0, 1) - drop-in replacement for Math.random()
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [0, max)
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    // True with the given probability
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    // Create a fresh, non-deterministic 32-bit seed for a new run
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    // Derive an independent seed for a secondary stream (e.g. cosmetic effects)
+    static deriveSeed(seed, salt) {
+        let hash = (seed >>> 0) ^ 0x9E3779B9;
+        for (let i = 0; i < salt.length; i++) {
+            hash = Math.imul(hash ^ salt.charCodeAt(i), 0x01000193) >>> 0;
+        }
+        return hash >>> 0;
+    }
+}
+
+// Export for module systems (if available)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
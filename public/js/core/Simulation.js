@@ -0,0 +1,2628 @@
+/**
+ * Simulation.js - Headless game simulation for SMASHTEROIDS
+ *
+ * Everything that decides how a run plays out: the ship, asteroids, aliens,
+ * the battlestar, bullets, collisions, scoring and level progression.
+ * Nothing in here touches the DOM, the canvas or the Web Audio API, so the
+ * same code runs in the browser (loaded before game.js) and in Node (for
+ * tests, bots and server-side replay verification).
+ *
+ * The simulation talks to the outside world through:
+ * - keys: the current input state, set by the caller before each tick
+ * - world: the play field size (see setWorldSize)
+ * - simulationHooks: sound and log callbacks, no-ops until the browser wires them up
+ */
+
+// In Node, load the dependencies the browser provides through script tags
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.GameConfig = require('../config/GameConfig.js');
+    globalThis.SeededRandom = require('./SeededRandom.js');
+    Object.assign(globalThis, require('./Collision.js'));
+    globalThis.SpatialHash = require('./SpatialHash.js');
+    globalThis.ParticleSystem = require('./Particles.js');
+}
+
+/**
+ * Host hooks
+ * The browser replaces these with the real sound and log functions;
+ * headless runs leave them as no-ops
+ */
+const simulationHooks = {
+    playSound: () => {},        // playSound(name, x, y) - position omitted for sounds with no source
+    playDelayedSound: () => {}, // playDelayedSound(name, seconds) - a later layer of a sound; the host does the waiting
+    playThrustSound: () => {},  // playThrustSound(on)
+    shipDestroyed: () => {},    // shipDestroyed() - a life was lost
+    log: () => {}               // log(message)
+};
+
+// Play field size - follows the canvas in the browser, set explicitly when headless
+const world = {
+    width: GameConfig.GAME.CANVAS_WIDTH,
+    height: GameConfig.GAME.CANVAS_HEIGHT
+};
+
+function setWorldSize(width, height) {
+    world.width = width;
+    world.height = height;
+    asteroidGridStale = true;
+}
+
+// Seeded random streams - gameplay draws from gameRng so a run can be reproduced from its seed,
+// cosmetic effects (particles, debris, flicker) draw from fxRng so they never disturb gameplay
+let gameSeed = 0;                        // Seed of the current run
+const gameRng = new SeededRandom(0);     // Gameplay: asteroids, aliens, battlestar, respawn
+const fxRng = new SeededRandom(SeededRandom.randomSeed()); // Cosmetic only
+
+// Cosmetic effects - debris, exhaust, shockwaves and score popups all live in
+// one pooled particle system (see Particles.js) that game.js draws from
+const particles = new ParticleSystem(GameConfig.PARTICLES.BUDGET);
+
+/**
+ * Core game state
+ * These variables track the essential elements
+ * that make up the game's current state
+ */
+let ship = null;
+let asteroids = [];
+let bullets = [];
+let aliens = [];           // Array to hold alien ships
+let alienBullets = [];     // Array to hold alien bullets
+let alienSpawnTimer = 0;   // Timer for alien spawning
+let battlestar = null;     // Battlestar boss ship
+let battlestarBullets = []; // Battlestar bullets
+let powerups = [];         // Power-up pickups floating in space
+let activePowerups = {};   // Frames left on each timed power-up the ship has (see resetActivePowerups)
+let score = 0;
+let lives = GameConfig.GAME.STARTING_LIVES;
+let level = GameConfig.GAME.STARTING_LEVEL;
+let nextExtraLifeScore = GameConfig.GAME.EXTRA_LIFE_SCORE; // Score at which the next life is awarded
+let comboCount = 0;        // Kills in the current combo chain
+let comboTimer = 0;        // Frames left to make the next kill before the chain breaks
+
+/**
+ * Game mechanics constants
+ * Now using centralized GameConfig values for:
+ * - Satisfying ship control
+ * - Fair combat difficulty
+ * - Progressive challenge scaling
+ * - Rewarding scoring system
+ */
+
+// Visual Enhancement 1 - Thrust Effects (now using GameConfig values)
+
+// Asteroid constants (now using GameConfig values)
+
+// Bullet constants (now using GameConfig values)
+
+// Alien constants (now using GameConfig values)
+
+// Battlestar constants (now using GameConfig values)
+
+/**
+ * Input state tracking
+ * Enables smooth, responsive controls by
+ * maintaining the current state of player inputs
+ */
+const keys = {
+    left: false,
+    right: false,
+    up: false,
+    space: false,
+    hyperspace: false
+};
+
+/**
+ * Ship explosion system
+ * Creates dramatic, physics-based destruction
+ * that provides satisfying feedback for player death
+ */
+const DEBRIS_SPEED = 0.5;
+const DEBRIS_ROTATION_SPEED = 0.02;
+const DEBRIS_LIFETIME = 180;
+
+/**
+ * Safe respawn system
+ * Prevents frustrating instant deaths by ensuring
+ * players respawn in safe locations
+ */
+const SAFE_RESPAWN_DISTANCE = 100;
+let respawnSearch = { candidates: [], forced: false }; // Spots the last respawn tried, for the debug overlay
+
+// Debug/testing variables
+let forceAliensInLevel1 = false; // Set to true to allow aliens in level 1 for testing
+let godMode = false;             // Set to true to make the ship indestructible (developer console)
+
+// Fixed tick timing - set by stepSimulation
+let deltaTime = 0;       // Duration of one simulation tick (seconds)
+let frameScale = 1;      // Reference frames (GAME.FPS) per tick - per-frame speeds and timers are multiplied by this
+let simTime = 0;         // Simulated seconds in the current run, advances only while unpaused
+let gameOver = false;    // Set once the final explosion has played out
+
+// Delays measured in reference frames of simulated time, so they land on the same tick in replays
+const BATTLESTAR_SPAWN_DELAY = 180; // 3 seconds after the level starts
+const GAME_OVER_DELAY = 180;        // Let the final explosion play out before initials entry
+let battlestarSpawnDelay = 0;
+let gameOverDelay = 0;
+
+// Exhaust particles owed to the thruster - fractions carry over between ticks
+let thrustEmitCredit = 0;
+
+// Sparks left where the ship leaves and re-enters normal space
+const HYPERSPACE_PARTICLE_COUNT = 24;
+const HYPERSPACE_PARTICLE_LIFETIME = 40;
+
+// Add alien explosion system constants
+const ALIEN_DEBRIS_COUNT = 15;
+const ALIEN_DEBRIS_SPEED = 3;
+const ALIEN_DEBRIS_LIFETIME = 60;
+const ALIEN_EXPLOSION_RADIUS = 40;
+
+// Add asteroid debris system
+const ASTEROID_DEBRIS_COUNT = 12;
+const ASTEROID_DEBRIS_SPEED = 2;
+const ASTEROID_DEBRIS_LIFETIME = 45;
+
+// Add level announcement constants
+const LEVEL_ANNOUNCE_DURATION = 120; // 2 seconds at 60fps
+const LEVEL_TEXT_SCALE_TIME = 30; // Time to reach full scale
+const LEVEL_PARTICLE_COUNT = 30;
+
+// Add level announcement state
+let levelAnnounceTime = 0;
+
+/**
+ * Advance the simulation by one fixed tick
+ * Reads the current keys state; while paused only the interpolation
+ * snapshot is taken so drawing stays still.
+ */
+function stepSimulation(tickDuration, paused = false) {
+    deltaTime = tickDuration;
+    frameScale = GameConfig.GAME.FPS * deltaTime;
+    
+    storePreviousPositions();
+    
+    if (paused) return;
+    
+    simTime += deltaTime;
+    updateGame();
+    // Note: updateAliens() and updateAlienBullets() are already called in updateGame()
+    // Removing redundant calls here to prevent updating aliens twice
+    particles.update(frameScale, world.width, world.height);
+    updateLevelAnnouncement();
+    updateGameTimers();
+}
+
+// Create a score popup at the given position
+function createScorePopup(x, y, points, isLevelBonus = false, label = null, multiplier = 1) {
+    // For level bonuses, create a more elegant display - game.js animates its grow, hold and fade
+    if (isLevelBonus) {
+        particles.emit('text', {
+            x,
+            y,
+            text: '+' + points.toLocaleString(),
+            life: GameConfig.SCORE.POPUP_LIFETIME * 3, // Longer lifetime for level bonus
+            color: GameConfig.COLORS.LEVEL_BONUS, // Yellow color for level bonus
+            bonus: true
+        });
+    } else {
+        // Select color based on point value
+        let colorSet = GameConfig.COLORS.SCORE_SMALL;
+        if (points >= GameConfig.SCORE.VALUES.ALIEN) {
+            colorSet = GameConfig.COLORS.SCORE_LARGE;
+        } else if (points >= GameConfig.SCORE.VALUES.ASTEROID_MEDIUM) {
+            colorSet = GameConfig.COLORS.SCORE_MEDIUM;
+        }
+        
+        // Pick a random color from the appropriate set - labelled and combo popups have their own
+        let color = label ? GameConfig.COLORS.EXTRA_LIFE : colorSet[Math.floor(fxRng.next() * colorSet.length)];
+        if (!label && multiplier > 1) {
+            const comboColors = GameConfig.COLORS.COMBO;
+            color = comboColors[Math.min(multiplier - 2, comboColors.length - 1)];
+        }
+        
+        // Drift sideways in a random direction to avoid clustering in the same spot
+        const offsetX = (fxRng.next() * 2 - 1) * GameConfig.SCORE.POPUP_OFFSET_RANGE;
+        
+        // Regular score popups rise quickly, drifting sideways at 1/3 the vertical speed
+        particles.emit('text', {
+            x,
+            y,
+            vx: Math.sign(offsetX) * GameConfig.SCORE.POPUP_SPEED * 0.5,
+            vy: -GameConfig.SCORE.POPUP_SPEED * 1.5,
+            text: label || '+' + points, // Shown instead of the points when set
+            life: GameConfig.SCORE.POPUP_LIFETIME,
+            fade: GameConfig.SCORE.POPUP_LIFETIME * 0.33,
+            color: color,
+            bold: Boolean(label) || points >= GameConfig.SCORE.VALUES.ALIEN,
+            size: 1 + (multiplier - 1) * 0.15 // Each combo step adds 15% to the size
+        });
+    }
+}
+
+// Reset the simulation for a new run
+function initGame(seed) {
+    // Seed the gameplay stream - pass a seed to replay an exact run, otherwise pick a fresh one
+    gameSeed = (seed === undefined || seed === null) ? SeededRandom.randomSeed() : (seed >>> 0);
+    gameRng.setSeed(gameSeed);
+    fxRng.setSeed(SeededRandom.deriveSeed(gameSeed, 'fx'));
+    
+    // Reset game state
+    score = 0;
+    level = 1;
+    lives = 3;
+    nextExtraLifeScore = GameConfig.GAME.EXTRA_LIFE_SCORE;
+    resetCombo();
+    gameOver = false;
+    aliens = []; // Start with empty aliens array
+    alienBullets = [];
+    bullets = [];
+    asteroids = [];
+    particles.clear();
+    thrustEmitCredit = 0;
+    battlestar = null;
+    battlestarBullets = [];
+    powerups = [];
+    resetActivePowerups();
+    
+    // Reset alien spawn timer and simulation clock
+    alienSpawnTimer = 0;
+    battlestarSpawnDelay = 0;
+    gameOverDelay = 0;
+    simTime = 0;
+    respawnSearch = { candidates: [], forced: false };
+    
+    // Clear any input left over from the previous run
+    keys.left = keys.right = keys.up = keys.space = keys.hyperspace = false;
+    
+    // Create ship first
+    respawnShipSafely();
+    
+    // Then create asteroids (which need ship position)
+    createAsteroids();
+    
+    // Start level announcement
+    startLevelAnnouncement();
+    
+    simulationHooks.log('Game initialized - Level ' + level + ' (seed ' + gameSeed + ')');
+}
+
+// Create asteroids for the current level
+function createAsteroids() {
+    asteroids = [];
+    asteroidGridStale = true;
+    let x, y;
+    
+    // Create asteroids away from the ship
+    for (let i = 0; i < GameConfig.ASTEROID.COUNT + level; i++) {
+        do {
+            x = gameRng.next() * world.width;
+            y = gameRng.next() * world.height;
+        } while (ship && distBetweenPoints(ship.x, ship.y, x, y) < GameConfig.SHIP.SIZE * 4);
+        
+        asteroids.push(createAsteroid(x, y, 3)); // Start with large asteroids (size 3)
+    }
+}
+
+// Create a single asteroid
+function createAsteroid(x, y, size) {
+    const ASTEROID_VERT = 10; // average number of vertices
+    
+    // Calculate speed based on level and size
+    const levelSpeedBonus = Math.min((level - 1) * GameConfig.ASTEROID.SPEED_SCALING, GameConfig.ASTEROID.MAX_SPEED - GameConfig.ASTEROID.BASE_SPEED);
+    const sizeSpeedMultiplier = (4 - size) * 0.4; // Smaller asteroids are faster (size 3: 0.4x, size 2: 0.8x, size 1: 1.2x)
+    const currentSpeed = (GameConfig.ASTEROID.BASE_SPEED + levelSpeedBonus) * (1 + sizeSpeedMultiplier);
+    
+    let asteroid = {
+        x: x,
+        y: y,
+        size: size,
+        radius: size * (20 - Math.min(level - 1, 5)), // Asteroids get slightly smaller with level (max 5 levels of shrinking)
+        angle: gameRng.next() * Math.PI * 2,
+        vert: Math.floor(gameRng.next() * (ASTEROID_VERT + 1) + ASTEROID_VERT / 2),
+        offset: [],
+        velocity: {
+            // Velocity will be multiplied by deltaTime in updateAsteroids
+            x: gameRng.next() * currentSpeed * 2 - currentSpeed,
+            y: gameRng.next() * currentSpeed * 2 - currentSpeed
+        },
+        // Rotation will be multiplied by deltaTime in updateAsteroids
+        rotationSpeed: (gameRng.next() - 0.5) * 0.02 * (1 + (level - 1) * 0.1) * (1 + sizeSpeedMultiplier) // Smaller asteroids rotate faster too
+    };
+    
+    // Create the asteroid's shape (offset array)
+    for (let i = 0; i < asteroid.vert; i++) {
+        asteroid.offset.push(
+            gameRng.next() * GameConfig.ASTEROID.JAG * 2 + 1 - GameConfig.ASTEROID.JAG
+        );
+    }
+    
+    return asteroid;
+}
+
+// Update game state
+function updateGame() {
+    // Skip updates if ship doesn't exist yet
+    if (!ship) return;
+    
+    // Main game loop handles multiple game states:
+    // 1. Normal gameplay - all systems active
+    // 2. Post-death state - limited updates during explosion animation
+    // 3. Level transition - clearing and spawning new objects
+    // 4. Paused state - maintaining game state without updates
+    
+    // Special case: Post-death state with active explosion
+    if (lives <= 0 && ship.exploding) {
+        // Only update passive objects - effects keep playing in stepSimulation
+        updateAsteroids();
+        return; // Skip active gameplay updates
+    }
+    
+    // Handle ship rotation (reversed left/right for more intuitive controls)
+    if (keys.left) {
+        ship.rotation = GameConfig.SHIP.ROTATION_SPEED; // Reversed from negative to positive
+    } else if (keys.right) {
+        ship.rotation = -GameConfig.SHIP.ROTATION_SPEED; // Reversed from positive to negative
+    } else {
+        ship.rotation = 0;
+    }
+    
+    // Handle ship thrust and associated sound effects
+    if (keys.up && !ship.thrusting && !ship.exploding) {
+        ship.thrusting = true;
+        simulationHooks.playThrustSound(true);
+    } else if (!keys.up && ship.thrusting) {
+        ship.thrusting = false;
+        simulationHooks.playThrustSound(false);
+    }
+    
+    // Handle firing with sound (space key is reset each frame to prevent continuous firing)
+    if (keys.space) {
+        fireBullet();
+        keys.space = false;
+    }
+    
+    // Hyperspace works like firing: one jump per key press
+    if (keys.hyperspace) {
+        startHyperspace();
+        keys.hyperspace = false;
+    }
+    
+    // Update all game objects in specific order to ensure proper interaction
+    updateShip();
+    updateBullets();
+    updateAsteroids();
+    updateAliens();
+    updateAlienBullets();
+    updateBattlestar();
+    updateBattlestarBullets();
+    updatePowerups();
+    checkCollisions();
+    
+    // Check for level completion and progression
+    if (asteroids.length === 0) {
+        // Award level completion bonus with increasing value for higher levels
+        const levelBonus = 1000 * Math.pow(2, level - 1); // 1000 for level 1, 2000 for level 2, 4000 for level 3, etc.
+        score += levelBonus;
+        
+        // Create a single centered, larger score popup for the level bonus
+        createScorePopup(world.width / 2, world.height / 2, levelBonus, true);
+        
+        // Add a more elegant visual effect instead of multiple popups
+        const numRays = 12; // Reduce from previous 8 surrounding popups
+        for (let i = 0; i < numRays; i++) {
+            const angle = (i / numRays) * Math.PI * 2;
+            const length = 150 + fxRng.next() * 50;
+            
+            particles.emit('ray', {
+                x: world.width / 2,
+                y: world.height / 2,
+                vx: Math.cos(angle) * 2,
+                vy: Math.sin(angle) * 2,
+                size: 1,
+                maxSize: 3,
+                length: length,
+                angle: angle,
+                life: 90 + fxRng.next() * 30,
+                color: '#FFFF00'
+            });
+        }
+        
+        // Add special visual effect for level completion - reduce particle count
+        const sparkCount = particles.scaled(30);
+        for (let i = 0; i < sparkCount; i++) {
+            const angle = fxRng.next() * Math.PI * 2;
+            const speed = 1 + fxRng.next() * 3;
+            
+            particles.emit(fxRng.next() < 0.6 ? 'circle' : 'line', {
+                x: world.width / 2,
+                y: world.height / 2,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                size: 2 + fxRng.next() * 4,
+                rotation: fxRng.next() * Math.PI * 2,
+                rotationSpeed: (fxRng.next() - 0.5) * 0.4,
+                life: 60 + fxRng.next() * 60,
+                color: fxRng.next() < 0.3 ? '#FFFFFF' : (fxRng.next() < 0.6 ? '#00FF00' : '#FFFF00')
+            });
+        }
+        
+        // Add a shockwave effect
+        particles.emit('shockwave', {
+            x: world.width / 2,
+            y: world.height / 2,
+            maxRadius: 300,
+            life: 60,
+            color: '#00FF00' // Green for level completion
+        });
+        
+        // Play celebratory sounds
+        simulationHooks.playSound('bangLarge');
+        simulationHooks.playDelayedSound('bangMedium', 0.2);
+        
+        simulationHooks.log(`Level ${level} complete! Bonus: ${levelBonus} points!`);
+        
+        // Advance to next level
+        level++;
+        startLevel();
+    }
+    
+    updateCombo();
+    checkExtraLifeScore();
+}
+
+// Set up the field for the level just reached
+function startLevel() {
+    // Announce new level
+    startLevelAnnouncement();
+    
+    // Create asteroids for new level
+    createAsteroids();
+    
+    // Initialize alien spawn timer for level 2 and beyond
+    if (level >= 2) {
+        // Set the full spawn delay when entering a new level
+        // This ensures aliens don't appear immediately
+        // Add some extra delay for the first alien of the level
+        alienSpawnTimer = getAlienSpawnInterval() * 1.5;
+        simulationHooks.log('Alien spacecraft detected in the vicinity');
+    }
+
+    // Spawn battlestar at level 3 and every 3 levels after
+    if (level >= 3 && level % 3 === 0 && !battlestar) {
+        // Add dramatic pause before battlestar appears (see updateGameTimers)
+        battlestarSpawnDelay = BATTLESTAR_SPAWN_DELAY;
+    }
+}
+
+// Remove every asteroid and enemy - the level completes on the next tick
+function clearField() {
+    asteroids = [];
+    asteroidGridStale = true;
+    aliens = [];
+    alienBullets = [];
+    battlestar = null;
+    battlestarBullets = [];
+    battlestarSpawnDelay = 0;
+}
+
+// Skip straight to a level, without its completion bonus (developer console)
+function jumpToLevel(newLevel) {
+    clearField();
+    level = newLevel;
+    startLevel();
+}
+
+/**
+ * Combo chain
+ * Kills in quick succession build a chain; every COMBO_KILLS_PER_STEP kills
+ * raise the score multiplier by one, up to COMBO_MAX_MULTIPLIER. The chain
+ * breaks when COMBO_WINDOW frames pass without a kill, or the ship is lost.
+ */
+function getComboMultiplier() {
+    const step = Math.floor(comboCount / GameConfig.SCORE.COMBO_KILLS_PER_STEP);
+    return Math.min(GameConfig.SCORE.COMBO_MAX_MULTIPLIER, 1 + step);
+}
+
+// Count a kill towards the combo and score its points at the current multiplier
+function scoreKill(basePoints) {
+    comboCount++;
+    comboTimer = GameConfig.SCORE.COMBO_WINDOW;
+    
+    const multiplier = getComboMultiplier();
+    const points = basePoints * multiplier;
+    score += points;
+    return { points, multiplier };
+}
+
+function updateCombo() {
+    if (comboTimer > 0) {
+        comboTimer -= frameScale;
+        if (comboTimer <= 0) {
+            resetCombo();
+        }
+    }
+}
+
+function resetCombo() {
+    comboCount = 0;
+    comboTimer = 0;
+}
+
+// Award a life for every extra-life threshold the score has passed
+function checkExtraLifeScore() {
+    while (score >= nextExtraLifeScore) {
+        awardExtraLife();
+        // A zero interval would mean only the first threshold ever pays out
+        nextExtraLifeScore = GameConfig.GAME.EXTRA_LIFE_INTERVAL > 0 ?
+            nextExtraLifeScore + GameConfig.GAME.EXTRA_LIFE_INTERVAL : Infinity;
+    }
+}
+
+// One more life, up to MAX_LIVES
+function awardExtraLife() {
+    if (lives >= GameConfig.GAME.MAX_LIVES) {
+        simulationHooks.log('Extra life earned, but lives are already at the maximum');
+        return false;
+    }
+    
+    lives++;
+    createScorePopup(ship.x, ship.y - ship.radius * 2, 0, false, '1UP');
+    simulationHooks.playSound('extraLife');
+    simulationHooks.log('Extra life! Lives: ' + lives);
+    return true;
+}
+
+// Update ship position and rotation using vector-based physics
+function updateShip() {
+    // Handle spawn animation if active
+    if (ship.spawning) {
+        // Update spawn timer using delta time
+        ship.spawnTime -= frameScale;
+        
+        // Calculate animation progress (0 to 1)
+        const progress = 1 - (ship.spawnTime / 60);
+        
+        // Update spawn scale with easing
+        ship.spawnScale = Math.sin(progress * Math.PI / 2);
+        
+        // Update spawn rotation
+        ship.spawnRotation = progress * Math.PI * 4; // Two full rotations
+        
+        // Update spawn particles
+        ship.spawnParticles.forEach(particle => {
+            // Move particles toward ship with easing
+            const ease = Math.sin(progress * Math.PI / 2);
+            particle.x = particle.targetX + (particle.x - particle.targetX) * (1 - ease);
+            particle.y = particle.targetY + (particle.y - particle.targetY) * (1 - ease);
+            particle.alpha = 1 - progress;
+        });
+        
+        // End spawn animation
+        if (ship.spawnTime <= 0) {
+            ship.spawning = false;
+            ship.spawnParticles = [];
+        }
+        
+        return; // Skip regular updates during spawn
+    }
+    
+    // Handle explosion state if active
+    if (ship.exploding) {
+        ship.explodeTime -= frameScale;
+        if (ship.explodeTime <= 0) {
+            respawnShipSafely();
+        }
+        return;
+    }
+    
+    // Count down to the next allowed hyperspace jump
+    if (ship.hyperspaceCooldown > 0) {
+        ship.hyperspaceCooldown = Math.max(0, ship.hyperspaceCooldown - frameScale);
+    }
+    
+    // Out of normal space - nothing else moves the ship until it re-enters
+    if (ship.hyperspace) {
+        updateHyperspace();
+        return;
+    }
+    
+    // Update invulnerability timer
+    if (ship.invulnerable) {
+        ship.invulnerableTime -= frameScale;
+        if (ship.invulnerableTime <= 0) {
+            ship.invulnerable = false;
+        }
+    }
+    
+    // Update ship's angular position based on rotation velocity
+    // Multiply by deltaTime for frame-rate independent rotation
+    ship.angle += ship.rotation * frameScale;
+    
+    // Apply thrust using a vector-based physics model with delta time scaling
+    if (ship.thrusting) {
+        ship.thrust.x += GameConfig.SHIP.THRUST * Math.cos(ship.angle) * frameScale;
+        ship.thrust.y -= GameConfig.SHIP.THRUST * Math.sin(ship.angle) * frameScale;
+        emitThrustParticles();
+    } else {
+        // Apply exponential decay friction to gradually slow the ship
+        // This creates a smooth deceleration effect while maintaining momentum
+        // Use a time-based friction factor instead of a fixed per-frame value
+        const frictionFactor = Math.pow(GameConfig.SHIP.FRICTION, frameScale);
+        ship.thrust.x *= frictionFactor;
+        ship.thrust.y *= frictionFactor;
+    }
+    
+    // Update position based on current velocity (thrust)
+    // Multiply by deltaTime for frame-rate independent movement
+    ship.x += ship.thrust.x * frameScale;
+    ship.y += ship.thrust.y * frameScale;
+    
+    // Handle screen wrapping to create infinite space effect
+    handleEdgeOfScreen(ship);
+}
+
+// Find a safe position to respawn the ship using a sophisticated placement algorithm
+function respawnShipSafely() {
+    // Implements a quadrant-based safe respawn system:
+    // 1. First tries the center of the screen
+    // 2. If unsafe, systematically tries each quadrant of the screen
+    // 3. Considers both current and predicted future positions of asteroids
+    // 4. As a last resort, forcibly moves asteroids to create safe space
+    
+    let newX = world.width / 2;
+    let newY = world.height / 2;
+    let safePosition = false;
+    let attempts = 0;
+    const MAX_ATTEMPTS = 30; // Prevent infinite loops while ensuring thorough search
+    respawnSearch = { candidates: [], forced: false };
+    
+    // Systematic search for safe position
+    while (!safePosition && attempts < MAX_ATTEMPTS) {
+        safePosition = true; // Optimistically assume position is safe
+        const candidate = { x: newX, y: newY, safe: true };
+        respawnSearch.candidates.push(candidate);
+        
+        // Check against all asteroids for both current and predicted positions
+        for (let i = 0; i < asteroids.length; i++) {
+            const asteroid = asteroids[i];
+            
+            // Check current distance to asteroid
+            const distance = distBetweenPoints(newX, newY, asteroid.x, asteroid.y);
+            
+            // Predict asteroid position to prevent spawning in its path
+            // Look ahead 30 frames to account for fast-moving asteroids
+            const futureX = asteroid.x + asteroid.velocity.x * 30;
+            const futureY = asteroid.y + asteroid.velocity.y * 30;
+            const futureDistance = distBetweenPoints(newX, newY, futureX, futureY);
+            
+            // Position is unsafe if too close to current or predicted asteroid position
+            if (distance < SAFE_RESPAWN_DISTANCE || futureDistance < SAFE_RESPAWN_DISTANCE) {
+                safePosition = false;
+                candidate.safe = false;
+                
+                // Systematic quadrant-based position testing
+                // Each quadrant is tried with some randomization to avoid patterns
+                switch (attempts % 4) {
+                    case 0: // Top-left quadrant
+                        newX = world.width * 0.25 + gameRng.next() * world.width * 0.2;
+                        newY = world.height * 0.25 + gameRng.next() * world.height * 0.2;
+                        break;
+                    case 1: // Top-right quadrant
+                        newX = world.width * 0.75 - gameRng.next() * world.width * 0.2;
+                        newY = world.height * 0.25 + gameRng.next() * world.height * 0.2;
+                        break;
+                    case 2: // Bottom-left quadrant
+                        newX = world.width * 0.25 + gameRng.next() * world.width * 0.2;
+                        newY = world.height * 0.75 - gameRng.next() * world.height * 0.2;
+                        break;
+                    case 3: // Bottom-right quadrant
+                        newX = world.width * 0.75 - gameRng.next() * world.width * 0.2;
+                        newY = world.height * 0.75 - gameRng.next() * world.height * 0.2;
+                        break;
+                }
+                
+                break; // Exit asteroid loop to test new position
+            }
+        }
+        
+        attempts++;
+    }
+    
+    // Fallback: If no safe position found, forcibly create one
+    if (!safePosition) {
+        respawnSearch.forced = true;
+        
+        // Create a safe zone by moving nearby asteroids away from center
+        // This prevents the game from becoming unplayable in crowded situations
+        for (let i = asteroids.length - 1; i >= 0; i--) {
+            const distance = distBetweenPoints(world.width / 2, world.height / 2, asteroids[i].x, asteroids[i].y);
+            
+            if (distance < SAFE_RESPAWN_DISTANCE) {
+                // Move asteroid radially outward to create safe space
+                const angle = Math.atan2(asteroids[i].y - world.height / 2, asteroids[i].x - world.width / 2);
+                asteroids[i].x = world.width / 2 + Math.cos(angle) * SAFE_RESPAWN_DISTANCE * 1.5;
+                asteroids[i].y = world.height / 2 + Math.sin(angle) * SAFE_RESPAWN_DISTANCE * 1.5;
+                asteroidGridStale = true;
+            }
+        }
+        
+        // Use center position after clearing space
+        newX = world.width / 2;
+        newY = world.height / 2;
+    }
+    
+    // Create new ship at safe position with reset state
+    ship = {
+        x: newX,
+        y: newY,
+        radius: GameConfig.SHIP.SIZE / 2,
+        angle: 0,
+        rotation: 0,
+        thrusting: false,
+        thrust: {
+            x: 0,
+            y: 0
+        },
+        exploding: false,
+        explodeTime: 0,
+        invulnerable: true,
+        invulnerableTime: GameConfig.SHIP.INVULNERABILITY_TIME,
+        // Hyperspace jump state (see startHyperspace)
+        hyperspace: false,
+        hyperspaceTime: 0,
+        hyperspaceCooldown: 0,
+        hyperspaceScale: 1,
+        hyperspaceArrived: false,
+        // Add spawn animation properties
+        spawning: true,
+        spawnTime: 60, // 1 second at 60fps
+        spawnParticles: [],
+        spawnScale: 0,
+        spawnRotation: 0
+    };
+
+    // Create spawn particles
+    for (let i = 0; i < 20; i++) {
+        const angle = (i / 20) * Math.PI * 2;
+        ship.spawnParticles.push({
+            x: newX + Math.cos(angle) * GameConfig.SHIP.SIZE * 2,
+            y: newY + Math.sin(angle) * GameConfig.SHIP.SIZE * 2,
+            targetX: newX,
+            targetY: newY,
+            alpha: 1,
+            size: fxRng.next() * 2 + 1
+        });
+    }
+}
+
+/**
+ * Hyperspace
+ * Classic last-ditch escape: the ship vanishes, re-enters normal space at a
+ * random spot and may break up doing so. The first half of the jump shrinks
+ * the ship away, the second half grows it back at the destination. While
+ * jumping the ship can't collide, fire or steer.
+ */
+function startHyperspace() {
+    if (ship.spawning || ship.exploding || ship.hyperspace || ship.hyperspaceCooldown > 0) return;
+    
+    ship.hyperspace = true;
+    ship.hyperspaceTime = GameConfig.SHIP.HYPERSPACE_DURATION;
+    ship.hyperspaceCooldown = GameConfig.SHIP.HYPERSPACE_COOLDOWN;
+    ship.hyperspaceScale = 1;
+    ship.hyperspaceArrived = false;
+    
+    if (ship.thrusting) {
+        ship.thrusting = false;
+        simulationHooks.playThrustSound(false);
+    }
+    
+    createHyperspaceParticles(ship.x, ship.y, false);
+}
+
+function updateHyperspace() {
+    const halfDuration = GameConfig.SHIP.HYPERSPACE_DURATION / 2;
+    ship.hyperspaceTime -= frameScale;
+    
+    // Halfway through, arrive at the destination
+    if (!ship.hyperspaceArrived && ship.hyperspaceTime <= halfDuration) {
+        ship.hyperspaceArrived = true;
+        ship.x = gameRng.next() * world.width;
+        ship.y = gameRng.next() * world.height;
+        ship.thrust.x = 0;
+        ship.thrust.y = 0;
+        
+        // Teleport rather than glide across the screen when interpolating
+        ship.prevX = ship.x;
+        ship.prevY = ship.y;
+        
+        if (gameRng.next() < GameConfig.SHIP.HYPERSPACE_FAILURE_CHANCE) {
+            ship.hyperspace = false;
+            ship.hyperspaceScale = 1;
+            simulationHooks.log('Hyperspace malfunction!');
+            destroyShip();
+            return;
+        }
+        
+        createHyperspaceParticles(ship.x, ship.y, true);
+    }
+    
+    if (ship.hyperspaceTime <= 0) {
+        ship.hyperspace = false;
+        ship.hyperspaceScale = 1;
+        return;
+    }
+    
+    // Shrink away, then grow back
+    ship.hyperspaceScale = Math.abs(ship.hyperspaceTime - halfDuration) / halfDuration;
+}
+
+// Ring of sparks - collapsing inward when leaving, bursting outward on arrival
+function createHyperspaceParticles(x, y, arriving) {
+    const count = particles.scaled(HYPERSPACE_PARTICLE_COUNT);
+    for (let i = 0; i < count; i++) {
+        const angle = (i / count) * Math.PI * 2 + fxRng.next() * 0.2;
+        const speed = 1 + fxRng.next() * 1.5;
+        const startDistance = arriving ? 0 : GameConfig.SHIP.SIZE * 1.5;
+        
+        particles.emit('circle', {
+            x: x + Math.cos(angle) * startDistance,
+            y: y + Math.sin(angle) * startDistance,
+            vx: Math.cos(angle) * speed * (arriving ? 1 : -0.5),
+            vy: Math.sin(angle) * speed * (arriving ? 1 : -0.5),
+            size: 1 + fxRng.next() * 1.5,
+            life: HYPERSPACE_PARTICLE_LIFETIME,
+            color: '#96DCFF'
+        });
+    }
+}
+
+/**
+ * Power-ups
+ * Destroyed asteroids, aliens and the battlestar sometimes leave a pickup
+ * behind. Flying into it grants its effect:
+ * - shield: nothing can destroy the ship, asteroids it touches are smashed
+ * - spread: every shot fires three bullets in a fan
+ * - rapid: many more bullets allowed on screen
+ * - piercing: bullets fly on through what they hit
+ * - extraLife: one more life, straight away
+ * Drops come from the gameplay random stream, so replays reproduce them.
+ */
+const POWERUP_TYPES = {
+    shield: { weight: 'SHIELD_WEIGHT', duration: 'SHIELD_DURATION' },
+    spread: { weight: 'SPREAD_WEIGHT', duration: 'SPREAD_DURATION' },
+    rapid: { weight: 'RAPID_WEIGHT', duration: 'RAPID_DURATION' },
+    piercing: { weight: 'PIERCING_WEIGHT', duration: 'PIERCING_DURATION' },
+    extraLife: { weight: 'EXTRA_LIFE_WEIGHT', duration: null }
+};
+
+function resetActivePowerups() {
+    activePowerups = { shield: 0, spread: 0, rapid: 0, piercing: 0 };
+}
+
+// Maybe leave a pickup where something was destroyed
+function rollPowerupDrop(x, y, chance) {
+    if (gameRng.next() >= chance) return;
+    
+    // Pick a type in proportion to the configured weights
+    const types = Object.keys(POWERUP_TYPES);
+    const totalWeight = types.reduce((sum, type) => sum + GameConfig.POWERUPS[POWERUP_TYPES[type].weight], 0);
+    if (totalWeight <= 0) return;
+    
+    let roll = gameRng.next() * totalWeight;
+    let type = types[types.length - 1];
+    for (let i = 0; i < types.length; i++) {
+        roll -= GameConfig.POWERUPS[POWERUP_TYPES[types[i]].weight];
+        if (roll < 0) {
+            type = types[i];
+            break;
+        }
+    }
+    
+    createPowerup(x, y, type);
+}
+
+function createPowerup(x, y, type) {
+    const angle = gameRng.next() * Math.PI * 2;
+    const powerup = {
+        type: type,
+        x: x,
+        y: y,
+        velocity: {
+            x: Math.cos(angle) * GameConfig.POWERUPS.DRIFT_SPEED,
+            y: Math.sin(angle) * GameConfig.POWERUPS.DRIFT_SPEED
+        },
+        radius: GameConfig.POWERUPS.SIZE,
+        lifetime: GameConfig.POWERUPS.LIFETIME
+    };
+    powerups.push(powerup);
+    return powerup;
+}
+
+// Drift pickups, collect any the ship touches and run down active effects
+function updatePowerups() {
+    for (let i = powerups.length - 1; i >= 0; i--) {
+        const powerup = powerups[i];
+        powerup.x += powerup.velocity.x * frameScale;
+        powerup.y += powerup.velocity.y * frameScale;
+        handleEdgeOfScreen(powerup);
+        
+        powerup.lifetime -= frameScale;
+        if (powerup.lifetime <= 0) {
+            powerups.splice(i, 1);
+            continue;
+        }
+        
+        if (ship && !ship.exploding && !ship.hyperspace &&
+            distBetweenPoints(ship.x, ship.y, powerup.x, powerup.y) < ship.radius + powerup.radius) {
+            powerups.splice(i, 1);
+            collectPowerup(powerup);
+        }
+    }
+    
+    Object.keys(activePowerups).forEach(type => {
+        activePowerups[type] = Math.max(0, activePowerups[type] - frameScale);
+    });
+}
+
+function collectPowerup(powerup) {
+    const duration = POWERUP_TYPES[powerup.type].duration;
+    
+    if (duration) {
+        // Collecting the same power-up again restarts its timer
+        activePowerups[powerup.type] = GameConfig.POWERUPS[duration];
+        simulationHooks.log('Power-up: ' + powerup.type);
+    } else if (powerup.type === 'extraLife') {
+        awardExtraLife();
+    }
+}
+
+// Manage player bullet firing with arcade-style limitations
+function fireBullet() {
+    // Bullet system implements classic arcade limitations:
+    // 1. Maximum of 4 bullets on screen (like original Asteroids)
+    // 2. Bullets inherit ship's momentum for tactical depth
+    // 3. Limited lifetime to prevent screen cluttering
+    // 4. Automatic cleanup of expired bullets
+    
+    // Power-ups raise the bullet limit and fan shots out
+    const maxBullets = activePowerups.rapid > 0 ? GameConfig.POWERUPS.RAPID_MAX_BULLETS : GameConfig.GAME.MAX_BULLETS;
+    const spreadAngle = GameConfig.POWERUPS.SPREAD_ANGLE;
+    const angleOffsets = activePowerups.spread > 0 ? [0, spreadAngle, -spreadAngle] : [0];
+    
+    if (bullets.length < maxBullets && !ship.exploding && !ship.hyperspace) {
+        // Calculate bullet spawn position at ship's nose
+        const bulletX = ship.x + Math.cos(ship.angle) * ship.radius;
+        const bulletY = ship.y - Math.sin(ship.angle) * ship.radius;
+        
+        angleOffsets.forEach(offset => {
+            const angle = ship.angle + offset;
+            
+            // Create bullet with inherited momentum
+            // Note: No need to divide by 60 here since updateBullets will multiply by deltaTime
+            bullets.push({
+                x: bulletX,
+                y: bulletY,
+                xv: GameConfig.BULLET.SPEED * Math.cos(angle) + ship.thrust.x,
+                yv: -GameConfig.BULLET.SPEED * Math.sin(angle) + ship.thrust.y,
+                lifetime: GameConfig.BULLET.LIFETIME,
+                piercing: activePowerups.piercing > 0,
+                passedThrough: [] // Targets a piercing bullet has already gone through
+            });
+        });
+        
+        simulationHooks.playSound('fire', ship.x, ship.y);
+    }
+}
+
+// Update bullets position and lifetime
+function updateBullets() {
+    for (let i = bullets.length - 1; i >= 0; i--) {
+        const bullet = bullets[i];
+        
+        // Update bullet position with deltaTime for consistent speed
+        bullet.x += bullet.xv * frameScale;
+        bullet.y += bullet.yv * frameScale;
+        
+        // Wrap bullets around screen edges
+        if (bullet.x < 0) bullet.x = world.width;
+        if (bullet.x > world.width) bullet.x = 0;
+        if (bullet.y < 0) bullet.y = world.height;
+        if (bullet.y > world.height) bullet.y = 0;
+        
+        // Check for bullet lifetime
+        bullet.lifetime -= frameScale;
+        if (bullet.lifetime <= 0) {
+            bullets.splice(i, 1);
+            continue;
+        }
+        
+        // Check collision with aliens
+        for (let a = aliens.length - 1; a >= 0; a--) {
+            const alien = aliens[a];
+            if (bullet.passedThrough.includes(alien)) continue;
+            
+            const dx = bullet.x - alien.x;
+            const dy = bullet.y - alien.y;
+            
+            if (circlesOverlap(bullet.x, bullet.y, 0, alien.x, alien.y, alien.radius) &&
+                pointInPolygon(bullet.x, bullet.y, alienOutline(alien))) {
+                // Remove bullet - piercing rounds carry on
+                if (bullet.piercing) {
+                    bullet.passedThrough.push(alien);
+                } else {
+                    bullets.splice(i, 1);
+                }
+                
+                // Calculate hit angle for directional explosion
+                const hitAngle = Math.atan2(dy, dx);
+                
+                // Reduce alien health
+                alien.health--;
+                alien.hitTime = simTime * 1000;
+                
+                // Create hit effect
+                const sparkCount = particles.scaled(5);
+                for (let p = 0; p < sparkCount; p++) {
+                    const angle = fxRng.next() * Math.PI * 2;
+                    emitAlienDebris('circle', {
+                        x: bullet.x,
+                        y: bullet.y,
+                        vx: Math.cos(angle) * 2,
+                        vy: Math.sin(angle) * 2,
+                        size: 1 + fxRng.next() * 2,
+                        life: 20,
+                        color: '#FFFFFF'
+                    });
+                }
+                
+                // Play hit sound
+                simulationHooks.playSound('bangSmall', bullet.x, bullet.y);
+                
+                // If alien is destroyed
+                if (alien.health <= 0) {
+                    // Add score based on alien's value
+                    const kill = scoreKill(alien.scoreValue);
+                    
+                    // Create score popup
+                    createScorePopup(alien.x, alien.y, kill.points, false, null, kill.multiplier);
+                    
+                    // Create explosion effect
+                    const debrisCount = particles.scaled(20);
+                    for (let p = 0; p < debrisCount; p++) {
+                        const angle = fxRng.next() * Math.PI * 2;
+                        const speed = 1 + fxRng.next() * 3;
+                        emitAlienDebris(fxRng.next() < 0.5 ? 'circle' : 'line', {
+                            x: alien.x,
+                            y: alien.y,
+                            vx: Math.cos(angle) * speed,
+                            vy: Math.sin(angle) * speed,
+                            size: 2 + fxRng.next() * 3,
+                            rotation: fxRng.next() * Math.PI * 2,
+                            rotationSpeed: (fxRng.next() - 0.5) * 0.2,
+                            life: 60,
+                            color: '#00FFFF'
+                        });
+                    }
+                    
+                    // Add shockwave
+                    emitAlienShockwave(alien.x, alien.y, 50, 30, '#00FFFF');
+                    
+                    // Remove alien
+                    aliens.splice(a, 1);
+                    rollPowerupDrop(alien.x, alien.y, GameConfig.POWERUPS.ALIEN_DROP_CHANCE);
+                    
+                    // Play explosion sound
+                    simulationHooks.playSound('bangLarge', alien.x, alien.y);
+                    
+                    simulationHooks.log("Alien destroyed! +" + kill.points + " points");
+                }
+                
+                break; // Only hit one alien per bullet
+            }
+        }
+        
+        // A bullet that hit an alien is spent
+        if (bullets[i] !== bullet) continue;
+        
+        // Check collision with asteroids
+        const nearby = nearbyAsteroids(bullet.x, bullet.y, 0);
+        for (let n = nearby.length - 1; n >= 0; n--) {
+            const j = nearby[n];
+            if (bullet.passedThrough.includes(asteroids[j])) continue;
+            
+            if (bulletHitsAsteroid(bullet, asteroids[j])) {
+                // Calculate collision angle for debris direction
+                const collisionAngle = Math.atan2(bullet.y - asteroids[j].y, bullet.x - asteroids[j].x);
+                
+                // Destroy the asteroid
+                const countBefore = asteroids.length;
+                destroyAsteroid(j, collisionAngle);
+                
+                // Piercing rounds fly on, but not into the pieces of the rock they just split
+                if (bullet.piercing) {
+                    bullet.passedThrough.push(...asteroids.slice(countBefore - 1));
+                } else {
+                    bullets.splice(i, 1);
+                }
+                
+                // Play sound
+                simulationHooks.playSound('bangSmall', bullet.x, bullet.y);
+                break;
+            }
+        }
+    }
+}
+
+// Update asteroids position
+function updateAsteroids() {
+    for (let i = 0; i < asteroids.length; i++) {
+        // Move asteroid with deltaTime for consistent speed
+        asteroids[i].x += asteroids[i].velocity.x * frameScale;
+        asteroids[i].y += asteroids[i].velocity.y * frameScale;
+        
+        // Rotate asteroid with deltaTime for consistent rotation
+        asteroids[i].angle += asteroids[i].rotationSpeed * frameScale;
+        
+        // Handle edge of screen (wrap around)
+        handleEdgeOfScreen(asteroids[i]);
+    }
+    asteroidGridStale = true;
+}
+
+// Handle objects going off screen (wrap around)
+function handleEdgeOfScreen(obj) {
+    // For aliens, use their radius property
+    const radius = obj.radius || 0;
+    
+    if (obj.x < 0 - radius) {
+        obj.x = world.width + radius;
+    } else if (obj.x > world.width + radius) {
+        obj.x = 0 - radius;
+    }
+    
+    if (obj.y < 0 - radius) {
+        obj.y = world.height + radius;
+    } else if (obj.y > world.height + radius) {
+        obj.y = 0 - radius;
+    }
+}
+
+// Check for collisions between game objects
+function checkCollisions() {
+    // Check ship collisions with asteroids (if ship is vulnerable)
+    if (ship && !ship.exploding && !ship.invulnerable && !ship.hyperspace) {
+        const nearby = nearbyAsteroids(ship.x, ship.y, ship.radius);
+        for (let n = 0; n < nearby.length; n++) {
+            const i = nearby[n];
+            if (circlesOverlap(ship.x, ship.y, ship.radius, asteroids[i].x, asteroids[i].y, asteroidReach(asteroids[i])) &&
+                polygonsIntersect(shipOutline(ship), asteroidOutline(asteroids[i]))) {
+                // A shielded ship smashes straight through
+                if (activePowerups.shield > 0) {
+                    destroyAsteroid(i, Math.atan2(asteroids[i].y - ship.y, asteroids[i].x - ship.x));
+                } else {
+                    destroyShip();
+                }
+                break;
+            }
+        }
+    }
+    
+    // Check ship collisions with aliens
+    if (ship && !ship.exploding && !ship.invulnerable && !ship.hyperspace) {
+        for (let i = aliens.length - 1; i >= 0; i--) {
+            const alien = aliens[i];
+            if (!alien.invulnerable &&
+                circlesOverlap(ship.x, ship.y, ship.radius, alien.x, alien.y, GameConfig.ALIEN.SIZE) &&
+                polygonsIntersect(shipOutline(ship), alienOutline(alien))) {
+                // Destroy both ship and alien
+                destroyShip();
+                destroyAlien(alien, false); // false indicates collision rather than shot
+                break;
+            }
+        }
+    }
+    
+    // Check alien collisions with asteroids
+    for (let i = aliens.length - 1; i >= 0; i--) {
+        const alien = aliens[i];
+        if (!alien.invulnerable) { // Only check collisions if not invulnerable
+            const nearby = nearbyAsteroids(alien.x, alien.y, GameConfig.ALIEN.SIZE);
+            for (let n = nearby.length - 1; n >= 0; n--) {
+                const j = nearby[n];
+                const asteroid = asteroids[j];
+                const dx = alien.x - asteroid.x;
+                const dy = alien.y - asteroid.y;
+                
+                if (circlesOverlap(alien.x, alien.y, GameConfig.ALIEN.SIZE, asteroid.x, asteroid.y, asteroidReach(asteroid)) &&
+                    polygonsIntersect(alienOutline(alien), asteroidOutline(asteroid))) {
+                    // Calculate collision angle for debris direction
+                    const collisionAngle = Math.atan2(dy, dx);
+                    
+                    // Destroy both alien and asteroid
+                    destroyAlien(alien, false, collisionAngle);
+                    destroyAsteroid(j, collisionAngle);
+                    
+                    // Add dramatic collision effect
+                    createCollisionEffect(
+                        (alien.x + asteroid.x) / 2,
+                        (alien.y + asteroid.y) / 2,
+                        collisionAngle
+                    );
+                    
+                    // Break out of asteroid loop since alien is destroyed
+                    break;
+                }
+            }
+        }
+    }
+    
+    // Check ship collisions with battlestar
+    if (ship && !ship.exploding && !ship.invulnerable && !ship.hyperspace && battlestar && !battlestar.invulnerable && !battlestar.dying) {
+        if (circlesOverlap(ship.x, ship.y, ship.radius, battlestar.x, battlestar.y, battlestarReach(battlestar)) &&
+            polygonsIntersect(shipOutline(ship), battlestarOutline(battlestar))) {
+            // Ship hit battlestar
+            destroyShip();
+        }
+    }
+    
+    // Check bullet collisions with battlestar
+    if (battlestar && !battlestar.invulnerable && !battlestar.dying) {
+        for (let i = bullets.length - 1; i >= 0; i--) {
+            const bullet = bullets[i];
+            
+            if (circlesOverlap(bullet.x, bullet.y, 0, battlestar.x, battlestar.y, battlestarReach(battlestar)) &&
+                pointInPolygon(bullet.x, bullet.y, battlestarOutline(battlestar))) {
+                // Calculate hit angle for directional damage effect
+                const hitAngle = Math.atan2(bullet.y - battlestar.y, bullet.x - battlestar.x);
+                
+                // Remove bullet
+                bullets.splice(i, 1);
+                
+                // Damage battlestar
+                damageBattlestar(1, hitAngle);
+            }
+        }
+    }
+    
+    // Check asteroid collisions with battlestar
+    if (battlestar && !battlestar.dying) {
+        const nearby = nearbyAsteroids(battlestar.x, battlestar.y, battlestarReach(battlestar));
+        for (let n = nearby.length - 1; n >= 0; n--) {
+            const asteroid = asteroids[nearby[n]];
+            
+            if (circlesOverlap(asteroid.x, asteroid.y, asteroidReach(asteroid), battlestar.x, battlestar.y, battlestarReach(battlestar)) &&
+                polygonsIntersect(asteroidOutline(asteroid), battlestarOutline(battlestar))) {
+                
+                // Calculate collision angle for bouncing
+                const collisionAngle = Math.atan2(asteroid.y - battlestar.y, asteroid.x - battlestar.x);
+                
+                // Bounce the asteroid away
+                const bounceSpeed = Math.sqrt(
+                    asteroid.velocity.x * asteroid.velocity.x + 
+                    asteroid.velocity.y * asteroid.velocity.y
+                );
+                
+                asteroid.velocity.x = Math.cos(collisionAngle) * bounceSpeed;
+                asteroid.velocity.y = Math.sin(collisionAngle) * bounceSpeed;
+                
+                // Move asteroid outside of collision zone
+                asteroid.x = battlestar.x + Math.cos(collisionAngle) * (battlestar.width / 2 + asteroid.radius + 5);
+                asteroid.y = battlestar.y + Math.sin(collisionAngle) * (battlestar.height / 2 + asteroid.radius + 5);
+                asteroidGridStale = true;
+                
+                // Create bounce effect
+                createCollisionEffect(
+                    (asteroid.x + battlestar.x) / 2,
+                    (asteroid.y + battlestar.y) / 2,
+                    collisionAngle
+                );
+                
+                // Play sound
+                simulationHooks.playSound('bangSmall', asteroid.x, asteroid.y);
+            }
+        }
+    }
+    
+    // Check alien bullet collisions with asteroids
+    for (let i = alienBullets.length - 1; i >= 0; i--) {
+        const alienBullet = alienBullets[i];
+        
+        const nearby = nearbyAsteroids(alienBullet.x, alienBullet.y, 0);
+        for (let n = nearby.length - 1; n >= 0; n--) {
+            const j = nearby[n];
+            const asteroid = asteroids[j];
+            
+            if (bulletHitsAsteroid(alienBullet, asteroid)) {
+                // Calculate collision angle for debris direction
+                const collisionAngle = Math.atan2(alienBullet.y - asteroid.y, alienBullet.x - asteroid.x);
+                
+                // Remove alien bullet
+                alienBullets.splice(i, 1);
+                
+                // Destroy asteroid
+                destroyAsteroid(j, collisionAngle);
+                
+                // Play sound
+                simulationHooks.playSound('bangSmall', alienBullet.x, alienBullet.y);
+                
+                // Break out of asteroid loop since bullet is destroyed
+                break;
+            }
+        }
+    }
+}
+
+// Add collision effect function
+function createCollisionEffect(x, y, angle) {
+    // Create a bright flash
+    emitAlienShockwave(x, y, ALIEN_EXPLOSION_RADIUS * 1.5, 20, '#FFFFFF'); // White flash
+    
+    // Create intersection debris
+    const debrisCount = particles.scaled(8);
+    for (let i = 0; i < debrisCount; i++) {
+        const debrisAngle = angle + (fxRng.next() - 0.5) * Math.PI;
+        const speed = ALIEN_DEBRIS_SPEED * (0.8 + fxRng.next() * 0.4);
+        
+        emitAlienDebris('line', {
+            x: x,
+            y: y,
+            vx: Math.cos(debrisAngle) * speed,
+            vy: Math.sin(debrisAngle) * speed,
+            size: 3 + fxRng.next() * 2,
+            rotation: fxRng.next() * Math.PI * 2,
+            rotationSpeed: (fxRng.next() - 0.5) * 0.4,
+            life: ALIEN_DEBRIS_LIFETIME * 0.7,
+            color: '#FFA500' // Orange for collision debris
+        });
+    }
+    
+    // Play a more intense explosion sound
+    simulationHooks.playSound('explode', x, y);
+}
+
+// Destroy the ship
+function destroyShip() {
+    // The shield soaks up anything that would have destroyed the ship, as does god mode
+    if (activePowerups.shield > 0 || godMode) return;
+    
+    // Timed power-ups and the combo chain are lost with the ship
+    resetActivePowerups();
+    resetCombo();
+    simulationHooks.shipDestroyed();
+    
+    // Create ship debris
+    createShipDebris();
+    
+    // Set ship to exploding state
+    ship.exploding = true;
+    ship.explodeTime = 180; // 3 seconds at 60fps
+    lives--;
+    
+    // Stop thrust sound if playing
+    if (ship.thrusting) {
+        ship.thrusting = false;
+        simulationHooks.playThrustSound(false);
+    }
+    
+    // Play explosion sound
+    simulationHooks.playSound('explode', ship.x, ship.y);
+    
+    if (lives <= 0) {
+        // Game over - but don't immediately return to welcome screen
+        simulationHooks.log('Game Over! Score: ' + score);
+        
+        // Let the explosion animation play out before the run ends (see updateGameTimers)
+        gameOverDelay = GAME_OVER_DELAY;
+    } else {
+        simulationHooks.log('Ship destroyed! Lives remaining: ' + lives);
+    }
+}
+
+// Create ship debris when ship is destroyed - one spinning line per edge of the dart
+function createShipDebris() {
+    const outline = shipOutline(ship);
+    
+    outline.forEach((start, i) => {
+        const end = outline[(i + 1) % outline.length];
+        particles.emit('line', {
+            x: (start.x + end.x) / 2,
+            y: (start.y + end.y) / 2,
+            size: distBetweenPoints(start.x, start.y, end.x, end.y) / 2,
+            rotation: Math.atan2(end.y - start.y, end.x - start.x),
+            rotationSpeed: (fxRng.next() - 0.5) * DEBRIS_ROTATION_SPEED * 2,
+            vx: ship.thrust.x + (fxRng.next() - 0.5) * DEBRIS_SPEED,
+            vy: ship.thrust.y + (fxRng.next() - 0.5) * DEBRIS_SPEED,
+            life: DEBRIS_LIFETIME,
+            fade: 60, // Fade out over the last second
+            width: 2,
+            wrap: true
+        });
+    });
+}
+
+// Calculate distance between two points
+function distBetweenPoints(x1, y1, x2, y2) {
+    return Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
+}
+
+/**
+ * Asteroid broad phase
+ * Every asteroid check asks nearbyAsteroids for its candidates instead of
+ * looping over the whole field. The grid is rebuilt on the first query after
+ * the asteroids move or are replaced, and follows splits as they happen, so
+ * each check sees the asteroids where they are at that moment. Turning off
+ * GameConfig.PHYSICS.SPATIAL_HASH goes back to testing every asteroid, for
+ * comparison (see server/benchmark-collisions.js).
+ */
+const asteroidGrid = new SpatialHash(GameConfig.PHYSICS.GRID_CELL_SIZE);
+let asteroidGridStale = true;
+let asteroidGridCount = 0; // Asteroids filed in the grid
+
+/**
+ * Indices of the asteroids that may touch a circle, lowest first
+ * @param {number} reach - The circle's radius
+ */
+function nearbyAsteroids(x, y, reach) {
+    if (!GameConfig.PHYSICS.SPATIAL_HASH) {
+        return asteroids.map((asteroid, i) => i);
+    }
+    if (asteroidGridStale) {
+        asteroidGrid.reset(world.width, world.height);
+        asteroids.forEach((asteroid, i) => asteroidGrid.insert(i, asteroid.x, asteroid.y, asteroidReach(asteroid)));
+        asteroidGridCount = asteroids.length;
+        asteroidGridStale = false;
+    }
+    return asteroidGrid.query(x, y, reach);
+}
+
+// Follow a split in the grid rather than rebuilding it: take out the destroyed
+// asteroid and file its pieces, which destroyAsteroid pushed onto the end
+function asteroidGridSplit(index, asteroid) {
+    if (asteroidGridStale) return;
+    asteroidGrid.remove(index, asteroid.x, asteroid.y, asteroidReach(asteroid));
+    for (let i = asteroidGridCount - 1; i < asteroids.length; i++) {
+        asteroidGrid.insert(i, asteroids[i].x, asteroids[i].y, asteroidReach(asteroids[i]));
+    }
+    asteroidGridCount = asteroids.length;
+}
+
+// Whether a bullet is inside an asteroid's jagged outline (see Collision.js)
+function bulletHitsAsteroid(bullet, asteroid) {
+    return circlesOverlap(bullet.x, bullet.y, 0, asteroid.x, asteroid.y, asteroidReach(asteroid)) &&
+        pointInPolygon(bullet.x, bullet.y, asteroidOutline(asteroid));
+}
+
+// Whether an alien or battlestar bullet touches the ship's outline. Takes the
+// bullet's configured size - its drawn size pulses on the cosmetic stream.
+function bulletHitsShip(bullet, size) {
+    return circlesOverlap(bullet.x, bullet.y, size, ship.x, ship.y, ship.radius) &&
+        circleIntersectsPolygon(bullet.x, bullet.y, size, shipOutline(ship));
+}
+
+// Feed the exhaust from the rear of the ship, at the rate that keeps about
+// THRUST.PARTICLE_COUNT particles alive
+function emitThrustParticles() {
+    thrustEmitCredit += particles.quality * GameConfig.THRUST.PARTICLE_COUNT / GameConfig.THRUST.PARTICLE_LIFETIME * frameScale;
+    
+    while (thrustEmitCredit >= 1) {
+        thrustEmitCredit--;
+        const angle = ship.angle + Math.PI + (fxRng.next() - 0.5) * GameConfig.THRUST.PARTICLE_SPREAD;
+        const speed = GameConfig.THRUST.PARTICLE_SPEED * (0.5 + fxRng.next());
+        particles.emit('circle', {
+            x: ship.x - ship.radius * 1.2 * Math.cos(ship.angle) + (fxRng.next() - 0.5) * 4,
+            y: ship.y + ship.radius * 1.2 * Math.sin(ship.angle) + (fxRng.next() - 0.5) * 4,
+            vx: Math.cos(angle) * speed + ship.thrust.x,
+            vy: -Math.sin(angle) * speed + ship.thrust.y,
+            size: GameConfig.THRUST.PARTICLE_SIZE * 2 * (0.7 + fxRng.next() * 0.6),
+            life: GameConfig.THRUST.PARTICLE_LIFETIME,
+            color: '#FFC832',
+            soft: true,
+            wrap: true
+        });
+    }
+}
+
+// Create a single new alien
+function createAlien() {
+    // Determine which edge to spawn from (0=top, 1=right, 2=bottom, 3=left)
+    const edge = Math.floor(gameRng.next() * 4);
+    let x, y;
+    
+    // Position alien just off-screen based on selected edge
+    switch (edge) {
+        case 0: // Top
+            x = gameRng.next() * world.width;
+            y = -30;
+            break;
+        case 1: // Right
+            x = world.width + 30;
+            y = gameRng.next() * world.height;
+            break;
+        case 2: // Bottom
+            x = gameRng.next() * world.width;
+            y = world.height + 30;
+            break;
+        case 3: // Left
+            x = -30;
+            y = gameRng.next() * world.height;
+            break;
+    }
+    
+    // Calculate base speed with difficulty scaling
+    // Level 2: 75% of max speed, increasing gradually to 100% by level 5
+    const difficultyFactor = Math.min(1, 0.75 + Math.max(0, level - 2) * 0.08);
+    const baseSpeed = GameConfig.ALIEN.BASE_SPEED * difficultyFactor;
+    
+    // Calculate fire rate with difficulty scaling
+    // Level 2: 60% of max rate, increasing gradually to 100% by level 5
+    const fireRateFactor = Math.min(1, 0.6 + Math.max(0, level - 2) * 0.13);
+    const fireRate = GameConfig.ALIEN.FIRE_RATE * fireRateFactor;
+    
+    // Create alien object with adjusted properties based on level
+    const alien = {
+        x,
+        y,
+        dx: 0, // Initial velocity X
+        dy: 0, // Initial velocity Y
+        angle: gameRng.next() * Math.PI * 2, // Random initial angle
+        rotation: 0, // Current rotation speed
+        targetAngle: gameRng.next() * Math.PI * 2, // Target angle for rotation
+        fireTimer: 0, // Fire timer for shooting
+        directionTimer: 0, // Timer for direction changes
+        active: true, // Active state
+        thrusting: gameRng.next() < 0.7, // 70% chance to be thrusting initially
+        spawnTime: GameConfig.ALIEN.SPAWN_EFFECT_DURATION, // Spawn animation timer
+        scale: 0, // Initial scale for spawn effect
+        invulnerable: true, // Start invulnerable
+        invulnerableTime: GameConfig.ALIEN.INVULNERABILITY_TIME, // Invulnerability timer
+        health: 1 + Math.floor((level - 1) / 3), // Health increases every 3 levels
+        scoreValue: 500 * (1 + Math.floor((level - 1) / 2)), // Score value increases every 2 levels
+        radius: GameConfig.ALIEN.SIZE, // Used for screen wrapping
+        baseSpeed, // Pixels per second
+        fireRate, // Shots per second
+        fireSpread: GameConfig.ALIEN.FIRE_SPREAD // Aim error either side of the player (radians)
+    };
+    
+    // Set initial target for alien to move toward
+    updateAlienTarget(alien);
+    
+    // Add to aliens array
+    aliens.push(alien);
+    
+    // Play sound effect
+    simulationHooks.playSound('alienSpawn', alien.x, alien.y);
+}
+
+// Helper function to update alien target position
+function updateAlienTarget(alien) {
+    // Set a new target somewhere on screen
+    alien.targetX = gameRng.next() * world.width;
+    alien.targetY = gameRng.next() * world.height;
+    
+    // Update the time for next direction change (simulated milliseconds)
+    alien.lastDirectionChange = simTime * 1000;
+    alien.directionChangeInterval = 2000 + gameRng.next() * 2000;
+}
+
+// Milliseconds between alien arrivals at the current level
+function getAlienSpawnInterval() {
+    return Math.max(
+        GameConfig.ALIEN.MIN_SPAWN_INTERVAL,
+        GameConfig.ALIEN.BASE_SPAWN_INTERVAL - (level - 2) * GameConfig.ALIEN.SPAWN_INTERVAL_DECREASE
+    );
+}
+
+// Update all aliens
+function updateAliens() {
+    const currentTime = simTime * 1000;
+    
+    // Aliens arrive on a timer from level 2 onwards (level 1 only gets debug-spawned ones)
+    if (level > 1 || forceAliensInLevel1) {
+        alienSpawnTimer -= deltaTime * 1000;
+        if (alienSpawnTimer <= 0 && aliens.length < GameConfig.ALIEN.MAX_COUNT) {
+            createAlien();
+            alienSpawnTimer = getAlienSpawnInterval();
+        }
+    }
+    
+    aliens.forEach((alien, index) => {
+        // Grow in over the spawn animation
+        if (alien.spawnTime > 0) {
+            alien.spawnTime -= frameScale;
+            alien.scale = Math.min(1, 1 - (alien.spawnTime / GameConfig.ALIEN.SPAWN_EFFECT_DURATION));
+        }
+        
+        // Count down invulnerability, flashing when it ends
+        if (alien.invulnerable) {
+            alien.invulnerableTime -= frameScale;
+            if (alien.invulnerableTime <= 0) {
+                alien.invulnerable = false;
+                emitAlienShockwave(alien.x, alien.y, GameConfig.ALIEN.SIZE * 2, 20, '#00FFFF');
+            }
+        }
+        
+        // Check if it's time to change direction
+        if (currentTime - alien.lastDirectionChange > alien.directionChangeInterval) {
+            updateAlienTarget(alien);
+        }
+        
+        // Calculate direction to target
+        const dx = alien.targetX - alien.x;
+        const dy = alien.targetY - alien.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        // If near target, pick a new one
+        if (distance < 50) {
+            updateAlienTarget(alien);
+        }
+        
+        // Set speed towards target
+        if (distance > 0) {
+            alien.speedX = (dx / distance) * alien.baseSpeed;
+            alien.speedY = (dy / distance) * alien.baseSpeed;
+        }
+        
+        // Move the alien
+        alien.x += alien.speedX * deltaTime;
+        alien.y += alien.speedY * deltaTime;
+        
+        // Keep in bounds
+        handleEdgeOfScreen(alien);
+        
+        // Fire at player with a random chance based on fire rate
+        if (gameRng.next() < alien.fireRate * deltaTime && ship && !ship.exploding) {
+            // Calculate angle to player
+            const playerAngle = Math.atan2(ship.y - alien.y, ship.x - alien.x);
+            
+            // Add some randomness to the firing angle based on fireSpread
+            const spreadAngle = playerAngle + (gameRng.next() * 2 - 1) * alien.fireSpread;
+            
+            // Create alien bullet
+            alienBullets.push({
+                x: alien.x,
+                y: alien.y,
+                                    dx: Math.cos(spreadAngle) * GameConfig.ALIEN.BULLET_SPEED,
+                    dy: Math.sin(spreadAngle) * GameConfig.ALIEN.BULLET_SPEED,
+                    active: true,
+                    size: GameConfig.ALIEN.BULLET_SIZE,
+                    pulsePhase: 0,
+                    radius: 3,
+                    lifetime: GameConfig.ALIEN.BULLET_LIFETIME
+            });
+            
+            // Play sound
+            simulationHooks.playSound('alienFire', alien.x, alien.y);
+        }
+    });
+}  
+
+// Update alien bullets
+function updateAlienBullets() {
+    // Remove inactive bullets first
+    alienBullets = alienBullets.filter(bullet => bullet.active);
+
+    // Update all existing bullets
+    for (let i = alienBullets.length - 1; i >= 0; i--) {
+        const bullet = alienBullets[i];
+        
+        // Move bullet with deltaTime for consistent speed
+        bullet.x += bullet.dx * frameScale;
+        bullet.y += bullet.dy * frameScale;
+
+        // Update pulse animation with deltaTime
+        bullet.pulsePhase = (bullet.pulsePhase + GameConfig.ALIEN.BULLET_PULSE_SPEED * frameScale) % (Math.PI * 2);
+        bullet.size = GameConfig.ALIEN.BULLET_SIZE * (1 + 0.2 * Math.sin(bullet.pulsePhase));
+
+        // Update lifetime
+        if (bullet.lifetime !== undefined) {
+            bullet.lifetime -= frameScale;
+            if (bullet.lifetime <= 0) {
+                bullet.active = false;
+                continue;
+            }
+        }
+
+        // Remove if off screen (fallback for bullets without lifetime)
+        if (bullet.x < 0 || bullet.x > world.width || 
+            bullet.y < 0 || bullet.y > world.height) {
+            bullet.active = false;
+            continue;
+        }
+
+        // Check collision with asteroids
+        const nearby = nearbyAsteroids(bullet.x, bullet.y, 0);
+        for (let n = nearby.length - 1; n >= 0; n--) {
+            const j = nearby[n];
+            if (bulletHitsAsteroid(bullet, asteroids[j])) {
+                bullet.active = false;
+                
+                // Calculate collision angle for debris direction
+                const collisionAngle = Math.atan2(bullet.y - asteroids[j].y, bullet.x - asteroids[j].x);
+                
+                // Destroy the asteroid
+                destroyAsteroid(j, collisionAngle);
+                
+                // Play sound
+                simulationHooks.playSound('bangSmall', bullet.x, bullet.y);
+                break;
+            }
+        }
+
+        // Check collision with player
+        if (ship && !ship.exploding && !ship.invulnerable && !ship.hyperspace) {
+            if (bulletHitsShip(bullet, GameConfig.ALIEN.BULLET_SIZE)) {
+                bullet.active = false;
+                destroyShip();
+            }
+        }
+    }
+}
+
+// Update alien explosion function to be more dramatic
+function destroyAlien(alien, wasShot = true, collisionAngle = null) {
+    const ENHANCED_DEBRIS_COUNT = 25; // More debris
+    const ENHANCED_EXPLOSION_RADIUS = 60; // Larger explosion
+    const CORE_FLASH_COUNT = 3; // Multiple flash rings
+    
+    // Create multiple shockwave rings (staggered by their lifetimes rather than timers)
+    for (let i = 0; i < CORE_FLASH_COUNT; i++) {
+        emitAlienShockwave(alien.x, alien.y, ENHANCED_EXPLOSION_RADIUS * (1 - i * 0.2), 30 - i * 5,
+            i === 0 ? '#FFFFFF' : (wasShot ? '#FF4500' : '#FFA500'));
+    }
+    
+    // Create core explosion particles
+    const debrisCount = particles.scaled(ENHANCED_DEBRIS_COUNT);
+    for (let i = 0; i < debrisCount; i++) {
+        let angle;
+        if (collisionAngle !== null) {
+            // Directional explosion for collisions
+            angle = collisionAngle + (fxRng.next() - 0.5) * Math.PI;
+        } else {
+            // Circular explosion pattern
+            angle = (i / debrisCount) * Math.PI * 2;
+        }
+        
+        const speed = ALIEN_DEBRIS_SPEED * (0.5 + fxRng.next());
+        const size = 2 + fxRng.next() * 3;
+        
+        // Create main debris
+        emitAlienDebris(fxRng.next() < 0.3 ? 'circle' : 'line', {
+            x: alien.x,
+            y: alien.y,
+            vx: Math.cos(angle) * speed + (alien.dx || 0) * 0.5,
+            vy: Math.sin(angle) * speed + (alien.dy || 0) * 0.5,
+            size: size,
+            rotation: fxRng.next() * Math.PI * 2,
+            rotationSpeed: (fxRng.next() - 0.5) * 0.4,
+            life: ALIEN_DEBRIS_LIFETIME,
+            color: fxRng.next() < 0.6 ? '#FF4500' : (fxRng.next() < 0.5 ? '#FFD700' : '#FFFFFF')
+        });
+        
+        // Add smaller trailing particles, without the glow
+        if (fxRng.next() < 0.5) {
+            emitAlienDebris('circle', {
+                x: alien.x,
+                y: alien.y,
+                vx: Math.cos(angle) * speed * 0.7,
+                vy: Math.sin(angle) * speed * 0.7,
+                size: size * 0.5,
+                rotation: fxRng.next() * Math.PI * 2,
+                rotationSpeed: (fxRng.next() - 0.5) * 0.2,
+                life: ALIEN_DEBRIS_LIFETIME * 0.7,
+                color: '#FFA500',
+                glow: 0
+            });
+        }
+    }
+    
+    // Add score only if shot (not from collision)
+    if (wasShot) {
+        const kill = scoreKill(GameConfig.ALIEN.POINTS);
+        // Use the createScorePopup function instead of direct push
+        createScorePopup(alien.x, alien.y, kill.points, false, null, kill.multiplier);
+        rollPowerupDrop(alien.x, alien.y, GameConfig.POWERUPS.ALIEN_DROP_CHANCE);
+    }
+    
+    // Enhanced explosion sound
+    simulationHooks.playSound('explode', alien.x, alien.y);
+    
+    // Remove the alien
+    aliens = aliens.filter(a => a !== alien);
+    simulationHooks.log('Alien destroyed in spectacular explosion!');
+}
+
+// Alien debris shares one look: glowing, fading over ALIEN_DEBRIS_LIFETIME and
+// wrapping around the edges. Trails pass glow: 0.
+function emitAlienDebris(type, props) {
+    return particles.emit(type, Object.assign({
+        fade: ALIEN_DEBRIS_LIFETIME,
+        glow: type === 'circle' ? 5 : 3,
+        width: 2,
+        wrap: true
+    }, props));
+}
+
+// Alien shockwaves grow quickly and glow inside, fading over half a second
+function emitAlienShockwave(x, y, maxRadius, life, color) {
+    return particles.emit('shockwave', {
+        x,
+        y,
+        maxRadius,
+        life,
+        fade: 30,
+        color,
+        growth: 0.2,
+        width: 2,
+        soft: true
+    });
+}
+
+// Enhanced asteroid destruction
+function destroyAsteroid(index, collisionAngle = null) {
+    const asteroid = asteroids[index];
+    const points = Math.ceil(100 * (4 - asteroid.size)); // Points based on size
+    
+    // Create core explosion effect
+    createAsteroidExplosion(asteroid, collisionAngle);
+    
+    // Split into smaller asteroids if large enough
+    if (asteroid.size > 1) {
+        // Create 2-3 smaller asteroids
+        const numNewAsteroids = gameRng.next() < 0.5 ? 2 : 3;
+        for (let i = 0; i < numNewAsteroids; i++) {
+            // Calculate split angle
+            const splitAngle = (i / numNewAsteroids) * Math.PI * 2;
+            const finalAngle = collisionAngle !== null ? 
+                collisionAngle + splitAngle : splitAngle;
+            
+            // Create new asteroid with inherited velocity
+            const speed = GameConfig.ASTEROID.BASE_SPEED * (4 - asteroid.size) * 0.5;
+            const newAsteroid = createAsteroid(
+                asteroid.x + Math.cos(finalAngle) * asteroid.radius * 0.5,
+                asteroid.y + Math.sin(finalAngle) * asteroid.radius * 0.5,
+                asteroid.size - 1
+            );
+            
+            // Add split velocity
+            newAsteroid.dx += Math.cos(finalAngle) * speed;
+            newAsteroid.dy += Math.sin(finalAngle) * speed;
+            
+            // Add rotation based on split direction
+            newAsteroid.rotationSpeed *= (gameRng.next() < 0.5 ? 1 : -1) * 1.5;
+            
+            // Create split effect debris
+            createSplitDebris(asteroid, finalAngle);
+            
+            asteroids.push(newAsteroid);
+        }
+    }
+    
+    // Remove the original asteroid
+    asteroids.splice(index, 1);
+    asteroidGridSplit(index, asteroid);
+    rollPowerupDrop(asteroid.x, asteroid.y, GameConfig.POWERUPS.ASTEROID_DROP_CHANCE);
+    
+    // Add score
+    const kill = scoreKill(points);
+    
+    // Create score popup with random offset to avoid obscuring the debris and child asteroids
+    const offsetX = (fxRng.next() * 2 - 1) * 25; // Random offset between -25 and 25 pixels
+    const offsetY = (fxRng.next() * 2 - 1) * 25;
+    createScorePopup(asteroid.x + offsetX, asteroid.y + offsetY, kill.points, false, null, kill.multiplier);
+    
+    // Play sound based on asteroid size
+    if (asteroid.size === 3) {
+        simulationHooks.playSound('bangLarge', asteroid.x, asteroid.y);
+    } else if (asteroid.size === 2) {
+        simulationHooks.playSound('bangMedium', asteroid.x, asteroid.y);
+    } else {
+        simulationHooks.playSound('bangSmall', asteroid.x, asteroid.y);
+    }
+}
+
+// Create asteroid explosion effect
+function createAsteroidExplosion(asteroid, collisionAngle = null) {
+    const debrisCount = particles.scaled(ASTEROID_DEBRIS_COUNT * asteroid.size);
+    
+    // Create rock fragments - short spinning shards of outline
+    for (let i = 0; i < debrisCount; i++) {
+        let angle;
+        if (collisionAngle !== null) {
+            // Directional explosion
+            angle = collisionAngle + (fxRng.next() - 0.5) * Math.PI;
+        } else {
+            // Circular explosion
+            angle = (i / debrisCount) * Math.PI * 2;
+        }
+        
+        const speed = ASTEROID_DEBRIS_SPEED * (0.5 + fxRng.next());
+        
+        particles.emit('line', {
+            x: asteroid.x,
+            y: asteroid.y,
+            vx: Math.cos(angle) * speed + asteroid.dx * 0.5,
+            vy: Math.sin(angle) * speed + asteroid.dy * 0.5,
+            size: asteroid.size * 2 * (0.5 + fxRng.next() * 0.5),
+            rotation: fxRng.next() * Math.PI * 2,
+            rotationSpeed: (fxRng.next() - 0.5) * 0.2,
+            life: ASTEROID_DEBRIS_LIFETIME,
+            color: '#A0A0A0',
+            wrap: true
+        });
+    }
+    
+    // Create dust cloud effect
+    for (let i = 0; i < debrisCount / 2; i++) {
+        const angle = fxRng.next() * Math.PI * 2;
+        const speed = ASTEROID_DEBRIS_SPEED * 0.5 * fxRng.next();
+        particles.emit('circle', {
+            x: asteroid.x,
+            y: asteroid.y,
+            vx: Math.cos(angle) * speed + asteroid.dx * 0.3,
+            vy: Math.sin(angle) * speed + asteroid.dy * 0.3,
+            size: asteroid.size * 3,
+            life: ASTEROID_DEBRIS_LIFETIME * 0.7,
+            fade: ASTEROID_DEBRIS_LIFETIME, // Starts part faded
+            color: '#A9A9A9',
+            soft: true,
+            wrap: true
+        });
+    }
+}
+
+// Create debris for asteroid splits
+function createSplitDebris(asteroid, angle) {
+    const splitDebrisCount = particles.scaled(6);
+    const spreadAngle = Math.PI / 4; // 45-degree spread
+    
+    for (let i = 0; i < splitDebrisCount; i++) {
+        const debrisAngle = angle + (fxRng.next() - 0.5) * spreadAngle;
+        const speed = ASTEROID_DEBRIS_SPEED * (0.3 + fxRng.next() * 0.7);
+        
+        particles.emit('line', {
+            x: asteroid.x,
+            y: asteroid.y,
+            vx: Math.cos(debrisAngle) * speed + asteroid.dx * 0.3,
+            vy: Math.sin(debrisAngle) * speed + asteroid.dy * 0.3,
+            size: asteroid.size * 1.5,
+            rotation: fxRng.next() * Math.PI * 2,
+            rotationSpeed: (fxRng.next() - 0.5) * 0.3,
+            life: ASTEROID_DEBRIS_LIFETIME * 0.6,
+            fade: ASTEROID_DEBRIS_LIFETIME,
+            color: '#808080',
+            wrap: true
+        });
+    }
+}
+
+// Function to start level announcement
+function startLevelAnnouncement() {
+    levelAnnounceTime = LEVEL_ANNOUNCE_DURATION;
+    
+    // Create particles that fly outward from center
+    // Updated y-coordinate to match the new text position
+    const count = particles.scaled(LEVEL_PARTICLE_COUNT);
+    for (let i = 0; i < count; i++) {
+        const angle = (i / count) * Math.PI * 2;
+        const speed = 3 + fxRng.next() * 2;
+        particles.emit('circle', {
+            x: world.width / 2,
+            y: world.height / 3,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            size: 1 + fxRng.next(),
+            color: `hsl(${fxRng.next() * 360}, 100%, 70%)`,
+            life: LEVEL_ANNOUNCE_DURATION,
+            rotation: fxRng.next() * Math.PI * 2,
+            rotationSpeed: (fxRng.next() - 0.5) * 0.2
+        });
+    }
+    
+    // Play level start sound
+    simulationHooks.playSound('levelStart');
+}
+
+// Update level announcement effects
+function updateLevelAnnouncement() {
+    if (levelAnnounceTime > 0) {
+        levelAnnounceTime -= frameScale;
+    }
+}
+
+// Create a battlestar boss ship
+function createBattlestar() {
+    // Randomly choose which side to spawn from (left or right)
+    const spawnSide = gameRng.next() < 0.5 ? 'left' : 'right';
+    
+    // Set position based on spawn side - now partially on screen
+    const x = spawnSide === 'left' ? GameConfig.BATTLESTAR.WIDTH * 0.25 : world.width - GameConfig.BATTLESTAR.WIDTH * 0.25;
+    const y = world.height * (0.25 + gameRng.next() * 0.5); // Spawn in middle 50% of screen height
+    
+    // Direction depends on spawn side
+    const direction = spawnSide === 'left' ? 1 : -1;
+    
+    // Create spawn effects - shockwave
+    particles.emit('shockwave', {
+        x: x,
+        y: y,
+        maxRadius: GameConfig.BATTLESTAR.WIDTH * 2,
+        life: 60,
+        color: '#FF0000'
+    });
+    
+    // Add a second inner shockwave with different color
+    particles.emit('shockwave', {
+        x: x,
+        y: y,
+        maxRadius: GameConfig.BATTLESTAR.WIDTH,
+        life: 75, // Slightly longer to create layered effect
+        color: '#FFFF00'
+    });
+    
+    // Create more dramatic spawn particles
+    const spawnParticleCount = particles.scaled(50); // Increased from 30 to 50
+    for (let i = 0; i < spawnParticleCount; i++) {
+        const angle = fxRng.next() * Math.PI * 2;
+        const distance = fxRng.next() * GameConfig.BATTLESTAR.WIDTH * 1.2; // Increased range
+        
+        particles.emit(fxRng.next() < 0.6 ? 'circle' : 'line', {
+            x: x + Math.cos(angle) * distance,
+            y: y + Math.sin(angle) * distance,
+            vx: Math.cos(angle) * (fxRng.next() * 3), // Faster particles
+            vy: Math.sin(angle) * (fxRng.next() * 3),
+            size: 2 + fxRng.next() * 4, // Larger particles
+            rotation: fxRng.next() * Math.PI * 2,
+            rotationSpeed: (fxRng.next() - 0.5) * 0.3, // Faster rotation
+            life: 60 + fxRng.next() * 60, // Longer lifetimes
+            color: fxRng.next() < 0.3 ? '#FFFFFF' : (fxRng.next() < 0.6 ? '#FF0000' : '#FFFF00') // More color variety
+        });
+    }
+    
+    // Create cannons at spread-out positions
+    const cannons = [];
+    for (let i = 0; i < GameConfig.BATTLESTAR.CANNON_COUNT; i++) {
+        // Position cannons along the battlestar's length
+        const xOffset = (i / (GameConfig.BATTLESTAR.CANNON_COUNT - 1) - 0.5) * GameConfig.BATTLESTAR.WIDTH * 0.8;
+        // Alternate cannons above and below centerline
+        const yOffset = (i % 2 === 0 ? -1 : 1) * GameConfig.BATTLESTAR.HEIGHT * 0.3;
+        
+        cannons.push({
+            x: xOffset,
+            y: yOffset,
+            fireTimer: Math.floor(gameRng.next() * GameConfig.BATTLESTAR.FIRE_RATE), // Stagger firing
+            damaged: false,
+            rotation: 0 // Add rotation property for cannon
+        });
+    }
+    
+    // Create the battlestar object with both x and y velocity components
+    battlestar = {
+        x: x,
+        y: y,
+        dx: direction * GameConfig.BATTLESTAR.SPEED,
+        dy: 0, // Initialize vertical velocity to zero
+        width: GameConfig.BATTLESTAR.WIDTH,
+        height: GameConfig.BATTLESTAR.HEIGHT,
+        health: GameConfig.BATTLESTAR.MAX_HEALTH,
+        maxHealth: GameConfig.BATTLESTAR.MAX_HEALTH,
+        invulnerable: true,
+        invulnerableTime: GameConfig.BATTLESTAR.INVULNERABILITY_TIME,
+        damageState: 0, // 0 = least damaged, 2 = most damaged
+        cannons: cannons,
+        spawnTime: 120, // Increased from 60 to 120 for longer spawn animation
+        scale: 0, // Start small for spawn animation
+        dying: false, // Death animation flag
+        deathTimer: 0, // For coordinating death animation
+        explosionPhase: 0 // For sequential explosions during death
+    };
+    
+    // Play dramatic sound sequence
+    simulationHooks.playSound('bangLarge', battlestar.x, battlestar.y);
+    
+    // Layer additional sounds on after it
+    simulationHooks.playDelayedSound('bangMedium', 0.25);
+    simulationHooks.playDelayedSound('explode', 0.5);
+    
+    simulationHooks.log('WARNING! Battlestar detected!');
+}
+
+// Update battlestar position, state, and behavior
+function updateBattlestar() {
+    if (!battlestar) return;
+    
+    // Skip updates if dying and handle death animation
+    if (battlestar.dying) {
+        battlestar.deathTimer += frameScale;
+        
+        // Create sequential explosions during death animation
+        if (battlestar.deathTimer % 10 < frameScale && battlestar.explosionPhase < 6) {
+            battlestar.explosionPhase++;
+            
+            // Create explosion at random position on the battlestar
+            const offsetX = (fxRng.next() - 0.5) * battlestar.width * 0.8;
+            const offsetY = (fxRng.next() - 0.5) * battlestar.height * 0.8;
+            
+            // Add explosion debris
+            const debrisCount = particles.scaled(20);
+            for (let i = 0; i < debrisCount; i++) {
+                const angle = fxRng.next() * Math.PI * 2;
+                const speed = 1 + fxRng.next() * 3;
+                
+                particles.emit(fxRng.next() < 0.7 ? 'circle' : 'line', {
+                    x: battlestar.x + offsetX,
+                    y: battlestar.y + offsetY,
+                    vx: Math.cos(angle) * speed,
+                    vy: Math.sin(angle) * speed,
+                    size: 2 + fxRng.next() * 4,
+                    rotation: fxRng.next() * Math.PI * 2,
+                    rotationSpeed: (fxRng.next() - 0.5) * 0.2,
+                    life: 30 + fxRng.next() * 60,
+                    color: fxRng.next() < 0.3 ? '#FFFFFF' : (fxRng.next() < 0.5 ? '#FF0000' : '#FFFF00')
+                });
+            }
+            
+            // Add shockwave effect
+            particles.emit('shockwave', {
+                x: battlestar.x + offsetX,
+                y: battlestar.y + offsetY,
+                maxRadius: 30 + fxRng.next() * 20,
+                life: 30,
+                color: fxRng.next() < 0.5 ? '#FF0000' : '#FFFF00'
+            });
+            
+            // Play explosion sound
+            simulationHooks.playSound('bangLarge', battlestar.x + offsetX, battlestar.y + offsetY);
+        }
+        
+        // Final explosion when death animation completes
+        if (battlestar.deathTimer >= GameConfig.BATTLESTAR.EXPLOSION_DURATION) {
+            // Create massive explosion at battlestar's position
+            const explosionCount = particles.scaled(GameConfig.BATTLESTAR.EXPLOSION_PARTICLES);
+            for (let i = 0; i < explosionCount; i++) {
+                const angle = fxRng.next() * Math.PI * 2;
+                const distance = fxRng.next() * battlestar.width * 0.5;
+                const speed = 2 + fxRng.next() * 5;
+                
+                particles.emit(fxRng.next() < 0.5 ? 'circle' : 'line', {
+                    x: battlestar.x + Math.cos(angle) * distance,
+                    y: battlestar.y + Math.sin(angle) * distance,
+                    vx: Math.cos(angle) * speed,
+                    vy: Math.sin(angle) * speed,
+                    size: 3 + fxRng.next() * 5,
+                    rotation: fxRng.next() * Math.PI * 2,
+                    rotationSpeed: (fxRng.next() - 0.5) * 0.4,
+                    life: 60 + fxRng.next() * 120,
+                    color: fxRng.next() < 0.3 ? '#FFFFFF' : (fxRng.next() < 0.5 ? '#FF0000' : '#FFFF00')
+                });
+            }
+            
+            // Add a final shockwave
+            particles.emit('shockwave', {
+                x: battlestar.x,
+                y: battlestar.y,
+                maxRadius: battlestar.width * 2,
+                life: 60,
+                color: '#FFFFFF'
+            });
+            
+            // Add score
+            const kill = scoreKill(GameConfig.BATTLESTAR.POINTS);
+            // Create a score popup directly for guaranteed correct display
+            createScorePopup(battlestar.x, battlestar.y, kill.points, false, null, kill.multiplier);
+            
+            // Play explosion sound
+            simulationHooks.playSound('explode', battlestar.x, battlestar.y);
+            
+            rollPowerupDrop(battlestar.x, battlestar.y, GameConfig.POWERUPS.BATTLESTAR_DROP_CHANCE);
+            
+            // Remove battlestar
+            battlestar = null;
+            simulationHooks.log('Battlestar destroyed! Earned ' + kill.points + ' points!');
+        }
+        
+        return;
+    }
+    
+    // Update spawn animation
+    if (battlestar.spawnTime > 0) {
+        battlestar.spawnTime -= frameScale;
+        battlestar.scale = 1 - battlestar.spawnTime / 120; // Grow from 0 to 1 over 120 frames
+        
+        if (battlestar.spawnTime <= 0) {
+            battlestar.scale = 1;
+            battlestar.invulnerable = false;
+            simulationHooks.log('Battlestar fully operational. Use caution!');
+        }
+        
+        return; // Skip movement during spawn animation
+    }
+    
+    // Ensure the battlestar has vertical velocity property
+    if (battlestar.dy === undefined) {
+        battlestar.dy = 0;
+    }
+    
+    // Update battlestar position using deltaTime for both x and y movement
+    battlestar.x += battlestar.dx * frameScale;
+    battlestar.y += battlestar.dy * frameScale;
+    
+    // Apply gentle dampening to vertical movement to prevent perpetual oscillation
+    battlestar.dy *= Math.pow(0.95, frameScale);
+    
+    // Handle screen edges with improved bounce logic
+    const halfWidth = battlestar.width / 2;
+    const halfHeight = battlestar.height / 2;
+    
+    // Handle horizontal bouncing - only bounce at screen edges
+    if ((battlestar.x < halfWidth && battlestar.dx < 0) || 
+        (battlestar.x > world.width - halfWidth && battlestar.dx > 0)) {
+        // Reverse direction and add gradual vertical movement for variation
+        battlestar.dx *= -1;
+        
+        // Add a gentle vertical impulse instead of an immediate position change
+        // This makes the movement look smoother and more natural
+        battlestar.dy += (gameRng.next() - 0.5) * 2; // Smaller impulse for smoother movement
+        
+        // Play a sound for the bounce
+        simulationHooks.playSound('bangSmall', battlestar.x, battlestar.y);
+        
+        // Add a small visual effect
+        particles.emit('shockwave', {
+            x: battlestar.x + (battlestar.dx > 0 ? -halfWidth : halfWidth),
+            y: battlestar.y,
+            maxRadius: 30,
+            life: 30,
+            color: '#FFFFFF'
+        });
+    }
+    
+    // Keep within vertical bounds with soft bouncing
+    if (battlestar.y < halfHeight) {
+        battlestar.y = halfHeight;
+        battlestar.dy = Math.abs(battlestar.dy) * 0.8; // Bounce back with dampening
+    } else if (battlestar.y > world.height - halfHeight) {
+        battlestar.y = world.height - halfHeight;
+        battlestar.dy = -Math.abs(battlestar.dy) * 0.8; // Bounce back with dampening
+    }
+    
+    // Update cannon fire logic
+    if (ship && !ship.exploding) {
+        battlestar.cannons.forEach(cannon => {
+            if (!cannon.damaged) {
+                // Update fire timer
+                cannon.fireTimer += frameScale;
+                
+                // Calculate world position of cannon
+                const cannonX = battlestar.x + cannon.x;
+                const cannonY = battlestar.y + cannon.y;
+                
+                // Calculate direction to player with advanced targeting
+                const dx = ship.x - cannonX;
+                const dy = ship.y - cannonY;
+                let angle = Math.atan2(dy, dx);
+                
+                // Add slight spread for easier gameplay
+                angle += (gameRng.next() - 0.5) * 0.2;
+                
+                // Update cannon rotation to smoothly face the target
+                const rotationSpeed = 0.1;
+                // Normalize angle difference to [-PI, PI]
+                let angleDiff = angle - cannon.rotation;
+                while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+                while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+                // Apply smooth rotation
+                cannon.rotation += angleDiff * rotationSpeed * frameScale;
+                
+                // Fire when ready
+                if (cannon.fireTimer >= GameConfig.BATTLESTAR.FIRE_RATE) {
+                    cannon.fireTimer = 0;
+                    
+                    // Create bullet - use cannon's current rotation
+                    battlestarBullets.push({
+                        x: cannonX,
+                        y: cannonY,
+                        dx: Math.cos(cannon.rotation) * GameConfig.BATTLESTAR.BULLET_SPEED,
+                        dy: Math.sin(cannon.rotation) * GameConfig.BATTLESTAR.BULLET_SPEED,
+                        active: true,
+                        size: 3 + fxRng.next() * 2,
+                        pulsePhase: fxRng.next() * Math.PI * 2
+                    });
+                    
+                    // Play fire sound with pitch variation
+                    simulationHooks.playSound('fire', cannonX, cannonY);
+                }
+            }
+        });
+    }
+}
+
+// Update battlestar bullets
+function updateBattlestarBullets() {
+    // Remove inactive bullets first
+    battlestarBullets = battlestarBullets.filter(bullet => bullet.active);
+
+    // Update all existing bullets
+    for (let i = battlestarBullets.length - 1; i >= 0; i--) {
+        const bullet = battlestarBullets[i];
+        
+        // Move bullet with deltaTime for consistent speed
+        bullet.x += bullet.dx * frameScale;
+        bullet.y += bullet.dy * frameScale;
+
+        // Update pulse animation with deltaTime
+        bullet.pulsePhase = (bullet.pulsePhase + 0.2 * frameScale) % (Math.PI * 2);
+        bullet.size = GameConfig.BATTLESTAR.BULLET_SIZE * (1 + 0.2 * Math.sin(bullet.pulsePhase));
+
+        // Remove if off screen
+        if (bullet.x < 0 || bullet.x > world.width || 
+            bullet.y < 0 || bullet.y > world.height) {
+            bullet.active = false;
+            continue;
+        }
+
+        // Check collision with asteroids
+        const nearby = nearbyAsteroids(bullet.x, bullet.y, 0);
+        for (let n = nearby.length - 1; n >= 0; n--) {
+            const j = nearby[n];
+            if (bulletHitsAsteroid(bullet, asteroids[j])) {
+                bullet.active = false;
+                
+                // Calculate collision angle for debris direction
+                const collisionAngle = Math.atan2(bullet.y - asteroids[j].y, bullet.x - asteroids[j].x);
+                
+                // Destroy the asteroid
+                destroyAsteroid(j, collisionAngle);
+                
+                // Play sound
+                simulationHooks.playSound('bangSmall', bullet.x, bullet.y);
+                break;
+            }
+        }
+
+        // Check collision with player
+        if (ship && !ship.exploding && !ship.invulnerable && !ship.hyperspace) {
+            if (bulletHitsShip(bullet, GameConfig.BATTLESTAR.BULLET_SIZE)) {
+                bullet.active = false;
+                destroyShip();
+            }
+        }
+    }
+}
+
+// Deal damage to the battlestar
+function damageBattlestar(damage = 1, collisionAngle = null) {
+    if (!battlestar || battlestar.invulnerable || battlestar.dying) return;
+    
+    battlestar.health -= damage;
+    
+    // Add impact effect
+    const impactX = battlestar.x + Math.cos(collisionAngle || 0) * battlestar.width/2;
+    const impactY = battlestar.y + Math.sin(collisionAngle || 0) * battlestar.height/2;
+    
+    // Create impact debris
+    const debrisCount = particles.scaled(10);
+    for (let i = 0; i < debrisCount; i++) {
+        const angle = (collisionAngle || 0) + (fxRng.next() - 0.5) * Math.PI;
+        const speed = 1 + fxRng.next() * 2;
+        
+        particles.emit(fxRng.next() < 0.5 ? 'circle' : 'line', {
+            x: impactX,
+            y: impactY,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            size: 1 + fxRng.next() * 3,
+            rotation: fxRng.next() * Math.PI * 2,
+            rotationSpeed: (fxRng.next() - 0.5) * 0.2,
+            life: 30 + fxRng.next() * 30,
+            color: fxRng.next() < 0.5 ? '#FFFF00' : '#FF0000'
+        });
+    }
+    
+    // Add a shockwave
+    particles.emit('shockwave', {
+        x: impactX,
+        y: impactY,
+        maxRadius: 20,
+        life: 20,
+        color: '#FFFF00'
+    });
+    
+    // Play hit sound
+    simulationHooks.playSound('bangMedium', battlestar.x, battlestar.y);
+    
+    // Create a score popup for the hit - using direct creation for guaranteed upright display
+    createScorePopup(impactX, impactY, 100, false);
+    
+    // Add score
+    score += 100;
+    
+    // Check if battlestar is destroyed
+    if (battlestar.health <= 0) {
+        startBattlestarDeathSequence();
+    } else {
+        // Damage a cannon at random if health is below thresholds
+        if (battlestar.health === GameConfig.BATTLESTAR.DAMAGE_THRESHOLDS[0] || 
+            battlestar.health === GameConfig.BATTLESTAR.DAMAGE_THRESHOLDS[1] || 
+            battlestar.health === GameConfig.BATTLESTAR.DAMAGE_THRESHOLDS[2]) {
+            
+            // Find undamaged cannons
+            const undamagedCannons = battlestar.cannons.filter(cannon => !cannon.damaged);
+            
+            if (undamagedCannons.length > 0) {
+                // Damage a random cannon
+                const randomIndex = Math.floor(gameRng.next() * undamagedCannons.length);
+                undamagedCannons[randomIndex].damaged = true;
+                
+                // Create explosion at cannon position
+                const cannonX = battlestar.x + undamagedCannons[randomIndex].x;
+                const cannonY = battlestar.y + undamagedCannons[randomIndex].y;
+                
+                const debrisCount = particles.scaled(15);
+                for (let i = 0; i < debrisCount; i++) {
+                    const angle = fxRng.next() * Math.PI * 2;
+                    const speed = 1 + fxRng.next() * 3;
+                    
+                    particles.emit(fxRng.next() < 0.6 ? 'circle' : 'line', {
+                        x: cannonX,
+                        y: cannonY,
+                        vx: Math.cos(angle) * speed,
+                        vy: Math.sin(angle) * speed,
+                        size: 2 + fxRng.next() * 3,
+                        rotation: fxRng.next() * Math.PI * 2,
+                        rotationSpeed: (fxRng.next() - 0.5) * 0.3,
+                        life: 40 + fxRng.next() * 20,
+                        color: fxRng.next() < 0.3 ? '#FFFFFF' : (fxRng.next() < 0.6 ? '#FFFF00' : '#FF0000')
+                    });
+                }
+                
+                // Add a shockwave
+                particles.emit('shockwave', {
+                    x: cannonX,
+                    y: cannonY,
+                    maxRadius: 30,
+                    life: 30,
+                    color: '#FF0000'
+                });
+                
+                // Play explosion sound
+                simulationHooks.playSound('bangLarge', battlestar.x, battlestar.y);
+                
+                simulationHooks.log('Battlestar cannon destroyed!');
+            }
+        }
+    }
+}
+
+// Start the battlestar death sequence
+function startBattlestarDeathSequence() {
+    battlestar.dying = true;
+    battlestar.deathTimer = 0;
+    
+    simulationHooks.log('Battlestar critically damaged!');
+    
+    // Disable all cannons
+    battlestar.cannons.forEach(cannon => {
+        cannon.damaged = true;
+    });
+    
+    // Play alert sound
+    simulationHooks.playSound('bangLarge', battlestar.x, battlestar.y);
+}  
+
+// Count down the delayed battlestar arrival and the end of the run
+function updateGameTimers() {
+    if (battlestarSpawnDelay > 0) {
+        battlestarSpawnDelay -= frameScale;
+        if (battlestarSpawnDelay <= 0 && !battlestar) {
+            createBattlestar();
+            simulationHooks.log('WARNING: Battlestar approaching!');
+        }
+    }
+    
+    if (gameOverDelay > 0) {
+        gameOverDelay -= frameScale;
+        if (gameOverDelay <= 0) {
+            gameOver = true;
+        }
+    }
+}
+
+// Remember where an object was at the start of the tick (used for render interpolation)
+function storePrevious(obj) {
+    obj.prevX = obj.x;
+    obj.prevY = obj.y;
+    obj.prevAngle = obj.angle;
+}
+
+function storePreviousPositions() {
+    if (ship) storePrevious(ship);
+    if (battlestar) storePrevious(battlestar);
+    asteroids.forEach(storePrevious);
+    bullets.forEach(storePrevious);
+    aliens.forEach(storePrevious);
+    alienBullets.forEach(storePrevious);
+    battlestarBullets.forEach(storePrevious);
+    powerups.forEach(storePrevious);
+}
+
+// Snapshot of the values tests and tools usually need
+function getSimulationState() {
+    return {
+        seed: gameSeed,
+        ship,
+        asteroids,
+        bullets,
+        aliens,
+        alienBullets,
+        alienSpawnTimer,
+        battlestar,
+        battlestarBullets,
+        powerups,
+        activePowerups,
+        score,
+        lives,
+        level,
+        nextExtraLifeScore,
+        comboCount,
+        comboMultiplier: getComboMultiplier(),
+        simTime,
+        gameOver,
+        respawnSearch
+    };
+}
+
+// Overwrite parts of the simulation state (tests set up scenarios with this)
+function setSimulationState(values) {
+    if ('ship' in values) ship = values.ship;
+    if ('asteroids' in values) {
+        asteroids = values.asteroids;
+        asteroidGridStale = true;
+    }
+    if ('bullets' in values) bullets = values.bullets;
+    if ('aliens' in values) aliens = values.aliens;
+    if ('alienBullets' in values) alienBullets = values.alienBullets;
+    if ('alienSpawnTimer' in values) alienSpawnTimer = values.alienSpawnTimer;
+    if ('battlestar' in values) battlestar = values.battlestar;
+    if ('battlestarBullets' in values) battlestarBullets = values.battlestarBullets;
+    if ('powerups' in values) powerups = values.powerups;
+    if ('activePowerups' in values) Object.assign(activePowerups, values.activePowerups);
+    if ('score' in values) score = values.score;
+    if ('lives' in values) lives = values.lives;
+    if ('level' in values) level = values.level;
+    if ('nextExtraLifeScore' in values) nextExtraLifeScore = values.nextExtraLifeScore;
+    if ('comboCount' in values) comboCount = values.comboCount;
+    if ('godMode' in values) godMode = values.godMode;
+}
+
+// Export for module systems (if available)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        initGame,
+        stepSimulation,
+        setWorldSize,
+        getSimulationState,
+        setSimulationState,
+        keys,
+        world,
+        simulationHooks,
+        gameRng,
+        SAFE_RESPAWN_DISTANCE,
+        createAsteroid,
+        createAsteroids,
+        destroyAsteroid,
+        clearField,
+        jumpToLevel,
+        respawnShipSafely,
+        destroyShip,
+        checkCollisions,
+        createAlien,
+        updateAliens,
+        getAlienSpawnInterval,
+        createBattlestar,
+        damageBattlestar,
+        createPowerup,
+        rollPowerupDrop,
+        updateGame,
+        particles
+    };
+}
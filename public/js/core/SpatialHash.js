@@ -0,0 +1,112 @@
+/**
+ * SpatialHash.js - Uniform grid broad phase for SMASHTEROIDS collisions
+ *
+ * The play field is split into square cells. Each item is filed under every
+ * cell its bounding circle's box touches, so a query only has to look at the
+ * items sharing a cell with it instead of every item on the field.
+ *
+ * Items are indices into the caller's array of objects, and queries return
+ * them in ascending order, so checks walk the candidates in the same order
+ * a loop over the whole array would and play out exactly the same.
+ *
+ * Cells wrap around the field edges the same way handleEdgeOfScreen wraps
+ * objects: an asteroid drifting off the left edge is filed in the rightmost
+ * cells, next to where it reappears. Anything a query turns up is only a
+ * candidate - the caller still runs its own hit test on it.
+ *
+ * The grid is rebuilt every tick, so cells are emptied and reused rather
+ * than thrown away.
+ */
+
+class SpatialHash {
+    /**
+     * @param {number} cellSize - Width and height of a cell (pixels)
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.columns = 0;
+        this.rows = 0;
+        this.cells = [];
+    }
+
+    /**
+     * Empty the grid and fit it to the play field
+     */
+    reset(width, height) {
+        const columns = Math.max(1, Math.ceil(width / this.cellSize));
+        const rows = Math.max(1, Math.ceil(height / this.cellSize));
+        if (columns !== this.columns || rows !== this.rows) {
+            this.columns = columns;
+            this.rows = rows;
+            this.cells = Array.from({ length: columns * rows }, () => []);
+        } else {
+            this.cells.forEach(cell => { cell.length = 0; });
+        }
+    }
+
+    /**
+     * File an item under the cells its bounding circle covers
+     * @param {number} index - The item's position in the caller's array
+     */
+    insert(index, x, y, radius) {
+        this.forEachCell(x, y, radius, cell => cell.push(index));
+    }
+
+    /**
+     * Take an item out and renumber the ones after it, to follow
+     * array.splice(index, 1) on the caller's array
+     * @param {number} x - Where the item was when it was inserted
+     * @param {number} y
+     * @param {number} radius
+     */
+    remove(index, x, y, radius) {
+        this.forEachCell(x, y, radius, cell => {
+            const position = cell.indexOf(index);
+            if (position !== -1) cell.splice(position, 1);
+        });
+        this.cells.forEach(cell => {
+            for (let i = 0; i < cell.length; i++) {
+                if (cell[i] > index) cell[i]--;
+            }
+        });
+    }
+
+    /**
+     * Items that may touch a circle, each once
+     * @returns {number[]} Their indices, lowest first
+     */
+    query(x, y, radius) {
+        const found = [];
+        this.forEachCell(x, y, radius, cell => {
+            for (let i = 0; i < cell.length; i++) {
+                if (!found.includes(cell[i])) found.push(cell[i]);
+            }
+        });
+        return found.sort((a, b) => a - b);
+    }
+
+    // Call back with every cell a circle's box covers, wrapping at the edges
+    forEachCell(x, y, radius, callback) {
+        const firstColumn = Math.floor((x - radius) / this.cellSize);
+        const firstRow = Math.floor((y - radius) / this.cellSize);
+        const columnSpan = Math.min(this.columns, Math.floor((x + radius) / this.cellSize) - firstColumn + 1);
+        const rowSpan = Math.min(this.rows, Math.floor((y + radius) / this.cellSize) - firstRow + 1);
+
+        for (let j = 0; j < rowSpan; j++) {
+            const row = wrapCell(firstRow + j, this.rows) * this.columns;
+            for (let i = 0; i < columnSpan; i++) {
+                callback(this.cells[row + wrapCell(firstColumn + i, this.columns)]);
+            }
+        }
+    }
+}
+
+// Cell index wrapped onto the grid, for cells past either edge
+function wrapCell(index, count) {
+    return ((index % count) + count) % count;
+}
+
+// Export for module systems (if available)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpatialHash;
+}
@@ -0,0 +1,145 @@
+/**
+ * DevConsole.js - Drop-down developer console for SMASHTEROIDS
+ *
+ * The backtick key opens a command line across the top of the screen, for
+ * reaching late-game content without playing up to it. A line is split on
+ * spaces into a command name and its arguments and run by the matching entry
+ * in the command table the game passes in (see game.js). Replies go to the
+ * game's log, which the console shows above its prompt. Up and down step
+ * through earlier lines; backtick or Escape closes it again.
+ *
+ * The game only creates a console outside production builds.
+ */
+
+const DEV_CONSOLE_KEY = '`';
+const DEV_CONSOLE_HISTORY = 20;    // Earlier lines kept for the up arrow
+const DEV_CONSOLE_LOG_LINES = 10;  // Log lines shown above the prompt
+
+class DevConsole {
+    /**
+     * @param {Object<string, {usage: string, run: function(string[]): ?string}>} commands -
+     *   Command name -> its usage line and what it does. run returns the reply,
+     *   or null when the arguments are wrong and the usage should be shown
+     * @param {function(string)} log - Where the lines and replies go
+     */
+    constructor(commands, log) {
+        this.commands = commands;
+        this.log = log;
+        this.open = false;
+        this.input = '';
+        this.history = [];
+        this.historyIndex = 0; // Equal to history.length while typing a new line
+    }
+
+    toggle() {
+        this.open = !this.open;
+        this.input = '';
+        this.historyIndex = this.history.length;
+    }
+
+    /**
+     * Take a key press while the console is open
+     * @param {string} key - KeyboardEvent.key
+     */
+    handleKey(key) {
+        switch (key) {
+            case DEV_CONSOLE_KEY:
+            case 'Escape':
+                this.toggle();
+                break;
+            case 'Enter':
+                this.submit(this.input);
+                break;
+            case 'Backspace':
+                this.input = this.input.slice(0, -1);
+                break;
+            case 'ArrowUp':
+                if (this.historyIndex > 0) {
+                    this.historyIndex--;
+                    this.input = this.history[this.historyIndex];
+                }
+                break;
+            case 'ArrowDown':
+                if (this.historyIndex < this.history.length) {
+                    this.historyIndex++;
+                    this.input = this.history[this.historyIndex] || '';
+                }
+                break;
+            default:
+                // Printable characters only - ignore Shift, F-keys and the like
+                if (key.length === 1) this.input += key;
+        }
+    }
+
+    // Run the typed line and log it with its reply
+    submit(line) {
+        line = line.trim();
+        this.input = '';
+        if (!line) return;
+
+        this.history.push(line);
+        if (this.history.length > DEV_CONSOLE_HISTORY) this.history.shift();
+        this.historyIndex = this.history.length;
+
+        this.log('> ' + line);
+        this.log(this.execute(line));
+    }
+
+    /**
+     * Run one command line
+     * @returns {string} The reply
+     */
+    execute(line) {
+        const [name, ...args] = line.trim().split(/\s+/);
+        const commandName = name.toLowerCase();
+
+        if (commandName === 'help') {
+            return 'Commands: ' + Object.keys(this.commands).join(', ');
+        }
+
+        const command = this.commands[commandName];
+        if (!command) return `Unknown command: ${name} - type help for the list`;
+
+        const reply = command.run(args);
+        return reply === null ? `Usage: ${command.usage}` : reply;
+    }
+
+    /**
+     * Draw the console over the top of the screen
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {string[]} lines - The log, oldest first
+     */
+    draw(ctx, lines) {
+        if (!this.open) return;
+
+        const lineHeight = 18;
+        const height = (DEV_CONSOLE_LOG_LINES + 1) * lineHeight + 20;
+        const width = ctx.canvas.width;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        ctx.fillRect(0, 0, width, height);
+        ctx.strokeStyle = '#00FF00';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        ctx.lineTo(width, height);
+        ctx.stroke();
+
+        ctx.font = '12px "Press Start 2P"';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        lines.slice(-DEV_CONSOLE_LOG_LINES).forEach((line, i) => {
+            ctx.fillText(line, 20, 25 + i * lineHeight);
+        });
+
+        ctx.fillStyle = '#00FF00';
+        ctx.fillText('> ' + this.input + '_', 20, height - 12);
+        ctx.restore();
+    }
+}
+
+// Export for module systems (if available)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DevConsole, DEV_CONSOLE_KEY };
+}
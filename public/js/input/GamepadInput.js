@@ -0,0 +1,164 @@
+/**
+ * GamepadInput.js - Gamepad API support for SMASHTEROIDS
+ *
+ * Browsers don't raise events for gamepad buttons, so the first connected
+ * pad is polled once per frame. Each poll reports which buttons were just
+ * pressed (with key-style auto-repeat for directions, so menus can be
+ * navigated with the stick or d-pad) and the current stick and trigger
+ * values. Buttons use the W3C "standard" layout that browsers expose for
+ * Xbox, PlayStation and most other controllers.
+ */
+
+// In Node, load the dependencies the browser provides through script tags
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.GameConfig = require('../config/GameConfig.js');
+}
+
+const GAMEPAD_BUTTONS = {
+    A: 0,
+    B: 1,
+    X: 2,
+    Y: 3,
+    LB: 4,
+    RB: 5,
+    LT: 6,
+    RT: 7,
+    BACK: 8,
+    START: 9,
+    UP: 12,
+    DOWN: 13,
+    LEFT: 14,
+    RIGHT: 15
+};
+
+// Directions report repeated presses while held, like a held arrow key
+const GAMEPAD_DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+class GamepadInput {
+    constructor() {
+        this.index = null;             // Index of the pad in navigator.getGamepads()
+        this.previousButtons = [];     // Button states from the last poll
+        this.directionHeldSince = {};  // When each direction started being held (ms)
+        this.directionRepeatAt = {};   // When each held direction next repeats (ms)
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('gamepadconnected', (e) => {
+                if (this.index === null) {
+                    this.index = e.gamepad.index;
+                    this.onConnectionChange(e.gamepad, true);
+                }
+            });
+            window.addEventListener('gamepaddisconnected', (e) => {
+                if (e.gamepad.index === this.index) {
+                    this.index = null;
+                    this.previousButtons = [];
+                    this.onConnectionChange(e.gamepad, false);
+                }
+            });
+        }
+    }
+
+    // Replaced by the game to log connections
+    onConnectionChange(gamepad, connected) {}
+
+    getGamepad() {
+        if (this.index === null || typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+        return navigator.getGamepads()[this.index] || null;
+    }
+
+    get connected() {
+        return this.getGamepad() !== null;
+    }
+
+    /**
+     * Read the pad
+     * @param {number} now - Current time in milliseconds, for direction auto-repeat
+     * @returns {Object|null} null when no pad is connected, otherwise:
+     *   pressed - button names (see GAMEPAD_BUTTONS) that went down since the last poll
+     *   directions - up/down/left/right presses from the d-pad or left stick, auto-repeated
+     *   stickX - left stick horizontal position, -1 to 1, zero inside the dead zone
+     *            (the d-pad counts as the stick pushed all the way)
+     *   thrust - right trigger, 0 to 1
+     */
+    poll(now) {
+        const gamepad = this.getGamepad();
+        if (!gamepad) return null;
+
+        const buttons = gamepad.buttons.map(button => button.pressed);
+        const pressed = Object.keys(GAMEPAD_BUTTONS).filter(name => {
+            const index = GAMEPAD_BUTTONS[name];
+            return buttons[index] && !this.previousButtons[index];
+        });
+        this.previousButtons = buttons;
+
+        const deadZone = GameConfig.GAMEPAD.STICK_DEADZONE;
+        const rawX = gamepad.axes[0] || 0;
+        const rawY = gamepad.axes[1] || 0;
+        let stickX = Math.abs(rawX) < deadZone ? 0 : rawX;
+        if (buttons[GAMEPAD_BUTTONS.LEFT]) stickX = -1;
+        if (buttons[GAMEPAD_BUTTONS.RIGHT]) stickX = 1;
+
+        // Trigger values come from the button where the browser reports them as analog
+        const trigger = gamepad.buttons[GAMEPAD_BUTTONS.RT];
+        const thrust = trigger ? trigger.value : 0;
+
+        const held = {
+            up: buttons[GAMEPAD_BUTTONS.UP] || rawY < -GameConfig.GAMEPAD.MENU_STICK_THRESHOLD,
+            down: buttons[GAMEPAD_BUTTONS.DOWN] || rawY > GameConfig.GAMEPAD.MENU_STICK_THRESHOLD,
+            left: buttons[GAMEPAD_BUTTONS.LEFT] || rawX < -GameConfig.GAMEPAD.MENU_STICK_THRESHOLD,
+            right: buttons[GAMEPAD_BUTTONS.RIGHT] || rawX > GameConfig.GAMEPAD.MENU_STICK_THRESHOLD
+        };
+
+        return {
+            pressed,
+            directions: this.repeatDirections(held, now),
+            stickX,
+            thrust
+        };
+    }
+
+    // Directions pressed this poll: once on the way down, then repeatedly while held
+    repeatDirections(held, now) {
+        const directions = [];
+        GAMEPAD_DIRECTIONS.forEach(direction => {
+            if (!held[direction]) {
+                this.directionHeldSince[direction] = null;
+                return;
+            }
+            if (this.directionHeldSince[direction] == null) {
+                this.directionHeldSince[direction] = now;
+                this.directionRepeatAt[direction] = now + GameConfig.GAMEPAD.REPEAT_DELAY;
+                directions.push(direction);
+            } else if (now >= this.directionRepeatAt[direction]) {
+                this.directionRepeatAt[direction] = now + GameConfig.GAMEPAD.REPEAT_INTERVAL;
+                directions.push(direction);
+            }
+        });
+        return directions;
+    }
+
+    // Shake the pad where the browser supports it
+    rumble(duration, strength) {
+        const gamepad = this.getGamepad();
+        if (!gamepad) return;
+
+        try {
+            if (gamepad.vibrationActuator && gamepad.vibrationActuator.playEffect) {
+                gamepad.vibrationActuator.playEffect('dual-rumble', {
+                    duration: duration,
+                    strongMagnitude: strength,
+                    weakMagnitude: strength * 0.5
+                });
+            } else if (gamepad.hapticActuators && gamepad.hapticActuators[0]) {
+                gamepad.hapticActuators[0].pulse(strength, duration);
+            }
+        } catch (e) {
+            // Rumble is a nicety - ignore pads that refuse it
+        }
+    }
+}
+
+// Export for module systems (if available)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GamepadInput, GAMEPAD_BUTTONS };
+}
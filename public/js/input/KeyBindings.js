@@ -0,0 +1,191 @@
+/**
+ * KeyBindings.js - Rebindable keyboard controls for SMASHTEROIDS
+ *
+ * Every player action can have up to two keys. The mapping is saved to
+ * localStorage under smashteroids_keymap, next to the smashteroids_autoPause
+ * preference, and anything missing or unreadable falls back to the original
+ * keys. A key belongs to at most one action: binding a key that is already
+ * in use is refused and reports which action has it.
+ *
+ * Menu keys (Enter, plus the arrow keys on the menu screens) are not actions
+ * and keep working whatever the mapping. Nor are the other keys game.js
+ * handles itself - the welcome and pause screen shortcuts, the developer
+ * console, the config panel's category keys and the debug cheats - so none
+ * of those can be bound either.
+ */
+
+const KEYMAP_STORAGE_KEY = 'smashteroids_keymap';
+
+// Actions in the order the controls screen lists them, with their original keys
+const KEY_ACTIONS = [
+    { id: 'left', label: 'ROTATE LEFT', keys: ['ArrowLeft', 'a'] },
+    { id: 'right', label: 'ROTATE RIGHT', keys: ['ArrowRight', 'd'] },
+    { id: 'thrust', label: 'THRUST', keys: ['ArrowUp', 'w'] },
+    { id: 'fire', label: 'FIRE', keys: [' '] },
+    { id: 'hyperspace', label: 'HYPERSPACE', keys: ['ArrowDown', 'h'] },
+    { id: 'pause', label: 'PAUSE', keys: ['p'] },
+    { id: 'mute', label: 'MUTE SOUND', keys: ['m'] },
+    { id: 'exit', label: 'EXIT TO MENU', keys: ['Escape'] },
+    { id: 'releaseNotes', label: 'RELEASE NOTES', keys: ['n'] },
+    { id: 'log', label: 'DEBUG LOG', keys: ['l'] },
+    { id: 'config', label: 'CONFIG PANEL', keys: ['F9'] }
+];
+
+const KEYS_PER_ACTION = 2;
+
+// Keys the game handles itself, with what uses them
+const RESERVED_KEYS = {
+    'Enter': 'THE MENUS',
+    '`': 'THE DEVELOPER CONSOLE',
+    '[': 'THE CONFIG PANEL',
+    ']': 'THE CONFIG PANEL',
+    'k': 'THE CONTROLS SCREEN',
+    'o': 'THE OPTIONS',
+    'r': 'REPLAYS',
+    'e': 'REPLAYS',
+    'c': 'THE DAILY CHALLENGE',
+    'u': 'THE DEBUG CHEATS',
+    'b': 'THE DEBUG CHEATS',
+    't': 'THE DEBUG CHEATS',
+    's': 'THE DEBUG CHEATS',
+    'i': 'THE DEBUG CHEATS',
+    'f': 'THE DEBUG CHEATS'
+};
+
+// What a reserved key is used by, or null if it can be bound
+function reservedKeyUse(key) {
+    const normalized = normalizeKey(key);
+    return Object.prototype.hasOwnProperty.call(RESERVED_KEYS, normalized) ? RESERVED_KEYS[normalized] : null;
+}
+
+// Letters count the same whatever the shift or caps lock state
+function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// How a key is shown on screen
+function keyLabel(key) {
+    if (!key) return '---';
+    if (key === ' ') return 'SPACE';
+    if (key === 'Escape') return 'ESC';
+    if (key.startsWith('Arrow')) return key.slice(5).toUpperCase() + ' ARROW';
+    return key.toUpperCase();
+}
+
+class KeyBindings {
+    /**
+     * @param {Storage} [storage] - Where the mapping is kept (localStorage in the browser);
+     *   without one the mapping lasts for the session only
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        this.bindings = KeyBindings.defaults();
+        this.load();
+    }
+
+    static defaults() {
+        const bindings = {};
+        KEY_ACTIONS.forEach(action => {
+            bindings[action.id] = action.keys.slice();
+        });
+        return bindings;
+    }
+
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(KEYMAP_STORAGE_KEY));
+            if (!saved) return;
+
+            const bindings = KeyBindings.defaults();
+            KEY_ACTIONS.forEach(action => {
+                const keys = saved[action.id];
+                if (Array.isArray(keys) && keys.length > 0 && keys.length <= KEYS_PER_ACTION &&
+                    keys.every(key => typeof key === 'string' && key.length > 0 && !reservedKeyUse(key))) {
+                    bindings[action.id] = keys.map(normalizeKey);
+                }
+            });
+
+            // A hand-edited or outdated mapping could give a key two actions - start over
+            const allKeys = [].concat(...Object.values(bindings));
+            if (new Set(allKeys).size !== allKeys.length) return;
+
+            this.bindings = bindings;
+        } catch (e) {
+            // Ignore unreadable or unavailable storage
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(KEYMAP_STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (e) {
+            // Ignore unavailable storage - the mapping still applies this session
+        }
+    }
+
+    // Action bound to a key, or null
+    actionFor(key) {
+        const normalized = normalizeKey(key);
+        const action = KEY_ACTIONS.find(action => this.bindings[action.id].includes(normalized));
+        return action ? action.id : null;
+    }
+
+    keysFor(action) {
+        return this.bindings[action];
+    }
+
+    /**
+     * What stops a key being bound to an action
+     * @returns {string|null} 'reserved' for keys the game keeps (see reservedKeyUse), the id of another action
+     *   already using the key, or null when it is free
+     */
+    findConflict(action, key) {
+        const normalized = normalizeKey(key);
+        if (reservedKeyUse(normalized)) return 'reserved';
+
+        const owner = this.actionFor(normalized);
+        return owner && owner !== action ? owner : null;
+    }
+
+    /**
+     * Put a key in one of an action's slots and save
+     * @returns {boolean} false (and nothing changes) if the key conflicts
+     */
+    bind(action, slot, key) {
+        if (this.findConflict(action, key)) return false;
+
+        const normalized = normalizeKey(key);
+        const keys = this.bindings[action].filter(existing => existing !== normalized);
+        keys.splice(Math.min(slot, keys.length), slot < keys.length ? 1 : 0, normalized);
+        this.bindings[action] = keys.slice(0, KEYS_PER_ACTION);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Empty one of an action's slots and save
+     * @returns {boolean} false if it is the action's only key - every action keeps one
+     */
+    clear(action, slot) {
+        const keys = this.bindings[action];
+        if (keys.length <= 1 || slot >= keys.length) return false;
+
+        keys.splice(slot, 1);
+        this.save();
+        return true;
+    }
+
+    reset() {
+        this.bindings = KeyBindings.defaults();
+        this.save();
+    }
+}
+
+// Export for module systems (if available)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KeyBindings, KEY_ACTIONS, KEYS_PER_ACTION, KEYMAP_STORAGE_KEY, RESERVED_KEYS, reservedKeyUse, normalizeKey, keyLabel };
+}
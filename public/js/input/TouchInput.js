@@ -0,0 +1,254 @@
+/**
+ * TouchInput.js - On-screen touch controls for SMASHTEROIDS
+ *
+ * Phones have no keys, so during play the canvas shows a virtual joystick
+ * (bottom left), fire, thrust and hyperspace buttons (bottom right) and a
+ * pause button. Every control is placed from the canvas size and the
+ * device's safe-area insets, so nothing ends up under a notch or the home
+ * indicator. Outside of play, touches are reported as taps at a canvas
+ * position for the menus to handle.
+ *
+ * The controls only appear once the screen has been touched, so desktop
+ * players never see them.
+ */
+
+// In Node, load the dependencies the browser provides through script tags
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.GameConfig = require('../config/GameConfig.js');
+}
+
+// Safe-area insets are only available to CSS - index.html copies them into these properties
+const SAFE_AREA_PROPERTIES = {
+    top: '--safe-area-top',
+    right: '--safe-area-right',
+    bottom: '--safe-area-bottom',
+    left: '--safe-area-left'
+};
+
+const TOUCH_BUTTON_LABELS = {
+    fire: 'FIRE',
+    thrust: 'THRUST',
+    hyperspace: 'HYPER',
+    pause: 'II'
+};
+
+class TouchInput {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.enabled = false;          // Set by the first touch
+        this.controlsActive = false;   // Set by the game while the controls should show
+        this.joystickTouch = null;     // Identifier of the touch steering the joystick
+        this.knobX = 0;                // Knob offset from the joystick centre (pixels)
+        this.knobY = 0;
+        this.buttonTouches = {};       // Button name -> identifier of the touch holding it
+        this.pressed = [];             // Buttons pressed since the last poll
+        this.taps = [];                // Taps outside the controls since the last poll
+        this.layout(canvas.width, canvas.height);
+
+        const options = { passive: false }; // Needed to stop the page scrolling or zooming
+        canvas.addEventListener('touchstart', e => this.onTouchStart(e), options);
+        canvas.addEventListener('touchmove', e => this.onTouchMove(e), options);
+        canvas.addEventListener('touchend', e => this.onTouchEnd(e), options);
+        canvas.addEventListener('touchcancel', e => this.onTouchEnd(e), options);
+    }
+
+    // Safe-area insets in pixels (all zero where the browser has none)
+    readSafeArea() {
+        const insets = { top: 0, right: 0, bottom: 0, left: 0 };
+        if (typeof getComputedStyle === 'undefined') return insets;
+
+        const style = getComputedStyle(document.documentElement);
+        Object.keys(SAFE_AREA_PROPERTIES).forEach(side => {
+            insets[side] = parseFloat(style.getPropertyValue(SAFE_AREA_PROPERTIES[side])) || 0;
+        });
+        return insets;
+    }
+
+    /**
+     * Place the controls for a canvas size
+     * Called whenever the canvas is resized.
+     */
+    layout(width, height) {
+        const insets = this.readSafeArea();
+        const margin = GameConfig.TOUCH.MARGIN;
+        const size = Math.max(GameConfig.TOUCH.MIN_BUTTON_SIZE,
+            Math.min(GameConfig.TOUCH.MAX_BUTTON_SIZE, Math.min(width, height) * 0.09));
+
+        this.width = width;
+        this.height = height;
+        this.insets = insets;
+
+        const joystickRadius = size * 1.5;
+        this.joystick = {
+            x: insets.left + margin + joystickRadius,
+            y: height - insets.bottom - margin - joystickRadius,
+            radius: joystickRadius
+        };
+
+        const fireX = width - insets.right - margin - size;
+        const fireY = height - insets.bottom - margin - size;
+        this.buttons = {
+            fire: { x: fireX, y: fireY, radius: size },
+            thrust: { x: fireX - size * 2.4, y: fireY + size * 0.3, radius: size * 0.85 },
+            hyperspace: { x: fireX - size * 0.3, y: fireY - size * 2.3, radius: size * 0.7 },
+            pause: { x: width - insets.right - margin - size * 0.5, y: insets.top + 80 + size * 0.5, radius: size * 0.5 }
+        };
+    }
+
+    // Touch position in canvas pixels
+    toCanvas(touch) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (touch.clientX - rect.left) * (this.canvas.width / rect.width),
+            y: (touch.clientY - rect.top) * (this.canvas.height / rect.height)
+        };
+    }
+
+    buttonAt(position) {
+        return Object.keys(this.buttons).find(name => {
+            const button = this.buttons[name];
+            // Generous hit area - fingers are less precise than the drawing suggests
+            return Math.hypot(position.x - button.x, position.y - button.y) <= button.radius * 1.3;
+        }) || null;
+    }
+
+    moveKnob(position) {
+        let dx = position.x - this.joystick.x;
+        let dy = position.y - this.joystick.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance > this.joystick.radius) {
+            dx *= this.joystick.radius / distance;
+            dy *= this.joystick.radius / distance;
+        }
+        this.knobX = dx;
+        this.knobY = dy;
+    }
+
+    onTouchStart(e) {
+        e.preventDefault();
+        this.enabled = true;
+
+        Array.from(e.changedTouches).forEach(touch => {
+            const position = this.toCanvas(touch);
+            if (!this.controlsActive) {
+                this.taps.push(position);
+                return;
+            }
+
+            const button = this.buttonAt(position);
+            if (button) {
+                this.buttonTouches[button] = touch.identifier;
+                this.pressed.push(button);
+            } else if (position.x < this.width / 2 && this.joystickTouch === null) {
+                // Anywhere on the left half grabs the joystick
+                this.joystickTouch = touch.identifier;
+                this.moveKnob(position);
+            } else {
+                this.taps.push(position);
+            }
+        });
+    }
+
+    onTouchMove(e) {
+        e.preventDefault();
+        Array.from(e.changedTouches).forEach(touch => {
+            if (touch.identifier === this.joystickTouch) {
+                this.moveKnob(this.toCanvas(touch));
+            }
+        });
+    }
+
+    onTouchEnd(e) {
+        e.preventDefault();
+        Array.from(e.changedTouches).forEach(touch => {
+            if (touch.identifier === this.joystickTouch) {
+                this.releaseJoystick();
+            }
+            Object.keys(this.buttonTouches).forEach(name => {
+                if (this.buttonTouches[name] === touch.identifier) {
+                    delete this.buttonTouches[name];
+                }
+            });
+        });
+    }
+
+    releaseJoystick() {
+        this.joystickTouch = null;
+        this.knobX = 0;
+        this.knobY = 0;
+    }
+
+    /**
+     * Read the controls
+     * @returns {Object}
+     *   pressed - buttons (fire, thrust, hyperspace, pause) touched since the last poll
+     *   taps - canvas positions tapped outside the controls since the last poll
+     *   stick - joystick direction as {x, y} from -1 to 1 (y pointing down the
+     *           screen), or null while it is untouched or inside the dead zone
+     *   thrust - whether the thrust button is held
+     */
+    poll() {
+        // Controls that disappear mid-touch let go
+        if (!this.controlsActive) {
+            this.releaseJoystick();
+            this.buttonTouches = {};
+        }
+
+        const stickX = this.knobX / this.joystick.radius;
+        const stickY = this.knobY / this.joystick.radius;
+        const deflected = Math.hypot(stickX, stickY) >= GameConfig.TOUCH.JOYSTICK_DEADZONE;
+
+        const state = {
+            pressed: this.pressed,
+            taps: this.taps,
+            stick: this.joystickTouch !== null && deflected ? { x: stickX, y: stickY } : null,
+            thrust: this.buttonTouches.thrust !== undefined
+        };
+        this.pressed = [];
+        this.taps = [];
+        return state;
+    }
+
+    // Draw the joystick and buttons over the game
+    draw(ctx) {
+        if (!this.enabled || !this.controlsActive) return;
+
+        const opacity = GameConfig.TOUCH.CONTROL_OPACITY;
+        ctx.save();
+        ctx.lineWidth = 2;
+
+        // Joystick base and knob
+        ctx.strokeStyle = `rgba(255, 255, 255, ${opacity})`;
+        ctx.beginPath();
+        ctx.arc(this.joystick.x, this.joystick.y, this.joystick.radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = `rgba(255, 255, 255, ${opacity})`;
+        ctx.beginPath();
+        ctx.arc(this.joystick.x + this.knobX, this.joystick.y + this.knobY, this.joystick.radius * 0.4, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Buttons, lit while held
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        Object.keys(this.buttons).forEach(name => {
+            const button = this.buttons[name];
+            const held = this.buttonTouches[name] !== undefined;
+            ctx.fillStyle = `rgba(255, 255, 255, ${held ? opacity * 1.5 : opacity * 0.3})`;
+            ctx.beginPath();
+            ctx.arc(button.x, button.y, button.radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.fillStyle = `rgba(255, 255, 255, ${Math.min(1, opacity * 2.5)})`;
+            ctx.font = `${Math.round(button.radius * 0.3)}px "Press Start 2P"`;
+            ctx.fillText(TOUCH_BUTTON_LABELS[name], button.x, button.y);
+        });
+
+        ctx.restore();
+    }
+}
+
+// Export for module systems (if available)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TouchInput };
+}
@@ -0,0 +1,75 @@
+/**
+ * Collision benchmark for the headless simulation
+ *
+ * Fills a large field with hundreds of asteroids and a full set of aliens,
+ * then plays the same run twice - once testing every asteroid against every
+ * bullet and alien, and once through the spatial hash
+ * (GameConfig.PHYSICS.SPATIAL_HASH) - and compares the time per tick.
+ * Both runs must end in the same state, since the grid only changes how
+ * candidates are found, never which collisions happen.
+ *
+ * Usage:
+ *   npm run benchmark
+ *   node server/benchmark-collisions.js [asteroids] [ticks]
+ */
+
+const GameConfig = require('../public/js/config/GameConfig.js');
+const SeededRandom = require('../public/js/core/SeededRandom.js');
+const simulation = require('../public/js/core/Simulation.js');
+
+const ASTEROID_COUNT = parseInt(process.argv[2], 10) || 400;
+const TICKS = parseInt(process.argv[3], 10) || 3000;
+const WIDTH = 1920;
+const HEIGHT = 1080;
+const SEED = 2024;
+
+// Set up the crowded field and play it out, returning the time taken and where it ended
+function run(useSpatialHash) {
+    GameConfig.PHYSICS.SPATIAL_HASH = useSpatialHash;
+    simulation.setWorldSize(WIDTH, HEIGHT);
+    simulation.initGame(SEED);
+
+    const field = new SeededRandom(SEED);
+    const asteroids = [];
+    for (let i = 0; i < ASTEROID_COUNT; i++) {
+        asteroids.push(simulation.createAsteroid(field.range(0, WIDTH), field.range(0, HEIGHT), 1 + field.int(3)));
+    }
+    simulation.setSimulationState({ asteroids, lives: 99, activePowerups: { rapid: Infinity, spread: Infinity } });
+    for (let i = 0; i < GameConfig.ALIEN.MAX_COUNT; i++) simulation.createAlien();
+
+    // Keep the ship out of harm's way so the run lasts, and keep it firing
+    const { ship } = simulation.getSimulationState();
+    ship.invulnerableTime = Infinity;
+
+    const keys = simulation.keys;
+    const bot = new SeededRandom(1);
+    const start = process.hrtime.bigint();
+    for (let tick = 0; tick < TICKS; tick++) {
+        if (tick % 30 === 0) keys.left = bot.chance(0.5);
+        if (tick % 4 === 0) keys.space = true;
+        simulation.stepSimulation(1 / GameConfig.GAME.TICK_RATE);
+    }
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+    const state = simulation.getSimulationState();
+    return {
+        msPerTick: elapsed / TICKS,
+        result: { score: state.score, asteroids: state.asteroids.length, aliens: state.aliens.length }
+    };
+}
+
+console.log(`Collision benchmark: ${ASTEROID_COUNT} asteroids, ${TICKS} ticks on a ${WIDTH}x${HEIGHT} field`);
+
+const bruteForce = run(false);
+const spatialHash = run(true);
+GameConfig.PHYSICS.SPATIAL_HASH = true;
+
+console.log(`  every asteroid: ${bruteForce.msPerTick.toFixed(3)} ms/tick`);
+console.log(`  spatial hash:   ${spatialHash.msPerTick.toFixed(3)} ms/tick`);
+console.log(`  speed-up:       ${(bruteForce.msPerTick / spatialHash.msPerTick).toFixed(2)}x`);
+
+if (JSON.stringify(bruteForce.result) !== JSON.stringify(spatialHash.result)) {
+    console.error('Runs diverged:', bruteForce.result, spatialHash.result);
+    process.exit(1);
+}
+console.log(`  both runs ended identically (score ${spatialHash.result.score}, ${spatialHash.result.asteroids} asteroids left)`);
@@ -0,0 +1,100 @@
+/**
+ * Daily challenge
+ *
+ * Everyone gets the same gameplay seed for a UTC day, so the asteroid and
+ * alien layout is identical for every player. Each player gets one official
+ * score per challenge, kept on the challenge's own leaderboard.
+ *
+ * Players are told apart by an id handed out with the challenge and kept by
+ * the browser, not by initials - several players can share those. Scores
+ * store a hash of the id, so the ids never show on a leaderboard. The id is
+ * not a login: clearing site data gets a new one.
+ *
+ * Seeds are derived from the date and DAILY_CHALLENGE_SALT, so changing the
+ * salt gives a deployment its own sequence of challenges.
+ */
+
+const crypto = require('crypto');
+const SeededRandom = require('../public/js/core/SeededRandom.js');
+
+const CHALLENGE_SALT = process.env.DAILY_CHALLENGE_SALT || 'smashteroids-daily-challenge';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Runs started just before midnight can still be submitted for a while afterwards
+const CHALLENGE_GRACE_MS = 60 * 60 * 1000;
+
+// Challenge id for a moment in time: the UTC date as YYYY-MM-DD
+function getChallengeDate(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+// Gameplay seed shared by everyone playing a challenge
+function getChallengeSeed(date) {
+    return SeededRandom.deriveSeed(SeededRandom.deriveSeed(0, CHALLENGE_SALT), date);
+}
+
+// Today's challenge, as served to the client
+function getDailyChallenge(now = Date.now()) {
+    const date = getChallengeDate(now);
+    return {
+        date,
+        seed: getChallengeSeed(date),
+        endsAt: Math.floor(now / DAY_MS) * DAY_MS + DAY_MS
+    };
+}
+
+// Player ids are random UUIDs
+const PLAYER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function isPlayerId(id) {
+    return typeof id === 'string' && PLAYER_ID_PATTERN.test(id);
+}
+
+// The id a client should play under: the one it already has, or a new one
+function getPlayerId(requested) {
+    return isPlayerId(requested) ? requested : crypto.randomUUID();
+}
+
+// What a score stores to identify its player
+function getPlayerKey(playerId) {
+    return crypto.createHash('sha256').update(playerId).digest('hex');
+}
+
+// Whether scores are still accepted for a challenge
+function isChallengeOpen(date, now = Date.now()) {
+    return date === getChallengeDate(now) || date === getChallengeDate(now - CHALLENGE_GRACE_MS);
+}
+
+/**
+ * Check a challenge score submission before its replay is verified
+ * @param {Object} store - Score store, to look for an earlier attempt
+ * @param {string} challenge - Challenge date the client claims to have played
+ * @param {string} playerId - Id the client was given with the challenge
+ * @param {number} seed - Seed of the submitted replay
+ * @returns {{status: number, error: string}|null} Why it can't be accepted, or null if it can
+ */
+function checkChallengeSubmission(store, challenge, playerId, seed, now = Date.now()) {
+    if (typeof challenge !== 'string' || !isChallengeOpen(challenge, now)) {
+        return { status: 400, error: 'Daily challenge is closed' };
+    }
+    if (seed !== getChallengeSeed(challenge)) {
+        return { status: 400, error: 'Replay is not from the daily challenge' };
+    }
+    if (!isPlayerId(playerId)) {
+        return { status: 400, error: 'Daily challenge scores need a player id' };
+    }
+    if (store.findPlayerScore(getPlayerKey(playerId), challenge)) {
+        return { status: 409, error: 'Daily challenge already played today' };
+    }
+    return null;
+}
+
+module.exports = {
+    getChallengeDate,
+    getChallengeSeed,
+    getDailyChallenge,
+    isChallengeOpen,
+    getPlayerId,
+    getPlayerKey,
+    checkChallengeSubmission
+};
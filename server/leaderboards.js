@@ -0,0 +1,64 @@
+/**
+ * Time-windowed leaderboards
+ *
+ * Every board is a view over the same stored scores:
+ * - daily: scores since midnight UTC today
+ * - weekly: scores since midnight UTC on the most recent Monday
+ * - alltime: every score
+ * - challenge: today's daily challenge (see daily-challenge.js)
+ */
+
+const { getChallengeDate } = require('./daily-challenge');
+
+const LEADERBOARDS = ['daily', 'weekly', 'alltime', 'challenge'];
+const DEFAULT_LEADERBOARD = 'alltime';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Earliest timestamp that counts towards a board
+function getBoardStart(board, now = Date.now()) {
+    const startOfDay = Math.floor(now / DAY_MS) * DAY_MS;
+
+    switch (board) {
+        case 'daily':
+            return startOfDay;
+        case 'weekly': {
+            const daysSinceMonday = (new Date(startOfDay).getUTCDay() + 6) % 7;
+            return startOfDay - daysSinceMonday * DAY_MS;
+        }
+        case 'alltime':
+            return 0;
+        default:
+            throw new Error(`Unknown leaderboard "${board}"`);
+    }
+}
+
+function isLeaderboard(board) {
+    return LEADERBOARDS.includes(board);
+}
+
+// Top scores for one board
+function getLeaderboard(store, board, limit, now = Date.now()) {
+    if (board === 'challenge') {
+        return store.getTopScores(limit, 0, getChallengeDate(now));
+    }
+    return store.getTopScores(limit, getBoardStart(board, now));
+}
+
+// Top scores for every board, keyed by board name
+function getAllLeaderboards(store, limit, now = Date.now()) {
+    const boards = {};
+    LEADERBOARDS.forEach(board => {
+        boards[board] = getLeaderboard(store, board, limit, now);
+    });
+    return boards;
+}
+
+module.exports = {
+    LEADERBOARDS,
+    DEFAULT_LEADERBOARD,
+    getBoardStart,
+    isLeaderboard,
+    getLeaderboard,
+    getAllLeaderboards
+};
@@ -0,0 +1,191 @@
+/**
+ * Replay verification for high score submissions
+ *
+ * Re-runs a submitted recording through the game's own simulation core
+ * (public/js/core/Simulation.js) and reports the score it actually produces.
+ *
+ * The server's own GameConfig is always used, so a recording made with
+ * modified settings simply fails to reproduce its score.
+ *
+ * Re-simulating takes real CPU time, so the server never does it on the
+ * request thread: verifyReplayInWorker runs each check in a worker thread
+ * (replay-worker.js) with a time budget, a few at a time. Before simulating,
+ * a recording is also held to the amount of play its score could plausibly
+ * need (see maxPlausibleTicks).
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const GameConfig = require('../public/js/config/GameConfig.js');
+const { Replay } = require('../public/js/core/Replay.js');
+const simulation = require('../public/js/core/Simulation.js');
+
+// Upper bound on how much play we are willing to re-simulate per submission
+const MAX_REPLAY_TICKS = 120 * 60 * 60 * 2; // Two hours at the default tick rate
+
+// Generous time a player could spend on each level, paused time aside
+const MAX_SECONDS_PER_LEVEL = 600;
+
+// Worker limits - a check that runs longer is abandoned, more at once are turned away
+const VERIFY_TIME_LIMIT_MS = 15000;
+const MAX_CONCURRENT_VERIFICATIONS = 2;
+let activeVerifications = 0;
+
+/**
+ * Highest level a score can belong to
+ * Finishing level n pays a bonus of 1000 * 2^(n-1), so reaching level L
+ * takes at least 1000 * (2^(L-1) - 1) points in bonuses alone.
+ */
+function maxLevelForScore(score) {
+    const points = Number.isFinite(score) ? Math.max(0, score) : 0;
+    return 1 + Math.floor(Math.log2(points / 1000 + 1));
+}
+
+/**
+ * Most unpaused ticks a run with this score and level could plausibly need
+ * @param {number} score - Claimed score
+ * @param {number} [level] - Claimed final level, if the client sent one
+ */
+function maxPlausibleTicks(score, level) {
+    let levels = maxLevelForScore(score);
+    if (Number.isInteger(level) && level >= 1) {
+        levels = Math.min(levels, level);
+    }
+    return Math.min(MAX_REPLAY_TICKS, levels * MAX_SECONDS_PER_LEVEL * GameConfig.GAME.TICK_RATE);
+}
+
+// Accepted play field sizes - anything outside this did not come from a real browser window
+const MIN_FIELD_SIZE = 200;
+const MAX_FIELD_SIZE = 8192;
+
+function isFieldSize(width, height) {
+    return width >= MIN_FIELD_SIZE && width <= MAX_FIELD_SIZE && height >= MIN_FIELD_SIZE && height <= MAX_FIELD_SIZE;
+}
+
+// Parse and sanity-check a submitted recording, holding it to maxActiveTicks of unpaused play
+function parseReplay(data, maxActiveTicks = MAX_REPLAY_TICKS) {
+    const replay = Replay.fromJSON(data, MAX_REPLAY_TICKS);
+
+    if (replay.length === 0) {
+        throw new Error('Replay is empty');
+    }
+    let activeTicks = 0;
+    for (let i = 0; i < replay.length; i++) {
+        if (!replay.getTick(i).paused) activeTicks++;
+    }
+    if (activeTicks > maxActiveTicks) {
+        throw new Error(`Replay is longer than its score could need (${activeTicks} ticks, at most ${maxActiveTicks})`);
+    }
+    if (!isFieldSize(replay.width, replay.height) ||
+        !replay.resizes.every(resize => isFieldSize(resize.width, resize.height))) {
+        throw new Error('Replay play field size is invalid');
+    }
+
+    // Never run with client-supplied settings
+    replay.config = null;
+    return replay;
+}
+
+/**
+ * Re-simulate a recording
+ * @param {Object} replayData - Replay in its JSON form (see Replay.toJSON)
+ * @param {number} [maxActiveTicks] - Refuse recordings with more unpaused ticks than this
+ * @returns {{score: number, level: number, gameOver: boolean, ticks: number}}
+ */
+function simulateReplay(replayData, maxActiveTicks) {
+    const replay = parseReplay(replayData, maxActiveTicks);
+    const tickDuration = 1 / GameConfig.GAME.TICK_RATE;
+
+    simulation.setWorldSize(replay.width, replay.height);
+    simulation.initGame(replay.seed);
+
+    let ticks = 0;
+    let nextResize = 0;
+    while (ticks < replay.length && !simulation.getSimulationState().gameOver) {
+        // The window was resized or the phone rotated before this tick
+        while (nextResize < replay.resizes.length && replay.resizes[nextResize].tick <= ticks) {
+            const resize = replay.resizes[nextResize++];
+            simulation.setWorldSize(resize.width, resize.height);
+        }
+        const tick = replay.getTick(ticks);
+        Object.assign(simulation.keys, tick.keys);
+        simulation.stepSimulation(tickDuration, tick.paused);
+        ticks++;
+    }
+
+    const state = simulation.getSimulationState();
+    return { score: state.score, level: state.level, gameOver: state.gameOver, ticks: ticks };
+}
+
+/**
+ * Check a submitted score against its recording
+ * Runs on the calling thread - the server uses verifyReplayInWorker.
+ * @param {Object} replayData - Replay in its JSON form
+ * @param {number} claimedScore - Score the client submitted
+ * @param {number} [claimedLevel] - Final level the client submitted
+ * @returns {{valid: boolean, reason?: string, score?: number, level?: number}}
+ */
+function verifyReplay(replayData, claimedScore, claimedLevel) {
+    let result;
+    try {
+        result = simulateReplay(replayData, maxPlausibleTicks(claimedScore, claimedLevel));
+    } catch (error) {
+        return { valid: false, reason: 'Invalid replay: ' + error.message };
+    }
+
+    if (!result.gameOver) {
+        return { valid: false, reason: 'Replay does not end in a finished game', score: result.score, level: result.level };
+    }
+    if (result.score !== claimedScore) {
+        return { valid: false, reason: 'Replay score does not match submitted score', score: result.score, level: result.level };
+    }
+
+    return { valid: true, score: result.score, level: result.level };
+}
+
+/**
+ * verifyReplay in a worker thread, so the server keeps answering meanwhile
+ * @param {Object} replayData - Replay in its JSON form
+ * @param {number} claimedScore
+ * @param {number} [claimedLevel]
+ * @param {number} [timeLimit] - Milliseconds before the check is abandoned
+ * @returns {Promise<{valid: boolean, reason?: string, score?: number, level?: number, busy?: boolean}>}
+ *   busy is set when too many checks are already running
+ */
+function verifyReplayInWorker(replayData, claimedScore, claimedLevel, timeLimit = VERIFY_TIME_LIMIT_MS) {
+    if (activeVerifications >= MAX_CONCURRENT_VERIFICATIONS) {
+        return Promise.resolve({ valid: false, busy: true, reason: 'Too many scores are being verified - try again shortly' });
+    }
+    activeVerifications++;
+
+    return new Promise(resolve => {
+        const worker = new Worker(path.join(__dirname, 'replay-worker.js'), {
+            workerData: { replayData, claimedScore, claimedLevel }
+        });
+        let settled = false;
+        const finish = result => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            activeVerifications--;
+            resolve(result);
+        };
+        const timer = setTimeout(() => {
+            worker.terminate();
+            finish({ valid: false, reason: 'Replay took too long to verify' });
+        }, timeLimit);
+
+        worker.once('message', finish);
+        worker.once('error', error => finish({ valid: false, reason: 'Verification failed: ' + error.message }));
+        worker.once('exit', () => finish({ valid: false, reason: 'Verification stopped unexpectedly' }));
+    });
+}
+
+module.exports = {
+    simulateReplay,
+    verifyReplay,
+    verifyReplayInWorker,
+    maxLevelForScore,
+    maxPlausibleTicks,
+    MAX_REPLAY_TICKS
+};
@@ -0,0 +1,12 @@
+/**
+ * Worker thread for replay verification
+ *
+ * Started by verifyReplayInWorker (replay-verifier.js) with the submission
+ * as its workerData; posts back the verifyReplay result and exits.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { verifyReplay } = require('./replay-verifier');
+
+const { replayData, claimedScore, claimedLevel } = workerData;
+parentPort.postMessage(verifyReplay(replayData, claimedScore, claimedLevel));
@@ -0,0 +1,326 @@
+/**
+ * High score storage
+ *
+ * Every accepted score is kept (not just the current top 15) so boards can be
+ * rebuilt from history. The backend is chosen with the SCORE_STORE environment
+ * variable:
+ * - json (default): append-only log, one JSON score per line
+ * - sqlite: SQLite database (needs the optional better-sqlite3 package)
+ * - memory: nothing persisted - scores reset on restart
+ *
+ * SCORE_STORE_PATH overrides where the log or database file lives, e.g. a
+ * mounted volume so scores survive redeploys.
+ *
+ * All backends share the same synchronous interface:
+ * - add(entry): persist one score
+ * - getTopScores(limit, since, challenge): highest scores, optionally only those at or after
+ *   a timestamp. Daily challenge scores (entry.challenge set to the challenge date) are kept
+ *   apart from regular ones and only returned when that challenge is asked for.
+ * - findPlayerScore(player, challenge): an existing score with this entry.player, or null
+ * - count(): number of stored scores
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOG_PATH = path.join(__dirname, 'highscores.log');
+const DEFAULT_DB_PATH = path.join(__dirname, 'highscores.db');
+const LEGACY_FILE_PATH = path.join(__dirname, 'highscores.json'); // Pre-log format: the whole top list in one file
+
+// Highest score first; ties go to whoever got there first
+function compareScores(a, b) {
+    return b.score - a.score || a.timestamp - b.timestamp;
+}
+
+// Which challenge a stored entry belongs to (null for regular games)
+function challengeOf(entry) {
+    return entry.challenge || null;
+}
+
+// Most boards kept ranked at once - day and week windows that have passed drop out as new ones are read
+const MAX_RANKED_BOARDS = 16;
+
+/**
+ * Ranking for the backends that keep every score in memory
+ * Each board read (a since time and a challenge) gets its own sorted list,
+ * capped at the longest limit it has been read with. add() slots a new
+ * score into the lists it belongs on, so only the first read of a board
+ * looks through the whole history - later reads just copy the list.
+ */
+class RankedScores {
+    constructor() {
+        this.scores = [];
+        this.boards = new Map(); // "since|challenge" -> { since, challenge, limit, entries }
+    }
+
+    add(entry) {
+        this.scores.push(entry);
+        this.boards.forEach(board => {
+            if (entry.timestamp >= board.since && challengeOf(entry) === board.challenge) {
+                insertRanked(board.entries, entry, board.limit);
+            }
+        });
+    }
+
+    top(limit, since, challenge) {
+        const key = `${since}|${challenge}`;
+        let board = this.boards.get(key);
+        if (!board || board.limit < limit) {
+            board = {
+                since,
+                challenge,
+                limit,
+                entries: this.scores
+                    .filter(entry => entry.timestamp >= since && challengeOf(entry) === challenge)
+                    .sort(compareScores)
+                    .slice(0, limit)
+            };
+            this.boards.delete(key);
+            this.boards.set(key, board);
+            if (this.boards.size > MAX_RANKED_BOARDS) {
+                this.boards.delete(this.boards.keys().next().value); // Least recently built
+            }
+        }
+        return board.entries.slice(0, limit);
+    }
+
+    find(player, challenge) {
+        return this.scores.find(entry => entry.player === player && challengeOf(entry) === challenge) || null;
+    }
+
+    get count() {
+        return this.scores.length;
+    }
+}
+
+// Put an entry into a ranked list at its place, keeping at most limit entries
+function insertRanked(entries, entry, limit) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (compareScores(entries[middle], entry) <= 0) low = middle + 1;
+        else high = middle;
+    }
+    if (low >= limit) return;
+
+    entries.splice(low, 0, entry);
+    if (entries.length > limit) entries.pop();
+}
+
+// Replace a file in one step: write a temporary copy, flush it, then rename over the original.
+// Readers see either the old or the new contents, never a half-written file.
+function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Append-only JSON log
+ * Each score is written as a single line with one write call and flushed to
+ * disk before add() returns. A crash can at worst leave a partial last line,
+ * which is dropped (and the log repaired) the next time it is loaded.
+ */
+class JsonLogStore {
+    constructor(filePath = DEFAULT_LOG_PATH) {
+        this.filePath = filePath;
+        this.ranked = new RankedScores();
+        this.load();
+    }
+
+    load() {
+        this.ranked = new RankedScores();
+        if (!fs.existsSync(this.filePath)) return;
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(line => line.trim());
+        const scores = [];
+        let damaged = false;
+        lines.forEach(line => {
+            try {
+                scores.push(JSON.parse(line));
+            } catch (err) {
+                damaged = true;
+            }
+        });
+
+        scores.forEach(entry => this.ranked.add(entry));
+        if (damaged) {
+            console.warn('Dropped unreadable lines from', this.filePath);
+            writeFileAtomic(this.filePath, scores.map(entry => JSON.stringify(entry) + '\n').join(''));
+        }
+    }
+
+    add(entry) {
+        const fd = fs.openSync(this.filePath, 'a');
+        try {
+            fs.writeSync(fd, JSON.stringify(entry) + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        this.ranked.add(entry);
+    }
+
+    getTopScores(limit, since = 0, challenge = null) {
+        return this.ranked.top(limit, since, challenge);
+    }
+
+    findPlayerScore(player, challenge = null) {
+        return this.ranked.find(player, challenge);
+    }
+
+    count() {
+        return this.ranked.count;
+    }
+}
+
+/**
+ * SQLite database
+ * Indexed columns for ranking, with the full score entry kept as JSON.
+ * SQLite commits each insert atomically; WAL mode keeps reads fast while writing.
+ */
+class SqliteStore {
+    constructor(filePath = DEFAULT_DB_PATH) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (err) {
+            throw new Error('SCORE_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        this.filePath = filePath;
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS scores (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                initials TEXT NOT NULL,
+                score INTEGER NOT NULL,
+                timestamp INTEGER NOT NULL,
+                data TEXT NOT NULL
+            );
+        `);
+
+        // Databases created before daily challenges lack the challenge and player columns
+        const columns = this.db.prepare('PRAGMA table_info(scores)').all().map(column => column.name);
+        if (!columns.includes('challenge')) {
+            this.db.exec('ALTER TABLE scores ADD COLUMN challenge TEXT');
+        }
+        if (!columns.includes('player')) {
+            this.db.exec('ALTER TABLE scores ADD COLUMN player TEXT');
+        }
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS scores_by_challenge ON scores (challenge, score DESC, timestamp);
+            CREATE INDEX IF NOT EXISTS scores_by_time ON scores (timestamp);
+            CREATE INDEX IF NOT EXISTS scores_by_player ON scores (player, challenge);
+        `);
+
+        this.insertStatement = this.db.prepare(
+            'INSERT INTO scores (initials, score, timestamp, challenge, player, data) VALUES (?, ?, ?, ?, ?, ?)'
+        );
+        this.topStatement = this.db.prepare(
+            'SELECT data FROM scores WHERE timestamp >= ? AND challenge IS ? ORDER BY score DESC, timestamp ASC LIMIT ?'
+        );
+        this.findStatement = this.db.prepare(
+            'SELECT data FROM scores WHERE player = ? AND challenge IS ? LIMIT 1'
+        );
+        this.countStatement = this.db.prepare('SELECT COUNT(*) AS count FROM scores');
+    }
+
+    add(entry) {
+        this.insertStatement.run(entry.initials, entry.score, entry.timestamp, challengeOf(entry), entry.player || null, JSON.stringify(entry));
+    }
+
+    getTopScores(limit, since = 0, challenge = null) {
+        return this.topStatement.all(since, challenge, limit).map(row => JSON.parse(row.data));
+    }
+
+    findPlayerScore(player, challenge = null) {
+        const row = this.findStatement.get(player, challenge);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    count() {
+        return this.countStatement.get().count;
+    }
+}
+
+// Scores kept only for the life of the process
+class MemoryStore {
+    constructor() {
+        this.ranked = new RankedScores();
+    }
+
+    add(entry) {
+        this.ranked.add(entry);
+    }
+
+    getTopScores(limit, since = 0, challenge = null) {
+        return this.ranked.top(limit, since, challenge);
+    }
+
+    findPlayerScore(player, challenge = null) {
+        return this.ranked.find(player, challenge);
+    }
+
+    count() {
+        return this.ranked.count;
+    }
+}
+
+// Carry scores over from the old single-file format the first time a new store is used
+function importLegacyScores(store, legacyPath = LEGACY_FILE_PATH) {
+    if (store.count() > 0 || !fs.existsSync(legacyPath)) return 0;
+
+    try {
+        const legacyScores = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+        if (!Array.isArray(legacyScores)) return 0;
+        legacyScores.forEach(entry => store.add(entry));
+        console.log(`Imported ${legacyScores.length} high scores from ${legacyPath}`);
+        return legacyScores.length;
+    } catch (err) {
+        console.error('Error importing legacy high scores:', err);
+        return 0;
+    }
+}
+
+/**
+ * Create the store selected by the environment
+ * @param {Object} [env=process.env] - Reads SCORE_STORE and SCORE_STORE_PATH
+ */
+function createScoreStore(env = process.env) {
+    const type = (env.SCORE_STORE || 'json').toLowerCase();
+    const filePath = env.SCORE_STORE_PATH;
+
+    let store;
+    switch (type) {
+        case 'json':
+            store = new JsonLogStore(filePath || DEFAULT_LOG_PATH);
+            break;
+        case 'sqlite':
+            store = new SqliteStore(filePath || DEFAULT_DB_PATH);
+            break;
+        case 'memory':
+            return new MemoryStore();
+        default:
+            throw new Error(`Unknown SCORE_STORE "${type}" (expected json, sqlite or memory)`);
+    }
+
+    importLegacyScores(store);
+    return store;
+}
+
+module.exports = {
+    createScoreStore,
+    JsonLogStore,
+    SqliteStore,
+    MemoryStore,
+    writeFileAtomic
+};
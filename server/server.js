@@ -1,11 +1,16 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
+const GameConfig = require('../public/js/config/GameConfig.js');
+const { verifyReplayInWorker } = require('./replay-verifier');
+const { createScoreStore } = require('./score-store');
+const { LEADERBOARDS, DEFAULT_LEADERBOARD, isLeaderboard, getLeaderboard, getAllLeaderboards } = require('./leaderboards');
+const { getDailyChallenge, getPlayerId, getPlayerKey, checkChallengeSubmission } = require('./daily-challenge');
 const app = express();
 const port = process.env.PORT || 3030; // Use Heroku's PORT environment variable or default to 3030
 
 // Add middleware
-app.use(express.json());
+app.use(express.json({ limit: '2mb' })); // Score submissions carry the full input recording
 
 // Serve AudioWorklet with correct MIME type - must come before static middleware
 app.get('/audioWorklet.js', (req, res) => {
@@ -20,6 +25,15 @@ app.get('/audioWorklet.js', (req, res) => {
     res.sendFile(audioWorkletPath);
 });
 
+// Tell the game which build it is running in - development tools such as the
+// developer console stay off unless this says development
+app.get('/js/config/environment.js', (req, res) => {
+    const environment = process.env.NODE_ENV === 'production' ? 'production' : 'development';
+    res.setHeader('Content-Type', 'application/javascript');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(`const BUILD_ENVIRONMENT = '${environment}';\n`);
+});
+
 app.use(express.static(path.join(__dirname, '../public'))); // Serve game files from public directory
 
 // Security headers middleware
@@ -39,10 +53,9 @@ app.use((req, res, next) => {
     next();
 });
 
-// In-memory high scores
-let highScores = [];
+// Persistent high scores - backend chosen by SCORE_STORE (see score-store.js)
 const HIGH_SCORE_COUNT = 15; // Store more scores for a larger leaderboard
-const SCORE_FILE_PATH = path.join(__dirname, 'highscores.json');
+const scoreStore = createScoreStore();
 
 // Check if we're running on Heroku
 const isHeroku = process.env.NODE_ENV === 'production';
@@ -56,30 +69,12 @@ const defaultScores = [
     { initials: "JP5", score: 2000, timestamp: Date.now() }
 ];
 
-// Load initial high scores
-if (isHeroku) {
-    // On Heroku, just use the default scores since the filesystem is ephemeral
-    console.log('Running on Heroku, using default high scores');
-    highScores = [...defaultScores];
+// Seed an empty board with the default scores
+if (scoreStore.count() === 0) {
+    defaultScores.forEach(entry => scoreStore.add(entry));
+    console.log('Created default high scores');
 } else {
-    // In development, try to load from file
-    try {
-        if (fs.existsSync(SCORE_FILE_PATH)) {
-            const data = fs.readFileSync(SCORE_FILE_PATH, 'utf8');
-            highScores = JSON.parse(data);
-            console.log('Loaded existing high scores from file');
-        } else {
-            // Initialize with default scores if no file exists
-            highScores = [...defaultScores];
-            // Save the default scores
-            fs.writeFileSync(SCORE_FILE_PATH, JSON.stringify(highScores, null, 2));
-            console.log('Created default high scores file');
-        }
-    } catch (err) {
-        console.error('Error loading high scores:', err);
-        // Initialize with default scores if there's an error
-        highScores = [...defaultScores];
-    }
+    console.log(`Loaded ${scoreStore.count()} stored high scores`);
 }
 
 // Rate limiting storage
@@ -116,9 +111,20 @@ function rateLimit(req, res, next) {
     next();
 }
 
-// Get high scores
+// Get high scores - ?board=daily|weekly|alltime|challenge (defaults to all-time)
 app.get('/api/highscores', (req, res) => {
-    res.json(highScores);
+    const board = req.query.board || DEFAULT_LEADERBOARD;
+    if (!isLeaderboard(board)) {
+        return res.status(400).json({ error: 'Unknown leaderboard', boards: LEADERBOARDS });
+    }
+    
+    res.json(getLeaderboard(scoreStore, board, HIGH_SCORE_COUNT));
+});
+
+// Today's daily challenge - everyone plays the same seed
+// ?player= passes back the id from an earlier visit; a new one is issued otherwise
+app.get('/api/daily-challenge', (req, res) => {
+    res.json({ ...getDailyChallenge(), player: getPlayerId(req.query.player) });
 });
 
 // Debug route to check AudioWorklet file availability
@@ -215,14 +221,16 @@ app.get('/api/test/audioworklet-headers', (req, res) => {
 });
 
 // Submit a high score
-app.post('/api/highscores', rateLimit, (req, res) => {
-    const { initials, score, gameData } = req.body;
+app.post('/api/highscores', rateLimit, async (req, res) => {
+    const { initials, score, gameData, replay, challenge, player } = req.body;
     
     // Add detailed logging for debugging
     console.log('Received highscore submission:');
     console.log('Initials:', initials);
     console.log('Score:', score, typeof score);
     console.log('Game Data:', gameData);
+    console.log('Replay:', replay ? `${(replay.inputs || '').length} bytes of input` : 'none');
+    console.log('Daily challenge:', challenge || 'no');
     console.log('IP:', req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']);
     
     // Enhanced validation
@@ -242,8 +250,9 @@ app.post('/api/highscores', rateLimit, (req, res) => {
     if (gameData && gameData.level) {
         // Much more generous limits to account for battlestar (5000), aliens, and asteroids
         // Level 1: ~25000, Level 10: ~250000, etc.
-        // This allows for battlestar + multiple waves of aliens + all asteroids
-        maxScore = Math.min(5000000, gameData.level * 25000);
+        // This allows for battlestar + multiple waves of aliens + all asteroids,
+        // every kill of which a long combo chain can multiply
+        maxScore = Math.min(5000000, gameData.level * 25000 * GameConfig.SCORE.COMBO_MAX_MULTIPLIER);
     }
     
     if (score > maxScore) {
@@ -301,6 +310,45 @@ app.post('/api/highscores', rateLimit, (req, res) => {
         return res.status(400).json({ error: 'Suspicious initials pattern' });
     }
     
+    // Re-simulate the recorded run - only scores the game logic actually produces are accepted
+    if (!replay) {
+        console.log('Validation failed: No replay provided');
+        return res.status(400).json({ error: 'Score submissions must include a replay' });
+    }
+    
+    // Daily challenge runs must use the day's seed, and each player gets one official score
+    if (challenge !== undefined && challenge !== null) {
+        const problem = checkChallengeSubmission(scoreStore, challenge, player, replay.seed);
+        if (problem) {
+            console.log('Validation failed:', problem.error, '- challenge:', challenge, 'seed:', replay.seed);
+            return res.status(problem.status).json({ error: problem.error });
+        }
+    }
+    
+    // Verified in a worker thread, so other requests are served meanwhile
+    const verification = await verifyReplayInWorker(replay, score, gameData && gameData.level);
+    if (verification.busy) {
+        console.log('Validation deferred: verifier busy');
+        return res.status(503).json({ error: verification.reason });
+    }
+    if (!verification.valid) {
+        console.log('Validation failed: Replay verification failed:', verification.reason, 'simulated score:', verification.score);
+        return res.status(400).json({ 
+            error: 'Score could not be verified',
+            reason: verification.reason
+        });
+    }
+    console.log('Replay verified: score', verification.score, 'level', verification.level);
+    
+    // Another official attempt may have been saved while this one was being verified
+    if (challenge !== undefined && challenge !== null) {
+        const problem = checkChallengeSubmission(scoreStore, challenge, player, replay.seed);
+        if (problem) {
+            console.log('Validation failed:', problem.error, '- challenge:', challenge);
+            return res.status(problem.status).json({ error: problem.error });
+        }
+    }
+    
     // Add new score with enhanced metadata
     const newScore = { 
         initials: sanitizedInitials, 
@@ -308,28 +356,26 @@ app.post('/api/highscores', rateLimit, (req, res) => {
         timestamp: Date.now(),
         ip: req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'],
         userAgent: req.headers['user-agent'],
-        gameData: gameData || {}
+        gameData: gameData || {},
+        verified: true,
+        seed: replay.seed,
+        level: verification.level
     };
-    
-    highScores.push(newScore);
-    
-    // Sort and limit
-    highScores.sort((a, b) => b.score - a.score);
-    if (highScores.length > HIGH_SCORE_COUNT) {
-        highScores = highScores.slice(0, HIGH_SCORE_COUNT);
+    if (challenge) {
+        newScore.challenge = challenge;
+        newScore.player = getPlayerKey(player);
     }
     
-    // Save to file (only in development)
-    if (!isHeroku) {
-        try {
-            fs.writeFileSync(SCORE_FILE_PATH, JSON.stringify(highScores, null, 2));
-            console.log('Saved high scores to file');
-        } catch (err) {
-            console.error('Error saving high scores to file:', err);
-        }
+    try {
+        scoreStore.add(newScore);
+        console.log('Saved high score');
+    } catch (err) {
+        console.error('Error saving high score:', err);
+        return res.status(500).json({ error: 'Failed to save score' });
     }
     
-    res.json({ success: true, highScores });
+    const boards = getAllLeaderboards(scoreStore, HIGH_SCORE_COUNT);
+    res.json({ success: true, highScores: boards[DEFAULT_LEADERBOARD], boards });
 });
 
 // Start the server
@@ -0,0 +1,97 @@
+/**
+ * Tests for the audio mixer (public/js/audio/AudioMixer.js)
+ *
+ * Runs under Node's built-in test runner:
+ *   node --test server/test-audio-mixer.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const GameConfig = require('../public/js/config/GameConfig.js');
+const { AudioMixer, soundPosition } = require('../public/js/audio/AudioMixer.js');
+
+const AREA = { width: 800, height: 600 };
+const SHIP = { x: 400, y: 300 };
+
+// Stand-in for an AudioContext with just enough nodes for the mixer
+class FakeContext {
+    constructor({ stereo = true } = {}) {
+        this.currentTime = 0;
+        this.destination = { name: 'destination' };
+        if (!stereo) this.createStereoPanner = undefined;
+    }
+
+    node(extra) {
+        return { ...extra, connect(target) { this.target = target; } };
+    }
+
+    createGain() {
+        return this.node({ gain: { value: 1, setTargetAtTime(value) { this.value = value; } } });
+    }
+
+    createStereoPanner() {
+        return this.node({ pan: { value: 0 } });
+    }
+}
+
+describe('AudioMixer', () => {
+    it('routes every bus through the master gain', () => {
+        const context = new FakeContext();
+        const mixer = new AudioMixer(context);
+
+        assert.strictEqual(mixer.master.target, context.destination);
+        ['sfx', 'music', 'ui'].forEach(bus => assert.strictEqual(mixer.bus(bus).target, mixer.master));
+    });
+
+    it('silences the master bus when muted and keeps the others', () => {
+        const mixer = new AudioMixer(new FakeContext());
+        mixer.setLevels({ master: 0.7, sfx: 0.5, music: 0.4, ui: 0.5, muted: true });
+
+        assert.strictEqual(mixer.master.gain.value, 0);
+        assert.strictEqual(mixer.bus('music').gain.value, 0.4);
+    });
+
+    it('pans sounds towards their side and fades distant ones', () => {
+        const centre = soundPosition(400, 300, SHIP, AREA);
+        assert.strictEqual(centre.pan, 0);
+        assert.strictEqual(centre.gain, 1);
+
+        const left = soundPosition(0, 300, SHIP, AREA);
+        assert.strictEqual(left.pan, -GameConfig.AUDIO.PAN_AMOUNT);
+        assert.ok(left.gain < 1);
+
+        const right = soundPosition(600, 300, SHIP, AREA);
+        assert.ok(right.pan > 0 && right.pan < GameConfig.AUDIO.PAN_AMOUNT);
+
+        const farthest = soundPosition(400, 300, { x: 0, y: 0 }, AREA);
+        assert.ok(Math.abs(farthest.gain - (1 - GameConfig.AUDIO.DISTANCE_FALLOFF)) < 1e-9);
+    });
+
+    it('hears a sound across the edge of the field the short way round', () => {
+        // Ship near the left edge, sound just across it on the right
+        const across = soundPosition(790, 300, { x: 10, y: 300 }, AREA);
+        assert.ok(across.pan < 0);
+        assert.ok(across.gain > 0.95);
+
+        const throughCorner = soundPosition(795, 595, { x: 5, y: 5 }, AREA);
+        assert.ok(throughCorner.gain > 0.95);
+        assert.deepStrictEqual(soundPosition(810, 300, SHIP, AREA), soundPosition(10, 300, SHIP, AREA));
+    });
+
+    it('places a sound through a panner and gain into its bus', () => {
+        const mixer = new AudioMixer(new FakeContext());
+        const input = mixer.positioned('sfx', { pan: -0.5, gain: 0.8 });
+
+        assert.strictEqual(input.pan.value, -0.5);
+        assert.strictEqual(input.target.gain.value, 0.8);
+        assert.strictEqual(input.target.target, mixer.bus('sfx'));
+    });
+
+    it('only fades sounds where stereo panning is unavailable', () => {
+        const mixer = new AudioMixer(new FakeContext({ stereo: false }));
+        const input = mixer.positioned('sfx', { pan: -0.5, gain: 0.8 });
+
+        assert.strictEqual(input.gain.value, 0.8);
+        assert.strictEqual(input.target, mixer.bus('sfx'));
+    });
+});
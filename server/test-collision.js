@@ -0,0 +1,111 @@
+/**
+ * Tests for the collision shapes (public/js/core/Collision.js)
+ *
+ * Runs under Node's built-in test runner:
+ *   node --test server/test-collision.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const GameConfig = require('../public/js/config/GameConfig.js');
+const {
+    circlesOverlap,
+    asteroidReach,
+    battlestarReach,
+    asteroidOutline,
+    shipOutline,
+    alienOutline,
+    battlestarOutline,
+    pointInPolygon,
+    polygonsIntersect,
+    circleIntersectsPolygon
+} = require('../public/js/core/Collision.js');
+
+// A star-shaped asteroid: spikes every quarter turn with deep notches between,
+// the first spike pointing along +x
+function spikyAsteroid(x, y) {
+    return { x, y, radius: 60, angle: 0, vert: 8, offset: [1.3, 0.7, 1.3, 0.7, 1.3, 0.7, 1.3, 0.7] };
+}
+
+function ship(x, y, angle = 0) {
+    return { x, y, angle, radius: GameConfig.SHIP.SIZE / 2 };
+}
+
+function furthest(points, centre) {
+    return Math.max(...points.map(point => Math.hypot(point.x - centre.x, point.y - centre.y)));
+}
+
+describe('Collision', () => {
+    it('finds points inside concave outlines and not in their notches', () => {
+        const outline = asteroidOutline(spikyAsteroid(400, 300));
+
+        assert.ok(pointInPolygon(400, 300, outline));
+        assert.ok(pointInPolygon(470, 300, outline), 'tip of a spike');
+        const notch = Math.PI / 4;
+        assert.ok(!pointInPolygon(400 + 50 * Math.cos(notch), 300 + 50 * Math.sin(notch), outline),
+            'a notch is empty space even though it is inside the radius');
+    });
+
+    it('points the ship outline along its angle, as it is drawn', () => {
+        const nose = shipOutline(ship(100, 100, 0))[0];
+        assert.strictEqual(nose.x, 115);
+        assert.strictEqual(nose.y, 100);
+
+        // Positive angles turn the nose up the screen
+        const turned = shipOutline(ship(100, 100, Math.PI / 2))[0];
+        assert.ok(Math.abs(turned.x - 100) < 1e-9);
+        assert.ok(Math.abs(turned.y - 85) < 1e-9);
+    });
+
+    it('keeps every outline within the reach used by the broad phase', () => {
+        const asteroid = { x: 0, y: 0, radius: 40, angle: 1, vert: 10, offset: Array(10).fill(1 + GameConfig.ASTEROID.JAG) };
+        assert.ok(furthest(asteroidOutline(asteroid), asteroid) <= asteroidReach(asteroid) + 1e-9);
+
+        const craft = ship(0, 0, 2);
+        assert.ok(furthest(shipOutline(craft), craft) <= craft.radius + 1e-9);
+
+        const alien = { x: 0, y: 0, angle: 0.5, radius: GameConfig.ALIEN.SIZE };
+        assert.ok(furthest(alienOutline(alien), alien) <= alien.radius + 1e-9);
+
+        const battlestar = { x: 0, y: 0, width: GameConfig.BATTLESTAR.WIDTH, height: GameConfig.BATTLESTAR.HEIGHT };
+        assert.ok(furthest(battlestarOutline(battlestar), battlestar) <= battlestarReach(battlestar) + 1e-9);
+    });
+
+    it('lets a ship sit in a notch that the circles would call a hit', () => {
+        const asteroid = spikyAsteroid(400, 300);
+        const notch = Math.PI / 4;
+        const craft = ship(400 + 70 * Math.cos(notch), 300 + 70 * Math.sin(notch), Math.PI);
+
+        assert.ok(circlesOverlap(craft.x, craft.y, craft.radius, asteroid.x, asteroid.y, asteroid.radius));
+        assert.ok(!polygonsIntersect(shipOutline(craft), asteroidOutline(asteroid)));
+    });
+
+    it('catches a spike the old radius test missed', () => {
+        const asteroid = spikyAsteroid(400, 300);
+        const craft = ship(480, 300);
+
+        assert.ok(!circlesOverlap(craft.x, craft.y, craft.radius, asteroid.x, asteroid.y, asteroid.radius));
+        assert.ok(circlesOverlap(craft.x, craft.y, craft.radius, asteroid.x, asteroid.y, asteroidReach(asteroid)));
+        assert.ok(polygonsIntersect(shipOutline(craft), asteroidOutline(asteroid)));
+    });
+
+    it('counts one shape wholly inside another as touching', () => {
+        const battlestar = { x: 400, y: 300, width: 200, height: 80 };
+
+        assert.ok(polygonsIntersect(shipOutline(ship(400, 300)), battlestarOutline(battlestar)));
+    });
+
+    it('hits the battlestar bow but not the gap beside it', () => {
+        const hull = battlestarOutline({ x: 400, y: 300, width: 200, height: 80 });
+
+        assert.ok(pointInPolygon(515, 300, hull), 'the pointed bow, outside the hull box');
+        assert.ok(!pointInPolygon(515, 335, hull), 'beside the bow');
+    });
+
+    it('grazes the ship with a round bullet', () => {
+        const outline = shipOutline(ship(100, 100));
+
+        assert.ok(circleIntersectsPolygon(118, 100, 4, outline), 'just past the nose');
+        assert.ok(!circleIntersectsPolygon(100, 120, 4, outline), 'below the wing');
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for the daily challenge schedule (server/daily-challenge.js)
+ *
+ * Runs under Node's built-in test runner:
+ *   node --test server/test-daily-challenge.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { MemoryStore } = require('./score-store');
+const { getChallengeDate, getChallengeSeed, getDailyChallenge, isChallengeOpen, getPlayerId, getPlayerKey, checkChallengeSubmission } = require('./daily-challenge');
+
+const MORNING = Date.UTC(2025, 2, 12, 8, 15);
+const EVENING = Date.UTC(2025, 2, 12, 22, 45);
+
+describe('daily challenge', () => {
+    it('gives everyone the same seed all day', () => {
+        assert.strictEqual(getDailyChallenge(MORNING).date, '2025-03-12');
+        assert.deepStrictEqual(getDailyChallenge(MORNING), getDailyChallenge(EVENING));
+    });
+
+    it('changes seed from day to day', () => {
+        const seeds = new Set();
+        for (let day = 1; day <= 31; day++) {
+            seeds.add(getChallengeSeed(getChallengeDate(Date.UTC(2025, 0, day, 12))));
+        }
+        assert.strictEqual(seeds.size, 31);
+    });
+
+    it('ends at the next UTC midnight', () => {
+        assert.strictEqual(getDailyChallenge(EVENING).endsAt, Date.UTC(2025, 2, 13));
+    });
+
+    it('accepts scores for today, and for yesterday just after midnight', () => {
+        assert.ok(isChallengeOpen('2025-03-12', EVENING));
+        assert.ok(isChallengeOpen('2025-03-12', Date.UTC(2025, 2, 13, 0, 30)));
+        assert.ok(!isChallengeOpen('2025-03-12', Date.UTC(2025, 2, 13, 2)));
+        assert.ok(!isChallengeOpen('2025-03-13', EVENING));
+        assert.ok(!isChallengeOpen('2025-03-11', MORNING));
+    });
+});
+
+describe('player ids', () => {
+    it('keeps an id the client already has and issues one otherwise', () => {
+        const player = getPlayerId();
+        assert.strictEqual(getPlayerId(player), player);
+        assert.notStrictEqual(getPlayerId(), player);
+        assert.notStrictEqual(getPlayerId('ABC'), 'ABC');
+    });
+
+    it('stores a key that does not give the id away', () => {
+        const player = getPlayerId();
+        assert.strictEqual(getPlayerKey(player), getPlayerKey(player));
+        assert.ok(!getPlayerKey(player).includes(player));
+    });
+});
+
+describe('checkChallengeSubmission', () => {
+    const date = '2025-03-12';
+    const seed = getChallengeSeed(date);
+    const player = getPlayerId();
+
+    it('accepts a first attempt with the day\'s seed', () => {
+        assert.strictEqual(checkChallengeSubmission(new MemoryStore(), date, player, seed, MORNING), null);
+    });
+
+    it('rejects a replay of a different seed', () => {
+        const problem = checkChallengeSubmission(new MemoryStore(), date, player, seed + 1, MORNING);
+        assert.strictEqual(problem.status, 400);
+    });
+
+    it('rejects a closed or malformed challenge', () => {
+        assert.strictEqual(checkChallengeSubmission(new MemoryStore(), '2025-03-01', player, getChallengeSeed('2025-03-01'), MORNING).status, 400);
+        assert.strictEqual(checkChallengeSubmission(new MemoryStore(), 12, player, seed, MORNING).status, 400);
+    });
+
+    it('rejects a submission without a player id', () => {
+        assert.strictEqual(checkChallengeSubmission(new MemoryStore(), date, undefined, seed, MORNING).status, 400);
+        assert.strictEqual(checkChallengeSubmission(new MemoryStore(), date, 'ABC', seed, MORNING).status, 400);
+    });
+
+    it('allows one official score per player', () => {
+        const store = new MemoryStore();
+        store.add({ initials: 'ABC', score: 100, timestamp: MORNING, challenge: date, player: getPlayerKey(player) });
+
+        assert.strictEqual(checkChallengeSubmission(store, date, player, seed, EVENING).status, 409);
+        assert.strictEqual(checkChallengeSubmission(store, '2025-03-13', player, getChallengeSeed('2025-03-13'), Date.UTC(2025, 2, 13, 8)), null);
+    });
+
+    it('lets players who share initials each play', () => {
+        const store = new MemoryStore();
+        store.add({ initials: 'AAA', score: 100, timestamp: MORNING, challenge: date, player: getPlayerKey(player) });
+
+        assert.strictEqual(checkChallengeSubmission(store, date, getPlayerId(), seed, EVENING), null);
+    });
+});
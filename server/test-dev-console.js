@@ -0,0 +1,95 @@
+/**
+ * Tests for the developer console (public/js/input/DevConsole.js)
+ *
+ * Runs under Node's built-in test runner:
+ *   node --test server/test-dev-console.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { DevConsole, DEV_CONSOLE_KEY } = require('../public/js/input/DevConsole.js');
+
+// Console with a level command, logging into an array
+function testConsole() {
+    const log = [];
+    const state = { level: 1 };
+    const devConsole = new DevConsole({
+        level: {
+            usage: 'level <number>',
+            run: args => {
+                const level = parseInt(args[0], 10);
+                if (!(level >= 1)) return null;
+                state.level = level;
+                return `Jumped to level ${level}`;
+            }
+        }
+    }, message => log.push(message));
+    return { devConsole, log, state };
+}
+
+function type(devConsole, text) {
+    [...text].forEach(key => devConsole.handleKey(key));
+}
+
+describe('DevConsole', () => {
+    it('opens and closes on backtick or Escape', () => {
+        const { devConsole } = testConsole();
+
+        devConsole.handleKey(DEV_CONSOLE_KEY);
+        assert.strictEqual(devConsole.open, true);
+        devConsole.handleKey(DEV_CONSOLE_KEY);
+        assert.strictEqual(devConsole.open, false);
+
+        devConsole.toggle();
+        devConsole.handleKey('Escape');
+        assert.strictEqual(devConsole.open, false);
+    });
+
+    it('runs a typed command and logs the line and its reply', () => {
+        const { devConsole, log, state } = testConsole();
+        devConsole.toggle();
+
+        type(devConsole, 'LEVEL  9x');
+        devConsole.handleKey('Backspace');
+        devConsole.handleKey('Shift');
+        devConsole.handleKey('Enter');
+
+        assert.strictEqual(state.level, 9);
+        assert.deepStrictEqual(log, ['> LEVEL  9', 'Jumped to level 9']);
+        assert.strictEqual(devConsole.input, '');
+    });
+
+    it('shows the usage for bad arguments and names unknown commands', () => {
+        const { devConsole, state } = testConsole();
+
+        assert.strictEqual(devConsole.execute('level nine'), 'Usage: level <number>');
+        assert.strictEqual(state.level, 1);
+        assert.match(devConsole.execute('warp 9'), /^Unknown command: warp/);
+        assert.strictEqual(devConsole.execute('help'), 'Commands: level');
+    });
+
+    it('steps back through earlier lines', () => {
+        const { devConsole } = testConsole();
+        devConsole.toggle();
+        devConsole.submit('level 2');
+        devConsole.submit('level 3');
+
+        devConsole.handleKey('ArrowUp');
+        assert.strictEqual(devConsole.input, 'level 3');
+        devConsole.handleKey('ArrowUp');
+        devConsole.handleKey('ArrowUp');
+        assert.strictEqual(devConsole.input, 'level 2');
+        devConsole.handleKey('ArrowDown');
+        devConsole.handleKey('ArrowDown');
+        assert.strictEqual(devConsole.input, '');
+    });
+
+    it('ignores empty lines', () => {
+        const { devConsole, log } = testConsole();
+
+        devConsole.submit('   ');
+
+        assert.deepStrictEqual(log, []);
+        assert.deepStrictEqual(devConsole.history, []);
+    });
+});
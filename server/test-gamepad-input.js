@@ -0,0 +1,152 @@
+/**
+ * Tests for gamepad support (public/js/input/GamepadInput.js)
+ *
+ * Runs under Node's built-in test runner:
+ *   node --test server/test-gamepad-input.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const GameConfig = require('../public/js/config/GameConfig.js');
+const { GamepadInput, GAMEPAD_BUTTONS } = require('../public/js/input/GamepadInput.js');
+
+// Stand-in for a standard-layout pad: held button names, stick axes and right trigger travel
+class FakePad {
+    constructor() {
+        this.index = 0;
+        this.held = new Set();
+        this.axes = [0, 0];
+        this.trigger = 0;
+    }
+
+    get buttons() {
+        const buttons = [];
+        for (let i = 0; i < 17; i++) buttons.push({ pressed: false, value: 0 });
+        this.held.forEach(name => {
+            buttons[GAMEPAD_BUTTONS[name]] = { pressed: true, value: 1 };
+        });
+        buttons[GAMEPAD_BUTTONS.RT] = { pressed: this.trigger > 0, value: this.trigger };
+        return buttons;
+    }
+}
+
+let pad;
+let windowListeners;
+
+beforeEach(() => {
+    pad = new FakePad();
+    windowListeners = {};
+    globalThis.window = { addEventListener(type, listener) { windowListeners[type] = listener; } };
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { getGamepads: () => [pad] },
+        configurable: true,
+        writable: true
+    });
+});
+
+afterEach(() => {
+    delete globalThis.window;
+    delete globalThis.navigator;
+});
+
+// Input with the fake pad plugged in
+function connectedInput() {
+    const input = new GamepadInput();
+    windowListeners.gamepadconnected({ gamepad: pad });
+    return input;
+}
+
+describe('GamepadInput', () => {
+    it('reads nothing until a pad connects, and stops when it goes', () => {
+        const input = new GamepadInput();
+        const changes = [];
+        input.onConnectionChange = (gamepad, connected) => changes.push(connected);
+        assert.strictEqual(input.poll(0), null);
+
+        windowListeners.gamepadconnected({ gamepad: pad });
+        assert.strictEqual(input.connected, true);
+        assert.notStrictEqual(input.poll(0), null);
+
+        windowListeners.gamepaddisconnected({ gamepad: pad });
+        assert.strictEqual(input.poll(0), null);
+        assert.deepStrictEqual(changes, [true, false]);
+    });
+
+    it('reports a button once as it goes down', () => {
+        const input = connectedInput();
+
+        pad.held.add('A');
+        assert.deepStrictEqual(input.poll(0).pressed, ['A']);
+        assert.deepStrictEqual(input.poll(16).pressed, []);
+
+        pad.held.add('START');
+        assert.deepStrictEqual(input.poll(32).pressed, ['START']);
+
+        pad.held.clear();
+        input.poll(48);
+        pad.held.add('A');
+        assert.deepStrictEqual(input.poll(64).pressed, ['A']);
+    });
+
+    it('ignores stick travel inside the dead zone, and treats the d-pad as full travel', () => {
+        const input = connectedInput();
+        const deadZone = GameConfig.GAMEPAD.STICK_DEADZONE;
+
+        pad.axes = [deadZone * 0.9, 0];
+        assert.strictEqual(input.poll(0).stickX, 0);
+        pad.axes = [-0.5, 0];
+        assert.strictEqual(input.poll(0).stickX, -0.5);
+
+        pad.axes = [0, 0];
+        pad.held.add('RIGHT');
+        assert.strictEqual(input.poll(0).stickX, 1);
+    });
+
+    it('reads thrust from the right trigger', () => {
+        const input = connectedInput();
+
+        pad.trigger = 0.7;
+        assert.strictEqual(input.poll(0).thrust, 0.7);
+    });
+
+    it('repeats a held direction after a delay, then at the interval', () => {
+        const input = connectedInput();
+        const { REPEAT_DELAY, REPEAT_INTERVAL } = GameConfig.GAMEPAD;
+
+        pad.held.add('DOWN');
+        assert.deepStrictEqual(input.poll(1000).directions, ['down']);
+        assert.deepStrictEqual(input.poll(1000 + REPEAT_DELAY - 1).directions, []);
+        assert.deepStrictEqual(input.poll(1000 + REPEAT_DELAY).directions, ['down']);
+        assert.deepStrictEqual(input.poll(1000 + REPEAT_DELAY + REPEAT_INTERVAL - 1).directions, []);
+        assert.deepStrictEqual(input.poll(1000 + REPEAT_DELAY + REPEAT_INTERVAL).directions, ['down']);
+
+        // Letting go and pressing again counts straight away
+        pad.held.clear();
+        assert.deepStrictEqual(input.poll(2000).directions, []);
+        pad.held.add('DOWN');
+        assert.deepStrictEqual(input.poll(2001).directions, ['down']);
+    });
+
+    it('counts the stick pushed past the menu threshold as a direction', () => {
+        const input = connectedInput();
+        const threshold = GameConfig.GAMEPAD.MENU_STICK_THRESHOLD;
+
+        pad.axes = [0, -(threshold - 0.1)];
+        assert.deepStrictEqual(input.poll(0).directions, []);
+        pad.axes = [threshold + 0.1, -(threshold + 0.1)];
+        assert.deepStrictEqual(input.poll(16).directions, ['up', 'right']);
+    });
+
+    it('rumbles through whichever actuator the pad has', () => {
+        const input = connectedInput();
+        const effects = [];
+        pad.vibrationActuator = { playEffect: (type, options) => effects.push([type, options.duration, options.strongMagnitude]) };
+
+        input.rumble(400, 0.8);
+        assert.deepStrictEqual(effects, [['dual-rumble', 400, 0.8]]);
+
+        delete pad.vibrationActuator;
+        pad.hapticActuators = [{ pulse() { throw new Error('Not allowed'); } }];
+        assert.doesNotThrow(() => input.rumble(400, 0.8));
+    });
+});
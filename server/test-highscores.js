@@ -3,24 +3,63 @@
  * 
  * This script tests the high score API endpoints by:
  * 1. Fetching the current high scores
- * 2. Adding a test high score
- * 3. Fetching the scores again to verify the new score was added
+ * 2. Adding a test high score backed by a recorded run
+ * 3. Checking that a score its replay does not reproduce is rejected
+ * 4. Fetching the scores again to verify the new score was added
+ * 5. Checking the new score also appears on today's board
+ * 6. Submitting a daily challenge score, which goes on its own board
  */
 
 const assert = require('assert');
+const GameConfig = require('../public/js/config/GameConfig.js');
+const SeededRandom = require('../public/js/core/SeededRandom.js');
+const { Replay } = require('../public/js/core/Replay.js');
+const simulation = require('../public/js/core/Simulation.js');
 
 const API_URL = 'http://localhost:3030/api/highscores';
+
+// Play a game headlessly with a simple seeded bot and return its recording
+function recordTestRun(seed) {
+    const width = 1280;
+    const height = 720;
+    simulation.setWorldSize(width, height);
+    simulation.initGame(seed);
+
+    const replay = new Replay({ seed, width, height, tickRate: GameConfig.GAME.TICK_RATE });
+    const keys = simulation.keys;
+    const bot = new SeededRandom(1);
+    let ticks = 0;
+    while (!simulation.getSimulationState().gameOver && ticks < 200000) {
+        if (ticks % 20 === 0) {
+            keys.left = bot.chance(0.3);
+            keys.right = !keys.left && bot.chance(0.3);
+            keys.up = bot.chance(0.3);
+        }
+        if (ticks % 15 === 0) keys.space = true;
+        replay.recordTick(keys, false);
+        simulation.stepSimulation(1 / GameConfig.GAME.TICK_RATE);
+        ticks++;
+    }
+
+    const state = simulation.getSimulationState();
+    replay.score = state.score;
+    replay.level = state.level;
+    return replay.toJSON();
+}
+
+const TEST_REPLAY = recordTestRun(4242);
 const TEST_SCORE = {
     // Use lowercase initials to verify that the server correctly
     // sanitizes and uppercases incoming values
     initials: 'tst',
-    // Use a fixed value to simplify testing
-    score: 12345,
+    // The score the recorded run actually produced
+    score: TEST_REPLAY.score,
     gameData: {
-        level: 3,
+        level: TEST_REPLAY.level,
         timestamp: Date.now(),
         timePlayed: 120000 // 2 minutes
-    }
+    },
+    replay: TEST_REPLAY
 };
 
 // The server converts initials to uppercase and strips non A-Z characters.
@@ -72,8 +111,21 @@ async function testHighScoreAPI() {
         console.log('   Score added successfully!');
         console.log();
         
-        // Step 3: Fetch scores again to verify
-        console.log('3. Verifying score was added...');
+        // Step 3: A score the replay doesn't reproduce must be rejected
+        console.log('3. Submitting a score that does not match its replay...');
+        const forgedResponse = await fetch(API_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ ...TEST_SCORE, initials: 'bad', score: TEST_SCORE.score + 1000 }),
+        });
+        assert.strictEqual(forgedResponse.status, 400, 'Forged score was not rejected');
+        console.log('   Forged score rejected');
+        console.log();
+        
+        // Step 4: Fetch scores again to verify
+        console.log('4. Verifying score was added...');
         const verifyResponse = await fetch(API_URL);
         
         if (!verifyResponse.ok) {
@@ -97,6 +149,48 @@ async function testHighScoreAPI() {
             console.log('   ❌ Test score was NOT found in the high scores list.');
         }
         
+        console.log();
+        
+        // Step 5: A fresh score belongs on today's board too
+        console.log('5. Checking the daily leaderboard...');
+        const dailyResponse = await fetch(API_URL + '?board=daily');
+        assert.ok(dailyResponse.ok, 'Failed to fetch the daily board');
+        const dailyScores = await dailyResponse.json();
+        assert.ok(dailyScores.some(score => score.initials === EXPECTED_INITIALS && score.score === TEST_SCORE.score),
+            'Test score missing from the daily board');
+        assert.ok(postResult.boards && Array.isArray(postResult.boards.weekly), 'Submission response is missing the boards');
+        
+        const unknownResponse = await fetch(API_URL + '?board=monthly');
+        assert.strictEqual(unknownResponse.status, 400, 'Unknown board was not rejected');
+        console.log(`   Daily board has ${dailyScores.length} scores, including the test score`);
+        console.log();
+        
+        // Step 6: Daily challenge
+        console.log('6. Playing the daily challenge...');
+        const challengeResponse = await fetch(API_URL.replace('highscores', 'daily-challenge'));
+        assert.ok(challengeResponse.ok, 'Failed to fetch the daily challenge');
+        const challenge = await challengeResponse.json();
+        const challengeReplay = recordTestRun(challenge.seed);
+        const challengeScore = {
+            initials: 'dcx',
+            score: challengeReplay.score,
+            gameData: { level: challengeReplay.level, timestamp: Date.now() },
+            replay: challengeReplay,
+            challenge: challenge.date,
+            player: challenge.player
+        };
+        
+        const officialResponse = await fetch(API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(challengeScore)
+        });
+        assert.ok(officialResponse.ok, `Daily challenge score rejected: ${officialResponse.status}`);
+        const officialResult = await officialResponse.json();
+        assert.ok(officialResult.boards.challenge.some(score => score.initials === 'DCX'), 'Challenge score missing from the challenge board');
+        assert.ok(!officialResult.boards.alltime.some(score => score.initials === 'DCX'), 'Challenge score leaked onto the all-time board');
+        console.log(`   Challenge ${challenge.date}: scored ${challengeScore.score}`);
+        
         console.log('\nTest completed successfully!');
         
     } catch (error) {
@@ -0,0 +1,127 @@
+/**
+ * Tests for the rebindable keyboard controls (public/js/input/KeyBindings.js)
+ *
+ * Runs under Node's built-in test runner:
+ *   node --test server/test-key-bindings.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { KeyBindings, KEYMAP_STORAGE_KEY, RESERVED_KEYS, reservedKeyUse } = require('../public/js/input/KeyBindings.js');
+
+// Stand-in for localStorage
+class MemoryStorage {
+    constructor(items = {}) {
+        this.items = { ...items };
+    }
+
+    getItem(key) {
+        return key in this.items ? this.items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.items[key] = String(value);
+    }
+}
+
+describe('KeyBindings', () => {
+    it('starts with the original keys', () => {
+        const bindings = new KeyBindings(new MemoryStorage());
+
+        assert.strictEqual(bindings.actionFor('ArrowLeft'), 'left');
+        assert.strictEqual(bindings.actionFor('a'), 'left');
+        assert.strictEqual(bindings.actionFor('H'), 'hyperspace'); // Either case
+        assert.strictEqual(bindings.actionFor(' '), 'fire');
+        assert.strictEqual(bindings.actionFor('Escape'), 'exit');
+        assert.strictEqual(bindings.actionFor('F9'), 'config');
+        assert.strictEqual(bindings.actionFor('m'), 'mute');
+        assert.strictEqual(bindings.actionFor('q'), null);
+    });
+
+    it('rebinds a key and saves the mapping', () => {
+        const storage = new MemoryStorage({ smashteroids_autoPause: 'false' });
+        const bindings = new KeyBindings(storage);
+
+        assert.strictEqual(bindings.bind('fire', 1, 'J'), true);
+        assert.deepStrictEqual(bindings.keysFor('fire'), [' ', 'j']);
+        assert.strictEqual(bindings.actionFor('j'), 'fire');
+
+        const reloaded = new KeyBindings(storage);
+        assert.deepStrictEqual(reloaded.keysFor('fire'), [' ', 'j']);
+        assert.strictEqual(storage.getItem('smashteroids_autoPause'), 'false');
+    });
+
+    it('refuses keys used by another action or by the menus', () => {
+        const bindings = new KeyBindings(new MemoryStorage());
+
+        assert.strictEqual(bindings.findConflict('fire', 'w'), 'thrust');
+        assert.strictEqual(bindings.bind('fire', 0, 'w'), false);
+        assert.deepStrictEqual(bindings.keysFor('fire'), [' ']);
+
+        assert.strictEqual(bindings.findConflict('fire', 'Enter'), 'reserved');
+        assert.strictEqual(bindings.findConflict('left', 'a'), null); // Its own key
+    });
+
+    it('refuses every key the game handles itself', () => {
+        const bindings = new KeyBindings(new MemoryStorage());
+        const shortcuts = ['`', '[', ']', 'k', 'o', 'r', 'e', 'c', 'u', 'b', 't', 's', 'i', 'f'];
+
+        shortcuts.forEach(key => {
+            assert.strictEqual(bindings.findConflict('fire', key), 'reserved', key);
+            assert.strictEqual(bindings.findConflict('fire', key.toUpperCase()), 'reserved', key);
+            assert.strictEqual(bindings.bind('fire', 1, key), false, key);
+        });
+        assert.deepStrictEqual(bindings.keysFor('fire'), [' ']);
+        assert.strictEqual(reservedKeyUse('C'), 'THE DAILY CHALLENGE');
+        assert.strictEqual(reservedKeyUse('`'), 'THE DEVELOPER CONSOLE');
+        assert.strictEqual(reservedKeyUse('j'), null);
+    });
+
+    it('keeps no reserved key among the original bindings', () => {
+        const defaults = [].concat(...Object.values(KeyBindings.defaults()));
+        assert.deepStrictEqual(defaults.filter(key => key in RESERVED_KEYS), []);
+    });
+
+    it('moves a key between the slots of one action', () => {
+        const bindings = new KeyBindings(new MemoryStorage());
+
+        bindings.bind('left', 0, 'a');
+        assert.deepStrictEqual(bindings.keysFor('left'), ['a']);
+    });
+
+    it('keeps at least one key per action', () => {
+        const bindings = new KeyBindings(new MemoryStorage());
+
+        assert.strictEqual(bindings.clear('thrust', 1), true);
+        assert.deepStrictEqual(bindings.keysFor('thrust'), ['ArrowUp']);
+        assert.strictEqual(bindings.clear('thrust', 0), false);
+        assert.deepStrictEqual(bindings.keysFor('thrust'), ['ArrowUp']);
+    });
+
+    it('falls back to the original keys for a damaged or conflicting mapping', () => {
+        const unreadable = new KeyBindings(new MemoryStorage({ [KEYMAP_STORAGE_KEY]: '{not json' }));
+        assert.deepStrictEqual(unreadable.keysFor('fire'), [' ']);
+
+        const partial = new KeyBindings(new MemoryStorage({ [KEYMAP_STORAGE_KEY]: JSON.stringify({ fire: ['g'], left: [] }) }));
+        assert.deepStrictEqual(partial.keysFor('fire'), ['g']);
+        assert.deepStrictEqual(partial.keysFor('left'), ['ArrowLeft', 'a']);
+
+        const clashing = new KeyBindings(new MemoryStorage({ [KEYMAP_STORAGE_KEY]: JSON.stringify({ fire: ['w'] }) }));
+        assert.deepStrictEqual(clashing.keysFor('fire'), [' ']);
+        assert.deepStrictEqual(clashing.keysFor('thrust'), ['ArrowUp', 'w']);
+
+        // Saved before the key was kept for the game's own shortcuts
+        const reserved = new KeyBindings(new MemoryStorage({ [KEYMAP_STORAGE_KEY]: JSON.stringify({ fire: [' ', 'c'] }) }));
+        assert.deepStrictEqual(reserved.keysFor('fire'), [' ']);
+    });
+
+    it('restores the original keys', () => {
+        const storage = new MemoryStorage();
+        const bindings = new KeyBindings(storage);
+        bindings.bind('pause', 0, 'q');
+
+        bindings.reset();
+        assert.deepStrictEqual(bindings.keysFor('pause'), ['p']);
+        assert.deepStrictEqual(new KeyBindings(storage).keysFor('pause'), ['p']);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for the time-windowed leaderboards (server/leaderboards.js)
+ *
+ * Runs under Node's built-in test runner:
+ *   node --test server/test-leaderboards.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { MemoryStore } = require('./score-store');
+const { LEADERBOARDS, getBoardStart, isLeaderboard, getLeaderboard, getAllLeaderboards } = require('./leaderboards');
+
+// Wednesday 2025-03-12 15:30 UTC
+const NOW = Date.UTC(2025, 2, 12, 15, 30);
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('getBoardStart', () => {
+    it('starts the daily board at midnight UTC', () => {
+        assert.strictEqual(getBoardStart('daily', NOW), Date.UTC(2025, 2, 12));
+    });
+
+    it('starts the weekly board on Monday', () => {
+        assert.strictEqual(getBoardStart('weekly', NOW), Date.UTC(2025, 2, 10));
+        // Sunday still belongs to the week that started the previous Monday
+        assert.strictEqual(getBoardStart('weekly', Date.UTC(2025, 2, 16, 23, 59)), Date.UTC(2025, 2, 10));
+        // Monday starts a new week
+        assert.strictEqual(getBoardStart('weekly', Date.UTC(2025, 2, 17, 0, 1)), Date.UTC(2025, 2, 17));
+    });
+
+    it('includes everything on the all-time board', () => {
+        assert.strictEqual(getBoardStart('alltime', NOW), 0);
+    });
+
+    it('rejects unknown boards', () => {
+        assert.throws(() => getBoardStart('monthly', NOW), /Unknown leaderboard/);
+        assert.strictEqual(isLeaderboard('monthly'), false);
+        LEADERBOARDS.forEach(board => assert.ok(isLeaderboard(board)));
+    });
+});
+
+describe('getLeaderboard', () => {
+    const store = new MemoryStore();
+    store.add({ initials: 'OLD', score: 9000, timestamp: Date.UTC(2024, 11, 25) });
+    store.add({ initials: 'MON', score: 5000, timestamp: Date.UTC(2025, 2, 10, 9) });
+    store.add({ initials: 'SUN', score: 7000, timestamp: Date.UTC(2025, 2, 9, 22) });
+    store.add({ initials: 'NOW', score: 1000, timestamp: Date.UTC(2025, 2, 12, 8) });
+
+    it('only counts scores inside the window', () => {
+        const names = board => getLeaderboard(store, board, 15, NOW).map(entry => entry.initials);
+
+        assert.deepStrictEqual(names('daily'), ['NOW']);
+        assert.deepStrictEqual(names('weekly'), ['MON', 'NOW']);
+        assert.deepStrictEqual(names('alltime'), ['OLD', 'SUN', 'MON', 'NOW']);
+    });
+
+    it('returns every board at once', () => {
+        const boards = getAllLeaderboards(store, 2, NOW);
+
+        assert.deepStrictEqual(Object.keys(boards), LEADERBOARDS);
+        assert.strictEqual(boards.alltime.length, 2);
+        assert.strictEqual(boards.daily.length, 1);
+        assert.strictEqual(boards.challenge.length, 0);
+    });
+});
+
+describe('challenge board', () => {
+    it('only shows scores from today\'s challenge', () => {
+        const store = new MemoryStore();
+        store.add({ initials: 'REG', score: 9000, timestamp: NOW - 1000 });
+        store.add({ initials: 'YDY', score: 8000, timestamp: NOW - DAY, challenge: '2025-03-11' });
+        store.add({ initials: 'TDY', score: 3000, timestamp: NOW - 1000, challenge: '2025-03-12' });
+
+        assert.deepStrictEqual(getLeaderboard(store, 'challenge', 15, NOW).map(entry => entry.initials), ['TDY']);
+        // Challenge scores stay off the regular boards
+        assert.deepStrictEqual(getLeaderboard(store, 'daily', 15, NOW).map(entry => entry.initials), ['REG']);
+    });
+});
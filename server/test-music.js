@@ -0,0 +1,115 @@
+/**
+ * Tests for the procedural soundtrack (public/js/audio/Music.js)
+ *
+ * Runs under Node's built-in test runner:
+ *   node --test server/test-music.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const GameConfig = require('../public/js/config/GameConfig.js');
+const { MusicPlayer, musicTempo, musicLayers, asteroidsRemaining } = require('../public/js/audio/Music.js');
+
+// Stand-in for an AudioContext that records the notes started on it
+class RecordingContext {
+    constructor() {
+        this.currentTime = 0;
+        this.notes = [];
+    }
+
+    createOscillator() {
+        const context = this;
+        return {
+            type: 'sine',
+            frequency: { setValueAtTime(value) { this.value = value; } },
+            connect() {},
+            start(time) { context.notes.push({ type: this.type, frequency: this.frequency.value, time }); },
+            stop() {}
+        };
+    }
+
+    createGain() {
+        return {
+            gain: {
+                setValueAtTime() {},
+                exponentialRampToValueAtTime(value) {
+                    // As in browsers, an exponential ramp can't head for zero
+                    if (!(value > 0)) throw new RangeError('The ramp target must be positive');
+                }
+            },
+            connect() {}
+        };
+    }
+
+    createBiquadFilter() {
+        return { frequency: { setValueAtTime() {} }, connect() {} };
+    }
+}
+
+function playFor(player, context, seconds, state) {
+    for (let time = 0; time < seconds; time += 1 / 60) {
+        context.currentTime = time;
+        player.update(state);
+    }
+}
+
+describe('Music', () => {
+    it('speeds the heartbeat up as the asteroids are cleared', () => {
+        assert.strictEqual(musicTempo(1), GameConfig.MUSIC.SLOWEST_BEAT);
+        assert.strictEqual(musicTempo(0), GameConfig.MUSIC.FASTEST_BEAT);
+        assert.ok(musicTempo(0.5) < musicTempo(0.75));
+        assert.strictEqual(musicTempo(2), GameConfig.MUSIC.SLOWEST_BEAT);
+    });
+
+    it('counts the hits left in every asteroid', () => {
+        assert.strictEqual(asteroidsRemaining([{ size: 3 }, { size: 3 }], 2), 1);
+        assert.strictEqual(asteroidsRemaining([{ size: 2 }, { size: 1 }], 1), 4 / 7);
+        assert.strictEqual(asteroidsRemaining([], 4), 0);
+    });
+
+    it('adds layers for aliens and the battlestar', () => {
+        assert.deepStrictEqual(musicLayers({ playing: true, aliens: 0, battlestar: false }),
+            { heartbeat: true, alien: false, battlestar: false });
+        assert.deepStrictEqual(musicLayers({ playing: true, aliens: 2, battlestar: true }),
+            { heartbeat: true, alien: true, battlestar: true });
+        assert.deepStrictEqual(musicLayers({ playing: false, aliens: 2, battlestar: true }),
+            { heartbeat: false, alien: false, battlestar: false });
+    });
+
+    it('alternates the two heartbeat notes at the tempo', () => {
+        const context = new RecordingContext();
+        const player = new MusicPlayer(context, {});
+        playFor(player, context, 3, { playing: true, remaining: 0, aliens: 0, battlestar: false });
+
+        const beats = context.notes;
+        assert.ok(beats.length >= 10);
+        assert.notStrictEqual(beats[0].frequency, beats[1].frequency);
+        assert.strictEqual(beats[0].frequency, beats[2].frequency);
+        assert.ok(Math.abs(beats[1].time - beats[0].time - GameConfig.MUSIC.FASTEST_BEAT) < 1e-9);
+    });
+
+    it('plays extra notes while enemies are about and nothing while stopped', () => {
+        const calm = new RecordingContext();
+        playFor(new MusicPlayer(calm, {}), calm, 2, { playing: true, remaining: 1, aliens: 0, battlestar: false });
+
+        const busy = new RecordingContext();
+        playFor(new MusicPlayer(busy, {}), busy, 2, { playing: true, remaining: 1, aliens: 1, battlestar: true });
+        assert.strictEqual(busy.notes.length, calm.notes.length * 3);
+
+        const paused = new RecordingContext();
+        playFor(new MusicPlayer(paused, {}), paused, 2, { playing: false, remaining: 1, aliens: 1, battlestar: true });
+        assert.strictEqual(paused.notes.length, 0);
+    });
+
+    it('keeps playing with a layer turned down to nothing', () => {
+        const volume = GameConfig.MUSIC.HEARTBEAT_VOLUME;
+        GameConfig.MUSIC.HEARTBEAT_VOLUME = 0;
+        try {
+            const context = new RecordingContext();
+            playFor(new MusicPlayer(context, {}), context, 2, { playing: true, remaining: 1, aliens: 0, battlestar: false });
+            assert.ok(context.notes.length > 0);
+        } finally {
+            GameConfig.MUSIC.HEARTBEAT_VOLUME = volume;
+        }
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for the particle engine (public/js/core/Particles.js)
+ *
+ * Runs under Node's built-in test runner:
+ *   node --test server/test-particles.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const GameConfig = require('../public/js/config/GameConfig.js');
+const SeededRandom = require('../public/js/core/SeededRandom.js');
+const ParticleSystem = require('../public/js/core/Particles.js');
+const simulation = require('../public/js/core/Simulation.js');
+
+describe('ParticleSystem', () => {
+    it('reuses retired particles without carrying anything over', () => {
+        const system = new ParticleSystem(10);
+        const first = system.emit('line', { x: 5, y: 5, life: 1, width: 2, glow: 3, wrap: true });
+        system.update(1, 800, 600);
+        assert.strictEqual(system.count, 0);
+
+        const second = system.emit('circle', { x: 1, y: 2, life: 10 });
+        assert.strictEqual(second, first);
+        assert.strictEqual(second.type, 'circle');
+        assert.strictEqual(second.width, 1);
+        assert.strictEqual(second.glow, 0);
+        assert.strictEqual(second.wrap, false);
+        assert.strictEqual(second.fade, 10);
+    });
+
+    it('drops effects past the budget but always shows text', () => {
+        const system = new ParticleSystem(3);
+        for (let i = 0; i < 5; i++) system.emit('circle', { life: 10 });
+        assert.strictEqual(system.count, 3);
+        assert.strictEqual(system.emit('shockwave', { life: 10 }), null);
+
+        assert.ok(system.emit('text', { text: '+100', life: 10 }));
+        assert.strictEqual(system.count, 4);
+    });
+
+    it('scales particle counts by quality', () => {
+        const system = new ParticleSystem(10);
+        assert.strictEqual(system.scaled(30), 30);
+        system.quality = 1 / 3;
+        assert.strictEqual(system.scaled(30), 10);
+        system.quality = 0;
+        assert.strictEqual(system.scaled(30), 0);
+    });
+
+    it('moves, spins, grows shockwaves and wraps at the edges', () => {
+        const system = new ParticleSystem(10);
+        const spark = system.emit('line', { x: 795, y: 300, vx: 10, rotationSpeed: 0.5, life: 10, wrap: true });
+        const ring = system.emit('shockwave', { x: 400, y: 300, maxRadius: 101, growth: 0.5, life: 10 });
+        const drifting = system.emit('circle', { x: 795, y: 300, vx: 10, life: 10 });
+
+        system.update(1, 800, 600);
+
+        assert.strictEqual(spark.x, 5);
+        assert.strictEqual(spark.rotation, 0.5);
+        assert.strictEqual(ring.radius, 51);
+        assert.strictEqual(drifting.x, 805, 'only particles that wrap are wrapped');
+        assert.strictEqual(spark.life, 9);
+    });
+});
+
+describe('Simulation effects', () => {
+    function explodeLargeAsteroid(quality) {
+        simulation.setWorldSize(800, 600);
+        simulation.initGame(7);
+        simulation.particles.quality = quality;
+        simulation.setSimulationState({ asteroids: [simulation.createAsteroid(400, 300, 3)] });
+        const before = simulation.particles.count;
+        simulation.destroyAsteroid(0);
+        return simulation.particles.count - before;
+    }
+
+    it('emits fewer debris particles at lower quality', () => {
+        try {
+            const full = explodeLargeAsteroid(1);
+            const low = explodeLargeAsteroid(1 / 3);
+            assert.ok(low > 0);
+            assert.ok(low < full / 2, `${low} of ${full}`);
+        } finally {
+            simulation.particles.quality = 1;
+        }
+    });
+
+    it('plays a run exactly the same whatever the effects quality', () => {
+        function run(quality) {
+            simulation.setWorldSize(1280, 720);
+            simulation.initGame(4242);
+            simulation.particles.quality = quality;
+
+            const bot = new SeededRandom(1);
+            for (let tick = 0; tick < 4000; tick++) {
+                if (tick % 20 === 0) {
+                    simulation.keys.left = bot.chance(0.3);
+                    simulation.keys.up = bot.chance(0.3);
+                }
+                if (tick % 15 === 0) simulation.keys.space = true;
+                simulation.stepSimulation(1 / GameConfig.GAME.TICK_RATE);
+            }
+            const { score, lives, level, asteroids } = simulation.getSimulationState();
+            return { score, lives, level, asteroids: asteroids.map(a => [a.x, a.y]) };
+        }
+
+        try {
+            assert.deepStrictEqual(run(1 / 3), run(1));
+        } finally {
+            simulation.particles.quality = 1;
+        }
+    });
+});
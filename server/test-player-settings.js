@@ -0,0 +1,91 @@
+/**
+ * Tests for the player's options (public/js/config/PlayerSettings.js)
+ *
+ * Runs under Node's built-in test runner:
+ *   node --test server/test-player-settings.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { PlayerSettings, SETTINGS_STORAGE_KEY, AUTO_PAUSE_STORAGE_KEY, settingLabel } = require('../public/js/config/PlayerSettings.js');
+
+// Stand-in for localStorage
+class MemoryStorage {
+    constructor(items = {}) {
+        this.items = { ...items };
+    }
+
+    getItem(key) {
+        return key in this.items ? this.items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.items[key] = String(value);
+    }
+}
+
+describe('PlayerSettings', () => {
+    it('starts with the defaults', () => {
+        const settings = new PlayerSettings(new MemoryStorage());
+
+        assert.strictEqual(settings.get('volume'), 1);
+        assert.strictEqual(settings.get('musicVolume'), 1);
+        assert.strictEqual(settings.get('muted'), false);
+        assert.strictEqual(settings.get('effects'), 'high');
+        assert.strictEqual(settings.get('screenShake'), 1);
+        assert.strictEqual(settings.get('reduceFlashing'), false);
+        assert.strictEqual(settings.get('autoPause'), true);
+    });
+
+    it('saves changes and reads them back', () => {
+        const storage = new MemoryStorage();
+        const settings = new PlayerSettings(storage);
+
+        assert.strictEqual(settings.set('effects', 'low'), true);
+        assert.strictEqual(settings.set('autoPause', false), true);
+
+        const reloaded = new PlayerSettings(storage);
+        assert.strictEqual(reloaded.get('effects'), 'low');
+        assert.strictEqual(reloaded.get('autoPause'), false);
+        assert.strictEqual(storage.getItem(AUTO_PAUSE_STORAGE_KEY), 'false');
+    });
+
+    it('keeps an auto-pause preference saved by older versions', () => {
+        const settings = new PlayerSettings(new MemoryStorage({ [AUTO_PAUSE_STORAGE_KEY]: 'false' }));
+
+        assert.strictEqual(settings.get('autoPause'), false);
+    });
+
+    it('refuses unknown settings and values', () => {
+        const settings = new PlayerSettings(new MemoryStorage());
+
+        assert.strictEqual(settings.set('volume', 2), false);
+        assert.strictEqual(settings.set('gravity', 1), false);
+        assert.strictEqual(settings.get('volume'), 1);
+    });
+
+    it('stops numbers at the ends of their range and wraps choices', () => {
+        const settings = new PlayerSettings(new MemoryStorage());
+
+        assert.strictEqual(settings.step('volume', 1), 1);
+        assert.strictEqual(settings.step('volume', -1), 0.9);
+        assert.strictEqual(settings.step('effects', 1), 'low');
+        assert.strictEqual(settings.step('reduceFlashing', -1), true);
+    });
+
+    it('falls back to the defaults for damaged settings', () => {
+        const unreadable = new PlayerSettings(new MemoryStorage({ [SETTINGS_STORAGE_KEY]: '{not json' }));
+        assert.strictEqual(unreadable.get('volume'), 1);
+
+        const partial = new PlayerSettings(new MemoryStorage({ [SETTINGS_STORAGE_KEY]: JSON.stringify({ volume: 0.5, effects: 'ultra' }) }));
+        assert.strictEqual(partial.get('volume'), 0.5);
+        assert.strictEqual(partial.get('effects'), 'high');
+    });
+
+    it('labels values for the menu', () => {
+        assert.strictEqual(settingLabel(0.7), '70%');
+        assert.strictEqual(settingLabel(0), 'OFF');
+        assert.strictEqual(settingLabel(true), 'ON');
+        assert.strictEqual(settingLabel('medium'), 'MEDIUM');
+    });
+});
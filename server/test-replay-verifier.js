@@ -0,0 +1,133 @@
+/**
+ * Tests for high score replay verification (server/replay-verifier.js)
+ *
+ * Runs under Node's built-in test runner:
+ *   node --test server/test-replay-verifier.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const GameConfig = require('../public/js/config/GameConfig.js');
+const SeededRandom = require('../public/js/core/SeededRandom.js');
+const { Replay } = require('../public/js/core/Replay.js');
+const simulation = require('../public/js/core/Simulation.js');
+const { verifyReplay, verifyReplayInWorker, maxLevelForScore, maxPlausibleTicks } = require('./replay-verifier');
+
+const TICKS_PER_LEVEL = 600 * GameConfig.GAME.TICK_RATE;
+
+// Play a game headlessly with a simple seeded bot and return its recording
+// resize, if given, changes the play field mid-run the way the browser does on a window resize
+function recordRun(seed, resize = null) {
+    simulation.setWorldSize(1280, 720);
+    simulation.initGame(seed);
+
+    const replay = new Replay({ seed, width: 1280, height: 720, tickRate: GameConfig.GAME.TICK_RATE });
+    const bot = new SeededRandom(1);
+    while (!simulation.getSimulationState().gameOver) {
+        if (resize && replay.length === resize.tick) {
+            simulation.setWorldSize(resize.width, resize.height);
+            replay.recordResize(resize.width, resize.height);
+        }
+        if (replay.length % 20 === 0) {
+            simulation.keys.left = bot.chance(0.3);
+            simulation.keys.up = bot.chance(0.3);
+        }
+        if (replay.length % 15 === 0) simulation.keys.space = true;
+        replay.recordTick(simulation.keys, false);
+        simulation.stepSimulation(1 / GameConfig.GAME.TICK_RATE);
+    }
+
+    const state = simulation.getSimulationState();
+    replay.score = state.score;
+    replay.level = state.level;
+    return replay.toJSON();
+}
+
+// Recording of nothing happening for the given number of ticks
+function idleReplay(activeTicks, pausedTicks = 0) {
+    const replay = new Replay({ seed: 1, width: 1280, height: 720, tickRate: GameConfig.GAME.TICK_RATE });
+    for (let i = 0; i < pausedTicks; i++) replay.recordTick({}, true);
+    for (let i = 0; i < activeTicks; i++) replay.recordTick({}, false);
+    return replay.toJSON();
+}
+
+const RUN = recordRun(4242);
+
+describe('maxPlausibleTicks', () => {
+    it('allows one more level for each level bonus the score could hold', () => {
+        assert.strictEqual(maxLevelForScore(0), 1);
+        assert.strictEqual(maxLevelForScore(999), 1);
+        assert.strictEqual(maxLevelForScore(1000), 2);   // Level 1 bonus
+        assert.strictEqual(maxLevelForScore(2999), 2);
+        assert.strictEqual(maxLevelForScore(3000), 3);   // Plus the level 2 bonus
+        assert.strictEqual(maxLevelForScore(NaN), 1);
+    });
+
+    it('takes the lower of the score and the claimed level', () => {
+        assert.strictEqual(maxPlausibleTicks(3000), 3 * TICKS_PER_LEVEL);
+        assert.strictEqual(maxPlausibleTicks(3000, 2), 2 * TICKS_PER_LEVEL);
+        assert.strictEqual(maxPlausibleTicks(3000, 50), 3 * TICKS_PER_LEVEL);
+    });
+});
+
+describe('verifyReplay', () => {
+    it('refuses a recording longer than its score could need, without simulating it', () => {
+        const result = verifyReplay(idleReplay(TICKS_PER_LEVEL + 1), 0);
+
+        assert.strictEqual(result.valid, false);
+        assert.match(result.reason, /longer than its score could need/);
+        assert.strictEqual(result.score, undefined);
+    });
+
+    it('does not count paused time against the limit', () => {
+        const result = verifyReplay(idleReplay(10, TICKS_PER_LEVEL * 2), 0);
+
+        assert.strictEqual(result.reason, 'Replay does not end in a finished game');
+    });
+
+    it('accepts a genuine run', () => {
+        assert.deepStrictEqual(verifyReplay(RUN, RUN.score, RUN.level), { valid: true, score: RUN.score, level: RUN.level });
+    });
+
+    it('follows the play field through a resize mid-run', () => {
+        const resized = recordRun(4242, { tick: 600, width: 720, height: 1280 });
+        assert.deepStrictEqual(resized.resizes, [[600, 720, 1280]]);
+        assert.notStrictEqual(resized.score, RUN.score);
+
+        assert.deepStrictEqual(verifyReplay(resized, resized.score, resized.level),
+            { valid: true, score: resized.score, level: resized.level });
+        assert.strictEqual(verifyReplay({ ...resized, resizes: [] }, resized.score, resized.level).valid, false);
+    });
+
+    it('refuses a resize to a field no window could have', () => {
+        const result = verifyReplay({ ...RUN, resizes: [[10, 50, 50]] }, RUN.score, RUN.level);
+
+        assert.strictEqual(result.reason, 'Invalid replay: Replay play field size is invalid');
+    });
+});
+
+describe('verifyReplayInWorker', () => {
+    it('verifies off the main thread', async () => {
+        const result = await verifyReplayInWorker(RUN, RUN.score, RUN.level);
+        assert.deepStrictEqual(result, { valid: true, score: RUN.score, level: RUN.level });
+
+        const wrong = await verifyReplayInWorker(RUN, RUN.score + 100, RUN.level);
+        assert.strictEqual(wrong.reason, 'Replay score does not match submitted score');
+    });
+
+    it('abandons a check that runs past its time budget', async () => {
+        const result = await verifyReplayInWorker(RUN, RUN.score, RUN.level, 1);
+
+        assert.deepStrictEqual(result, { valid: false, reason: 'Replay took too long to verify' });
+    });
+
+    it('turns submissions away while the workers are all busy', async () => {
+        const running = [verifyReplayInWorker(RUN, RUN.score), verifyReplayInWorker(RUN, RUN.score)];
+        const turnedAway = await verifyReplayInWorker(RUN, RUN.score);
+        await Promise.all(running);
+
+        assert.strictEqual(turnedAway.busy, true);
+        assert.strictEqual(turnedAway.valid, false);
+        assert.strictEqual((await verifyReplayInWorker(RUN, RUN.score)).valid, true);
+    });
+});
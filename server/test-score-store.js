@@ -0,0 +1,204 @@
+/**
+ * Tests for the high score storage backends (server/score-store.js)
+ *
+ * Runs under Node's built-in test runner:
+ *   node --test server/test-score-store.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScoreStore, JsonLogStore, SqliteStore, MemoryStore, writeFileAtomic } = require('./score-store');
+
+let sqliteAvailable = true;
+try {
+    require.resolve('better-sqlite3');
+} catch (err) {
+    sqliteAvailable = false;
+}
+
+let tempDir;
+
+beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smashteroids-scores-'));
+});
+
+afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function entry(initials, score, timestamp) {
+    return { initials, score, timestamp, gameData: { level: 2 } };
+}
+
+// The same behaviour is expected from every backend
+function describeStore(name, createStore, reopenStore) {
+    describe(name, () => {
+        it('ranks scores highest first, earliest first on ties', () => {
+            const store = createStore();
+            store.add(entry('BBB', 500, 2));
+            store.add(entry('AAA', 900, 3));
+            store.add(entry('CCC', 500, 1));
+
+            assert.deepStrictEqual(store.getTopScores(10).map(s => s.initials), ['AAA', 'CCC', 'BBB']);
+            assert.strictEqual(store.count(), 3);
+        });
+
+        it('limits the board and filters by time', () => {
+            const store = createStore();
+            for (let i = 0; i < 20; i++) {
+                store.add(entry('P' + String.fromCharCode(65 + i), i * 100, 1000 + i));
+            }
+
+            assert.strictEqual(store.getTopScores(15).length, 15);
+            const recent = store.getTopScores(15, 1015);
+            assert.deepStrictEqual(recent.map(s => s.score), [1900, 1800, 1700, 1600, 1500]);
+        });
+
+        it('keeps the whole entry', () => {
+            const store = createStore();
+            store.add({ initials: 'ABC', score: 42, timestamp: 7, gameData: { level: 3 }, seed: 99, verified: true });
+
+            assert.deepStrictEqual(store.getTopScores(1)[0], { initials: 'ABC', score: 42, timestamp: 7, gameData: { level: 3 }, seed: 99, verified: true });
+        });
+
+        it('keeps daily challenge scores apart from regular ones', () => {
+            const store = createStore();
+            store.add({ ...entry('REG', 100, 1), player: 'p1' });
+            store.add({ ...entry('DAY', 900, 2), challenge: '2025-03-12', player: 'p1' });
+            store.add({ ...entry('OLD', 800, 1), challenge: '2025-03-11', player: 'p2' });
+
+            assert.deepStrictEqual(store.getTopScores(10).map(s => s.initials), ['REG']);
+            assert.deepStrictEqual(store.getTopScores(10, 0, '2025-03-12').map(s => s.initials), ['DAY']);
+            assert.strictEqual(store.findPlayerScore('p1', '2025-03-12').score, 900);
+            assert.strictEqual(store.findPlayerScore('p1', '2025-03-11'), null);
+            assert.strictEqual(store.findPlayerScore('p2', '2025-03-12'), null);
+            assert.strictEqual(store.findPlayerScore('p1').score, 100);
+        });
+
+        it('keeps boards that were already read up to date', () => {
+            const store = createStore();
+            store.add(entry('OLD', 700, 1));
+            store.add(entry('LOW', 100, 20));
+            assert.deepStrictEqual(store.getTopScores(2, 10).map(s => s.initials), ['LOW']);
+            assert.deepStrictEqual(store.getTopScores(2).map(s => s.initials), ['OLD', 'LOW']);
+
+            store.add(entry('TOP', 900, 30));
+            store.add(entry('TIE', 700, 31));
+            store.add({ ...entry('DAY', 999, 32), challenge: '2025-03-12' });
+
+            assert.deepStrictEqual(store.getTopScores(2, 10).map(s => s.initials), ['TOP', 'TIE']);
+            assert.deepStrictEqual(store.getTopScores(2).map(s => s.initials), ['TOP', 'OLD']);
+            assert.deepStrictEqual(store.getTopScores(4).map(s => s.initials), ['TOP', 'OLD', 'TIE', 'LOW']);
+        });
+
+        if (reopenStore) {
+            it('survives a restart', () => {
+                const store = createStore();
+                store.add(entry('ONE', 100, 1));
+                store.add(entry('TWO', 200, 2));
+
+                const reopened = reopenStore();
+                assert.deepStrictEqual(reopened.getTopScores(10).map(s => s.initials), ['TWO', 'ONE']);
+            });
+        }
+    });
+}
+
+describeStore('MemoryStore', () => new MemoryStore());
+
+describeStore(
+    'JsonLogStore',
+    () => new JsonLogStore(path.join(tempDir, 'scores.log')),
+    () => new JsonLogStore(path.join(tempDir, 'scores.log'))
+);
+
+if (sqliteAvailable) {
+    let db;
+    afterEach(() => {
+        if (db) db.db.close();
+        db = null;
+    });
+    describeStore(
+        'SqliteStore',
+        () => (db = new SqliteStore(path.join(tempDir, 'scores.db'))),
+        () => {
+            db.db.close();
+            return (db = new SqliteStore(path.join(tempDir, 'scores.db')));
+        }
+    );
+} else {
+    it('SqliteStore', { skip: 'better-sqlite3 is not installed' }, () => {});
+}
+
+describe('JsonLogStore ranking', () => {
+    it('reads a board without going back through the whole log', () => {
+        const store = new JsonLogStore(path.join(tempDir, 'scores.log'));
+        store.add(entry('AAA', 100, 1));
+        store.getTopScores(15);
+
+        store.ranked.scores.filter = () => assert.fail('the log was scanned again');
+        store.add(entry('BBB', 200, 2));
+        assert.deepStrictEqual(store.getTopScores(15).map(s => s.initials), ['BBB', 'AAA']);
+    });
+});
+
+describe('JsonLogStore durability', () => {
+    it('appends one line per score instead of rewriting the file', () => {
+        const filePath = path.join(tempDir, 'scores.log');
+        const store = new JsonLogStore(filePath);
+        store.add(entry('ONE', 100, 1));
+        const firstWrite = fs.readFileSync(filePath, 'utf8');
+        store.add(entry('TWO', 200, 2));
+
+        const contents = fs.readFileSync(filePath, 'utf8');
+        assert.ok(contents.startsWith(firstWrite));
+        assert.strictEqual(contents.trim().split('\n').length, 2);
+    });
+
+    it('drops and repairs a partially written last line', () => {
+        const filePath = path.join(tempDir, 'scores.log');
+        fs.writeFileSync(filePath, JSON.stringify(entry('ONE', 100, 1)) + '\n{"initials":"TW');
+
+        const store = new JsonLogStore(filePath);
+        assert.strictEqual(store.count(), 1);
+        assert.strictEqual(fs.readFileSync(filePath, 'utf8'), JSON.stringify(entry('ONE', 100, 1)) + '\n');
+
+        store.add(entry('TWO', 200, 2));
+        assert.strictEqual(new JsonLogStore(filePath).count(), 2);
+    });
+});
+
+describe('writeFileAtomic', () => {
+    it('replaces the file and leaves no temporary files behind', () => {
+        const filePath = path.join(tempDir, 'data.json');
+        fs.writeFileSync(filePath, 'old');
+
+        writeFileAtomic(filePath, 'new');
+
+        assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'new');
+        assert.deepStrictEqual(fs.readdirSync(tempDir), ['data.json']);
+    });
+});
+
+describe('createScoreStore', () => {
+    it('uses the JSON log by default', () => {
+        const store = createScoreStore({ SCORE_STORE_PATH: path.join(tempDir, 'scores.log') });
+        assert.ok(store instanceof JsonLogStore);
+    });
+
+    it('selects the backend from SCORE_STORE', () => {
+        assert.ok(createScoreStore({ SCORE_STORE: 'memory' }) instanceof MemoryStore);
+        if (sqliteAvailable) {
+            const store = createScoreStore({ SCORE_STORE: 'SQLite', SCORE_STORE_PATH: path.join(tempDir, 'scores.db') });
+            assert.ok(store instanceof SqliteStore);
+            store.db.close();
+        }
+    });
+
+    it('rejects an unknown backend', () => {
+        assert.throws(() => createScoreStore({ SCORE_STORE: 'mongo' }), /Unknown SCORE_STORE/);
+    });
+});
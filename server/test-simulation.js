@@ -0,0 +1,655 @@
+/**
+ * Gameplay tests for the headless simulation (public/js/core/Simulation.js)
+ *
+ * Runs under Node's built-in test runner - no browser or server needed:
+ *   node --test server/test-simulation.js
+ *
+ * Covers:
+ * 1. Asteroid splitting in destroyAsteroid
+ * 2. Level completion bonus in updateGame
+ * 3. respawnShipSafely keeping clear of asteroids, and the spots it tried
+ * 4. Battlestar damage thresholds in damageBattlestar
+ * 5. Alien spawn timing
+ * 6. Hyperspace jumps
+ * 7. Power-up drops and effects
+ * 8. Extra lives at score thresholds
+ * 9. Combo multiplier
+ * 10. Outline collisions in checkCollisions
+ * 11. Developer console helpers: level jumps, clearing the field, god mode
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('assert');
+const GameConfig = require('../public/js/config/GameConfig.js');
+const SeededRandom = require('../public/js/core/SeededRandom.js');
+const simulation = require('../public/js/core/Simulation.js');
+
+const TICK = 1 / GameConfig.GAME.TICK_RATE;
+
+function distance(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+}
+
+// Fresh run on a fixed-size field before every test
+beforeEach(() => {
+    simulation.setWorldSize(1280, 720);
+    simulation.initGame(1234);
+});
+
+describe('destroyAsteroid', () => {
+    it('splits a large asteroid into 2 or 3 medium ones', () => {
+        const parent = simulation.createAsteroid(400, 300, 3);
+        simulation.setSimulationState({ asteroids: [parent], score: 0 });
+
+        simulation.destroyAsteroid(0);
+
+        const { asteroids, score } = simulation.getSimulationState();
+        assert.ok(!asteroids.includes(parent), 'original asteroid should be removed');
+        assert.ok(asteroids.length === 2 || asteroids.length === 3, `expected 2-3 pieces, got ${asteroids.length}`);
+        asteroids.forEach(piece => {
+            assert.strictEqual(piece.size, 2);
+            assert.ok(distance(piece, parent) <= parent.radius, 'pieces should start inside the parent');
+        });
+        assert.strictEqual(score, 100);
+    });
+
+    it('splits a medium asteroid into small ones worth more points', () => {
+        simulation.setSimulationState({ asteroids: [simulation.createAsteroid(400, 300, 2)], score: 0 });
+
+        simulation.destroyAsteroid(0);
+
+        const { asteroids, score } = simulation.getSimulationState();
+        assert.ok(asteroids.length >= 2);
+        asteroids.forEach(piece => assert.strictEqual(piece.size, 1));
+        assert.strictEqual(score, 200);
+    });
+
+    it('does not split a small asteroid', () => {
+        const other = simulation.createAsteroid(100, 100, 3);
+        simulation.setSimulationState({ asteroids: [simulation.createAsteroid(400, 300, 1), other], score: 0 });
+
+        simulation.destroyAsteroid(0);
+
+        const { asteroids, score } = simulation.getSimulationState();
+        assert.deepStrictEqual(asteroids, [other]);
+        assert.strictEqual(score, 300);
+    });
+});
+
+describe('level completion', () => {
+    it('doubles the bonus every level', () => {
+        for (let level = 1; level <= 5; level++) {
+            simulation.setSimulationState({ level, score: 0, asteroids: [] });
+
+            simulation.updateGame();
+
+            const state = simulation.getSimulationState();
+            assert.strictEqual(state.score, 1000 * Math.pow(2, level - 1), `bonus for completing level ${level}`);
+            assert.strictEqual(state.level, level + 1);
+            assert.strictEqual(state.asteroids.length, GameConfig.ASTEROID.COUNT + level + 1);
+        }
+    });
+
+    it('leaves the timing of layered sounds to the host', () => {
+        const realSetTimeout = global.setTimeout;
+        const delayed = [];
+        global.setTimeout = () => assert.fail('the simulation started a timer');
+        simulation.simulationHooks.playDelayedSound = (name, seconds) => delayed.push([name, seconds]);
+        try {
+            simulation.setSimulationState({ asteroids: [] });
+            simulation.updateGame();
+            simulation.createBattlestar();
+        } finally {
+            global.setTimeout = realSetTimeout;
+            simulation.simulationHooks.playDelayedSound = () => {};
+        }
+        assert.deepStrictEqual(delayed, [['bangMedium', 0.2], ['bangMedium', 0.25], ['explode', 0.5]]);
+    });
+
+    it('does not award a bonus while asteroids remain', () => {
+        simulation.setSimulationState({ score: 0 });
+
+        simulation.updateGame();
+
+        const state = simulation.getSimulationState();
+        assert.strictEqual(state.score, 0);
+        assert.strictEqual(state.level, 1);
+    });
+});
+
+describe('respawnShipSafely', () => {
+    it('never places the ship within SAFE_RESPAWN_DISTANCE of an asteroid', () => {
+        const rng = new SeededRandom(99);
+
+        for (let trial = 0; trial < 200; trial++) {
+            // Anything from a sparse field to one crowded around the centre
+            const count = 1 + rng.int(30);
+            const spread = rng.range(50, 640);
+            const asteroids = [];
+            for (let i = 0; i < count; i++) {
+                asteroids.push(simulation.createAsteroid(
+                    640 + rng.range(-spread, spread),
+                    360 + rng.range(-spread, spread) * 0.5,
+                    1 + rng.int(3)
+                ));
+            }
+            simulation.setSimulationState({ asteroids });
+
+            simulation.respawnShipSafely();
+
+            const { ship } = simulation.getSimulationState();
+            asteroids.forEach(asteroid => {
+                assert.ok(
+                    distance(ship, asteroid) >= simulation.SAFE_RESPAWN_DISTANCE,
+                    `trial ${trial}: ship at (${ship.x.toFixed(1)}, ${ship.y.toFixed(1)}) is ${distance(ship, asteroid).toFixed(1)}px from an asteroid`
+                );
+            });
+        }
+    });
+
+    it('respawns invulnerable', () => {
+        simulation.respawnShipSafely();
+        assert.strictEqual(simulation.getSimulationState().ship.invulnerable, true);
+    });
+
+    it('records the spots it tried for the debug overlay', () => {
+        simulation.setSimulationState({ asteroids: [simulation.createAsteroid(640, 360, 1)] });
+        simulation.getSimulationState().asteroids[0].velocity = { x: 0, y: 0 };
+
+        simulation.respawnShipSafely();
+
+        const { ship, respawnSearch } = simulation.getSimulationState();
+        const [centre] = respawnSearch.candidates;
+        const chosen = respawnSearch.candidates[respawnSearch.candidates.length - 1];
+        assert.deepStrictEqual(centre, { x: 640, y: 360, safe: false });
+        assert.strictEqual(chosen.safe, true);
+        assert.deepStrictEqual([chosen.x, chosen.y], [ship.x, ship.y]);
+        assert.strictEqual(respawnSearch.forced, false);
+    });
+});
+
+describe('damageBattlestar', () => {
+    function spawnVulnerableBattlestar() {
+        simulation.createBattlestar();
+        const { battlestar } = simulation.getSimulationState();
+        battlestar.invulnerable = false;
+        return battlestar;
+    }
+
+    it('knocks out one cannon at each damage threshold', () => {
+        const battlestar = spawnVulnerableBattlestar();
+        const thresholds = GameConfig.BATTLESTAR.DAMAGE_THRESHOLDS;
+        let damagedCannons = 0;
+
+        for (let health = GameConfig.BATTLESTAR.MAX_HEALTH - 1; health > 0; health--) {
+            simulation.damageBattlestar(1);
+            assert.strictEqual(battlestar.health, health);
+
+            if (thresholds.includes(health)) damagedCannons++;
+            assert.strictEqual(
+                battlestar.cannons.filter(cannon => cannon.damaged).length,
+                damagedCannons,
+                `damaged cannons at health ${health}`
+            );
+            assert.ok(!battlestar.dying);
+        }
+    });
+
+    it('starts the death sequence at zero health', () => {
+        const battlestar = spawnVulnerableBattlestar();
+        battlestar.health = 1;
+
+        simulation.damageBattlestar(1);
+
+        assert.strictEqual(battlestar.dying, true);
+        assert.ok(battlestar.cannons.every(cannon => cannon.damaged), 'all cannons disabled when dying');
+    });
+
+    it('awards 100 points per hit and ignores hits while invulnerable', () => {
+        const battlestar = spawnVulnerableBattlestar();
+        simulation.setSimulationState({ score: 0 });
+
+        simulation.damageBattlestar(1);
+        assert.strictEqual(simulation.getSimulationState().score, 100);
+
+        battlestar.invulnerable = true;
+        simulation.damageBattlestar(1);
+        assert.strictEqual(battlestar.health, GameConfig.BATTLESTAR.MAX_HEALTH - 1);
+        assert.strictEqual(simulation.getSimulationState().score, 100);
+    });
+});
+
+describe('alien spawn timing', () => {
+    // Run updateAliens for a number of 10ms ticks (a paused step sets the tick length)
+    function runAlienTicks(count) {
+        simulation.stepSimulation(0.01, true);
+        for (let i = 0; i < count; i++) {
+            simulation.updateAliens();
+        }
+    }
+
+    it('never spawns aliens on level 1', () => {
+        simulation.setSimulationState({ level: 1, alienSpawnTimer: 0 });
+        runAlienTicks(3000);
+        assert.strictEqual(simulation.getSimulationState().aliens.length, 0);
+    });
+
+    it('delays the first alien of a level by 1.5 spawn intervals', () => {
+        simulation.setSimulationState({ level: 1, asteroids: [] });
+        simulation.updateGame();
+
+        const state = simulation.getSimulationState();
+        assert.strictEqual(state.level, 2);
+        assert.strictEqual(state.alienSpawnTimer, GameConfig.ALIEN.BASE_SPAWN_INTERVAL * 1.5);
+    });
+
+    it('spawns an alien when the timer runs out, then waits a full interval', () => {
+        simulation.setSimulationState({ level: 2, alienSpawnTimer: 1000 });
+
+        runAlienTicks(99);
+        assert.strictEqual(simulation.getSimulationState().aliens.length, 0);
+
+        runAlienTicks(1);
+        const state = simulation.getSimulationState();
+        assert.strictEqual(state.aliens.length, 1);
+        assert.strictEqual(state.alienSpawnTimer, GameConfig.ALIEN.BASE_SPAWN_INTERVAL);
+    });
+
+    it('shortens the interval with level down to the minimum', () => {
+        for (let level = 2; level <= 20; level++) {
+            simulation.setSimulationState({ level });
+            const expected = Math.max(
+                GameConfig.ALIEN.MIN_SPAWN_INTERVAL,
+                GameConfig.ALIEN.BASE_SPAWN_INTERVAL - (level - 2) * GameConfig.ALIEN.SPAWN_INTERVAL_DECREASE
+            );
+            assert.strictEqual(simulation.getAlienSpawnInterval(), expected, `interval at level ${level}`);
+        }
+        assert.strictEqual(simulation.getAlienSpawnInterval(), GameConfig.ALIEN.MIN_SPAWN_INTERVAL);
+    });
+
+    it('holds back new aliens while MAX_COUNT are on screen', () => {
+        simulation.setSimulationState({ level: 8, alienSpawnTimer: 0 });
+
+        runAlienTicks(GameConfig.ALIEN.MIN_SPAWN_INTERVAL / 10 * (GameConfig.ALIEN.MAX_COUNT + 2));
+
+        assert.strictEqual(simulation.getSimulationState().aliens.length, GameConfig.ALIEN.MAX_COUNT);
+    });
+
+    it('spawns aliens that move and become vulnerable', () => {
+        simulation.setSimulationState({ level: 2, alienSpawnTimer: 0 });
+        runAlienTicks(1);
+        const alien = simulation.getSimulationState().aliens[0];
+        const start = { x: alien.x, y: alien.y };
+
+        // Invulnerability is measured in reference frames
+        runAlienTicks(Math.ceil(GameConfig.ALIEN.INVULNERABILITY_TIME / GameConfig.GAME.FPS * 100) + 1);
+
+        assert.ok(Number.isFinite(alien.x) && Number.isFinite(alien.y));
+        assert.ok(distance(alien, start) > 0, 'alien should have moved');
+        assert.strictEqual(alien.invulnerable, false);
+        assert.strictEqual(alien.scale, 1);
+    });
+});
+
+describe('hyperspace', () => {
+    const shipConfig = { ...GameConfig.SHIP };
+
+    // A ship that has finished spawning, with one small asteroid in a corner so the level doesn't end
+    function readyShip() {
+        simulation.setSimulationState({ asteroids: [simulation.createAsteroid(20, 20, 1)], aliens: [], level: 1 });
+        const { ship } = simulation.getSimulationState();
+        ship.spawning = false;
+        ship.invulnerable = false;
+        return ship;
+    }
+
+    function jump(ticks) {
+        simulation.keys.hyperspace = true;
+        for (let i = 0; i < ticks; i++) {
+            simulation.stepSimulation(TICK);
+        }
+    }
+
+    const JUMP_TICKS = Math.ceil(GameConfig.SHIP.HYPERSPACE_DURATION * GameConfig.GAME.TICK_RATE / GameConfig.GAME.FPS) + 1;
+
+    it('vanishes, then reappears somewhere else', () => {
+        GameConfig.SHIP.HYPERSPACE_FAILURE_CHANCE = 0;
+        try {
+            const ship = readyShip();
+            const start = { x: ship.x, y: ship.y };
+
+            jump(1);
+            assert.strictEqual(ship.hyperspace, true);
+
+            jump(JUMP_TICKS);
+            assert.strictEqual(ship.hyperspace, false);
+            assert.strictEqual(ship.hyperspaceScale, 1);
+            assert.notDeepStrictEqual({ x: ship.x, y: ship.y }, start);
+            assert.strictEqual(simulation.getSimulationState().lives, 3);
+        } finally {
+            Object.assign(GameConfig.SHIP, shipConfig);
+        }
+    });
+
+    it('waits out the cooldown before jumping again', () => {
+        GameConfig.SHIP.HYPERSPACE_FAILURE_CHANCE = 0;
+        try {
+            const ship = readyShip();
+            jump(JUMP_TICKS);
+
+            jump(1);
+            assert.strictEqual(ship.hyperspace, false, 'jumped again during the cooldown');
+
+            const cooldownTicks = Math.ceil(GameConfig.SHIP.HYPERSPACE_COOLDOWN * GameConfig.GAME.TICK_RATE / GameConfig.GAME.FPS);
+            for (let i = 0; i < cooldownTicks; i++) simulation.stepSimulation(TICK);
+            jump(1);
+            assert.strictEqual(ship.hyperspace, true);
+        } finally {
+            Object.assign(GameConfig.SHIP, shipConfig);
+        }
+    });
+
+    it('cannot be hit while jumping', () => {
+        GameConfig.SHIP.HYPERSPACE_FAILURE_CHANCE = 0;
+        try {
+            const ship = readyShip();
+            jump(1);
+
+            simulation.setSimulationState({ asteroids: [simulation.createAsteroid(ship.x, ship.y, 3)] });
+            simulation.stepSimulation(TICK);
+            assert.strictEqual(ship.exploding, false);
+        } finally {
+            Object.assign(GameConfig.SHIP, shipConfig);
+        }
+    });
+
+    it('destroys the ship on a failed re-entry', () => {
+        GameConfig.SHIP.HYPERSPACE_FAILURE_CHANCE = 1;
+        try {
+            readyShip();
+            jump(JUMP_TICKS);
+
+            const { ship, lives } = simulation.getSimulationState();
+            assert.strictEqual(ship.exploding, true);
+            assert.strictEqual(lives, 2);
+        } finally {
+            Object.assign(GameConfig.SHIP, shipConfig);
+        }
+    });
+});
+
+describe('power-ups', () => {
+    // A ship that has finished spawning, parked in the middle of an empty field
+    function readyShip() {
+        simulation.setSimulationState({ asteroids: [], aliens: [], bullets: [], powerups: [] });
+        const { ship } = simulation.getSimulationState();
+        Object.assign(ship, { x: 640, y: 360, angle: 0, spawning: false, invulnerable: false });
+        return ship;
+    }
+
+    function step() {
+        simulation.stepSimulation(TICK);
+    }
+
+    it('drops pickups at the configured rate', () => {
+        simulation.rollPowerupDrop(100, 100, 0);
+        assert.strictEqual(simulation.getSimulationState().powerups.length, 0);
+
+        simulation.rollPowerupDrop(100, 100, 1);
+        const { powerups } = simulation.getSimulationState();
+        assert.strictEqual(powerups.length, 1);
+        assert.ok(['shield', 'spread', 'rapid', 'piercing', 'extraLife'].includes(powerups[0].type));
+    });
+
+    it('starts a timer on pickup that runs out', () => {
+        const ship = readyShip();
+        simulation.setSimulationState({ asteroids: [simulation.createAsteroid(20, 20, 1)] });
+        simulation.createPowerup(ship.x, ship.y, 'rapid');
+
+        step();
+        const { activePowerups, powerups } = simulation.getSimulationState();
+        assert.strictEqual(powerups.length, 0);
+        assert.ok(activePowerups.rapid > 0);
+
+        const ticks = Math.ceil(GameConfig.POWERUPS.RAPID_DURATION * GameConfig.GAME.TICK_RATE / GameConfig.GAME.FPS);
+        for (let i = 0; i < ticks; i++) step();
+        assert.strictEqual(simulation.getSimulationState().activePowerups.rapid, 0);
+    });
+
+    it('gives an extra life straight away', () => {
+        const ship = readyShip();
+        simulation.setSimulationState({ asteroids: [simulation.createAsteroid(20, 20, 1)], lives: 2 });
+        simulation.createPowerup(ship.x, ship.y, 'extraLife');
+
+        step();
+        assert.strictEqual(simulation.getSimulationState().lives, 3);
+    });
+
+    it('fires three bullets with spread shot', () => {
+        readyShip();
+        simulation.setSimulationState({ asteroids: [simulation.createAsteroid(20, 20, 1)], activePowerups: { spread: 100 } });
+
+        simulation.keys.space = true;
+        step();
+        assert.strictEqual(simulation.getSimulationState().bullets.length, 3);
+    });
+
+    it('shields the ship, smashing asteroids it touches', () => {
+        const ship = readyShip();
+        const rock = simulation.createAsteroid(ship.x, ship.y, 1);
+        simulation.setSimulationState({ asteroids: [rock, simulation.createAsteroid(20, 20, 1)], activePowerups: { shield: 100 }, lives: 3 });
+
+        step();
+        const state = simulation.getSimulationState();
+        assert.strictEqual(state.ship.exploding, false);
+        assert.strictEqual(state.lives, 3);
+        assert.ok(!state.asteroids.includes(rock));
+    });
+
+    it('stops normal bullets at the first asteroid, piercing ones fly on', () => {
+        function shootThroughTwoRocks(piercing) {
+            readyShip();
+            simulation.setSimulationState({
+                asteroids: [simulation.createAsteroid(700, 360, 1), simulation.createAsteroid(730, 360, 1), simulation.createAsteroid(20, 20, 1)],
+                activePowerups: { piercing: piercing ? 100 : 0 }
+            });
+            simulation.getSimulationState().asteroids.forEach(rock => { rock.velocity.x = rock.velocity.y = 0; });
+
+            simulation.keys.space = true;
+            for (let i = 0; i < 20; i++) step();
+            return simulation.getSimulationState().asteroids.length;
+        }
+
+        assert.strictEqual(shootThroughTwoRocks(false), 2);
+        assert.strictEqual(shootThroughTwoRocks(true), 1);
+    });
+
+    it('loses timed power-ups with the ship', () => {
+        readyShip();
+        simulation.setSimulationState({ activePowerups: { spread: 100, rapid: 100 } });
+
+        simulation.destroyShip();
+        const { activePowerups } = simulation.getSimulationState();
+        assert.strictEqual(activePowerups.spread, 0);
+        assert.strictEqual(activePowerups.rapid, 0);
+    });
+});
+
+describe('extra lives', () => {
+    const { EXTRA_LIFE_SCORE, EXTRA_LIFE_INTERVAL, MAX_LIVES } = GameConfig.GAME;
+
+    // Score some points with asteroids still on the field, so the level doesn't end
+    function scoreTo(value, lives) {
+        simulation.setSimulationState({ score: value, lives, asteroids: [simulation.createAsteroid(20, 20, 1)] });
+        simulation.updateGame();
+        return simulation.getSimulationState().lives;
+    }
+
+    it('awards the first life at EXTRA_LIFE_SCORE, then every EXTRA_LIFE_INTERVAL', () => {
+        assert.strictEqual(scoreTo(EXTRA_LIFE_SCORE - 1, 2), 2);
+        assert.strictEqual(scoreTo(EXTRA_LIFE_SCORE, 2), 3);
+        assert.strictEqual(scoreTo(EXTRA_LIFE_SCORE + EXTRA_LIFE_INTERVAL - 1, 2), 2);
+        assert.strictEqual(scoreTo(EXTRA_LIFE_SCORE + EXTRA_LIFE_INTERVAL, 2), 3);
+    });
+
+    it('awards every threshold passed in one jump', () => {
+        assert.strictEqual(scoreTo(EXTRA_LIFE_SCORE + EXTRA_LIFE_INTERVAL, 1), 3);
+    });
+
+    it('never goes beyond MAX_LIVES', () => {
+        assert.strictEqual(scoreTo(EXTRA_LIFE_SCORE, MAX_LIVES), MAX_LIVES);
+        assert.strictEqual(simulation.getSimulationState().nextExtraLifeScore, EXTRA_LIFE_SCORE + EXTRA_LIFE_INTERVAL);
+
+        const { ship } = simulation.getSimulationState();
+        simulation.createPowerup(ship.x, ship.y, 'extraLife');
+        simulation.updateGame();
+        assert.strictEqual(simulation.getSimulationState().lives, MAX_LIVES);
+    });
+});
+
+describe('combo multiplier', () => {
+    const { COMBO_KILLS_PER_STEP, COMBO_MAX_MULTIPLIER, COMBO_WINDOW } = GameConfig.SCORE;
+
+    // Shoot down a small asteroid (300 points before the multiplier) and return what it scored
+    function killSmallAsteroid() {
+        const before = simulation.getSimulationState().score;
+        simulation.setSimulationState({ asteroids: [simulation.createAsteroid(400, 300, 1), simulation.createAsteroid(20, 20, 1)] });
+        simulation.destroyAsteroid(0);
+        return simulation.getSimulationState().score - before;
+    }
+
+    it('raises the multiplier every COMBO_KILLS_PER_STEP kills in a row', () => {
+        for (let i = 1; i < COMBO_KILLS_PER_STEP; i++) {
+            assert.strictEqual(killSmallAsteroid(), 300);
+        }
+        assert.strictEqual(killSmallAsteroid(), 600);
+        assert.strictEqual(simulation.getSimulationState().comboMultiplier, 2);
+    });
+
+    it('caps the multiplier at COMBO_MAX_MULTIPLIER', () => {
+        simulation.setSimulationState({ comboCount: COMBO_KILLS_PER_STEP * (COMBO_MAX_MULTIPLIER + 5) });
+        assert.strictEqual(killSmallAsteroid(), 300 * COMBO_MAX_MULTIPLIER);
+    });
+
+    it('breaks the chain after COMBO_WINDOW frames without a kill', () => {
+        simulation.setSimulationState({ comboCount: COMBO_KILLS_PER_STEP * 2 });
+        killSmallAsteroid();
+
+        const ticks = Math.ceil(COMBO_WINDOW * GameConfig.GAME.TICK_RATE / GameConfig.GAME.FPS);
+        simulation.setSimulationState({ asteroids: [simulation.createAsteroid(20, 20, 1)] });
+        for (let i = 0; i < ticks; i++) simulation.updateGame();
+        assert.strictEqual(simulation.getSimulationState().comboCount, 0);
+        assert.strictEqual(killSmallAsteroid(), 300);
+    });
+
+    it('breaks the chain when the ship is lost', () => {
+        simulation.setSimulationState({ comboCount: COMBO_KILLS_PER_STEP * 3 });
+        simulation.destroyShip();
+        assert.strictEqual(simulation.getSimulationState().comboMultiplier, 1);
+    });
+});
+
+describe('checkCollisions', () => {
+    // Large asteroid with every other vertex pulled in, leaving deep notches
+    function spikyAsteroid() {
+        const asteroid = simulation.createAsteroid(640, 360, 3);
+        asteroid.angle = 0;
+        asteroid.vert = 8;
+        asteroid.offset = [1.3, 0.7, 1.3, 0.7, 1.3, 0.7, 1.3, 0.7];
+        return asteroid;
+    }
+
+    function placeShip(distanceOut, direction) {
+        const { ship } = simulation.getSimulationState();
+        Object.assign(ship, {
+            x: 640 + distanceOut * Math.cos(direction),
+            y: 360 + distanceOut * Math.sin(direction),
+            angle: Math.PI,
+            invulnerable: false,
+            spawning: false
+        });
+        return ship;
+    }
+
+    it('spares a ship inside the radius but clear of the outline', () => {
+        const asteroid = spikyAsteroid();
+        simulation.setSimulationState({ asteroids: [asteroid], lives: 3 });
+        const ship = placeShip(asteroid.radius + 5, Math.PI / 4);
+
+        simulation.checkCollisions();
+
+        assert.strictEqual(ship.exploding, false);
+        assert.strictEqual(simulation.getSimulationState().lives, 3);
+    });
+
+    it('destroys a ship touching a spike', () => {
+        const asteroid = spikyAsteroid();
+        simulation.setSimulationState({ asteroids: [asteroid], lives: 3 });
+        const ship = placeShip(asteroid.radius * 1.3 + 10, 0);
+
+        simulation.checkCollisions();
+
+        assert.strictEqual(ship.exploding, true);
+    });
+});
+
+describe('developer console helpers', () => {
+    it('jumps to a level with a fresh field and no bonus', () => {
+        simulation.createAlien();
+        simulation.setSimulationState({ score: 500 });
+
+        simulation.jumpToLevel(9);
+
+        const state = simulation.getSimulationState();
+        assert.strictEqual(state.level, 9);
+        assert.strictEqual(state.score, 500);
+        assert.strictEqual(state.aliens.length, 0);
+        assert.strictEqual(state.asteroids.length, GameConfig.ASTEROID.COUNT + 9);
+    });
+
+    it('clears the field so the level completes on the next update', () => {
+        simulation.createAlien();
+        simulation.createBattlestar();
+
+        simulation.clearField();
+        simulation.updateGame();
+
+        const state = simulation.getSimulationState();
+        assert.strictEqual(state.level, 2);
+        assert.strictEqual(state.battlestar, null);
+    });
+
+    it('keeps the ship alive in god mode', () => {
+        try {
+            simulation.setSimulationState({ godMode: true, lives: 1 });
+            simulation.destroyShip();
+
+            const state = simulation.getSimulationState();
+            assert.strictEqual(state.lives, 1);
+            assert.strictEqual(state.ship.exploding, false);
+        } finally {
+            simulation.setSimulationState({ godMode: false });
+        }
+    });
+});
+
+describe('determinism', () => {
+    it('plays out identically from the same seed and inputs', () => {
+        function run() {
+            simulation.initGame(777);
+            const bot = new SeededRandom(3);
+            for (let tick = 0; tick < 5000; tick++) {
+                if (tick % 20 === 0) {
+                    simulation.keys.left = bot.chance(0.3);
+                    simulation.keys.up = bot.chance(0.4);
+                }
+                if (tick % 15 === 0) simulation.keys.space = true;
+                simulation.stepSimulation(TICK);
+            }
+            const { score, lives, level, asteroids } = simulation.getSimulationState();
+            return { score, lives, level, asteroids: asteroids.map(a => [a.x, a.y, a.size]) };
+        }
+
+        assert.deepStrictEqual(run(), run());
+    });
+});
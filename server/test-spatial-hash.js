@@ -0,0 +1,93 @@
+/**
+ * Tests for the collision grid (public/js/core/SpatialHash.js)
+ *
+ * Runs under Node's built-in test runner:
+ *   node --test server/test-spatial-hash.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const GameConfig = require('../public/js/config/GameConfig.js');
+const SeededRandom = require('../public/js/core/SeededRandom.js');
+const SpatialHash = require('../public/js/core/SpatialHash.js');
+const simulation = require('../public/js/core/Simulation.js');
+
+function grid() {
+    const hash = new SpatialHash(100);
+    hash.reset(800, 600);
+    return hash;
+}
+
+describe('SpatialHash', () => {
+    it('only returns items near the query', () => {
+        const hash = grid();
+        hash.insert(0, 50, 50, 10);
+        hash.insert(1, 400, 300, 10);
+        hash.insert(2, 750, 550, 10);
+
+        assert.deepStrictEqual(hash.query(60, 40, 5), [0]);
+        assert.deepStrictEqual(hash.query(250, 150, 5), []);
+    });
+
+    it('returns each item once, lowest index first', () => {
+        const hash = grid();
+        hash.insert(3, 200, 200, 80);
+        hash.insert(1, 210, 190, 80);
+        hash.insert(2, 190, 210, 80);
+
+        assert.deepStrictEqual(hash.query(200, 200, 100), [1, 2, 3]);
+    });
+
+    it('wraps cells around the field edges', () => {
+        const hash = grid();
+        hash.insert(0, -20, 300, 30);   // Drifting off the left edge
+        hash.insert(1, 400, 590, 30);   // Straddling the bottom edge
+
+        assert.deepStrictEqual(hash.query(790, 300, 5), [0]);
+        assert.deepStrictEqual(hash.query(400, 10, 5), [1]);
+    });
+
+    it('renumbers items to follow a removal', () => {
+        const hash = grid();
+        hash.insert(0, 100, 100, 10);
+        hash.insert(1, 300, 300, 10);
+        hash.insert(2, 500, 500, 10);
+
+        hash.remove(1, 300, 300, 10);
+
+        assert.deepStrictEqual(hash.query(300, 300, 10), []);
+        assert.deepStrictEqual(hash.query(500, 500, 10), [1]);
+        assert.deepStrictEqual(hash.query(100, 100, 10), [0]);
+    });
+
+    it('plays a crowded run exactly as testing every asteroid does', () => {
+        function run(useSpatialHash) {
+            GameConfig.PHYSICS.SPATIAL_HASH = useSpatialHash;
+            simulation.setWorldSize(1280, 720);
+            simulation.initGame(99);
+
+            const field = new SeededRandom(5);
+            const asteroids = [];
+            for (let i = 0; i < 60; i++) {
+                asteroids.push(simulation.createAsteroid(field.range(0, 1280), field.range(0, 720), 1 + field.int(3)));
+            }
+            simulation.setSimulationState({ asteroids, lives: 99 });
+            simulation.createAlien();
+
+            const bot = new SeededRandom(3);
+            for (let tick = 0; tick < 3000; tick++) {
+                if (tick % 20 === 0) simulation.keys.left = bot.chance(0.5);
+                if (tick % 10 === 0) simulation.keys.space = true;
+                simulation.stepSimulation(1 / GameConfig.GAME.TICK_RATE);
+            }
+            const { score, lives, asteroids: left } = simulation.getSimulationState();
+            return { score, lives, asteroids: left.map(a => [a.x, a.y, a.size]) };
+        }
+
+        try {
+            assert.deepStrictEqual(run(true), run(false));
+        } finally {
+            GameConfig.PHYSICS.SPATIAL_HASH = true;
+        }
+    });
+});
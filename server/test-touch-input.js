@@ -0,0 +1,136 @@
+/**
+ * Tests for the on-screen touch controls (public/js/input/TouchInput.js)
+ *
+ * Runs under Node's built-in test runner:
+ *   node --test server/test-touch-input.js
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('assert');
+const GameConfig = require('../public/js/config/GameConfig.js');
+const { TouchInput } = require('../public/js/input/TouchInput.js');
+
+// Stand-in for the canvas, drawn at its own size, that keeps the touch listeners
+function fakeCanvas(width, height) {
+    return {
+        width,
+        height,
+        listeners: {},
+        addEventListener(type, listener) { this.listeners[type] = listener; },
+        getBoundingClientRect() { return { left: 0, top: 0, width: this.width, height: this.height }; }
+    };
+}
+
+// Send one touch event to the canvas
+function touch(canvas, type, identifier, x, y) {
+    canvas.listeners[type]({ preventDefault() {}, changedTouches: [{ identifier, clientX: x, clientY: y }] });
+}
+
+// Controls on an 800 x 400 canvas, showing
+function activeControls() {
+    const canvas = fakeCanvas(800, 400);
+    const input = new TouchInput(canvas);
+    input.controlsActive = true;
+    return { canvas, input };
+}
+
+afterEach(() => {
+    delete globalThis.getComputedStyle;
+    delete globalThis.document;
+});
+
+describe('TouchInput', () => {
+    it('keeps every control inside the safe area', () => {
+        const insets = { '--safe-area-top': '47', '--safe-area-right': '44', '--safe-area-bottom': '34', '--safe-area-left': '44' };
+        globalThis.document = { documentElement: {} };
+        globalThis.getComputedStyle = () => ({ getPropertyValue: name => insets[name] || '' });
+
+        const input = new TouchInput(fakeCanvas(844, 390));
+        const margin = GameConfig.TOUCH.MARGIN;
+        const { joystick, buttons } = input;
+
+        assert.deepStrictEqual(input.insets, { top: 47, right: 44, bottom: 34, left: 44 });
+        assert.strictEqual(joystick.x - joystick.radius, 44 + margin);
+        assert.strictEqual(joystick.y + joystick.radius, 390 - 34 - margin);
+        assert.strictEqual(buttons.fire.x + buttons.fire.radius, 844 - 44 - margin);
+        assert.strictEqual(buttons.fire.y + buttons.fire.radius, 390 - 34 - margin);
+        Object.values(buttons).forEach(button => {
+            assert.ok(button.x + button.radius <= 844 - 44);
+            assert.ok(button.y - button.radius >= 47);
+            assert.ok(button.y + button.radius <= 390 - 34);
+        });
+    });
+
+    it('sizes the buttons from the screen within the configured limits', () => {
+        assert.strictEqual(new TouchInput(fakeCanvas(320, 200)).buttons.fire.radius, GameConfig.TOUCH.MIN_BUTTON_SIZE);
+        assert.strictEqual(new TouchInput(fakeCanvas(3000, 2000)).buttons.fire.radius, GameConfig.TOUCH.MAX_BUTTON_SIZE);
+    });
+
+    it('steers with the joystick, clamped to its edge', () => {
+        const { canvas, input } = activeControls();
+        const { x, y, radius } = input.joystick;
+
+        touch(canvas, 'touchstart', 1, x, y);
+        touch(canvas, 'touchmove', 1, x + radius * 3, y);
+        assert.strictEqual(input.knobX, radius);
+        assert.strictEqual(input.knobY, 0);
+        assert.deepStrictEqual(input.poll().stick, { x: 1, y: 0 });
+
+        touch(canvas, 'touchend', 1, x + radius * 3, y);
+        assert.strictEqual(input.poll().stick, null);
+    });
+
+    it('ignores the joystick inside the dead zone', () => {
+        const { canvas, input } = activeControls();
+        const { x, y, radius } = input.joystick;
+        const deadZone = GameConfig.TOUCH.JOYSTICK_DEADZONE;
+
+        touch(canvas, 'touchstart', 1, x + radius * deadZone * 0.9, y);
+        assert.strictEqual(input.poll().stick, null);
+
+        touch(canvas, 'touchmove', 1, x, y - radius * deadZone * 1.1);
+        assert.ok(input.poll().stick.y < 0);
+    });
+
+    it('reports button presses once and thrust while held', () => {
+        const { canvas, input } = activeControls();
+        const { fire, thrust } = input.buttons;
+
+        touch(canvas, 'touchstart', 1, fire.x, fire.y);
+        touch(canvas, 'touchstart', 2, thrust.x, thrust.y);
+        assert.deepStrictEqual(input.poll(), { pressed: ['fire', 'thrust'], taps: [], stick: null, thrust: true });
+        assert.deepStrictEqual(input.poll().pressed, []);
+
+        touch(canvas, 'touchend', 2, thrust.x, thrust.y);
+        assert.strictEqual(input.poll().thrust, false);
+    });
+
+    it('lets go of held controls when they are hidden mid-touch', () => {
+        const { canvas, input } = activeControls();
+        const { x, y, radius } = input.joystick;
+        const { thrust } = input.buttons;
+        touch(canvas, 'touchstart', 1, x + radius, y);
+        touch(canvas, 'touchstart', 2, thrust.x, thrust.y);
+
+        input.controlsActive = false;
+        const state = input.poll();
+        assert.strictEqual(state.stick, null);
+        assert.strictEqual(state.thrust, false);
+
+        // The same fingers moving on do nothing once the controls are back
+        input.controlsActive = true;
+        touch(canvas, 'touchmove', 1, x - radius, y);
+        assert.strictEqual(input.knobX, 0);
+        assert.strictEqual(input.poll().stick, null);
+    });
+
+    it('reports taps outside play for the menus', () => {
+        const canvas = fakeCanvas(800, 400);
+        const input = new TouchInput(canvas);
+
+        touch(canvas, 'touchstart', 1, 100, 50);
+        assert.strictEqual(input.enabled, true);
+        assert.deepStrictEqual(input.poll().taps, [{ x: 100, y: 50 }]);
+        assert.deepStrictEqual(input.poll().taps, []);
+    });
+});